@@ -8,7 +8,8 @@
  *
  * Auth model:
  *   - Read tools (get_*): no auth required — public, same as GET /
- *   - Write/trigger tools: WEBHOOK_SECRET required (passed as `secret` argument)
+ *   - Write/trigger tools, the run journal and the audit log: WEBHOOK_SECRET or an
+ *     API_TOKENS token required (passed as `secret` argument)
  *
  * Claude Desktop config (no key needed for read access):
  *   {
@@ -19,48 +20,104 @@
  */
 
 import { WorkerEntrypoint } from 'cloudflare:workers';
+import {
+  deleteHistoryEntry,
+  findHistoryEntryById,
+  normalisePredictionInput,
+  readAudit,
+  readHistory,
+  readRuns,
+  rollbackPrediction,
+  tokenName,
+  upgradePrediction,
+  writePrediction,
+} from '../src/index.js';
 
 const TOOL_NAMES = [
   'get_latest_prediction',
   'get_prediction_history',
+  'get_prediction',
   'get_status',
   'post_prediction',
+  'rollback_prediction',
+  'delete_history_entry',
   'trigger_reddit_scan',
+  'list_cron_runs',
+  'list_audit_log',
 ];
 
+/**
+ * The audit context of a write tool call: the token's name, tied to the HTTP request
+ * (its cf-ray) when there is one.
+ * @param {string} secret - already checked with tokenName()
+ * @param {{ env: object, requestId?: string|null }} mcp
+ * @returns {import('../src/index.js').AuditContext}
+ */
+function mcpAudit(secret, { env, requestId }) {
+  return {
+    actor: tokenName(secret, env),
+    entry_point: 'mcp',
+    request_id: requestId ?? crypto.randomUUID(),
+  };
+}
+
 export class BuckitMCP extends WorkerEntrypoint {
   /**
-   * Get the latest gas price prediction.
+   * Get the latest gas price prediction, including every fuel grade in `grades`.
+   * `retracted` is true if the source Reddit post was deleted or removed.
    * No auth required — public read access.
    * @returns {Promise<object|null>}
    */
   async get_latest_prediction() {
     const raw = await this.env.PREDICTIONS.get('latest_prediction');
-    return raw ? JSON.parse(raw) : null;
+    if (!raw) return null;
+    const prediction = upgradePrediction(JSON.parse(raw));
+    return { ...prediction, retracted: prediction.retracted ?? false };
   }
 
   /**
-   * Get the last N predictions (default 10, max 10).
+   * Get the last N predictions (default 10, max 10), newest first.
    * No auth required — public read access.
-   * @param {number} [limit=10]
+   * @param {number|{ limit?: number }} [limit=10] - JSON-RPC calls pass `{ limit }`
    * @returns {Promise<object[]>}
    */
   async get_prediction_history(limit = 10) {
-    const raw = await this.env.PREDICTIONS.get('prediction_history');
-    const history = raw ? JSON.parse(raw) : [];
-    return history.slice(0, Math.min(limit, 10));
+    const n = typeof limit === 'object' ? (limit?.limit ?? 10) : limit;
+    const count = Number.isInteger(n) && n > 0 ? Math.min(n, 10) : 10;
+    return readHistory(this.env, { limit: count });
+  }
+
+  /**
+   * Get one prediction by its permanent `id` — the `id` history entries and the latest
+   * prediction carry, as for GET /api/predictions/:id and the /p/:id page.
+   * No auth required — public read access.
+   * @param {{ id: number }} args
+   * @returns {Promise<object>}
+   */
+  async get_prediction(args) {
+    const { id } = args;
+
+    if (!Number.isInteger(id) || id < 1) {
+      return { error: 'id must be a positive integer', status: 400 };
+    }
+
+    const prediction = await findHistoryEntryById(id, this.env);
+    if (!prediction) return { error: `No prediction ${id}`, status: 404 };
+    return { ...prediction, retracted: prediction.retracted ?? false };
   }
 
   /**
-   * Get health/status: last cron run, last post ID, image key.
+   * Get health/status: last cron run, last post ID, image key, and the outcome of the
+   * last Reddit feed check (`reddit_fetch` — e.g. `no_post` vs `rate_limited`/`blocked`).
    * No auth required — public read access.
    * @returns {Promise<object>}
    */
   async get_status() {
-    const [predRaw, imageKey, lastPostId] = await Promise.all([
+    const [predRaw, imageKey, lastPostId, fetchStatusRaw] = await Promise.all([
       this.env.PREDICTIONS.get('latest_prediction'),
       this.env.PREDICTIONS.get('latest_image_key'),
       this.env.PREDICTIONS.get('last_processed_post_id'),
+      this.env.PREDICTIONS.get('reddit_fetch_status'),
     ]);
 
     const pred = predRaw ? JSON.parse(predRaw) : null;
@@ -71,74 +128,101 @@ export class BuckitMCP extends WorkerEntrypoint {
       last_post_id: lastPostId ?? null,
       latest_image_key: imageKey ?? null,
       has_prediction: pred !== null,
+      reddit_fetch: fetchStatusRaw ? JSON.parse(fetchStatusRaw) : null,
     };
   }
 
   /**
-   * Submit a manual prediction override.
-   * Requires WEBHOOK_SECRET via X-Secret header or secret query param.
-   * @param {{ direction: string, predicted_price: number, current_price?: number, fuel_type?: string, notes?: string, secret: string }} args
+   * Submit a manual prediction override. Takes the same body as POST /webhook — either
+   * `{ gas, diesel, grades, zones, notes, kind, effective_at }` or the legacy
+   * `{ direction, predicted_price, current_price, fuel_type, notes }` — and stores the
+   * same record shape (see normalisePredictionInput). The change is audit-logged under
+   * the token's name.
+   * Requires WEBHOOK_SECRET.
+   * @param {{ secret: string } & object} args
    * @returns {Promise<object>}
    */
   async post_prediction(args) {
-    const {
-      direction,
-      predicted_price,
-      current_price,
-      fuel_type = 'gas',
-      notes = null,
-      secret,
-    } = args;
-
-    if (!secret || secret !== this.env.WEBHOOK_SECRET) {
+    const { secret, ...input } = args;
+
+    if (!tokenName(secret, this.env)) {
       return { error: 'Unauthorized', status: 401 };
     }
-    if (!['up', 'down'].includes(direction)) {
-      return { error: 'Invalid direction', status: 400 };
-    }
-    if (!['gas', 'diesel'].includes(fuel_type)) {
-      return { error: 'Invalid fuel_type', status: 400 };
-    }
-    if (typeof predicted_price !== 'number' || isNaN(predicted_price)) {
-      return { error: 'predicted_price must be a number', status: 400 };
-    }
 
-    const maxHistory = parseInt(this.env.MAX_HISTORY ?? '10', 10);
-    const prediction = {
-      direction,
-      currentPrice: current_price ?? null,
-      predictedPrice: predicted_price,
-      fuelType: fuel_type,
-      notes: notes ? String(notes).slice(0, 500) : null,
-      source: 'mcp',
-      updated_at: new Date().toISOString(),
-      post_id: null,
+    const result = normalisePredictionInput(input, 'mcp');
+    if (result.error) return { error: result.error, status: 400 };
+
+    // Same single write path as the cron and webhook
+    return {
+      ok: true,
+      prediction: await writePrediction(result.prediction, this.env, {
+        audit: mcpAudit(secret, this),
+      }),
     };
+  }
 
-    await this.env.PREDICTIONS.put('latest_prediction', JSON.stringify(prediction));
+  /**
+   * Revert the latest prediction to the previous history entry, removing the newest
+   * entry and restoring its image (see rollbackPrediction). The rolled-back post stays
+   * processed, so the next scan doesn't publish it again.
+   * Requires WEBHOOK_SECRET.
+   * @param {{ secret: string }} args
+   * @returns {Promise<object>}
+   */
+  async rollback_prediction(args) {
+    const { secret } = args;
 
-    const raw = await this.env.PREDICTIONS.get('prediction_history');
-    const history = raw ? JSON.parse(raw) : [];
-    history.unshift(prediction);
-    if (history.length > maxHistory) history.splice(maxHistory);
-    await this.env.PREDICTIONS.put('prediction_history', JSON.stringify(history));
+    if (!tokenName(secret, this.env)) {
+      return { error: 'Unauthorized', status: 401 };
+    }
 
-    return { ok: true, prediction };
+    const result = await rollbackPrediction(this.env, { audit: mcpAudit(secret, this) });
+    if (!result) return { error: 'No prediction to roll back', status: 404 };
+    return { ok: true, ...result };
+  }
+
+  /**
+   * Delete a history entry by the `id` get_prediction_history gives it. If the latest
+   * prediction includes it, that is rolled back too (see deleteHistoryEntry).
+   * Requires WEBHOOK_SECRET.
+   * @param {{ secret: string, id: number }} args
+   * @returns {Promise<object>}
+   */
+  async delete_history_entry(args) {
+    const { secret, id } = args;
+
+    if (!tokenName(secret, this.env)) {
+      return { error: 'Unauthorized', status: 401 };
+    }
+    if (!Number.isInteger(id) || id < 1) {
+      return { error: 'id must be a positive integer', status: 400 };
+    }
+
+    const result = await deleteHistoryEntry(id, this.env, { audit: mcpAudit(secret, this) });
+    if (!result) return { error: `No history entry ${id}`, status: 404 };
+    return { ok: true, ...result };
   }
 
   /**
    * Manually trigger a Reddit scan (calls the scheduled handler).
+   * With `dry_run`, nothing is written and no image is generated: the result is the
+   * would-be prediction, the chosen post and the image prompt (see dryRunScan).
    * Requires WEBHOOK_SECRET.
-   * @param {{ secret: string }} args
+   * @param {{ secret: string, dry_run?: boolean }} args
    * @returns {Promise<object>}
    */
   async trigger_reddit_scan(args) {
-    const { secret } = args;
+    const { secret, dry_run = false } = args;
 
-    if (!secret || secret !== this.env.WEBHOOK_SECRET) {
+    if (!tokenName(secret, this.env)) {
       return { error: 'Unauthorized', status: 401 };
     }
 
+    if (dry_run) {
+      const { dryRunScan } = await import('../src/index.js');
+      return { ok: true, ...(await dryRunScan(this.env)) };
+    }
+
     // Dynamically import the main worker and invoke its scheduled handler
     const { default: worker } = await import('../src/index.js');
     await worker.scheduled({}, this.env, {});
@@ -146,6 +230,61 @@ export class BuckitMCP extends WorkerEntrypoint {
     return { ok: true, message: 'Reddit scan triggered' };
   }
 
+  /**
+   * List recent cron runs from the run journal, newest first (default 20, at most
+   * MAX_RUNS): what was
+   * fetched, which post was chosen, the parse and image outcome, errors and duration.
+   * Requires WEBHOOK_SECRET.
+   * @param {{ secret: string, limit?: number }} args
+   * @returns {Promise<object>}
+   */
+  async list_cron_runs(args) {
+    const { secret, limit = 20 } = args;
+
+    if (!tokenName(secret, this.env)) {
+      return { error: 'Unauthorized', status: 401 };
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer', status: 400 };
+    }
+
+    return { runs: await readRuns(this.env, limit) };
+  }
+
+  /**
+   * List audit log entries, newest first (default 50): every change to a published
+   * prediction with its actor, entry point, request id and the before/after values.
+   * `before` (an entry id) pages back; `post_id`, `actor`, `entry_point` and
+   * `request_id` filter.
+   * Requires WEBHOOK_SECRET.
+   * @param {{ secret: string, limit?: number, before?: number, post_id?: string, actor?: string, entry_point?: string, request_id?: string }} args
+   * @returns {Promise<object>}
+   */
+  async list_audit_log(args) {
+    const { secret, limit = 50, before = null, ...filters } = args;
+
+    if (!tokenName(secret, this.env)) {
+      return { error: 'Unauthorized', status: 401 };
+    }
+    for (const [name, value] of Object.entries({ limit, before })) {
+      if (value !== null && (!Number.isInteger(value) || value < 1)) {
+        return { error: `${name} must be a positive integer`, status: 400 };
+      }
+    }
+
+    const { post_id, actor, entry_point, request_id } = filters;
+    return {
+      entries: await readAudit(this.env, {
+        limit,
+        before,
+        post_id,
+        actor,
+        entry_point,
+        request_id,
+      }),
+    };
+  }
+
   /**
    * HTTP entry point — handles MCP JSON-RPC (tools/call) requests.
    * GET requests and non-tools/call methods return 404.
@@ -162,6 +301,9 @@ export class BuckitMCP extends WorkerEntrypoint {
       return Response.json({ error: 'Invalid JSON' }, { status: 400 });
     }
 
+    // Tie audit entries to the request, as for the webhook
+    this.requestId = request.headers.get('cf-ray');
+
     const { method, params } = body;
     if (method === 'tools/call' && params?.name) {
       const toolName = params.name;
@@ -0,0 +1,13 @@
+-- Prediction history: every published prediction. A post has one row (a re-parsed
+-- post updates it in place); manual predictions have no post_id. Rows are listed
+-- newest first by id, i.e. in the order they were first published; data holds the
+-- prediction JSON.
+CREATE TABLE IF NOT EXISTS predictions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  post_id TEXT UNIQUE,
+  kind TEXT NOT NULL DEFAULT 'weekly',
+  effective_at TEXT, -- effective_at, else triggered_at, else updated_at
+  data TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS predictions_effective_at ON predictions (effective_at);
@@ -0,0 +1,27 @@
+-- Audit log: one row per change to a published prediction — who made it (actor: the
+-- API token name, or "cron"), through which entry point, the request id, and the
+-- prediction before and after (JSON). Rows are never updated or deleted.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  at TEXT NOT NULL,
+  action TEXT NOT NULL, -- publish, retract, unretract, attach_updates
+  actor TEXT NOT NULL,
+  entry_point TEXT NOT NULL, -- cron, webhook, mcp, pending
+  request_id TEXT,
+  post_id TEXT,
+  previous TEXT,
+  current TEXT
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_post_id ON audit_log (post_id);
+CREATE INDEX IF NOT EXISTS audit_log_request_id ON audit_log (request_id);
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
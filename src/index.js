@@ -14,6 +14,7 @@
  * Future: webmcp (webmcp.dev) migration planned when Cloudflare Workers support matures.
  */
 
+import { DurableObject } from 'cloudflare:workers';
 import { BuckitMCP } from '../mcp/server.js';
 
 // ── Utilities ───────────────────────────────────────────────────────────────
@@ -84,21 +85,45 @@ export function escapeHtml(str) {
     .replace(/'/g, '&#039;');
 }
 
+/** Named entities decodeHtmlEntities() knows: the five XML ones plus common HTML ones. */
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  cent: '¢',
+  deg: '°',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  euro: '€',
+};
+
 /**
- * Decode common HTML/XML character entities.
+ * Decode HTML/XML character entities in a single pass: named (see NAMED_ENTITIES),
+ * decimal (`&#39;`) and hex (`&#x27;`). Unknown or out-of-range entities are left as-is,
+ * and already-decoded text is never decoded twice (`&amp;lt;` → `&lt;`).
  * Used when parsing Reddit's Atom RSS feed, where post content is entity-encoded.
  * @param {string} str
  * @returns {string}
  */
 export function decodeHtmlEntities(str) {
   if (typeof str !== 'string') return '';
-  return str
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, ref) => {
+    if (ref[0] !== '#') return NAMED_ENTITIES[ref] ?? entity;
+    const code =
+      ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
 }
 
 /**
@@ -121,6 +146,39 @@ export function formatDate(iso) {
   }
 }
 
+/**
+ * Format a UTC ISO timestamp as a short Halifax calendar date (e.g. "Nov 15").
+ * @param {string|null} iso
+ * @returns {string} empty string for missing/invalid input
+ */
+export function formatShortDate(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return '';
+  return d.toLocaleDateString('en-CA', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'America/Halifax',
+  });
+}
+
+/**
+ * Format a UTC ISO timestamp as a Halifax calendar date with the year (e.g. "November 15, 2024").
+ * @param {string|null} iso
+ * @returns {string} empty string for missing/invalid input
+ */
+function formatLongDate(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return '';
+  return d.toLocaleDateString('en-CA', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'America/Halifax',
+  });
+}
+
 /**
  * Format a UTC ISO timestamp as a human-readable relative string (e.g. "3 days ago").
  * @param {string|null} iso
@@ -157,6 +215,103 @@ export function getSeason(date) {
   return 'fall';
 }
 
+/**
+ * Offset of Halifax local time from UTC at a given instant, in minutes (e.g. -240 for AST).
+ * @param {Date} date
+ * @returns {number}
+ */
+function halifaxOffsetMinutes(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: 'America/Halifax',
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  const localAsUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute)
+  );
+  return Math.round((localAsUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+/**
+ * Convert a Halifax wall-clock time to a UTC Date.
+ * Month and day may overflow (e.g. day 32) — Date.UTC normalises them.
+ * @param {number} year
+ * @param {number} month - 1–12
+ * @param {number} day
+ * @param {number} [hour=0]
+ * @param {number} [minute=0]
+ * @returns {Date}
+ */
+export function halifaxTimeToUtc(year, month, day, hour = 0, minute = 0) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  return new Date(guess - halifaxOffsetMinutes(new Date(guess)) * 60000);
+}
+
+/**
+ * Halifax calendar date of an instant.
+ * @param {Date} date
+ * @returns {{ year: number, month: number, day: number, weekday: number }} month 1–12, weekday 0 = Sunday
+ */
+function halifaxDateParts(date) {
+  const local = new Date(date.getTime() + halifaxOffsetMinutes(date) * 60000);
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    weekday: local.getUTCDay(),
+  };
+}
+
+/**
+ * Parse an ISO timestamp, returning null for missing or invalid input.
+ * @param {string|null} iso
+ * @returns {Date|null}
+ */
+function parseIsoDate(iso) {
+  if (!iso) return null;
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Default effective time of an interrupter clause adjustment: 12:01 AM Halifax time
+ * on the day after the UARB triggers it.
+ * @param {string|null} triggeredAt - ISO timestamp of the interrupter post
+ * @returns {string|null} ISO timestamp, or null if triggeredAt is missing/invalid
+ */
+export function interrupterEffectiveAt(triggeredAt) {
+  const d = parseIsoDate(triggeredAt);
+  if (!d) return null;
+  const { year, month, day } = halifaxDateParts(d);
+  return halifaxTimeToUtc(year, month, day + 1, 0, 1).toISOString();
+}
+
+/**
+ * Default effective time of a weekly prediction: the UARB's new minimums take effect
+ * at 12:01 AM Halifax time on the Friday after the post.
+ * @param {string|null} postedAt - ISO timestamp of the post
+ * @returns {string|null} ISO timestamp, or null if postedAt is missing/invalid
+ */
+export function weeklyEffectiveAt(postedAt) {
+  const d = parseIsoDate(postedAt);
+  if (!d) return null;
+  const { year, month, day, weekday } = halifaxDateParts(d);
+  const daysUntilFriday = (5 - weekday + 7) % 7 || 7;
+  return halifaxTimeToUtc(year, month, day + daysUntilFriday, 0, 1).toISOString();
+}
+
 /**
  * Build a community-aware, MEME-worthy image generation prompt.
  * Uses top r/halifax + r/novascotia post titles as context when available;
@@ -245,100 +400,546 @@ export function parseAdjustment(adj) {
   return { direction: null, adjustment: null };
 }
 
+/**
+ * Fuel grades tracked in `prediction.grades`, in display order.
+ * `match` is tested against the lower-cased grade name from the post's table.
+ */
+export const FUEL_GRADES = [
+  {
+    key: 'regular',
+    label: 'Regular',
+    match: /^(?:regular|gas(?:oline)?|unleaded)(?: unleaded| gas(?:oline)?)?$/,
+  },
+  {
+    key: 'midgrade',
+    label: 'Mid-Grade',
+    match: /^(?:mid[\s-]?grade|mid|plus)(?: unleaded| gas(?:oline)?)?$/,
+  },
+  { key: 'premium', label: 'Premium', match: /^(?:premium|super)(?: unleaded| gas(?:oline)?)?$/ },
+  {
+    key: 'diesel',
+    label: 'Diesel',
+    match: /^(?:(?:ultra[\s-]?low[\s-]sulph?ur|uls|clear) )?diesel$/,
+  },
+  { key: 'furnace_oil', label: 'Furnace Oil', match: /^(?:furnace|heating)(?: oil)?$/ },
+];
+
+/**
+ * Map a grade name from a post ("Gasoline", "Mid-Grade", "ULS Diesel", …) to its FUEL_GRADES key.
+ * @param {string} name
+ * @returns {string|null} grade key, or null if the name isn't a known fuel grade
+ */
+export function normaliseGrade(name) {
+  const n = String(name ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+  return FUEL_GRADES.find((g) => g.match.test(n))?.key ?? null;
+}
+
+/**
+ * Display label for a grade key. `gas` is the legacy name for `regular`.
+ * @param {string} key
+ * @returns {string}
+ */
+function gradeLabel(key) {
+  if (key === 'gas') return 'Regular';
+  return FUEL_GRADES.find((g) => g.key === key)?.label ?? key;
+}
+
+/**
+ * Build a fuel slot from a table row's adjustment and price cells.
+ * Prices in the table are in CENTS (e.g. 162.1 → $1.621/L).
+ * @param {string} adjRaw
+ * @param {string} priceCell
+ * @param {string} grade - grade key, used in warnings
+ * @param {ParseReport} report
+ * @returns {{ direction: 'up'|'down'|'no-change'|null, adjustment: number|null, price: number|null }}
+ */
+function toFuelSlot(adjRaw, priceCell, grade, report) {
+  const priceRaw = parseFloat(priceCell);
+  const priceInDollars = priceRaw > 10 ? priceRaw / 100 : priceRaw;
+  const slot = { ...parseAdjustment(adjRaw), price: isNaN(priceInDollars) ? null : priceInDollars };
+  const label = gradeLabel(grade);
+  if (slot.direction === null) {
+    warn(report, `${label} adjustment "${adjRaw.trim()}" not recognised`, 0.3);
+  }
+  if (slot.price === null) warn(report, `${label} price missing`, 0.1);
+  else if (priceRaw <= 10) warn(report, `${label} price looked like dollars not cents`, 0.15);
+  return slot;
+}
+
+/**
+ * Diagnostics collected while parsing a post.
+ * @typedef {{ strategy: string|null, penalty: number, warnings: string[] }} ParseReport
+ */
+
+/**
+ * Record a parser warning and the confidence it costs.
+ * @param {ParseReport} report
+ * @param {string} message
+ * @param {number} penalty - subtracted from the strategy's base confidence
+ */
+function warn(report, message, penalty) {
+  if (!report.warnings.includes(message)) {
+    report.warnings.push(message);
+    report.penalty += penalty;
+  }
+}
+
+/**
+ * All grade slots of a prediction, keyed by grade. Records written before `grades`
+ * existed are upgraded from their `gas`/`diesel` slots.
+ * @param {object|null} p
+ * @returns {Object<string, object>}
+ */
+export function predictionGrades(p) {
+  if (!p) return {};
+  if (p.grades && typeof p.grades === 'object') return p.grades;
+  const grades = {};
+  if (p.gas) grades.regular = p.gas;
+  if (p.diesel) grades.diesel = p.diesel;
+  return grades;
+}
+
+/**
+ * Nova Scotia pricing zones set by the UARB, in display order.
+ * A post with a single table is treated as Zone 1 (Halifax).
+ */
+export const PRICING_ZONES = [
+  { id: 1, region: 'Halifax' },
+  { id: 2, region: 'Truro' },
+  { id: 3, region: 'Yarmouth' },
+  { id: 4, region: 'Amherst' },
+  { id: 5, region: 'Antigonish' },
+  { id: 6, region: 'Cape Breton' },
+];
+
+/**
+ * Parse a pricing zone from a query param or label ("6", "zone6", "Zone 6").
+ * @param {string|number|null} value
+ * @returns {number|null} zone id 1–6, or null if not a valid zone
+ */
+export function parsePricingZone(value) {
+  const m = String(value ?? '').match(/^\s*(?:zone\s*)?([1-6])\s*$/i);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * Display label for a pricing zone, e.g. "Zone 6 — Cape Breton".
+ * @param {number} zone
+ * @returns {string}
+ */
+function zoneLabel(zone) {
+  const z = PRICING_ZONES.find((pz) => pz.id === zone);
+  return z ? `Zone ${z.id} — ${z.region}` : `Zone ${zone}`;
+}
+
+/**
+ * View of a prediction for one pricing zone: `grades`, `gas` and `diesel` are replaced
+ * with that zone's prices. Interrupters without prices for the zone are dropped.
+ * Predictions without per-zone tables only have Zone 1 prices.
+ * @param {object|null} p
+ * @param {number} zone
+ * @returns {object|null} null if the prediction has no prices for the zone
+ */
+export function zonePrediction(p, zone) {
+  if (!p) return null;
+  const zoneGrades = p.zones?.[zone];
+  if (!zoneGrades && zone !== 1) return null;
+  const out = zoneGrades
+    ? {
+        ...p,
+        grades: zoneGrades,
+        gas: zoneGrades.regular ?? null,
+        diesel: zoneGrades.diesel ?? null,
+      }
+    : { ...p };
+  out.zone = zone;
+  if (Array.isArray(p.interrupters)) {
+    out.interrupters = p.interrupters.map((e) => zonePrediction(e, zone)).filter(Boolean);
+  }
+  return out;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Extract the effective date/time of a price change from post text, e.g.
+ * "Effective Friday, Nov 15 at 12:01 AM", "takes effect tomorrow", "as of 2024-11-15".
+ *
+ * Looks in the text following an "effective" / "takes effect" / "as of" / "starting" phrase
+ * (table cells and HTML tags are flattened first, so this covers markdown tables, HTML tables
+ * and free text alike), then falls back to an explicit month-and-day in the heading or the
+ * price table (see effectiveDateContext) — a date elsewhere in the post ("last week on
+ * March 3…") is more often about something else, so it is ignored.
+ * A bare weekday resolves to the next such day after the post; a missing year to the one
+ * nearest the post; a missing time to 12:01 AM (when UARB prices change).
+ *
+ * @param {string} text - post title, then a newline and the body (markdown or HTML)
+ * @param {Date} postedAt - when the post was published (Halifax calendar reference)
+ * @returns {string|null} ISO timestamp, or null if the post doesn't say
+ */
+export function extractEffectiveAt(text, postedAt) {
+  const flatten = (s) =>
+    s
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/[|*_]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .toLowerCase();
+  const plain = flatten(String(text ?? ''));
+  const context = flatten(effectiveDateContext(text));
+  const ref = halifaxDateParts(postedAt);
+
+  const triggerMatch = plain.match(
+    /\b(?:effective|takes? effect|in effect|as of|starting|beginning)\b(.{0,80})/
+  );
+  const windows = triggerMatch ? [triggerMatch[1], context] : [context];
+
+  for (const [i, win] of windows.entries()) {
+    const anchored = triggerMatch && i === 0;
+    let date = null;
+
+    const iso = win.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    const monthDay = win.match(
+      /\b(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?![.\d])(?:,?\s+(\d{4}))?/
+    );
+    if (iso) {
+      date = { year: +iso[1], month: +iso[2], day: +iso[3] };
+    } else if (monthDay) {
+      const month = MONTHS.indexOf(monthDay[1].slice(0, 3)) + 1;
+      let year = monthDay[3] ? +monthDay[3] : ref.year;
+      // "Jan 3" posted in late December belongs to next year
+      if (!monthDay[3] && ref.month - month > 6) year += 1;
+      date = { year, month, day: +monthDay[2] };
+    } else if (anchored) {
+      const weekday = win.match(/\b(sun|mon|tue|wed|thu|fri|sat)(?:s|nes|rs|ur)?(?:day)?\b/);
+      if (/\b(?:tomorrow|midnight tonight|tonight at midnight)\b/.test(win)) {
+        date = { year: ref.year, month: ref.month, day: ref.day + 1 };
+      } else if (weekday) {
+        const target = WEEKDAYS.indexOf(weekday[1]);
+        const ahead = (target - ref.weekday + 7) % 7 || 7;
+        date = { year: ref.year, month: ref.month, day: ref.day + ahead };
+      }
+    }
+    if (!date) continue;
+
+    let hour = 0;
+    let minute = 1;
+    const time = win.match(/\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\b/);
+    if (time) {
+      hour = (+time[1] % 12) + (time[3] === 'p' ? 12 : 0);
+      minute = time[2] ? +time[2] : 0;
+    } else if (/\bmidnight\b/.test(win)) {
+      minute = 0;
+    }
+    return halifaxTimeToUtc(date.year, date.month, date.day, hour, minute).toISOString();
+  }
+  return null;
+}
+
+/**
+ * The lines of a post where a bare month-day is read as the effective date: the heading
+ * (the first line — the title — and any markdown `#` heading) and the price table with
+ * the line leading into it ("Prices for Nov 15:"). HTML table cells become `|` rows so
+ * RSS posts are read the same way as markdown ones.
+ * @param {string} text - post title, then a newline and the body
+ * @returns {string}
+ */
+function effectiveDateContext(text) {
+  const lines = String(text ?? '')
+    .replace(/<t[dh]\b[^>]*>/gi, '|')
+    .replace(/<\/(?:p|tr|table|h\d|li|div)>|<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .split('\n')
+    .map((l) => l.trim())
+    .filter(Boolean);
+  const isRow = (l) => l?.startsWith('|') ?? false;
+  return lines
+    .filter((l, i) => i === 0 || l.startsWith('#') || isRow(l) || isRow(lines[i + 1]))
+    .join('\n');
+}
+
+/**
+ * Classify a /u/buckit post as a regular weekly prediction or an interrupter clause
+ * adjustment (a mid-week UARB rate change that amends the current week's prices).
+ * Only the title counts: weekly posts often mention the interrupter in passing
+ * ("no interrupter this week").
+ * @param {{ title: string, selftext?: string }} post
+ * @returns {'weekly'|'interrupter'}
+ */
+export function detectPostKind(post) {
+  return /interrupter/i.test(post.title ?? '') ? 'interrupter' : 'weekly';
+}
+
+// ── Parse Strategies ─────────────────────────────────────────────────────────
+
+/**
+ * A way of reading prices out of a post. Strategies are tried in descending `priority`;
+ * the first whose `match` accepts the text and whose `parse` returns at least one grade
+ * wins. Table strategies run on each pricing zone section as well as the whole post;
+ * `fallback` strategies only run on the whole post once every table strategy has failed.
+ * @typedef {object} ParseStrategy
+ * @property {string} name - reported as `diagnostics.strategy`
+ * @property {number} priority - higher runs first
+ * @property {number} confidence - base confidence (0–1) before warnings are deducted
+ * @property {boolean} [fallback] - only used when no table strategy matched the post
+ * @property {(text: string) => boolean} match - cheap check that the format is present
+ * @property {(text: string, report: ParseReport) => Object<string, { direction: 'up'|'down'|'no-change'|null, adjustment: number|null, price: number|null }>} parse
+ */
+
+/** @type {ParseStrategy[]} registered strategies, highest priority first */
+const strategies = [];
+
+/**
+ * Add a parse strategy (replacing any strategy with the same name).
+ * @param {ParseStrategy} strategy
+ * @returns {ParseStrategy}
+ * @throws {TypeError} if the strategy is missing its name, match/parse functions or priority
+ */
+export function registerParseStrategy(strategy) {
+  if (
+    typeof strategy?.name !== 'string' ||
+    typeof strategy.match !== 'function' ||
+    typeof strategy.parse !== 'function' ||
+    typeof strategy.priority !== 'number'
+  ) {
+    throw new TypeError('A parse strategy needs a name, a priority and match/parse functions');
+  }
+  const existing = strategies.findIndex((s) => s.name === strategy.name);
+  if (existing !== -1) strategies.splice(existing, 1);
+  strategies.push(strategy);
+  strategies.sort((a, b) => b.priority - a.priority);
+  return strategy;
+}
+
+/**
+ * Remove a registered parse strategy.
+ * @param {string} name
+ * @returns {boolean} whether a strategy was removed
+ */
+export function unregisterParseStrategy(name) {
+  const i = strategies.findIndex((s) => s.name === name);
+  if (i === -1) return false;
+  strategies.splice(i, 1);
+  return true;
+}
+
+/**
+ * The registered parse strategies, highest priority first.
+ * @returns {ParseStrategy[]}
+ */
+export function parseStrategies() {
+  return [...strategies];
+}
+
+/**
+ * Run the registered strategies over `text` and return the first non-empty grades map.
+ * Records the winning strategy (the first one for the post) in `report`.
+ * @param {string} text
+ * @param {ParseReport} report
+ * @param {{ fallback?: boolean }} [options] - also try fallback strategies
+ * @returns {Object<string, { direction: 'up'|'down'|'no-change'|null, adjustment: number|null, price: number|null }>}
+ */
+function parseGradeTable(text, report, { fallback = false } = {}) {
+  for (const strategy of strategies) {
+    if ((strategy.fallback && !fallback) || !strategy.match(text)) continue;
+    // Warnings only count for the strategy that wins
+    const attempt = { ...report, warnings: [...report.warnings] };
+    const grades = strategy.parse(text, attempt);
+    if (Object.keys(grades).length === 0) continue;
+    report.warnings = attempt.warnings;
+    report.penalty = attempt.penalty;
+    report.strategy ??= strategy.name;
+    return grades;
+  }
+  return {};
+}
+
+/**
+ * Parse table rows matched by `rowRe` (grade, adjustment and price capture groups).
+ * Rows whose first cell isn't a grade normaliseGrade() recognises are ignored.
+ * @param {RegExp} rowRe - global regex
+ * @param {string} text
+ * @param {ParseReport} report
+ * @returns {Object<string, object>}
+ */
+function parseTableRows(rowRe, text, report) {
+  const grades = {};
+  for (const m of text.matchAll(rowRe)) {
+    const grade = normaliseGrade(m[1]);
+    if (grade) grades[grade] = toFuelSlot(m[2], m[3], grade, report);
+  }
+  return grades;
+}
+
+// Markdown table (primary — used since ~2024).
+// Matches rows like: |Regular| UP 3.6 |162.1|  or  |Diesel| NO CHANGE |154.4|
+// The first cell is any grade name normaliseGrade() recognises (Regular/Gas/Gasoline,
+// Mid-Grade, Premium, Diesel, Furnace Oil); other rows are ignored.
+registerParseStrategy({
+  name: 'markdown-table',
+  priority: 300,
+  confidence: 1,
+  match: (text) => text.includes('|'),
+  parse: (text, report) =>
+    parseTableRows(/\|\s*([a-z][a-z0-9 .\-/]*?)\s*\|\s*([^|]+)\|\s*([\d.]+)\s*\|/gi, text, report),
+});
+
+// HTML table — Reddit renders markdown tables to HTML in the Atom feed.
+// Matches: <td align="left">Regular</td><td align="left">DOWN 4.5</td><td align="left">165.2</td>
+registerParseStrategy({
+  name: 'html-table',
+  priority: 200,
+  confidence: 1,
+  match: (text) => /<td[\s>]/i.test(text),
+  parse: (text, report) =>
+    parseTableRows(
+      /<td[^>]*>\s*([a-z][a-z0-9 .\-/]*?)\s*<\/td>\s*<td[^>]*>\s*([^<]+?)\s*<\/td>\s*<td[^>]*>\s*([\d.]+)\s*<\/td>/gi,
+      text,
+      report
+    ),
+});
+
+// Free text (older posts): "Gas prices going up this week - currently $1.659/L, next week $1.719/L".
+// A guess from keywords, so it starts at a low confidence. A keyword the two prices don't
+// confirm costs enough to fall below the default MIN_PARSE_CONFIDENCE.
+registerParseStrategy({
+  name: 'free-text',
+  priority: 100,
+  confidence: 0.6,
+  fallback: true,
+  match: () => true,
+  parse(text, report) {
+    const textLower = text.toLowerCase();
+    const upWord = textLower.match(/\bup\b|increas|higher|rise|raising/)?.[0];
+    const downWord = textLower.match(/\bdown\b|decreas|lower|drop|fall|reduc/)?.[0];
+    const noChangeWord = textLower.match(/no.?change/)?.[0];
+    let direction = null;
+    if (upWord) direction = 'up';
+    if (downWord) direction = 'down';
+    if (noChangeWord) direction = 'no-change';
+    // Price extraction — $X.XXX or $X.XX (dollar format in free-text posts)
+    const prices = [...text.matchAll(/\$(\d+\.\d{2,3})/g)].map((pm) => parseFloat(pm[1]));
+    const price = prices.length >= 2 ? prices[1] : (prices[0] ?? null);
+    // "currently $X, next week $Y" confirms the direction
+    const moved = prices.length >= 2 ? Math.sign(prices[1] - prices[0]) : null;
+    const confirmed =
+      moved !== null && direction === { 1: 'up', '-1': 'down', 0: 'no-change' }[moved];
+
+    const keywords = [upWord, downWord, noChangeWord].filter(Boolean);
+    if (keywords.length > 1) {
+      warn(
+        report,
+        `conflicting direction keywords (${keywords.map((k) => `"${k}"`).join(', ')})`,
+        0.3
+      );
+    } else if (keywords.length === 1 && confirmed) {
+      warn(report, `direction inferred from keyword "${keywords[0]}"`, 0.1);
+    } else if (keywords.length === 1) {
+      warn(report, `direction inferred from keyword "${keywords[0]}" alone`, 0.2);
+    } else {
+      warn(report, 'no direction found', 0.3);
+    }
+    if (price === null) warn(report, 'no price found', 0.1);
+
+    return {
+      [/diesel/.test(textLower) ? 'diesel' : 'regular']: { direction, adjustment: null, price },
+    };
+  },
+});
+
+/** A line that is only a zone heading, e.g. "**Zone 6 (Cape Breton)**". */
+const ZONE_HEADING_RE = /^[\s#*_]*zone\s*[1-6]\b[\s\-—–:(]*[a-z ]*[\s)*_:]*$/i;
+
+/**
+ * Split a post into sections, one per "Zone N" marker, each running to the next marker.
+ * @param {string} text
+ * @returns {Array<{ zone: number, start: number, text: string }>}
+ */
+function zoneSections(text) {
+  const markers = [...text.matchAll(/\bzone\s*([1-6])\b/gi)];
+  return markers.map((m, i) => ({
+    zone: parseInt(m[1], 10),
+    start: m.index,
+    text: text.slice(m.index, markers[i + 1]?.index ?? text.length),
+  }));
+}
+
 /**
  * Parse direction and price data from a /u/buckit Reddit post.
  *
- * Handles two formats:
+ * Prices are read by the registered parse strategies (see registerParseStrategy),
+ * tried in priority order. The built-in ones handle:
  *
- * 1. Markdown table (primary — used since ~2024):
+ * 1. Markdown table (primary — used since ~2024), and its HTML rendering in the RSS feed:
  *    |Type|Adjustment|New Min Price|
  *    |Regular| UP 3.6 |162.1|
  *    |Diesel| DOWN 0.7 |154.4|
  *    Prices are in CENTS (162.1 = $1.621/L)
+ *    Every recognised grade row (Mid-Grade, Premium, Furnace Oil, …) lands in `grades`;
+ *    `gas` and `diesel` mirror `grades.regular` and `grades.diesel`.
+ *    Per-zone posts repeat the table under "Zone 1 (Halifax)" … "Zone 6 (Cape Breton)"
+ *    headings; each zone's grades land in `zones`, and Zone 1 is used for `grades`.
  *
  * 2. Free-text fallback (older posts):
  *    "Gas prices going up this week - currently $1.659/L, next week $1.719/L"
  *
- * @param {{ title: string, selftext: string }} post
+ * Interrupter clause posts use the same formats; `kind` tells them apart (see detectPostKind).
+ *
+ * `diagnostics` says which strategy matched, a 0–1 confidence (the strategy's base
+ * confidence minus a penalty per warning) and the warnings themselves, e.g.
+ * "Regular price looked like dollars not cents" or "direction inferred from keyword".
+ *
+ * `effective_at` is when the new minimum takes effect: taken from the post when it says
+ * (see extractEffectiveAt), otherwise the UARB default for the post's kind — the Friday
+ * after a weekly post, the day after an interrupter — both at 12:01 AM Halifax time.
+ *
+ * @param {{ title: string, selftext: string, created_utc?: number }} post
  * @returns {{
+ *   kind: 'weekly'|'interrupter',
+ *   effective_at: string|null,
  *   gas: { direction: 'up'|'down'|'no-change'|null, adjustment: number|null, price: number|null }|null,
  *   diesel: { direction: 'up'|'down'|'no-change'|null, adjustment: number|null, price: number|null }|null,
+ *   grades: Object<string, { direction: 'up'|'down'|'no-change'|null, adjustment: number|null, price: number|null }>,
+ *   zones: Object<number, Object<string, object>>|null,
  *   notes: string|null,
+ *   diagnostics: { strategy: string|null, confidence: number, warnings: string[] },
  * }}
  */
 export function parseRedditPost(post) {
   const selftext = post.selftext ?? '';
-  const fullText = `${post.title} ${selftext}`;
-
-  // ── Strategy 1: markdown table ──────────────────────────────────────────
-  // Match rows like: |Regular| UP 3.6 |162.1|  or  |Diesel| NO CHANGE |154.4|
-  // Also handles "Gas" / "Gasoline" synonyms for the Regular row.
-  const tableRowRe = /\|\s*(regular|gas(?:oline)?|diesel)\s*\|\s*([^|]+)\|\s*([\d.]+)\s*\|/gi;
-  let gas = null;
-  let diesel = null;
-  let tableMatch;
-
-  while ((tableMatch = tableRowRe.exec(fullText)) !== null) {
-    const typeRaw = tableMatch[1].toLowerCase();
-    const adjRaw = tableMatch[2];
-    const priceRaw = parseFloat(tableMatch[3]);
-    // Prices in the table are in CENTS (e.g. 162.1 → $1.621/L)
-    const priceInDollars = priceRaw > 10 ? priceRaw / 100 : priceRaw;
-    const parsed = parseAdjustment(adjRaw);
-
-    if (typeRaw === 'diesel') {
-      diesel = { ...parsed, price: isNaN(priceInDollars) ? null : priceInDollars };
-    } else {
-      // regular / gas / gasoline → gas slot
-      gas = { ...parsed, price: isNaN(priceInDollars) ? null : priceInDollars };
-    }
-  }
-
-  // ── Strategy 2: HTML table (from RSS feed) ─────────────────────────────
-  // Reddit renders markdown tables to HTML in the Atom feed.
-  // Matches: <td align="left">Regular</td><td align="left">DOWN 4.5</td><td align="left">165.2</td>
-  if (!gas && !diesel) {
-    const htmlTableRe =
-      /<td[^>]*>\s*(regular|gas(?:oline)?|diesel)\s*<\/td>\s*<td[^>]*>\s*([^<]+?)\s*<\/td>\s*<td[^>]*>\s*([\d.]+)\s*<\/td>/gi;
-    let hm;
-    while ((hm = htmlTableRe.exec(fullText)) !== null) {
-      const typeRaw = hm[1].toLowerCase();
-      const adjRaw = hm[2];
-      const priceRaw = parseFloat(hm[3]);
-      const priceInDollars = priceRaw > 10 ? priceRaw / 100 : priceRaw;
-      const parsed = parseAdjustment(adjRaw);
-      if (typeRaw === 'diesel') {
-        diesel = { ...parsed, price: isNaN(priceInDollars) ? null : priceInDollars };
-      } else {
-        gas = { ...parsed, price: isNaN(priceInDollars) ? null : priceInDollars };
-      }
-    }
+  const fullText = `${post.title}\n${selftext}`;
+
+  // ── Pricing zones ──────────────────────────────────────────────────────
+  // Per-zone posts put a table under each "Zone N" heading. Zone 1 (Halifax) becomes
+  // the top-level prices; a post with a single table is treated as Zone 1.
+  const report = { strategy: null, penalty: 0, warnings: [] };
+  const sections = zoneSections(fullText);
+  const zones = {};
+  for (const { zone, text } of sections) {
+    const zoneGrades = parseGradeTable(text, report);
+    if (Object.keys(zoneGrades).length > 0) zones[zone] = { ...zones[zone], ...zoneGrades };
+  }
+  const hasZones = Object.keys(zones).length > 0;
+  if (hasZones && !zones[1]) warn(report, 'no Zone 1 (Halifax) table', 0.2);
+  const grades = hasZones
+    ? (zones[1] ?? parseGradeTable(fullText.slice(0, sections[0].start), report))
+    : parseGradeTable(fullText, report);
+  if (report.strategy && !grades.regular && (!hasZones || zones[1])) {
+    warn(report, 'no Regular row in table', 0.1);
   }
 
-  // ── Strategy 3: free-text fallback ─────────────────────────────────────
-  if (!gas && !diesel) {
-    const textLower = fullText.toLowerCase();
-    let direction = null;
-    if (/\bup\b|increas|higher|rise|raising/.test(textLower)) direction = 'up';
-    if (/\bdown\b|decreas|lower|drop|fall|reduc/.test(textLower)) direction = 'down';
-    if (/no.?change/.test(textLower)) direction = 'no-change';
-
-    // Price extraction — $X.XXX or $X.XX (dollar format in free-text posts)
-    const priceRe = /\$(\d+\.\d{2,3})/g;
-    const prices = [];
-    let pm;
-    while ((pm = priceRe.exec(fullText)) !== null) prices.push(parseFloat(pm[1]));
-
-    const price = prices.length >= 2 ? prices[1] : (prices[0] ?? null);
-    const slot = { direction, adjustment: null, price };
-
-    if (/diesel/.test(textLower)) {
-      diesel = slot;
-    } else {
-      gas = slot;
-    }
+  // ── Fallback strategies (free text) ────────────────────────────────────
+  if (Object.keys(grades).length === 0 && !hasZones) {
+    Object.assign(grades, parseGradeTable(fullText, report, { fallback: true }));
   }
 
+  // gas/diesel stay as top-level slots for backwards compatibility
+  const gas = grades.regular ?? null;
+  const diesel = grades.diesel ?? null;
+
   // ── Notes ──────────────────────────────────────────────────────────────
   // For HTML selftext (RSS feed): extract text from <p> tags only.
   // For markdown selftext: filter out pipe-table lines and join the rest.
@@ -346,20 +947,157 @@ export function parseRedditPost(post) {
   if (/<td[^>]*>|<table|<div class="md">/i.test(selftext)) {
     const pMatches = [...selftext.matchAll(/<p[^>]*>([\s\S]*?)<\/p>/gi)];
     notesText = pMatches
-      .map((pm) => pm[1].replace(/<[^>]+>/g, '').trim())
-      .filter(Boolean)
+      .map((pm) => decodeHtmlEntities(pm[1].replace(/<[^>]+>/g, '')).trim())
+      .filter((l) => l && !ZONE_HEADING_RE.test(l))
       .join(' ')
       .trim();
   } else {
     notesText = selftext
       .split('\n')
-      .filter((l) => !/^\|/.test(l.trim()) && !/^:-/.test(l.trim()))
+      .filter((l) => !/^\|/.test(l.trim()) && !/^:-/.test(l.trim()) && !ZONE_HEADING_RE.test(l))
       .join(' ')
       .trim();
   }
   const notes = notesText.length > 0 ? notesText.slice(0, 500) : null;
 
-  return { gas, diesel, notes };
+  // ── Effective date ─────────────────────────────────────────────────────
+  const kind = detectPostKind(post);
+  const postedAt = post.created_utc ? new Date(post.created_utc * 1000) : new Date();
+  const effective_at =
+    extractEffectiveAt(fullText, postedAt) ??
+    (kind === 'interrupter' ? interrupterEffectiveAt : weeklyEffectiveAt)(postedAt.toISOString());
+
+  // ── Diagnostics ────────────────────────────────────────────────────────
+  const base = strategies.find((st) => st.name === report.strategy)?.confidence ?? 0;
+  const confidence = Math.max(0, Math.round((base - report.penalty) * 100) / 100);
+  const diagnostics = { strategy: report.strategy, confidence, warnings: report.warnings };
+
+  return {
+    kind,
+    effective_at,
+    gas,
+    diesel,
+    grades,
+    zones: hasZones ? zones : null,
+    notes,
+    diagnostics,
+  };
+}
+
+// ── XML Reader ───────────────────────────────────────────────────────────────
+
+/**
+ * An event from createXmlReader(). Element names are local names (`atom:entry` → `entry`);
+ * `qname` keeps the prefix. Text is entity-decoded; CDATA sections are passed through
+ * verbatim with `cdata: true`. A self-closing element emits an `open` then a `close`
+ * with an empty `raw`.
+ * @typedef {{ type: 'open', name: string, qname: string, attrs: Object<string, string>, selfClosing: boolean, raw: string }
+ *   | { type: 'close', name: string, qname: string, raw: string }
+ *   | { type: 'text', text: string, cdata?: boolean }} XmlEvent
+ */
+
+/**
+ * Index of the `>` that ends the tag starting at `start`, skipping quoted attribute values.
+ * @param {string} buf
+ * @param {number} start
+ * @returns {number} -1 if the tag isn't complete yet
+ */
+function tagEnd(buf, start) {
+  let quote = null;
+  for (let j = start + 1; j < buf.length; j++) {
+    const c = buf[j];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '>') {
+      return j;
+    }
+  }
+  return -1;
+}
+
+/**
+ * A streaming (push) XML reader. Feed it chunks with `write()` and call `end()` once the
+ * input is complete; it calls `onEvent` for each element and text node as soon as the
+ * markup is complete, holding back a tag, comment or CDATA section split across chunks.
+ * Comments, processing instructions and DOCTYPEs are skipped. It is lenient, like a
+ * browser: nothing is validated, and an unterminated tag at the end of the input is dropped.
+ * @param {(event: XmlEvent) => void} onEvent
+ * @returns {{ write: (chunk: string) => void, end: () => void }}
+ */
+export function createXmlReader(onEvent) {
+  let buf = '';
+
+  function drain(final) {
+    let i = 0;
+    while (i < buf.length) {
+      if (buf[i] !== '<') {
+        const lt = buf.indexOf('<', i);
+        if (lt === -1 && !final) break; // the text may continue in the next chunk
+        const end = lt === -1 ? buf.length : lt;
+        onEvent({ type: 'text', text: decodeHtmlEntities(buf.slice(i, end)) });
+        i = end;
+        continue;
+      }
+
+      let end;
+      if (buf.startsWith('<!--', i)) {
+        end = buf.indexOf('-->', i + 4);
+        if (end === -1) break;
+        i = end + 3;
+      } else if (buf.startsWith('<![CDATA[', i)) {
+        end = buf.indexOf(']]>', i + 9);
+        if (end === -1) break;
+        onEvent({ type: 'text', text: buf.slice(i + 9, end), cdata: true });
+        i = end + 3;
+      } else if (buf.startsWith('<?', i)) {
+        end = buf.indexOf('?>', i + 2);
+        if (end === -1) break;
+        i = end + 2;
+      } else if (buf.startsWith('<!', i)) {
+        // <!DOCTYPE …>, possibly with an internal subset: <!DOCTYPE feed [ … ]>
+        const gt = buf.indexOf('>', i);
+        const bracket = buf.indexOf('[', i);
+        end = bracket !== -1 && (gt === -1 || bracket < gt) ? buf.indexOf(']>', bracket) : gt;
+        if (end === -1) break;
+        i = end + (buf[end] === ']' ? 2 : 1);
+      } else {
+        end = tagEnd(buf, i);
+        if (end === -1) break;
+        const raw = buf.slice(i, end + 1);
+        if (raw[1] === '/') {
+          const qname = raw.slice(2, -1).trim();
+          onEvent({ type: 'close', name: qname.split(':').pop(), qname, raw });
+        } else {
+          const qname = raw.slice(1).match(/^[^\s/>]+/)?.[0] ?? '';
+          const name = qname.split(':').pop();
+          const attrs = {};
+          for (const m of raw
+            .slice(1 + qname.length)
+            .matchAll(/([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+            attrs[m[1]] = decodeHtmlEntities(m[2] ?? m[3]);
+          }
+          const selfClosing = /\/\s*>$/.test(raw);
+          onEvent({ type: 'open', name, qname, attrs, selfClosing, raw });
+          if (selfClosing) onEvent({ type: 'close', name, qname, raw: '' });
+        }
+        i = end + 1;
+      }
+    }
+    buf = buf.slice(i);
+  }
+
+  return {
+    write(chunk) {
+      buf += chunk;
+      drain(false);
+    },
+    end() {
+      drain(true);
+      buf = '';
+    },
+  };
 }
 
 // ── Reddit RSS Parser ─────────────────────────────────────────────────────────
@@ -369,122 +1107,943 @@ export function parseRedditPost(post) {
  * Reddit's JSON API now returns 403; the RSS feed remains publicly accessible.
  *
  * Each returned object contains the same fields used downstream by parseRedditPost
- * and the scheduled handler: { author, title, id, permalink, created_utc, selftext }.
+ * and the scheduled handler: { author, title, id, permalink, created_utc, updated, selftext },
+ * plus the entry's `categories` (Atom <category> labels, or terms).
  * The selftext is the HTML body from inside the post's <div class="md"> block.
+ * `updated` is the entry's Atom <updated> timestamp (ISO string), which changes when
+ * the post is edited; null if the feed doesn't include it. A post's own feed lists the
+ * post followed by its comments (`t1_` ids), which come back in the same shape.
+ *
+ * The feed is read with createXmlReader(), so entities (named, decimal and hex), CDATA
+ * sections and namespace prefixes are handled; the permalink comes from the
+ * `rel="alternate"` link when an entry has several. Entries without a title or a
+ * Reddit id are skipped.
  *
  * @param {string} xml - Raw Atom feed XML text
- * @returns {Array<{author:string, title:string, id:string, permalink:string, created_utc:number, selftext:string}>}
+ * @returns {Array<{author:string, title:string, id:string, permalink:string, created_utc:number, updated:string|null, categories:string[], selftext:string}>}
  */
 export function parseRssEntries(xml) {
   const entries = [];
-  const entryRe = /<entry>([\s\S]*?)<\/entry>/g;
-  let m;
-  while ((m = entryRe.exec(xml)) !== null) {
-    const x = m[1];
-
-    // Author: <author><name>/u/Buckit</name>...</author> → "Buckit"
-    const authorMatch = x.match(/<author[^>]*>[\s\S]*?<name>([^<]+)<\/name>/);
-    const author = authorMatch ? authorMatch[1].replace(/^\/u\//i, '').trim() : '';
-
-    // Title (may contain XML entities)
-    const titleMatch = x.match(/<title>([^<]*)<\/title>/);
-    if (!titleMatch) continue;
-    const title = decodeHtmlEntities(titleMatch[1]);
-
-    // ID: <id>t3_abc123</id> → "abc123"
-    const idMatch = x.match(/<id>(?:t3_)?([a-zA-Z0-9]+)<\/id>/);
-    if (!idMatch) continue;
-    const id = idMatch[1];
-
-    // Permalink from <link href="https://www.reddit.com/r/.../.../">
-    const linkMatch = x.match(/<link[^>]+href="([^"]+)"/);
-    let permalink = '';
-    if (linkMatch) {
-      try {
-        permalink = new URL(linkMatch[1]).pathname;
-      } catch {
-        permalink = linkMatch[1];
-      }
-    }
-
-    // Timestamp: <published>2026-06-18T17:32:59+00:00</published>
-    const publishedMatch = x.match(/<published>([^<]+)<\/published>/);
-    const created_utc = publishedMatch
-      ? Math.floor(new Date(publishedMatch[1]).getTime() / 1000)
-      : 0;
-
-    // Post body: HTML-entity-encoded inside <content type="html">
-    // Reddit wraps the user-authored markdown (rendered to HTML) in <!-- SC_OFF -->...<!-- SC_ON -->
-    const contentMatch = x.match(/<content[^>]*>([\s\S]*?)<\/content>/);
-    const rawContent = contentMatch ? decodeHtmlEntities(contentMatch[1]) : '';
-    const scMatch = rawContent.match(/<!--\s*SC_OFF\s*-->([\s\S]*?)<!--\s*SC_ON\s*-->/);
-    const selftext = scMatch ? scMatch[1].trim() : rawContent;
-
-    entries.push({ author, title, id, permalink, created_utc, selftext });
-  }
+  const reader = createRssReader((entry) => entries.push(entry));
+  reader.write(xml);
+  reader.end();
   return entries;
 }
 
-// ── Reddit Scraper ───────────────────────────────────────────────────────────
-
 /**
- * Fetch the latest posts from r/halifax and return the most recent /u/buckit fuel post.
- * Uses Reddit's Atom RSS feed — the JSON API now returns 403 for unauthenticated requests.
- * @param {object} env
- * @returns {Promise<object|null>}
+ * Read a feed response with parseRssEntries()'s rules as its body arrives, rather than
+ * buffering the whole document first. With `until`, reading stops (and the rest of the
+ * body is cancelled) as soon as an entry matches — a post's own feed lists the post
+ * before its comments.
+ * @param {Response} res
+ * @param {{ until?: (entry: object) => boolean }} [options]
+ * @returns {Promise<object[]>} the entries read, ending with the match if there was one
  */
-async function fetchBuckitPost(env) {
-  const url = `https://www.reddit.com/r/${env.REDDIT_SUBREDDIT}/new.rss?limit=100`;
-  const res = await fetch(url, {
-    headers: { 'User-Agent': env.REDDIT_USER_AGENT },
+export async function readRssEntries(res, { until } = {}) {
+  const entries = [];
+  let found = false;
+  const reader = createRssReader((entry) => {
+    if (found) return;
+    entries.push(entry);
+    found = Boolean(until?.(entry));
   });
-
-  if (!res.ok) {
-    console.error(`Reddit fetch failed: ${res.status}`);
-    return null;
+  if (!res.body) return entries;
+  const chunks = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  for (;;) {
+    const { done, value } = await chunks.read();
+    if (done) break;
+    reader.write(value);
+    if (found) {
+      await chunks.cancel();
+      return entries;
+    }
   }
+  reader.end();
+  return entries;
+}
 
-  const xml = await res.text();
-  const posts = parseRssEntries(xml);
-
-  // Match weekly gas posts AND interrupter clause posts (can happen any day).
-  // We look back 7 days to avoid missing anything; dedup in scheduled() prevents reprocessing.
-  const sevenDaysAgo = Date.now() / 1000 - 7 * 86400;
-  const fuelKeywords = /gas|gasoline|diesel|fuel|price|interrupter/i;
+/**
+ * An XML reader that builds Atom <entry> elements and hands each one to `onEntry` once
+ * its closing tag has been read.
+ * @param {(entry: object) => void} onEntry
+ * @returns {{ write: (chunk: string) => void, end: () => void }}
+ */
+function createRssReader(onEntry) {
+  let draft = null; // the <entry> being read
+  const path = []; // open elements inside the entry, by local name
+
+  return createXmlReader((ev) => {
+    if (!draft) {
+      if (ev.type === 'open' && ev.name === 'entry' && !ev.selfClosing) {
+        draft = { text: {}, title: null, links: [], categories: [] };
+        path.length = 0;
+      }
+      return;
+    }
 
-  return (
-    posts.find(
-      (p) =>
-        p.author.toLowerCase() === env.REDDIT_AUTHOR.toLowerCase() &&
-        fuelKeywords.test(p.title) &&
-        p.created_utc > sevenDaysAgo
-    ) ?? null
-  );
+    // Inside <content type="xhtml"> child elements are markup, not Atom fields
+    const inContent = path[0] === 'content';
+    if (ev.type === 'open') {
+      if (inContent) draft.text.content = (draft.text.content ?? '') + ev.raw;
+      path.push(ev.name);
+      if (path.length !== 1) return;
+      if (ev.name === 'title') draft.title = '';
+      else if (ev.name === 'link') draft.links.push(ev.attrs);
+      else if (ev.name === 'category') {
+        const category = ev.attrs.label ?? ev.attrs.term;
+        if (category) draft.categories.push(category);
+      }
+    } else if (ev.type === 'close') {
+      if (path.length === 0) {
+        if (ev.name === 'entry') {
+          const entry = finishEntry(draft);
+          if (entry) onEntry(entry);
+          draft = null;
+        }
+        return;
+      }
+      path.pop();
+      if (inContent && path.length > 0) draft.text.content += ev.raw;
+    } else {
+      const key = path.join('/');
+      if (key === 'title') draft.title += ev.text;
+      else if (inContent && path.length > 1) draft.text.content += escapeHtml(ev.text);
+      else draft.text[key] = (draft.text[key] ?? '') + ev.text;
+    }
+  });
 }
 
-// ── Community Context Fetch ───────────────────────────────────────────────────
-
 /**
- * Fetch top community post titles from r/halifax and r/novascotia for image prompt context.
- * Runs both fetches in parallel via Promise.allSettled; gracefully handles individual failures.
- * @param {object} env
- * @returns {Promise<string[]>} Up to 20 post titles (10 per subreddit)
+ * Turn the fields collected for one <entry> into a post-like object.
+ * @param {{ text: Object<string, string>, title: string|null, links: Object<string, string>[], categories: string[] }} draft
+ * @returns {object|null} null if the entry has no title or Reddit id
  */
-export async function fetchCommunityContext(env) {
-  const subreddits = ['halifax', 'novascotia'];
-  const results = await Promise.allSettled(
+function finishEntry(draft) {
+  const { text } = draft;
+  if (draft.title === null) return null;
+
+  // ID: t3_abc123 (post) or t1_def456 (comment) → "abc123"
+  const idMatch = (text.id ?? '').trim().match(/^(?:t[13]_)?([a-zA-Z0-9]+)$/);
+  if (!idMatch) return null;
+
+  // Author: <author><name>/u/Buckit</name></author> → "Buckit"
+  const author = (text['author/name'] ?? '').trim().replace(/^\/u\//i, '');
+
+  // Permalink from the alternate link (a link without rel is an alternate link)
+  const link = draft.links.find((l) => (l.rel ?? 'alternate') === 'alternate') ?? draft.links[0];
+  let permalink = '';
+  if (link?.href) {
+    try {
+      permalink = new URL(link.href).pathname;
+    } catch {
+      permalink = link.href;
+    }
+  }
+
+  // Timestamp: <published>2026-06-18T17:32:59+00:00</published>
+  const published = parseIsoDate((text.published ?? '').trim());
+  const created_utc = published ? Math.floor(published.getTime() / 1000) : 0;
+
+  // Last edit: <updated>2026-06-18T18:05:12+00:00</updated>
+  const updated = parseIsoDate((text.updated ?? '').trim())?.toISOString() ?? null;
+
+  // Post body: HTML inside <content type="html"> (already entity-decoded by the reader).
+  // Reddit wraps the user-authored markdown (rendered to HTML) in <!-- SC_OFF -->...<!-- SC_ON -->
+  const rawContent = text.content ?? '';
+  const scMatch = rawContent.match(/<!--\s*SC_OFF\s*-->([\s\S]*?)<!--\s*SC_ON\s*-->/);
+  const selftext = scMatch ? scMatch[1].trim() : rawContent;
+
+  return {
+    author,
+    title: draft.title,
+    id: idMatch[1],
+    permalink,
+    created_utc,
+    updated,
+    categories: draft.categories,
+    selftext,
+  };
+}
+
+// ── Reddit Scraper ───────────────────────────────────────────────────────────
+
+/**
+ * Whether a post from the feed is still live, or was deleted by its author / removed by mods.
+ * Reddit keeps the entry but replaces the body with "[deleted]" or "[removed]".
+ * @param {{ author: string, selftext: string }} entry
+ * @returns {'live'|'deleted'|'removed'}
+ */
+export function sourcePostStatus(entry) {
+  const body = entry.selftext.replace(/<[^>]+>/g, '').trim();
+  if (body === '[removed]') return 'removed';
+  if (body === '[deleted]' || entry.author === '[deleted]') return 'deleted';
+  return 'live';
+}
+
+/**
+ * Re-fetch the Reddit post behind a prediction (its own Atom feed) and report its status.
+ * Only a 404/410 or a feed without the post counts as vanished — other errors are
+ * treated as "couldn't check" so a Reddit outage never retracts a prediction.
+ * @param {{ post_id?: string, post_url?: string }} prediction
+ * @param {object} env
+ * @returns {Promise<'live'|'deleted'|'removed'|'vanished'|null>} null if it couldn't be checked
+ */
+export async function checkSourcePost(prediction, env) {
+  if (!prediction?.post_id || !prediction.post_url) return null;
+  let res;
+  try {
+    res = await redditFetch(`${prediction.post_url.replace(/\/?$/, '/')}.rss`, env);
+  } catch (err) {
+    console.error('Source post check failed:', err);
+    return null;
+  }
+  if (res.status === 404 || res.status === 410) return 'vanished';
+  if (!res.ok) return null;
+  const isPost = (e) => e.id === prediction.post_id;
+  const entry = (await readRssEntries(res, { until: isPost })).find(isPost);
+  return entry ? sourcePostStatus(entry) : 'vanished';
+}
+
+/**
+ * Re-check the source post of the published prediction and mark it (and its history
+ * entry) retracted if the post was deleted, removed or has vanished. A retracted
+ * prediction whose post comes back (e.g. reinstated by mods) is un-retracted.
+ * @param {object} env
+ * @param {AuditContext} audit
+ */
+async function recheckSourcePost(env, audit) {
+  const latest = await readLatestPrediction(env);
+  if (latest?.source !== 'reddit') return;
+
+  const status = await checkSourcePost(latest, env);
+  if (status === null) return;
+  const retracted = status !== 'live';
+  if (retracted === Boolean(latest.retracted)) return;
+
+  const update = retracted
+    ? { retracted: true, retracted_at: new Date().toISOString(), retraction_reason: status }
+    : { retracted: false, retracted_at: null, retraction_reason: null };
+  const applied = await commitWrite('retract', { post_id: latest.post_id, update, audit }, env);
+  if (!applied) return; // a newer prediction was published while we checked
+
+  console.log(
+    retracted
+      ? `Cron: source post ${latest.post_id} is ${status} — prediction retracted`
+      : `Cron: source post ${latest.post_id} is back — retraction lifted`
+  );
+}
+
+/**
+ * SHA-256 (hex) of a post's title and body — changes when /u/buckit edits the post.
+ * @param {{ title: string, selftext: string }} post
+ * @returns {Promise<string>}
+ */
+export async function contentHash(post) {
+  const data = new TextEncoder().encode(`${post.title ?? ''}\n${post.selftext ?? ''}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ── Source Watch List ────────────────────────────────────────────────────────
+
+/** Title keywords of a fuel post: weekly gas posts AND interrupter clause posts. */
+const FUEL_TITLE_PATTERN = 'gas|gasoline|diesel|fuel|price|interrupter';
+
+/**
+ * A watched source: posts by `author` in r/`subreddit` whose title matches `title_pattern`
+ * (a case-insensitive regex, compiled once into `title_regex`). When several sources have
+ * a fresh post, the highest `priority` wins.
+ * @typedef {{ id: string, subreddit: string, author: string, title_pattern: string, title_regex: RegExp, priority: number }} WatchSource
+ */
+
+/**
+ * The single source configured by REDDIT_SUBREDDIT + REDDIT_AUTHOR (r/halifax, u/buckit).
+ * @param {object} env
+ * @returns {WatchSource[]}
+ */
+function defaultSources(env) {
+  const subreddit = env.REDDIT_SUBREDDIT ?? 'halifax';
+  const author = env.REDDIT_AUTHOR ?? 'buckit';
+  return [
+    {
+      id: `${subreddit}/${author}`.toLowerCase(),
+      subreddit,
+      author,
+      title_pattern: FUEL_TITLE_PATTERN,
+      title_regex: new RegExp(FUEL_TITLE_PATTERN, 'i'),
+      priority: 0,
+    },
+  ];
+}
+
+/**
+ * Validate and normalise a watch list. `title_pattern` defaults to the fuel keywords,
+ * `priority` to 0 and `id` to "subreddit/author"; the pattern is compiled here, so a bad
+ * one is refused up front rather than throwing during a cron scan.
+ * @param {unknown} list
+ * @returns {{ sources: WatchSource[] } | { error: string }}
+ */
+export function normaliseSources(list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: 'sources must be a non-empty array' };
+  }
+  const sources = [];
+  for (const [i, entry] of list.entries()) {
+    const { subreddit, author, title_pattern = FUEL_TITLE_PATTERN, priority = 0 } = entry ?? {};
+    if (typeof subreddit !== 'string' || !/^[A-Za-z0-9_]{2,21}$/.test(subreddit)) {
+      return { error: `sources[${i}].subreddit must be a subreddit name` };
+    }
+    if (typeof author !== 'string' || !/^[A-Za-z0-9_-]{3,20}$/.test(author)) {
+      return { error: `sources[${i}].author must be a Reddit username` };
+    }
+    if (typeof title_pattern !== 'string' || title_pattern === '') {
+      return { error: `sources[${i}].title_pattern must be a non-empty string` };
+    }
+    let title_regex;
+    try {
+      title_regex = new RegExp(title_pattern, 'i');
+    } catch {
+      return { error: `sources[${i}].title_pattern is not a valid regular expression` };
+    }
+    if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+      return { error: `sources[${i}].priority must be a number` };
+    }
+    const id = entry.id ?? `${subreddit}/${author}`.toLowerCase();
+    if (typeof id !== 'string' || id === '') {
+      return { error: `sources[${i}].id must be a non-empty string` };
+    }
+    if (sources.some((s) => s.id === id)) return { error: `Duplicate source id "${id}"` };
+    sources.push({ id, subreddit, author, title_pattern, title_regex, priority });
+  }
+  return { sources };
+}
+
+/**
+ * The watch list, highest priority first: the REDDIT_SOURCES JSON var, else
+ * defaultSources(). An invalid REDDIT_SOURCES is logged and ignored.
+ * @param {object} env
+ * @returns {Promise<WatchSource[]>}
+ */
+async function loadSources(env) {
+  let sources = null;
+  if (env.REDDIT_SOURCES) {
+    let result;
+    try {
+      result = normaliseSources(JSON.parse(env.REDDIT_SOURCES));
+    } catch {
+      result = { error: 'not valid JSON' };
+    }
+    if (result.error) console.error(`REDDIT_SOURCES ignored: ${result.error}`);
+    else sources = result.sources;
+  }
+  return [...(sources ?? defaultSources(env))].sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Whether a feed entry is a recent post from a watched source. We look back 7 days to
+ * avoid missing anything; dedup in scheduled() prevents reprocessing.
+ * @param {{ author: string, title: string, created_utc: number }} p
+ * @param {WatchSource} source
+ * @returns {boolean}
+ */
+function matchesSource(p, source) {
+  const sevenDaysAgo = Date.now() / 1000 - 7 * 86400;
+  return (
+    p.author.toLowerCase() === source.author.toLowerCase() &&
+    source.title_regex.test(p.title) &&
+    p.created_utc > sevenDaysAgo
+  );
+}
+
+/**
+ * Scan the `new.rss` feed of every watched subreddit and return the freshest post of the
+ * highest-priority source that has one, with that source attached as `post.source`. A
+ * source whose freshest post was already processed and is unchanged (see dedupState)
+ * gives way to the next source; if every source's post is processed, the primary's is
+ * returned so processPost records the skip.
+ * Uses Reddit's Atom RSS feed — the JSON API now returns 403 for unauthenticated requests.
+ * Each subreddit is fetched once however many sources watch it (see fetchFeed), and the
+ * outcome is recorded in `reddit_fetch_status` (see recordFetchStatus), and every matching
+ * post seen is listed in the run journal as a candidate.
+ * @param {object} env
+ * @param {WatchSource[]} sources - highest priority first
+ * @param {CronRun} run
+ * @returns {Promise<object|null>}
+ */
+async function fetchWatchedPost(env, sources, run) {
+  const subreddits = [...new Set(sources.map((s) => s.subreddit.toLowerCase()))];
+  const feeds = await Promise.all(
+    subreddits.map((sub) =>
+      fetchFeed(
+        sub,
+        sources.filter((s) => s.subreddit.toLowerCase() === sub),
+        env
+      )
+    )
+  );
+
+  let best = null;
+  let processed = null;
+  for (const source of sources) {
+    const feed = feeds[subreddits.indexOf(source.subreddit.toLowerCase())];
+    const post = feed.posts
+      .filter((p) => matchesSource(p, source))
+      .sort((a, b) => b.created_utc - a.created_utc)[0];
+    if (!post) continue;
+    const candidate = { post: { ...post, source }, feed };
+    if (!(await dedupState(candidate.post, env)).processed) {
+      best = candidate;
+      break;
+    }
+    processed ??= candidate;
+  }
+  best ??= processed;
+
+  // The feed that explains the result: the winning post's, else the first one Reddit
+  // refused or failed, else the primary source's
+  const decisive =
+    best?.feed ??
+    feeds.find((f) => ['rate_limited', 'blocked', 'failed'].includes(f.outcome)) ??
+    feeds[0];
+  const { posts: _posts, ...details } = decisive;
+  await recordFetchStatus(env, details.outcome, {
+    ...details,
+    post_id: best?.post.id ?? null,
+    source_id: best?.post.source.id ?? null,
+    feeds: Object.fromEntries(feeds.map(({ posts: _p, subreddit, ...f }) => [subreddit, f])),
+  });
+
+  run.fetch = details.outcome;
+  for (const feed of feeds) {
+    if (['rate_limited', 'blocked', 'failed'].includes(feed.outcome)) {
+      const code = feed.http_status ? ` (${feed.http_status})` : '';
+      run.errors.push(
+        `r/${feed.subreddit}: ${feed.outcome}${code}${feed.error ? ` — ${feed.error}` : ''}`
+      );
+    }
+    for (const p of feed.posts) {
+      const source = sources.find((s) => matchesSource(p, s));
+      if (!source || run.candidates.length >= MAX_RUN_CANDIDATES) continue;
+      run.candidates.push({
+        post_id: p.id,
+        title: p.title,
+        author: p.author,
+        source_id: source.id,
+        created_at: new Date(p.created_utc * 1000).toISOString(),
+      });
+    }
+  }
+  return best?.post ?? null;
+}
+
+/**
+ * Fetch one subreddit's `new.rss` and return the entries any of its sources could match.
+ *
+ * The request is conditional (If-None-Match / If-Modified-Since from the last response's
+ * ETag and Last-Modified, kept in `reddit_feed_cache:{subreddit}` with the matching
+ * entries); a 304 returns those cached entries. A 429 stores `reddit_backoff_until` from
+ * its Retry-After. Never throws — failures come back as an outcome with no posts.
+ * @param {string} subreddit - lower-case
+ * @param {WatchSource[]} sources - the sources watching this subreddit
+ * @param {object} env
+ * @returns {Promise<{ subreddit: string, outcome: string, http_status: number|null, posts: object[], backoff_until?: string, error?: string }>}
+ */
+async function fetchFeed(subreddit, sources, env) {
+  const url = `https://www.reddit.com/r/${subreddit}/new.rss?limit=100`;
+  const cacheKey = `reddit_feed_cache:${subreddit}`;
+
+  // Conditional request — an unchanged feed is a cheap 304 instead of the full listing
+  const cacheRaw = await env.PREDICTIONS.get(cacheKey);
+  const cache = cacheRaw ? JSON.parse(cacheRaw) : null;
+  const conditional = {};
+  if (cache?.etag) conditional['If-None-Match'] = cache.etag;
+  if (cache?.last_modified) conditional['If-Modified-Since'] = cache.last_modified;
+
+  let res;
+  try {
+    res = await redditFetch(url, env, conditional);
+  } catch (err) {
+    console.error(`Reddit fetch error for r/${subreddit}:`, err);
+    return { subreddit, outcome: 'failed', http_status: null, posts: [], error: err.message };
+  }
+
+  if (res.status === 304) {
+    return { subreddit, outcome: 'not_modified', http_status: 304, posts: cache?.posts ?? [] };
+  }
+
+  if (res.status === 429) {
+    const retryMs = parseRetryAfter(res.headers?.get('retry-after')) ?? DEFAULT_RETRY_AFTER_MS;
+    const until = new Date(Date.now() + retryMs).toISOString();
+    const current = await env.PREDICTIONS.get('reddit_backoff_until');
+    if (!current || current < until) {
+      await env.PREDICTIONS.put('reddit_backoff_until', until, {
+        expirationTtl: Math.max(60, Math.ceil(retryMs / 1000)),
+      });
+    }
+    console.error(`Reddit fetch rate limited on r/${subreddit} — backing off until ${until}`);
+    return {
+      subreddit,
+      outcome: 'rate_limited',
+      http_status: 429,
+      posts: [],
+      backoff_until: until,
+    };
+  }
+
+  if (!res.ok) {
+    console.error(`Reddit fetch failed for r/${subreddit}: ${res.status}`);
+    const outcome = res.status === 401 || res.status === 403 ? 'blocked' : 'failed';
+    return { subreddit, outcome, http_status: res.status ?? null, posts: [] };
+  }
+
+  const posts = (await readRssEntries(res)).filter((p) =>
+    sources.some((source) => matchesSource(p, source))
+  );
+  const etag = res.headers?.get('etag');
+  const lastModified = res.headers?.get('last-modified');
+  if (etag || lastModified) {
+    await env.PREDICTIONS.put(
+      cacheKey,
+      JSON.stringify({ etag: etag ?? null, last_modified: lastModified ?? null, posts })
+    );
+  }
+  return {
+    subreddit,
+    outcome: posts.length > 0 ? 'post_found' : 'no_post',
+    http_status: res.status ?? 200,
+    posts,
+  };
+}
+
+// ── Reddit Fetching ──────────────────────────────────────────────────────────
+
+/** Tries per Reddit request: the first attempt plus retries of transient failures. */
+const REDDIT_FETCH_ATTEMPTS = 4;
+
+/** Back-off after a 429 without a usable Retry-After — Reddit's rate-limit window. */
+const DEFAULT_RETRY_AFTER_MS = 10 * 60 * 1000;
+
+/**
+ * Jittered exponential backoff ("full jitter"): a random delay between 0 and
+ * baseMs × 2^attempt, capped at 30 seconds.
+ * @param {number} attempt - 0 for the first retry
+ * @param {number} baseMs
+ * @param {() => number} [random]
+ * @returns {number} milliseconds
+ */
+export function backoffDelay(attempt, baseMs, random = Math.random) {
+  return Math.floor(random() * Math.min(30000, baseMs * 2 ** attempt));
+}
+
+/**
+ * Parse a Retry-After header — delay-seconds or an HTTP date — into milliseconds from now.
+ * @param {string|null|undefined} value
+ * @param {number} [now]
+ * @returns {number|null} null if missing or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10) * 1000;
+  const at = Date.parse(value);
+  return isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * Fetch a Reddit URL, retrying network errors and 5xx responses with jittered exponential
+ * backoff (REDDIT_RETRY_BASE_MS, default 500) for as long as the time budget
+ * (REDDIT_FETCH_BUDGET_MS, default 15s) allows; a 5xx Retry-After is waited out if it fits.
+ * 429 and other 4xx responses are returned straight away — retrying them only gets the
+ * worker blocked for longer.
+ * @param {string} url
+ * @param {object} env
+ * @param {Object<string, string>} [headers] - sent alongside the User-Agent
+ * @returns {Promise<Response>} the last response; rejects with the last network error
+ */
+async function redditFetch(url, env, headers = {}) {
+  const baseMs = parseInt(env.REDDIT_RETRY_BASE_MS ?? '500', 10);
+  const deadline = Date.now() + parseInt(env.REDDIT_FETCH_BUDGET_MS ?? '15000', 10);
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    let error = null;
+    try {
+      res = await fetch(url, { headers: { 'User-Agent': env.REDDIT_USER_AGENT, ...headers } });
+      if (!(res.status >= 500)) return res;
+    } catch (err) {
+      error = err;
+    }
+
+    const retryAfter = res ? (parseRetryAfter(res.headers?.get('retry-after')) ?? 0) : 0;
+    const delay = Math.max(backoffDelay(attempt, baseMs), retryAfter);
+    if (attempt + 1 >= REDDIT_FETCH_ATTEMPTS || Date.now() + delay > deadline) {
+      if (error) throw error;
+      return res;
+    }
+    console.warn(
+      `Reddit fetch ${error ? `error (${error.message})` : `${res.status}`} for ${url} — retrying in ${delay}ms`
+    );
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * The time Reddit asked us to wait until after a 429, if it has not passed yet.
+ * @param {object} env
+ * @returns {Promise<string|null>} ISO time, or null when requests may be made
+ */
+async function activeBackoff(env) {
+  const until = await env.PREDICTIONS.get('reddit_backoff_until');
+  return until && Date.parse(until) > Date.now() ? until : null;
+}
+
+/**
+ * Record the outcome of the latest check of the watched feeds in `reddit_fetch_status`,
+ * so "no post yet" (`no_post`) can be told apart from "Reddit refused us"
+ * (`rate_limited`, `blocked`) and skipped runs (`backoff`). The top-level fields describe
+ * the feed that decided the result; `feeds` has every subreddit's outcome.
+ * @param {object} env
+ * @param {'post_found'|'no_post'|'not_modified'|'rate_limited'|'backoff'|'blocked'|'failed'} outcome
+ * @param {{ subreddit?: string, http_status?: number|null, backoff_until?: string, post_id?: string|null, source_id?: string|null, error?: string, feeds?: object }} [details]
+ */
+async function recordFetchStatus(env, outcome, details = {}) {
+  await env.PREDICTIONS.put(
+    'reddit_fetch_status',
+    JSON.stringify({
+      outcome,
+      checked_at: new Date().toISOString(),
+      http_status: null,
+      ...details,
+    })
+  );
+}
+
+// ── Run Journal ──────────────────────────────────────────────────────────────
+
+/** Default number of cron runs kept in `cron_runs` (overridable via MAX_RUNS). */
+const DEFAULT_MAX_RUNS = 50;
+
+/** Candidate posts listed per run, to keep each journal entry small. */
+const MAX_RUN_CANDIDATES = 10;
+
+/**
+ * One cron run, as kept in the `cron_runs` journal. `outcome` is `published`, `held`
+ * (quarantined for review), `skipped` (already processed), `no_post`, `backoff`,
+ * `fetch_failed` or `error` (the run threw).
+ * @typedef {object} CronRun
+ * @property {string} id - the `request_id` of the run's audit log entries
+ * @property {string} started_at
+ * @property {string|null} finished_at
+ * @property {number|null} duration_ms
+ * @property {string|null} cron - the cron expression, null for manual scans
+ * @property {string|null} outcome
+ * @property {string|null} fetch - `reddit_fetch_status` outcome
+ * @property {{ post_id: string, title: string, author: string, source_id: string, created_at: string }[]} candidates
+ * @property {{ post_id: string, title: string, source_id: string, revision: number|null }|null} chosen
+ * @property {{ kind: string, strategy: string|null, confidence: number, warnings: string[], held_reason?: string, anomalies?: string[] }|null} parse
+ * @property {{ outcome: 'generated'|'failed'|'skipped', key?: string }|null} image
+ * @property {string[]} errors
+ */
+
+/**
+ * Number of runs the journal keeps, from MAX_RUNS.
+ * @param {object} env
+ * @returns {number}
+ */
+function maxRunsKept(env) {
+  return parseInt(env.MAX_RUNS ?? String(DEFAULT_MAX_RUNS), 10);
+}
+
+/**
+ * The newest `limit` runs of the journal, newest first. `limit` is clamped to MAX_RUNS,
+ * the most the journal can hold.
+ * @param {object} env
+ * @param {number} limit
+ * @returns {Promise<CronRun[]>}
+ */
+export async function readRuns(env, limit) {
+  const raw = await env.PREDICTIONS.get('cron_runs');
+  const runs = raw ? JSON.parse(raw) : [];
+  return runs.slice(0, Math.min(limit, maxRunsKept(env)));
+}
+
+/**
+ * Start a journal entry for a cron run.
+ * @param {{ cron?: string }} [event] - the scheduled event
+ * @returns {CronRun}
+ */
+function startRun(event) {
+  return {
+    id: crypto.randomUUID(),
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    cron: event?.cron ?? null,
+    outcome: null,
+    fetch: null,
+    candidates: [],
+    chosen: null,
+    parse: null,
+    image: null,
+    errors: [],
+  };
+}
+
+/**
+ * Finish a run and prepend it to `cron_runs`, keeping the newest MAX_RUNS. A failed
+ * journal write is logged, never thrown — it must not mask the run's own error.
+ * @param {CronRun} run
+ * @param {object} env
+ */
+async function finishRun(run, env) {
+  const finished = Date.now();
+  run.finished_at = new Date(finished).toISOString();
+  run.duration_ms = finished - Date.parse(run.started_at);
+  try {
+    const maxRuns = maxRunsKept(env);
+    const raw = await env.PREDICTIONS.get('cron_runs');
+    const runs = raw ? JSON.parse(raw) : [];
+    runs.unshift(run);
+    if (runs.length > maxRuns) runs.splice(maxRuns);
+    await env.PREDICTIONS.put('cron_runs', JSON.stringify(runs));
+  } catch (err) {
+    console.error('Cron: could not write the run journal:', err);
+  }
+  console.log(`Cron: run ${run.outcome} in ${run.duration_ms}ms`);
+}
+
+// ── Author Replies ───────────────────────────────────────────────────────────
+
+/**
+ * Fetch the post author's replies from its comment thread. The post's own Atom feed
+ * lists the post followed by its comments; comments by anyone else are dropped.
+ * @param {{ id: string, permalink: string }} post
+ * @param {object} env
+ * @returns {Promise<object[]|null>} replies oldest first, or null if the feed couldn't be fetched
+ */
+async function fetchAuthorReplies(post, env) {
+  let res;
+  try {
+    res = await redditFetch(
+      `https://www.reddit.com${post.permalink.replace(/\/?$/, '/')}.rss`,
+      env
+    );
+  } catch (err) {
+    console.error('Comment feed fetch failed:', err);
+    return null;
+  }
+  if (!res.ok) {
+    console.error(`Comment feed fetch failed: ${res.status}`);
+    return null;
+  }
+  return (await readRssEntries(res))
+    .filter((e) => e.id !== post.id && e.author.toLowerCase() === post.author.toLowerCase())
+    .sort((a, b) => a.created_utc - b.created_utc);
+}
+
+/**
+ * Parse a corrected price table out of an author reply. The reply is parsed as if it
+ * were the post body (so the post's title still decides weekly vs interrupter); replies
+ * without a price table are plain clarifications and return null.
+ * @param {{ title: string, created_utc: number }} post
+ * @param {{ selftext: string }} reply
+ * @returns {object|null} parseRedditPost() result, or null
+ */
+export function parseReplyCorrection(post, reply) {
+  const parsed = parseRedditPost({ ...post, selftext: reply.selftext });
+  if (strategies.find((st) => st.name === parsed.diagnostics.strategy)?.fallback) return null;
+  if (Object.keys(parsed.grades).length === 0 && !parsed.zones) return null;
+  return parsed;
+}
+
+/**
+ * Plain text of a reply body (HTML from the feed), for display.
+ * @param {string} html
+ * @returns {string}
+ */
+function replyText(html) {
+  return decodeHtmlEntities(html.replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 500);
+}
+
+/**
+ * Store `updates` on a published prediction (its history entry, and latest_prediction or
+ * the matching interrupter event) without touching its numbers.
+ * Write operation `attach_updates` — run it through commitWrite(). The audit entry
+ * records the post's history entry before and after.
+ * @param {{ post_id: string, updates: object[], audit?: AuditContext }} args
+ * @param {object} env
+ */
+async function attachUpdates({ post_id: postId, updates, audit }, env) {
+  const [latest, entry] = await Promise.all([
+    readLatestPrediction(env),
+    findHistoryEntry(postId, env),
+  ]);
+  if (entry) {
+    await saveHistoryEntry({ ...entry, updates }, env);
+    await appendAudit(
+      {
+        action: 'attach_updates',
+        post_id: postId,
+        previous: entry,
+        current: { ...entry, updates },
+      },
+      audit,
+      env
+    );
+  }
+
+  if (!latest) return;
+  if (latest.post_id === postId) {
+    await env.PREDICTIONS.put('latest_prediction', JSON.stringify({ ...latest, updates }));
+    return;
+  }
+  const e = latest.interrupters?.findIndex((ev) => ev.post_id === postId) ?? -1;
+  if (e !== -1) {
+    const interrupters = latest.interrupters.with(e, { ...latest.interrupters[e], updates });
+    await env.PREDICTIONS.put('latest_prediction', JSON.stringify({ ...latest, interrupters }));
+  }
+}
+
+/**
+ * Attach the author's comment-thread replies to the post's published prediction as
+ * `updates`. Replies with a corrected price table amend the numbers as a new revision,
+ * going through the same confidence and plausibility checks as the post itself.
+ * Replies already attached are skipped unless the comment was edited since.
+ * @param {object} post - the matched post (from fetchWatchedPost)
+ * @param {object} env
+ * @param {AuditContext} audit
+ */
+async function ingestAuthorReplies(post, env, audit) {
+  const target = await findHistoryEntry(post.id, env);
+  if (!target) return; // not published (held for review, or never parsed)
+
+  const replies = await fetchAuthorReplies(post, env);
+  if (!replies) return;
+  const known = new Map((target.updates ?? []).map((u) => [u.comment_id, u]));
+  const fresh = replies.filter((r) => known.get(r.id)?.updated !== (r.updated ?? null));
+  if (fresh.length === 0) return;
+
+  const updates = [...(target.updates ?? [])];
+  let grades = predictionGrades(target);
+  let zones = target.zones ?? null;
+  const corrections = [];
+  for (const reply of fresh) {
+    const update = {
+      comment_id: reply.id,
+      text: replyText(reply.selftext),
+      url: `https://www.reddit.com${reply.permalink}`,
+      posted_at: new Date(reply.created_utc * 1000).toISOString(),
+      updated: reply.updated ?? null,
+      amended: known.get(reply.id)?.amended ?? false,
+    };
+    const correction = parseReplyCorrection(post, reply);
+    if (correction) {
+      corrections.push({ update, confidence: correction.diagnostics.confidence });
+      grades = { ...grades, ...correction.grades };
+      if (correction.zones) {
+        zones = { ...zones };
+        for (const [z, zoneGrades] of Object.entries(correction.zones)) {
+          zones[z] = { ...zones[z], ...zoneGrades };
+        }
+        if (correction.zones[1]) grades = { ...grades, ...correction.zones[1] };
+      }
+    }
+    const i = updates.findIndex((u) => u.comment_id === reply.id);
+    if (i === -1) updates.push(update);
+    else updates[i] = update;
+  }
+
+  if (corrections.length === 0) {
+    await commitWrite('attach_updates', { post_id: post.id, updates, audit }, env);
+    console.log(`Cron: attached ${fresh.length} update(s) from the comments of post ${post.id}`);
+    return;
+  }
+
+  for (const c of corrections) c.update.amended = true;
+  const amended = {
+    ...target,
+    grades,
+    gas: grades.regular ?? null,
+    diesel: grades.diesel ?? null,
+    zones,
+    updates,
+    updated_at: new Date().toISOString(),
+    revision: (target.revision ?? 1) + 1,
+    amended_by: corrections[corrections.length - 1].update.comment_id,
+  };
+
+  const minConfidence = parseFloat(env.MIN_PARSE_CONFIDENCE ?? '0.5');
+  const confidence = Math.min(...corrections.map((c) => c.confidence));
+  const [latest, history] = await Promise.all([
+    readLatestPrediction(env),
+    readHistory(env, { limit: parseInt(env.MAX_HISTORY ?? '10', 10) }),
+  ]);
+  const anomalies = checkPlausibility(
+    amended,
+    plausibilityBaseline(latest, history, post.id),
+    priceLimits(env)
+  );
+  if (confidence < minConfidence || anomalies.length > 0) {
+    await commitWrite(
+      'hold',
+      {
+        prediction: amended,
+        reason: anomalies.length > 0 ? 'anomaly' : 'low_confidence',
+        details: anomalies.length > 0 ? { anomalies } : {},
+        audit,
+      },
+      env
+    );
+    for (const c of corrections) c.update.amended = false;
+    await commitWrite('attach_updates', { post_id: post.id, updates, audit }, env);
+    console.warn(`Cron: holding correction from the comments of post ${post.id} for review`);
+    return;
+  }
+
+  // Only amend the revision the correction was computed from. A correction to a post a
+  // newer week has replaced only updates its history entry
+  const stored = await writePrediction(amended, env, {
+    processed: processedRecord(post, await contentHash(post), amended.revision),
+    expected_revision: target.revision ?? 1,
+    keep_newer: true,
+    audit,
+  });
+  if (!stored) {
+    console.warn(`Cron: post ${post.id} changed while amending it — retrying next run`);
+    return;
+  }
+  console.log(
+    `Cron: post ${post.id} amended by comment ${amended.amended_by} (revision ${amended.revision})`
+  );
+}
+
+// ── Community Context Fetch ───────────────────────────────────────────────────
+
+/**
+ * Fetch top community post titles from the COMMUNITY_SUBREDDITS (default r/halifax and
+ * r/novascotia) for image prompt context, leaving out posts by the watched authors.
+ * Runs the fetches in parallel via Promise.allSettled; gracefully handles individual failures.
+ * @param {object} env
+ * @param {WatchSource[]} [sources] - whose authors to leave out
+ * @returns {Promise<string[]>} Up to 10 post titles per subreddit
+ */
+export async function fetchCommunityContext(env, sources = defaultSources(env)) {
+  const subreddits = (env.COMMUNITY_SUBREDDITS ?? 'halifax,novascotia')
+    .split(',')
+    .map((sub) => sub.trim())
+    .filter(Boolean);
+  const authors = new Set(sources.map((s) => s.author.toLowerCase()));
+  const results = await Promise.allSettled(
     subreddits.map((sub) =>
-      fetch(`https://www.reddit.com/r/${sub}/top.rss?t=week&limit=10`, {
-        headers: { 'User-Agent': env.REDDIT_USER_AGENT },
-      })
-        .then((r) => (r.ok ? r.text() : null))
-        .then((xml) => {
-          if (!xml) return [];
-          return parseRssEntries(xml)
-            .filter((p) => p.author.toLowerCase() !== 'buckit')
+      redditFetch(`https://www.reddit.com/r/${sub}/top.rss?t=week&limit=10`, env)
+        .then((r) => (r.ok ? readRssEntries(r) : []))
+        .then((entries) =>
+          entries
+            .filter((p) => !authors.has(p.author.toLowerCase()))
             .map((p) => p.title)
-            .filter(Boolean);
-        })
+            .filter(Boolean)
+        )
         .catch(() => [])
     )
   );
@@ -500,7 +2059,8 @@ export async function fetchCommunityContext(env) {
  * @param {'up'|'down'} direction
  * @param {string[]} communityContext - top post titles from r/halifax + r/novascotia
  * @param {object} env
- * @returns {Promise<{key: string, prompt: string}|null>} R2 key + prompt used, or null on failure
+ * @returns {Promise<{key: string|null, prompt: string, error?: string}>} R2 key + prompt used;
+ *   on failure the key is null and `error` says why
  */
 async function generateAndStoreImage(postId, direction, communityContext, env) {
   const prompt = buildImagePrompt(direction, postId, communityContext);
@@ -514,7 +2074,7 @@ async function generateAndStoreImage(postId, direction, communityContext, env) {
 
     if (!result?.image) {
       console.error('AI image generation returned no image');
-      return null;
+      return { key: null, prompt, error: 'AI image generation returned no image' };
     }
 
     // Workers AI returns base64; decode to bytes for R2
@@ -528,1139 +2088,4733 @@ async function generateAndStoreImage(postId, direction, communityContext, env) {
     return { key: r2Key, prompt };
   } catch (err) {
     console.error('Image generation failed:', err);
-    return null;
+    return { key: null, prompt, error: err.message };
   }
 }
 
-// ── KV Helpers ───────────────────────────────────────────────────────────────
+// ── Prediction Schema ────────────────────────────────────────────────────────
 
 /**
- * Write a new prediction to KV (latest + history).
- * @param {object} prediction
- * @param {object} env
+ * Version of the prediction record written by every entry point — the cron, the
+ * webhook and the MCP `post_prediction` tool. Records without `schema_version` are
+ * version 1, including the `{ direction, predictedPrice, currentPrice, fuelType }` shape
+ * the MCP tool used to write; upgradePrediction() brings them up to date when read.
  */
-async function writePrediction(prediction, env) {
-  const maxHistory = parseInt(env.MAX_HISTORY ?? '10', 10);
-
-  await env.PREDICTIONS.put('latest_prediction', JSON.stringify(prediction));
+export const PREDICTION_SCHEMA_VERSION = 2;
 
-  const raw = await env.PREDICTIONS.get('prediction_history');
-  const history = raw ? JSON.parse(raw) : [];
-  history.unshift(prediction);
-  if (history.length > maxHistory) history.splice(maxHistory);
-  await env.PREDICTIONS.put('prediction_history', JSON.stringify(history));
+/**
+ * @typedef {{ direction: 'up'|'down'|'no-change'|null, adjustment: number|null, price: number|null }} FuelSlot
+ */
+
+/**
+ * A prediction record (schema version 2). Cron records also carry `diagnostics`,
+ * `post_url`, `reddit_title`, `reddit_source`, `revision` and `post_updated_at`.
+ * @typedef {object} Prediction
+ * @property {number} schema_version
+ * @property {'weekly'|'interrupter'} kind
+ * @property {string|null} effective_at
+ * @property {FuelSlot|null} gas - shorthand for grades.regular
+ * @property {FuelSlot|null} diesel - shorthand for grades.diesel
+ * @property {Object<string, FuelSlot>} grades
+ * @property {Object<number, Object<string, FuelSlot>>|null} zones
+ * @property {string|null} notes
+ * @property {'reddit'|'webhook'|'mcp'} source
+ * @property {string} updated_at
+ * @property {string|null} post_id
+ * @property {string} [triggered_at] - interrupters only
+ */
+
+/**
+ * Assemble a prediction record: `gas`/`diesel` are filled from `grades`, a missing
+ * `effective_at` becomes the UARB default for the kind, interrupters get `triggered_at`
+ * and the record is stamped with PREDICTION_SCHEMA_VERSION. Other fields are kept.
+ * @param {object} fields
+ * @returns {Prediction}
+ */
+export function createPrediction({
+  kind = 'weekly',
+  grades = {},
+  zones = null,
+  notes = null,
+  source,
+  updated_at = new Date().toISOString(),
+  effective_at,
+  triggered_at,
+  post_id = null,
+  ...rest
+}) {
+  const prediction = {
+    schema_version: PREDICTION_SCHEMA_VERSION,
+    kind,
+    effective_at:
+      effective_at === undefined
+        ? (kind === 'interrupter' ? interrupterEffectiveAt : weeklyEffectiveAt)(updated_at)
+        : effective_at,
+    gas: grades.regular ?? null,
+    diesel: grades.diesel ?? null,
+    grades,
+    zones,
+    notes,
+    source,
+    updated_at,
+    post_id,
+    ...rest,
+  };
+  if (kind === 'interrupter') prediction.triggered_at = triggered_at ?? updated_at;
+  return prediction;
 }
 
-// ── HTML Renderer ────────────────────────────────────────────────────────────
+/**
+ * The slot for a single-fuel `{ direction, predicted_price, current_price }` prediction.
+ * The current price, when given, becomes the adjustment in cents.
+ * @param {string} direction
+ * @param {number} price
+ * @param {number|null|undefined} currentPrice
+ * @returns {FuelSlot}
+ */
+function legacyFuelSlot(direction, price, currentPrice) {
+  const adjustment =
+    typeof currentPrice === 'number'
+      ? Math.round(Math.abs(price - currentPrice) * 1000) / 10
+      : null;
+  return { direction, adjustment, price };
+}
 
 /**
- * Build Chart.js dataset JSON for gas + diesel price history.
- * @param {Array<object>} history
- * @returns {{ labels: string[], gasData: (number|null)[], dieselData: (number|null)[] }}
+ * Bring a stored prediction (and its interrupters) up to PREDICTION_SCHEMA_VERSION:
+ * the old MCP shape is mapped onto fuel slots, `grades` is filled from `gas`/`diesel`,
+ * and missing fields get their defaults. Current records are returned as they are.
+ * @param {object|null} p
+ * @returns {Prediction|null}
  */
-export function buildChartData(history) {
-  const reversed = [...history].reverse();
-  const labels = reversed.map((h, i) => {
-    if (h.updated_at) {
-      try {
-        const d = new Date(h.updated_at);
-        return d.toLocaleDateString('en-CA', {
-          month: 'short',
-          day: 'numeric',
-          timeZone: 'America/Halifax',
-        });
-      } catch {
-        /* fall through */
-      }
-    }
-    return `#${i + 1}`;
-  });
-  const gasData = reversed.map((h) => h.gas?.price ?? null);
-  const dieselData = reversed.map((h) => h.diesel?.price ?? null);
-  return { labels, gasData, dieselData };
+export function upgradePrediction(p) {
+  if (!p || p.schema_version >= PREDICTION_SCHEMA_VERSION) return p;
+
+  let record = p;
+  if (p.predictedPrice !== undefined && !p.gas && !p.diesel && !p.grades) {
+    const { direction, predictedPrice, currentPrice, fuelType, ...rest } = p;
+    const slot = legacyFuelSlot(direction, predictedPrice, currentPrice);
+    record = fuelType === 'diesel' ? { ...rest, diesel: slot } : { ...rest, gas: slot };
+  }
+
+  const upgraded = {
+    ...record,
+    schema_version: PREDICTION_SCHEMA_VERSION,
+    kind: record.kind ?? 'weekly',
+    effective_at: record.effective_at ?? null,
+    gas: record.gas ?? null,
+    diesel: record.diesel ?? null,
+    grades: predictionGrades(record),
+    zones: record.zones ?? null,
+    notes: record.notes ?? null,
+    post_id: record.post_id ?? null,
+  };
+  if (Array.isArray(record.interrupters)) {
+    upgraded.interrupters = record.interrupters.map(upgradePrediction);
+  }
+  return upgraded;
 }
 
 /**
- * Render a single fuel card (gas or diesel) for the sign board.
- * @param {'gas'|'diesel'} type
- * @param {{ direction: string|null, adjustment: number|null, price: number|null }|null} slot
- * @returns {string}
+ * Validate and normalise a prediction submitted through the webhook or the MCP tool.
+ * Accepts either:
+ *   a) `{ gas, diesel, grades, zones, notes, kind, effective_at }` — gas/diesel are
+ *      shorthands for grades.regular/grades.diesel, zones are keyed by zone id
+ *   b) the legacy `{ direction, predicted_price, current_price, fuel_type, notes }`
+ * @param {object} body
+ * @param {'webhook'|'mcp'} source
+ * @returns {{ prediction: Prediction }|{ error: string }}
  */
-function renderFuelCard(type, slot) {
-  const label = type === 'gas' ? 'Regular' : 'Diesel';
-  const hasSlot = slot !== null;
-  const dir = slot?.direction ?? null;
-  const isUp = dir === 'up';
-  const isDown = dir === 'down';
-  const isNoChange = dir === 'no-change';
+export function normalisePredictionInput(body, source) {
+  if (!body || typeof body !== 'object') return { error: 'Prediction must be a JSON object' };
+  const { notes = null, kind = 'weekly', effective_at = null } = body;
 
-  const accentColor = isUp
-    ? 'var(--color-up)'
-    : isDown
-      ? 'var(--color-down)'
-      : 'var(--color-neutral)';
-  const bgColor = isUp
-    ? 'var(--color-up-bg)'
-    : isDown
-      ? 'var(--color-down-bg)'
-      : 'var(--color-neutral-bg)';
-  const borderColor = isUp
-    ? 'var(--color-up-border)'
-    : isDown
-      ? 'var(--color-down-border)'
-      : 'var(--color-neutral-border)';
+  if (!['weekly', 'interrupter'].includes(kind)) {
+    return { error: 'kind must be one of: weekly, interrupter' };
+  }
+  if (effective_at !== null && (typeof effective_at !== 'string' || !parseIsoDate(effective_at))) {
+    return { error: 'effective_at must be an ISO 8601 timestamp if provided' };
+  }
 
-  const arrowChar = isUp ? '↑' : isDown ? '↓' : isNoChange ? '=' : '–';
-  const arrowLabel = isUp
-    ? 'Price going up'
-    : isDown
-      ? 'Price going down'
-      : isNoChange
-        ? 'No change'
-        : 'No prediction';
+  const VALID_DIRECTIONS = ['up', 'down', 'no-change'];
 
-  // Hero: the adjustment delta is the most important number
-  const adjDisplay =
-    (isUp || isDown) && slot?.adjustment != null
-      ? `${isUp ? '+' : '−'}${slot.adjustment.toFixed(1)}¢`
-      : isNoChange
-        ? 'No Change'
-        : '–';
+  function validateFuelSlot(slot, name) {
+    if (!slot) return null;
+    if (!VALID_DIRECTIONS.includes(slot.direction)) {
+      return { error: `${name}.direction must be one of: up, down, no-change` };
+    }
+    if (
+      slot.price !== undefined &&
+      slot.price !== null &&
+      (typeof slot.price !== 'number' || isNaN(slot.price))
+    ) {
+      return { error: `${name}.price must be a number if provided` };
+    }
+    return null;
+  }
 
-  const priceDisplay = slot?.price != null ? `$${slot.price.toFixed(3)}/L` : '';
+  // Validate a map of grade slots into `into`; returns an error object or null.
+  function collectGrades(gradeSlots, into, nameOf = (key) => key) {
+    for (const [key, slot] of Object.entries(gradeSlots)) {
+      const err = FUEL_GRADES.some((g) => g.key === key)
+        ? validateFuelSlot(slot, nameOf(key))
+        : {
+            error: `Unknown grade "${key}" — must be one of: ${FUEL_GRADES.map((g) => g.key).join(', ')}`,
+          };
+      if (err) return err;
+      if (slot) {
+        into[key] = {
+          direction: slot.direction,
+          adjustment: slot.adjustment ?? null,
+          price: slot.price ?? null,
+        };
+      }
+    }
+    return null;
+  }
 
-  const dirLabelText = isUp ? '▲ UP' : isDown ? '▼ DOWN' : isNoChange ? '= NO CHANGE' : '';
+  let grades = {};
+  let zones = null;
+
+  if (
+    body.gas !== undefined ||
+    body.diesel !== undefined ||
+    body.grades !== undefined ||
+    body.zones !== undefined
+  ) {
+    const gradeSlots = { ...(body.grades ?? {}) };
+    if (body.gas !== undefined) gradeSlots.regular = body.gas;
+    if (body.diesel !== undefined) gradeSlots.diesel = body.diesel;
+
+    let err = collectGrades(gradeSlots, grades, (key) =>
+      key === 'regular' && body.gas !== undefined ? 'gas' : key
+    );
 
-  return `<div class="fuel-card fuel-card--${type}${!hasSlot ? ' fuel-card--empty' : ''}" data-dir="${escapeHtml(dir ?? 'none')}">
-  <div class="fuel-card-header">
-    <span class="fuel-type-badge">${escapeHtml(label.toUpperCase())}</span>
-    ${dirLabelText ? `<span class="fuel-dir-label" style="color:${accentColor};background:${bgColor};border-color:${borderColor}">${escapeHtml(dirLabelText)}</span>` : ''}
-  </div>
-  <div class="fuel-card-body">
-    <span class="fuel-arrow" aria-label="${escapeHtml(arrowLabel)}" style="color:${accentColor};filter:${isUp || isDown ? `drop-shadow(0 0 12px ${accentColor})` : 'none'}">${arrowChar}</span>
-    <div class="fuel-numbers">
-      <span class="fuel-adj" style="color:${accentColor}">${escapeHtml(adjDisplay)}</span>
-      ${priceDisplay ? `<span class="fuel-price">${escapeHtml(priceDisplay)}</span>` : ''}
-    </div>
-  </div>
-</div>`;
+    // Per-zone prices: { "6": { regular: {...}, diesel: {...} } }
+    if (!err && body.zones !== undefined) {
+      zones = {};
+      for (const [zoneKey, zoneSlots] of Object.entries(body.zones ?? {})) {
+        const zone = parsePricingZone(zoneKey);
+        if (zone === null) {
+          err = {
+            error: `Unknown zone "${zoneKey}" — must be one of: ${PRICING_ZONES.map((z) => z.id).join(', ')}`,
+          };
+          break;
+        }
+        zones[zone] = {};
+        err = collectGrades(zoneSlots ?? {}, zones[zone], (key) => `zones.${zone}.${key}`);
+        if (err) break;
+      }
+      if (!err && Object.keys(zones).length === 0) zones = null;
+      // Zone 1 is Halifax — it doubles as the top-level prices when none were given
+      if (!err && zones?.[1] && Object.keys(grades).length === 0) grades = { ...zones[1] };
+    }
+
+    if (err) return err;
+  } else {
+    const { direction, predicted_price, current_price, fuel_type = 'gas' } = body;
+    if (!VALID_DIRECTIONS.includes(direction)) {
+      return { error: 'Invalid direction — must be "up", "down", or "no-change"' };
+    }
+    if (!['gas', 'diesel'].includes(fuel_type)) {
+      return { error: 'Invalid fuel_type — must be "gas" or "diesel"' };
+    }
+    if (typeof predicted_price !== 'number' || isNaN(predicted_price)) {
+      return { error: 'predicted_price must be a number' };
+    }
+    if (
+      current_price !== undefined &&
+      current_price !== null &&
+      (typeof current_price !== 'number' || isNaN(current_price))
+    ) {
+      return { error: 'current_price must be a number if provided' };
+    }
+    grades[fuel_type === 'diesel' ? 'diesel' : 'regular'] = legacyFuelSlot(
+      direction,
+      predicted_price,
+      current_price
+    );
+  }
+
+  return {
+    prediction: createPrediction({
+      kind,
+      effective_at: effective_at ? parseIsoDate(effective_at).toISOString() : undefined,
+      grades,
+      zones,
+      notes: notes ? String(notes).slice(0, 500) : null,
+      source,
+    }),
+  };
 }
 
+// ── Prediction History ───────────────────────────────────────────────────────
+
 /**
- * Render the full website HTML.
- * @param {{ prediction: object|null, history: object[], imageKey: string|null, siteUrl: string }} opts
- * @returns {string}
+ * KV key of the capped history blob. Without the HISTORY_DB binding it is still where
+ * history lives; with it, it is only read once to migrate its entries into D1.
  */
-export function renderHtml({ prediction, history, imageKey, siteUrl, imagePrompt = null }) {
-  const p = prediction;
-  const hasData = p !== null;
+const LEGACY_HISTORY_KEY = 'prediction_history';
 
-  // Derive top-level accent from gas direction, fallback diesel
-  const primaryDir = p?.gas?.direction ?? p?.diesel?.direction ?? null;
-  const isUp = primaryDir === 'up';
-  const isDown = primaryDir === 'down';
-  const accentColor = isUp
-    ? 'var(--color-up)'
-    : isDown
-      ? 'var(--color-down)'
-      : 'var(--color-neutral)';
+/**
+ * KV key of the last id given to an entry of the KV history, so an id is never handed
+ * out twice once the capped blob has dropped (or a rollback removed) its entry.
+ */
+const LEGACY_HISTORY_ID_KEY = 'prediction_history_last_id';
 
-  const updatedAt = formatDate(p?.updated_at ?? null);
-  const relativeTime = formatRelativeTime(p?.updated_at ?? null);
-  const notesHtml = p?.notes ? `<p class="notes">${escapeHtml(p.notes)}</p>` : '';
+/**
+ * Upsert one history row: a new entry is appended (its id is its place in the history);
+ * a revision of an already-published post replaces that row's data in place, keeping
+ * its id. The statement returns the row's id.
+ * @param {D1Database} db
+ * @param {object} p
+ * @param {number|null} [id] - only when restoring a backup, to keep the row's id
+ * @returns {D1PreparedStatement}
+ */
+function historyStatement(db, p, id = null) {
+  // The id is the row's own; it isn't duplicated into the data
+  const { id: _id, ...data } = p;
+  return db
+    .prepare(
+      `INSERT INTO predictions (id, post_id, kind, effective_at, data) VALUES (?5, ?1, ?2, ?3, ?4)
+       ON CONFLICT (post_id) DO UPDATE
+       SET kind = excluded.kind, effective_at = excluded.effective_at, data = excluded.data
+       RETURNING id`
+    )
+    .bind(
+      p.post_id ?? null,
+      p.kind ?? 'weekly',
+      p.effective_at ?? p.triggered_at ?? p.updated_at ?? null,
+      JSON.stringify(data),
+      id
+    );
+}
 
-  // AI image
-  const postLinkHtml = p?.post_url
-    ? ` &middot; <a href="${escapeHtml(p.post_url)}" class="caption-link" target="_blank" rel="noopener noreferrer">View Reddit post ↗</a>`
-    : '';
-  const promptDisclosure = imagePrompt
-    ? `<details class="prompt-details"><summary>View AI prompt</summary><p class="prompt-text">${escapeHtml(imagePrompt)}</p></details>`
-    : '';
-  const imageHtml = imageKey
-    ? `<section class="image-section" aria-label="AI-generated prediction illustration">
-        <div class="image-card">
-          <figure class="image-figure">
-            <img
-              src="/images/${escapeHtml(imageKey.replace('images/', ''))}"
-              alt="AI-generated illustration: Halifax gas prices ${isUp ? 'going up' : 'going down'} — ${getSeason(new Date())} scene"
-              loading="lazy"
-              decoding="async"
-              class="prediction-image"
-            />
-            <figcaption class="image-caption">
-              <span class="ai-badge">AI-generated</span>
-              Made with <a href="https://developers.cloudflare.com/workers-ai/" class="caption-link" target="_blank" rel="noopener noreferrer">Cloudflare Workers AI</a> (<code>@cf/black-forest-labs/flux-1-schnell</code>).${postLinkHtml}
-              ${promptDisclosure}
-            </figcaption>
-          </figure>
-        </div>
-      </section>`
-    : '';
+/**
+ * One-time migration of the KV history blob into D1, as a single statement that only
+ * inserts into an empty table — two requests racing on the first read after deploy
+ * can't copy it twice. The blob is deleted afterwards.
+ * @param {object} env
+ */
+async function migrateLegacyHistory(env) {
+  const raw = await env.PREDICTIONS.get(LEGACY_HISTORY_KEY);
+  if (raw === null) return;
+  // The blob is newest first; insert oldest first so ids keep the same order, and entries
+  // keep the ids they were given in KV. A post listed twice keeps its first row and the
+  // newest copy's data
+  const { meta } = await env.HISTORY_DB.prepare(
+    `INSERT INTO predictions (id, post_id, kind, effective_at, data)
+     SELECT json_extract(value, '$.id'),
+            json_extract(value, '$.post_id'),
+            COALESCE(json_extract(value, '$.kind'), 'weekly'),
+            COALESCE(json_extract(value, '$.effective_at'), json_extract(value, '$.triggered_at'),
+                     json_extract(value, '$.updated_at')),
+            json_remove(value, '$.id')
+     FROM json_each(?1)
+     WHERE NOT EXISTS (SELECT 1 FROM predictions)
+     ORDER BY key DESC
+     ON CONFLICT (post_id) DO UPDATE SET
+       kind = excluded.kind, effective_at = excluded.effective_at, data = excluded.data`
+  )
+    .bind(raw)
+    .run();
+  await env.PREDICTIONS.delete(LEGACY_HISTORY_KEY);
+  console.log(`Migrated ${meta.changes} history entries from KV to D1`);
+}
 
-  // History cards + Chart.js
-  const chartData = buildChartData(history);
-  const chartJson = JSON.stringify(chartData);
-  const hasHistory = history.length > 0;
-  const hasChartData =
-    chartData.gasData.some((v) => v !== null) || chartData.dieselData.some((v) => v !== null);
+/**
+ * A window of prediction history, newest first, upgraded to the current schema.
+ * History lives in the HISTORY_DB D1 table (unlimited); deployments without the binding
+ * keep the KV blob capped at MAX_HISTORY. Entries carry their `id` (the D1 row id, or
+ * the one saveHistoryEntry() stored in the blob), which deleteHistoryEntry() takes.
+ * @param {object} env
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function readHistory(env, { limit = 10 } = {}) {
+  if (!env.HISTORY_DB) {
+    const raw = await env.PREDICTIONS.get(LEGACY_HISTORY_KEY);
+    return (raw ? JSON.parse(raw) : []).slice(0, limit).map(upgradePrediction);
+  }
+  await migrateLegacyHistory(env);
+  const { results } = await env.HISTORY_DB.prepare(
+    'SELECT id, data FROM predictions ORDER BY id DESC LIMIT ?1'
+  )
+    .bind(limit)
+    .all();
+  return results.map((row) => ({ id: row.id, ...upgradePrediction(JSON.parse(row.data)) }));
+}
 
-  const historyHtml = hasHistory
-    ? `<section class="history-section" aria-label="Prediction history">
-        <h2 class="section-label">History</h2>
-        ${
-          hasChartData
-            ? `<div class="chart-wrap" aria-label="Price history chart">
-          <canvas id="historyChart" height="120"></canvas>
-        </div>`
-            : ''
-        }
-        <ul class="history-list" role="list">
-          ${history
-            .map((h, i) => {
-              const gDir = h.gas?.direction;
-              const dDir = h.diesel?.direction;
-              const gArrow =
-                gDir === 'up' ? '↑' : gDir === 'down' ? '↓' : gDir === 'no-change' ? '=' : '–';
-              const dArrow =
-                dDir === 'up' ? '↑' : dDir === 'down' ? '↓' : dDir === 'no-change' ? '=' : '–';
-              const gColor =
-                gDir === 'up'
-                  ? 'var(--color-up)'
-                  : gDir === 'down'
-                    ? 'var(--color-down)'
-                    : 'var(--color-neutral)';
-              const dColor =
-                dDir === 'up'
-                  ? 'var(--color-up)'
-                  : dDir === 'down'
-                    ? 'var(--color-down)'
-                    : 'var(--color-neutral)';
-              const gasAdj =
-                (gDir === 'up' || gDir === 'down') && h.gas?.adjustment != null
-                  ? `${gDir === 'up' ? '+' : '−'}${h.gas.adjustment.toFixed(1)}¢`
-                  : '';
-              const dieselAdj =
-                (dDir === 'up' || dDir === 'down') && h.diesel?.adjustment != null
-                  ? `${dDir === 'up' ? '+' : '−'}${h.diesel.adjustment.toFixed(1)}¢`
-                  : '';
-              return `
-              <li class="history-card" style="animation-delay: ${i * 50}ms">
-                <div class="hc-fuels">
-                  ${
-                    h.gas
-                      ? `<span class="hc-fuel" style="color:${gColor}" title="Regular gas">
-                    <span class="hc-arrow">${gArrow}</span>
-                    <span class="hc-adj">${gasAdj || (gDir === 'no-change' ? '=' : '')}</span>
-                    <span class="hc-price">${h.gas.price != null ? `$${h.gas.price.toFixed(3)}` : ''}</span>
-                  </span>`
-                      : ''
-                  }
-                  ${
-                    h.diesel
-                      ? `<span class="hc-fuel hc-fuel--diesel" style="color:${dColor}" title="Diesel">
-                    <span class="hc-arrow">${dArrow}</span>
-                    <span class="hc-adj">${dieselAdj || (dDir === 'no-change' ? '=' : '')}</span>
-                    <span class="hc-price">${h.diesel.price != null ? `$${h.diesel.price.toFixed(3)}` : ''}</span>
-                  </span>`
-                      : ''
-                  }
-                </div>
-                <div class="hc-meta">
-                  <span class="hc-time">${escapeHtml(formatRelativeTime(h.updated_at))}</span>
-                  ${h.notes ? `<span class="hc-notes">${escapeHtml(h.notes.slice(0, 80))}${h.notes.length > 80 ? '…' : ''}</span>` : ''}
-                </div>
-              </li>`;
-            })
-            .join('')}
-        </ul>
-      </section>`
-    : '<section class="history-section" aria-label="Prediction history" style="display:none" aria-hidden="true"></section>';
+/**
+ * Orderings of queryHistory(): the D1 expression to sort by, and the same value taken
+ * from an entry (for the KV blob). Missing dates sort as ''.
+ */
+const HISTORY_SORTS = {
+  effective: {
+    column: "COALESCE(effective_at, '')",
+    value: (p) => p.effective_at ?? p.triggered_at ?? p.updated_at ?? '',
+  },
+  updated: {
+    column: "COALESCE(json_extract(data, '$.updated_at'), '')",
+    value: (p) => p.updated_at ?? '',
+  },
+};
 
-  const ogImage = imageKey
-    ? `${siteUrl}/images/${imageKey.replace('images/', '')}`
-    : `${siteUrl}/og-default.png`;
-  const gasSummary = p?.gas ? `gas ${p.gas.direction} to $${p.gas.price?.toFixed(3)}/L` : '';
-  const dieselSummary = p?.diesel
-    ? `diesel ${p.diesel.direction} to $${p.diesel.price?.toFixed(3)}/L`
-    : '';
-  const summaryParts = [gasSummary, dieselSummary].filter(Boolean).join(', ');
-  const description = hasData
-    ? `Halifax fuel prices: ${summaryParts || 'update available'}. Community estimate by u/buckit on r/halifax.`
-    : 'Halifax gas price prediction — community estimate by u/buckit on r/halifax. Updated every Thursday.';
+/** Rows read per D1 query while queryHistory() looks for matching entries. */
+const HISTORY_SCAN_SIZE = 100;
 
-  return `<!DOCTYPE html>
-<html lang="en" dir="ltr">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Halifax Gas Price Prediction | hfxgas.ca</title>
-  <meta name="description" content="${escapeHtml(description)}" />
-  <link rel="canonical" href="${escapeHtml(siteUrl)}" />
-  <meta property="og:title" content="Halifax Gas Price Prediction | hfxgas.ca" />
-  <meta property="og:description" content="${escapeHtml(description)}" />
-  <meta property="og:url" content="${escapeHtml(siteUrl)}" />
-  <meta property="og:image" content="${escapeHtml(ogImage)}" />
-  <meta property="og:type" content="website" />
-  <meta name="twitter:card" content="summary_large_image" />
-  <meta name="twitter:title" content="Halifax Gas Price Prediction | hfxgas.ca" />
-  <meta name="twitter:description" content="${escapeHtml(description)}" />
-  <meta name="twitter:image" content="${escapeHtml(ogImage)}" />
-  <script type="application/ld+json">
-  {
-    "@context": "https://schema.org",
-    "@graph": [
-      { "@type": "WebSite", "name": "hfxgas.ca", "url": "${siteUrl}", "description": "Halifax Nova Scotia gas and diesel price prediction, updated every Thursday." },
-      { "@type": "Dataset", "name": "Halifax Gas Price Predictions",
-        "description": "Weekly gas and diesel price predictions for Halifax, Nova Scotia, sourced from Reddit /u/buckit on r/halifax.",
-        "url": "${siteUrl}", "creator": { "@type": "Person", "name": "u/buckit" },
-        "spatialCoverage": "Halifax, Nova Scotia, Canada", "temporalCoverage": "Weekly",
-        "license": "https://creativecommons.org/licenses/by/4.0/", "isBasedOn": "https://www.reddit.com/r/halifax" }
-    ]
-  }
-  </script>
-  <!-- Chart.js for price history -->
-  <script src="https://cdn.jsdelivr.net/npm/chart.js@4/dist/chart.umd.min.js"></script>
-  <style>
-    :root {
-      --background:        hsl(0 0% 100%);
-      --foreground:        hsl(240 10% 3.9%);
-      --card:              hsl(0 0% 100%);
-      --popover:           hsl(0 0% 100%);
-      --popover-foreground:hsl(240 10% 3.9%);
-      --primary:           hsl(240 5.9% 10%);
-      --primary-foreground:hsl(0 0% 98%);
-      --secondary:         hsl(240 4.8% 95.9%);
-      --muted:             hsl(240 4.8% 95.9%);
-      --muted-foreground:  hsl(240 3.8% 46.1%);
-      --border:            hsl(240 5.9% 90%);
-      --ring:              hsl(240 5.9% 10%);
-      --radius:            0.5rem;
-      --color-up:          hsl(20 90% 48%);
-      --color-up-bg:       hsl(20 90% 97%);
-      --color-up-border:   hsl(20 80% 88%);
-      --color-down:        hsl(142 69% 36%);
-      --color-down-bg:     hsl(142 60% 96%);
-      --color-down-border: hsl(142 55% 84%);
-      --color-neutral:     hsl(240 4% 52%);
-      --color-neutral-bg:  hsl(240 4% 96%);
-      --color-neutral-border:hsl(240 4% 86%);
-      --sign-bg:           hsl(240 10% 8%);
-      --sign-border:       hsl(240 8% 18%);
-      --sign-scanline:     hsl(0 0% 0% / 0.07);
-      --font-sans: ui-sans-serif, system-ui, -apple-system, 'Segoe UI', sans-serif;
-      --font-mono: ui-monospace, 'Cascadia Code', 'SF Mono', monospace;
-      --font-display: 'Arial Black', 'Arial Bold', 'Trebuchet MS', Arial, sans-serif;
+/**
+ * Most rows one queryHistory() page reads looking for matches. A page that reaches it
+ * ends early, with fewer entries and a `next` position to carry on from, so a filter
+ * that matches little can't make a public request scan the whole table.
+ */
+const MAX_HISTORY_SCAN = 1000;
+
+/** Where a prediction can come from (its `source`). */
+const PREDICTION_SOURCES = ['reddit', 'webhook', 'mcp'];
+
+/**
+ * Query options of queryHistory(). `from` is inclusive and `to` exclusive, both ISO
+ * times compared with the sort date; `after` is a page's `next` position.
+ * @typedef {object} HistoryQuery
+ * @property {number} [limit=20]
+ * @property {'effective'|'updated'} [sort='effective']
+ * @property {'desc'|'asc'} [order='desc']
+ * @property {{ key: string, id: number }|null} [after]
+ * @property {string|null} [from]
+ * @property {string|null} [to]
+ * @property {string|null} [fuel] - a FUEL_GRADES key: only entries with a price for it
+ * @property {'up'|'down'|'no-change'|null} [direction] - of `fuel`, or of any grade
+ * @property {string|null} [source] - one of PREDICTION_SOURCES
+ */
+
+/**
+ * Whether an (upgraded) entry passes the fuel, direction and source filters.
+ * @param {object} p
+ * @param {HistoryQuery} query
+ * @returns {boolean}
+ */
+function matchesHistoryQuery(p, { fuel, direction, source }) {
+  if (source && p.source !== source) return false;
+  const grades = predictionGrades(p);
+  if (fuel && !grades[fuel]) return false;
+  const slots = fuel ? [grades[fuel]] : Object.values(grades);
+  return !direction || slots.some((slot) => slot?.direction === direction);
+}
+
+/**
+ * History entries in sort order from `after` on, with their sort position, upgraded.
+ * D1 is read a page at a time, with the date range and source applied in SQL; the KV
+ * blob is sorted in memory, its position standing in for the row id.
+ * @param {object} env
+ * @param {HistoryQuery} query
+ * @returns {AsyncGenerator<{ key: string, id: number, entry: object }>}
+ */
+async function* sortedHistory(env, { sort, order, after, from, to, source }) {
+  const { column, value } = HISTORY_SORTS[sort];
+  const before = (a, b) => (order === 'asc' ? a < b : a > b);
+
+  if (!env.HISTORY_DB) {
+    const raw = await env.PREDICTIONS.get(LEGACY_HISTORY_KEY);
+    const blob = raw ? JSON.parse(raw) : [];
+    const rows = blob
+      .map((p, i) => ({ id: blob.length - i, entry: upgradePrediction(p) }))
+      .map((row) => ({ ...row, key: value(row.entry) }))
+      .filter((row) => (!from || row.key >= from) && (!to || row.key < to))
+      .filter(
+        (row) =>
+          !after ||
+          before(after.key, row.key) ||
+          (row.key === after.key && before(after.id, row.id))
+      )
+      .sort((a, b) =>
+        a.key === b.key ? (before(a.id, b.id) ? -1 : 1) : before(a.key, b.key) ? -1 : 1
+      );
+    yield* rows;
+    return;
+  }
+
+  await migrateLegacyHistory(env);
+  const cmp = order === 'asc' ? '>' : '<';
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  let position = after;
+  for (;;) {
+    const where = [];
+    const params = [];
+    if (from) {
+      params.push(from);
+      where.push(`${column} >= ?${params.length}`);
     }
-    @media (prefers-color-scheme: dark) {
-      :root {
-        --background:        hsl(240 10% 3.9%);
-        --foreground:        hsl(0 0% 98%);
-        --card:              hsl(240 8% 7%);
-        --popover:           hsl(240 10% 6%);
-        --popover-foreground:hsl(0 0% 98%);
-        --primary:           hsl(0 0% 98%);
-        --secondary:         hsl(240 3.7% 15.9%);
-        --muted:             hsl(240 3.7% 15.9%);
-        --muted-foreground:  hsl(240 5% 64.9%);
-        --border:            hsl(240 3.7% 15.9%);
-        --ring:              hsl(240 4.9% 83.9%);
-        --color-up:          hsl(20 90% 60%);
-        --color-up-bg:       hsl(20 80% 12%);
-        --color-up-border:   hsl(20 70% 22%);
-        --color-down:        hsl(142 65% 48%);
-        --color-down-bg:     hsl(142 50% 10%);
-        --color-down-border: hsl(142 50% 20%);
-        --color-neutral:     hsl(240 5% 58%);
-        --color-neutral-bg:  hsl(240 5% 14%);
-        --color-neutral-border:hsl(240 5% 22%);
-        --sign-bg:           hsl(240 12% 5%);
-        --sign-border:       hsl(240 8% 14%);
+    if (to) {
+      params.push(to);
+      where.push(`${column} < ?${params.length}`);
+    }
+    if (source) {
+      params.push(source);
+      where.push(`json_extract(data, '$.source') = ?${params.length}`);
+    }
+    if (position) {
+      params.push(position.key, position.id);
+      const [k, id] = [params.length - 1, params.length];
+      where.push(`(${column} ${cmp} ?${k} OR (${column} = ?${k} AND id ${cmp} ?${id}))`);
+    }
+    params.push(HISTORY_SCAN_SIZE);
+    const { results } = await env.HISTORY_DB.prepare(
+      `SELECT id, data, ${column} AS sort_key FROM predictions
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY sort_key ${direction}, id ${direction} LIMIT ?${params.length}`
+    )
+      .bind(...params)
+      .all();
+    for (const row of results) {
+      yield {
+        key: row.sort_key,
+        id: row.id,
+        entry: { id: row.id, ...upgradePrediction(JSON.parse(row.data)) },
+      };
+    }
+    if (results.length < HISTORY_SCAN_SIZE) return;
+    position = { key: results.at(-1).sort_key, id: results.at(-1).id };
+  }
+}
+
+/**
+ * A page of prediction history, filtered and sorted (see HistoryQuery), for
+ * GET /api/history. Pass `next` back as `after` for the following page; it is null on
+ * the last one. A page stops early after MAX_HISTORY_SCAN rows, so it can hold fewer
+ * than `limit` entries — even none — and still have a `next`.
+ * @param {object} env
+ * @param {HistoryQuery} [query]
+ * @returns {Promise<{ entries: object[], next: { key: string, id: number }|null }>}
+ */
+export async function queryHistory(env, query = {}) {
+  const { limit = 20 } = query;
+  const q = { sort: 'effective', order: 'desc', after: null, ...query };
+  const entries = [];
+  let next = null;
+  let scanned = 0;
+  for await (const row of sortedHistory(env, q)) {
+    if (matchesHistoryQuery(row.entry, q)) {
+      // One match past the page says there is a next page, which starts after the last row read
+      if (entries.length === limit) return { entries, next };
+      entries.push(row.entry);
+    }
+    next = { key: row.key, id: row.id };
+    if (++scanned === MAX_HISTORY_SCAN) return { entries, next };
+  }
+  return { entries, next: null };
+}
+
+/**
+ * Every history entry matching a query, in its sort order — for exports, which stream
+ * the whole result instead of paging it.
+ * @param {object} env
+ * @param {HistoryQuery} query - `limit` is ignored
+ * @returns {AsyncGenerator<{ key: string, id: number, entry: object }>}
+ */
+async function* historyMatches(env, query) {
+  const q = { sort: 'effective', order: 'desc', after: null, ...query };
+  for await (const row of sortedHistory(env, q)) {
+    if (matchesHistoryQuery(row.entry, q)) yield row;
+  }
+}
+
+/**
+ * The history entry for a post, or null if it was never published.
+ * @param {string} postId
+ * @param {object} env
+ * @returns {Promise<object|null>}
+ */
+async function findHistoryEntry(postId, env) {
+  if (!env.HISTORY_DB) {
+    const raw = await env.PREDICTIONS.get(LEGACY_HISTORY_KEY);
+    const entry = (raw ? JSON.parse(raw) : []).find((h) => h.post_id === postId);
+    return entry ? upgradePrediction(entry) : null;
+  }
+  await migrateLegacyHistory(env);
+  const row = await env.HISTORY_DB.prepare('SELECT data FROM predictions WHERE post_id = ?1')
+    .bind(postId)
+    .first();
+  return row ? upgradePrediction(JSON.parse(row.data)) : null;
+}
+
+/**
+ * Store a history entry: it replaces the entry for the same post, keeping its id, or
+ * becomes the newest entry with a new id. Without HISTORY_DB the id is the next from
+ * LEGACY_HISTORY_ID_KEY, stored in the entry; blob entries from before ids were kept in
+ * KV are numbered, oldest first, on the first save. Only called from write operations
+ * (see commitWrite).
+ * @param {object} prediction
+ * @param {object} env
+ * @returns {Promise<number>} the entry's id
+ */
+async function saveHistoryEntry(prediction, env) {
+  if (env.HISTORY_DB) {
+    await migrateLegacyHistory(env);
+    return historyStatement(env.HISTORY_DB, prediction).first('id');
+  }
+
+  const maxHistory = parseInt(env.MAX_HISTORY ?? '10', 10);
+  const raw = await env.PREDICTIONS.get(LEGACY_HISTORY_KEY);
+  const history = raw ? JSON.parse(raw) : [];
+  let lastId = Math.max(
+    parseInt((await env.PREDICTIONS.get(LEGACY_HISTORY_ID_KEY)) ?? '0', 10),
+    ...history.map((h) => h.id ?? 0)
+  );
+  for (let j = history.length - 1; j >= 0; j--) {
+    if (history[j].id == null) history[j] = { ...history[j], id: ++lastId };
+  }
+  const i = prediction.post_id ? history.findIndex((h) => h.post_id === prediction.post_id) : -1;
+  if (i !== -1) {
+    history[i] = { ...prediction, id: history[i].id };
+  } else {
+    history.unshift({ ...prediction, id: ++lastId });
+  }
+  const { id } = history[i === -1 ? 0 : i];
+  if (history.length > maxHistory) history.splice(maxHistory);
+  await env.PREDICTIONS.put(LEGACY_HISTORY_KEY, JSON.stringify(history));
+  await env.PREDICTIONS.put(LEGACY_HISTORY_ID_KEY, String(lastId));
+  return id;
+}
+
+/**
+ * A history entry by its id — the prediction's permanent id — or null. Without
+ * HISTORY_DB only the entries still in the capped blob are found.
+ * @param {number} id
+ * @param {object} env
+ * @returns {Promise<object|null>}
+ */
+export async function findHistoryEntryById(id, env) {
+  if (!env.HISTORY_DB) {
+    const raw = await env.PREDICTIONS.get(LEGACY_HISTORY_KEY);
+    const entry = (raw ? JSON.parse(raw) : []).find((h) => h.id === id);
+    return entry ? upgradePrediction(entry) : null;
+  }
+  await migrateLegacyHistory(env);
+  const row = await env.HISTORY_DB.prepare('SELECT id, data FROM predictions WHERE id = ?1')
+    .bind(id)
+    .first();
+  return row ? { id: row.id, ...upgradePrediction(JSON.parse(row.data)) } : null;
+}
+
+/**
+ * Remove a history entry (from readHistory or findHistoryEntryById). Only called from
+ * write operations (see commitWrite).
+ * @param {object} entry
+ * @param {object} env
+ */
+async function removeHistoryEntry(entry, env) {
+  if (env.HISTORY_DB) {
+    await env.HISTORY_DB.prepare('DELETE FROM predictions WHERE id = ?1').bind(entry.id).run();
+    return;
+  }
+  const raw = await env.PREDICTIONS.get(LEGACY_HISTORY_KEY);
+  const history = raw ? JSON.parse(raw) : [];
+  // An entry from before ids were kept in KV can only be the newest (a rollback)
+  const rest = entry.id == null ? history.slice(1) : history.filter((h) => h.id !== entry.id);
+  await env.PREDICTIONS.put(LEGACY_HISTORY_KEY, JSON.stringify(rest));
+}
+
+// ── Audit Log ────────────────────────────────────────────────────────────────
+
+/** Audit entries kept in KV when there is no HISTORY_DB binding. */
+const MAX_KV_AUDIT = 200;
+
+/**
+ * Who is making a change and how, passed down to the write operations.
+ * `actor` is the API token's name (see tokenName) or `cron`; `request_id` is the
+ * request's cf-ray (or a generated id), or the cron run's id.
+ * @typedef {{ actor: string, entry_point: 'cron'|'webhook'|'mcp'|'pending'|'api', request_id: string|null }} AuditContext
+ */
+
+/**
+ * An audit log entry: one change to a published prediction, or to a held one.
+ * @typedef {object} AuditEntry
+ * @property {number} id
+ * @property {string} at
+ * @property {'publish'|'retract'|'unretract'|'attach_updates'|'delete'|'rollback'|'restore'|'hold'|'reject'} action
+ * @property {string} actor
+ * @property {string} entry_point
+ * @property {string|null} request_id
+ * @property {string|null} post_id
+ * @property {object|null} previous - the prediction before the change
+ * @property {object|null} current - the prediction after it
+ */
+
+/**
+ * The audit context of a scheduled run.
+ * @param {CronRun} run
+ * @returns {AuditContext}
+ */
+function cronAudit(run) {
+  return { actor: 'cron', entry_point: 'cron', request_id: run.id };
+}
+
+/**
+ * The audit context of an authenticated request (authorize() has already passed).
+ * @param {Request} request
+ * @param {object} env
+ * @param {AuditContext['entry_point']} entryPoint
+ * @returns {AuditContext}
+ */
+function requestAudit(request, env, entryPoint) {
+  const authHeader = request.headers.get('authorization') ?? '';
+  return {
+    actor: tokenName(authHeader.replace(/^Bearer /, ''), env) ?? 'unknown',
+    entry_point: entryPoint,
+    request_id: request.headers.get('cf-ray') ?? crypto.randomUUID(),
+  };
+}
+
+/**
+ * Append an entry to the audit log — a D1 table no row of which is ever changed, or a
+ * KV list capped at MAX_KV_AUDIT without the binding. Only called from write
+ * operations, so `previous` is exactly what the change replaced.
+ * @param {{ action: AuditEntry['action'], post_id: string|null, previous: object|null, current: object|null }} change
+ * @param {AuditContext|undefined} audit - a missing context is logged as `unknown`
+ * @param {object} env
+ */
+async function appendAudit(change, audit, env) {
+  const entry = {
+    at: new Date().toISOString(),
+    action: change.action,
+    actor: audit?.actor ?? 'unknown',
+    entry_point: audit?.entry_point ?? 'unknown',
+    request_id: audit?.request_id ?? null,
+    post_id: change.post_id ?? null,
+    previous: change.previous ?? null,
+    current: change.current ?? null,
+  };
+
+  if (env.HISTORY_DB) {
+    await env.HISTORY_DB.prepare(
+      `INSERT INTO audit_log (at, action, actor, entry_point, request_id, post_id, previous, current)
+       VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8)`
+    )
+      .bind(
+        entry.at,
+        entry.action,
+        entry.actor,
+        entry.entry_point,
+        entry.request_id,
+        entry.post_id,
+        entry.previous && JSON.stringify(entry.previous),
+        entry.current && JSON.stringify(entry.current)
+      )
+      .run();
+    return;
+  }
+
+  const raw = await env.PREDICTIONS.get('audit_log');
+  const log = raw ? JSON.parse(raw) : [];
+  log.unshift({ id: (log[0]?.id ?? 0) + 1, ...entry });
+  await env.PREDICTIONS.put('audit_log', JSON.stringify(log.slice(0, MAX_KV_AUDIT)));
+}
+
+/**
+ * Audit log entries, newest first, optionally filtered. `before` is an entry id: pass
+ * the last id of a page to get the next one.
+ * @param {object} env
+ * @param {{ limit?: number, before?: number|null, post_id?: string|null, actor?: string|null, entry_point?: string|null, request_id?: string|null }} [query]
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function readAudit(env, { limit = 50, before = null, ...filters } = {}) {
+  const columns = ['post_id', 'actor', 'entry_point', 'request_id'].filter(
+    (c) => filters[c] !== undefined && filters[c] !== null
+  );
+
+  if (!env.HISTORY_DB) {
+    const raw = await env.PREDICTIONS.get('audit_log');
+    return (raw ? JSON.parse(raw) : [])
+      .filter((e) => before === null || e.id < before)
+      .filter((e) => columns.every((c) => e[c] === filters[c]))
+      .slice(0, limit);
+  }
+
+  const where = columns.map((c, i) => `${c} = ?${i + 1}`);
+  const params = columns.map((c) => filters[c]);
+  if (before !== null) {
+    params.push(before);
+    where.push(`id < ?${params.length}`);
+  }
+  params.push(limit);
+  const { results } = await env.HISTORY_DB.prepare(
+    `SELECT * FROM audit_log ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY id DESC LIMIT ?${params.length}`
+  )
+    .bind(...params)
+    .all();
+  return results.map((row) => ({
+    ...row,
+    previous: row.previous ? JSON.parse(row.previous) : null,
+    current: row.current ? JSON.parse(row.current) : null,
+  }));
+}
+
+// ── Backup ───────────────────────────────────────────────────────────────────
+
+const BACKUP_FORMAT = 'buckit-backup';
+const BACKUP_VERSION = 1;
+
+/**
+ * KV keys a backup holds: the published state, its image and dedup keys, the held
+ * predictions and the run journal. Feed caches and Reddit back-off are left out — they rebuild
+ * themselves — and so is the KV audit log, which is append-only.
+ */
+const BACKUP_KV_KEYS = [
+  'latest_prediction',
+  LEGACY_HISTORY_KEY,
+  LEGACY_HISTORY_ID_KEY,
+  'latest_image_key',
+  'latest_image_prompt',
+  'last_processed_post_id',
+  'cron_runs',
+];
+const BACKUP_KV_PREFIXES = ['processed_post:', 'image_prompt:', 'pending_prediction:'];
+
+/** D1 history rows and R2 objects read per page while exporting. */
+const BACKUP_PAGE_SIZE = 500;
+
+/**
+ * A backup document — see writeBackup() for how it is produced.
+ * @typedef {object} Backup
+ * @property {'buckit-backup'} format
+ * @property {1} version
+ * @property {string} exported_at
+ * @property {{ key: string, value: string, expiration?: number }[]} kv - raw KV values; `expiration` in epoch seconds
+ * @property {{ id: number, data: object }[]} history - HISTORY_DB rows, oldest first (empty without the binding)
+ * @property {{ key: string, size: number, etag: string, uploaded: string, custom_metadata: object }[]} images - R2 manifest; the bytes stay in R2
+ */
+
+/**
+ * Whether a KV key belongs in a backup.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isBackupKey(key) {
+  return BACKUP_KV_KEYS.includes(key) || BACKUP_KV_PREFIXES.some((p) => key.startsWith(p));
+}
+
+/**
+ * The backed-up KV entries: the fixed keys that are set, then every prefixed key.
+ * @param {object} env
+ * @returns {AsyncGenerator<Backup['kv'][number]>}
+ */
+async function* backupKvEntries(env) {
+  for (const key of BACKUP_KV_KEYS) {
+    const value = await env.PREDICTIONS.get(key);
+    if (value !== null) yield { key, value };
+  }
+  for (const prefix of BACKUP_KV_PREFIXES) {
+    let cursor;
+    do {
+      const page = await env.PREDICTIONS.list({ prefix, cursor });
+      for (const { name, expiration } of page.keys) {
+        const value = await env.PREDICTIONS.get(name);
+        if (value !== null) yield { key: name, value, ...(expiration ? { expiration } : {}) };
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+  }
+}
+
+/**
+ * The HISTORY_DB rows, oldest first, a page at a time.
+ * @param {object} env
+ * @returns {AsyncGenerator<Backup['history'][number]>}
+ */
+async function* backupHistoryRows(env) {
+  if (!env.HISTORY_DB) return;
+  await migrateLegacyHistory(env);
+  let after = 0;
+  for (;;) {
+    const { results } = await env.HISTORY_DB.prepare(
+      'SELECT id, data FROM predictions WHERE id > ?1 ORDER BY id LIMIT ?2'
+    )
+      .bind(after, BACKUP_PAGE_SIZE)
+      .all();
+    for (const row of results) yield { id: row.id, data: JSON.parse(row.data) };
+    if (results.length < BACKUP_PAGE_SIZE) return;
+    after = results.at(-1).id;
+  }
+}
+
+/**
+ * The R2 image manifest, a page at a time.
+ * @param {object} env
+ * @returns {AsyncGenerator<Backup['images'][number]>}
+ */
+async function* backupImages(env) {
+  let cursor;
+  do {
+    const page = await env.IMAGES.list({
+      prefix: 'images/',
+      cursor,
+      limit: BACKUP_PAGE_SIZE,
+      include: ['customMetadata'],
+    });
+    for (const obj of page.objects) {
+      yield {
+        key: obj.key,
+        size: obj.size,
+        etag: obj.etag,
+        uploaded: new Date(obj.uploaded).toISOString(),
+        custom_metadata: obj.customMetadata ?? {},
+      };
+    }
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+}
+
+/**
+ * Write a backup document to `writer` piece by piece, so history of any length can be
+ * exported without holding it all in memory (see streamDownload).
+ * @param {WritableStreamDefaultWriter<string>} writer
+ * @param {object} env
+ */
+async function writeBackup(writer, env) {
+  const header = { format: BACKUP_FORMAT, version: BACKUP_VERSION, exported_at: new Date() };
+  await writer.write(JSON.stringify(header).slice(0, -1));
+  const sections = { kv: backupKvEntries, history: backupHistoryRows, images: backupImages };
+  for (const [name, entries] of Object.entries(sections)) {
+    await writer.write(`,"${name}":[`);
+    let first = true;
+    for await (const entry of entries(env)) {
+      await writer.write((first ? '' : ',') + JSON.stringify(entry));
+      first = false;
+    }
+    await writer.write(']');
+  }
+  await writer.write('}');
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean} whether it is a plain (non-array) object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * What is wrong with a stored prediction record, or null — enough of its shape that
+ * the pages and APIs reading it back won't throw.
+ * @param {unknown} p
+ * @returns {string|null}
+ */
+function predictionShapeError(p) {
+  if (!isPlainObject(p)) return 'must be a prediction object';
+  if (p.kind != null && !['weekly', 'interrupter'].includes(p.kind)) {
+    return 'kind must be "weekly" or "interrupter"';
+  }
+  for (const key of ['gas', 'diesel', 'grades', 'zones']) {
+    if (p[key] != null && !isPlainObject(p[key])) return `${key} must be an object or null`;
+  }
+  if (p.interrupters != null) {
+    if (!Array.isArray(p.interrupters)) return 'interrupters must be an array';
+    for (const [i, e] of p.interrupters.entries()) {
+      const error = predictionShapeError(e);
+      if (error) return `interrupters[${i}] ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Backed-up KV values stored as JSON, by key or key prefix, with a check of the parsed
+ * value: what is wrong with it, or null. Other backed-up keys are plain strings.
+ * @type {Object<string, (value: unknown) => string|null>}
+ */
+const BACKUP_JSON_VALUES = {
+  latest_prediction: predictionShapeError,
+  [LEGACY_HISTORY_KEY]: (v) => {
+    if (!Array.isArray(v)) return 'must be an array of predictions';
+    for (const [i, p] of v.entries()) {
+      const error = predictionShapeError(p);
+      if (error) return `[${i}] ${error}`;
+    }
+    return null;
+  },
+  [LEGACY_HISTORY_ID_KEY]: (v) => (Number.isInteger(v) && v >= 0 ? null : 'must be an integer'),
+  cron_runs: (v) =>
+    Array.isArray(v) && v.every(isPlainObject) ? null : 'must be an array of run objects',
+  'processed_post:': (v) =>
+    isPlainObject(v) && typeof v.content_hash === 'string' && Number.isInteger(v.revision)
+      ? null
+      : 'must be { content_hash, revision, ... }',
+  'pending_prediction:': predictionShapeError,
+};
+
+/**
+ * Check a backup document before it is restored: its sections, every KV value stored as
+ * JSON (see BACKUP_JSON_VALUES), and that no two history rows share an id or a post.
+ * @param {unknown} backup
+ * @returns {string|null} what is wrong with it, or null if it is valid
+ */
+export function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    return 'Backup must be a JSON object';
+  }
+  if (backup.format !== BACKUP_FORMAT) return `format must be "${BACKUP_FORMAT}"`;
+  if (backup.version !== BACKUP_VERSION) return `Unsupported backup version ${backup.version}`;
+  for (const section of ['kv', 'history', 'images']) {
+    if (!Array.isArray(backup[section])) return `${section} must be an array`;
+  }
+
+  for (const [i, entry] of backup.kv.entries()) {
+    if (typeof entry?.key !== 'string' || !isBackupKey(entry.key)) {
+      return `kv[${i}]: ${JSON.stringify(entry?.key)} is not a backed-up key`;
+    }
+    if (typeof entry.value !== 'string') return `kv[${i}]: value must be a string`;
+    if (entry.expiration != null && !Number.isInteger(entry.expiration)) {
+      return `kv[${i}]: expiration must be an integer`;
+    }
+    const check = Object.entries(BACKUP_JSON_VALUES).find(([k]) =>
+      k.endsWith(':') ? entry.key.startsWith(k) : entry.key === k
+    )?.[1];
+    if (check) {
+      let value;
+      try {
+        value = JSON.parse(entry.value);
+      } catch {
+        return `kv[${i}]: ${entry.key} is not valid JSON`;
       }
+      const error = check(value);
+      if (error) return `kv[${i}]: ${entry.key} ${error}`;
     }
-    *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
-    html { font-size: 100%; -webkit-text-size-adjust: 100%; }
-    body { font-family: var(--font-sans); background: var(--background); color: var(--foreground); min-height: 100dvh; display: flex; flex-direction: column; line-height: 1.5; -webkit-font-smoothing: antialiased; }
-    img { max-width: 100%; height: auto; display: block; }
-    ul { list-style: none; }
-    a { color: inherit; }
-    main { flex: 1; width: 100%; max-width: 640px; margin: 0 auto; padding: clamp(1.25rem,4vw,2rem) clamp(0.875rem,4vw,1.25rem); display: flex; flex-direction: column; gap: 0.875rem; }
+  }
 
-    /* Wordmark */
-    .wordmark { display: flex; align-items: center; justify-content: space-between; padding: 0 0.125rem; }
-    .wordmark-logo { font-family: var(--font-display); font-size: clamp(1.35rem,4vw,1.6rem); font-weight: 900; letter-spacing: -0.04em; color: var(--foreground); text-decoration: none; line-height: 1; }
-    .wordmark-logo span { color: var(--muted-foreground); font-weight: 700; }
+  const ids = new Set();
+  const postIds = new Set();
+  for (const [i, row] of backup.history.entries()) {
+    if (!Number.isInteger(row?.id) || row.id < 1 || ids.has(row.id)) {
+      return `history[${i}]: id must be a unique positive integer`;
+    }
+    const error = predictionShapeError(row.data);
+    if (error) return `history[${i}]: data ${error}`;
+    // Rows for the same post would collapse into one on restore
+    const postId = row.data.post_id ?? null;
+    if (postId !== null && postIds.has(postId)) {
+      return `history[${i}]: post ${JSON.stringify(postId)} is in the history twice`;
+    }
+    ids.add(row.id);
+    postIds.add(postId);
+  }
 
-    /* Sign board */
-    .sign-board { background: var(--sign-bg); border: 1px solid var(--sign-border); border-radius: calc(var(--radius)*2); overflow: hidden; position: relative; box-shadow: inset 0 1px 0 hsl(0 0% 100%/0.04), 0 1px 3px hsl(0 0% 0%/0.12), 0 4px 16px hsl(0 0% 0%/0.1); }
-    .sign-board::before { content:''; position:absolute; inset:0; background:repeating-linear-gradient(0deg,transparent,transparent 3px,var(--sign-scanline) 3px,var(--sign-scanline) 4px); pointer-events:none; z-index:2; }
-    .sign-board::after { content:''; position:absolute; top:0; left:0; right:0; height:3px; background:${accentColor}; box-shadow:0 0 16px ${accentColor}; z-index:3; }
-    .sign-inner { position:relative; z-index:1; padding:clamp(1.5rem,5vw,2.5rem) clamp(1rem,4vw,2rem) clamp(1.25rem,4vw,2rem); display:flex; flex-direction:column; align-items:center; text-align:center; gap:0; }
+  for (const [i, image] of backup.images.entries()) {
+    if (typeof image?.key !== 'string') return `images[${i}]: key must be a string`;
+  }
+  return null;
+}
+
+/**
+ * Replace the backed-up state with a (validated) backup: KV keys missing from it are
+ * deleted, and the history table is emptied and refilled with the same row ids. KV
+ * entries that have expired since the export are skipped. The history is replaced first,
+ * in one D1 batch (a transaction), and KV only once that has succeeded, so a failed
+ * restore leaves the current state as it was.
+ * Write operation `restore` — run it through commitWrite(). The audit entry records
+ * latest_prediction before and after.
+ * @param {{ backup: Backup, audit?: AuditContext }} args
+ * @param {object} env
+ * @returns {Promise<{ kv: number, history: number }>} entries restored
+ */
+async function restoreBackup({ backup, audit }, env) {
+  const previous = await readLatestPrediction(env);
+
+  if (env.HISTORY_DB) {
+    await env.HISTORY_DB.batch([
+      env.HISTORY_DB.prepare('DELETE FROM predictions'),
+      ...backup.history.map((row) => historyStatement(env.HISTORY_DB, row.data, row.id)),
+    ]);
+  }
+
+  // KV rejects expirations less than 60 seconds away
+  const minExpiration = Math.floor(Date.now() / 1000) + 60;
+  const entries = backup.kv.filter((e) => e.expiration == null || e.expiration >= minExpiration);
+  const keep = new Set(entries.map((e) => e.key));
+
+  const stale = BACKUP_KV_KEYS.filter((key) => !keep.has(key));
+  for (const prefix of BACKUP_KV_PREFIXES) {
+    let cursor;
+    do {
+      const page = await env.PREDICTIONS.list({ prefix, cursor });
+      stale.push(...page.keys.map((k) => k.name).filter((name) => !keep.has(name)));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+  }
+  for (const key of stale) await env.PREDICTIONS.delete(key);
+  for (const { key, value, expiration } of entries) {
+    await env.PREDICTIONS.put(key, value, expiration == null ? {} : { expiration });
+  }
+
+  if (!env.HISTORY_DB && !keep.has(LEGACY_HISTORY_KEY) && backup.history.length > 0) {
+    // A D1 backup restored without the binding: keep the newest MAX_HISTORY in KV
+    const maxHistory = parseInt(env.MAX_HISTORY ?? '10', 10);
+    const newest = backup.history.map((row) => ({ id: row.id, ...row.data })).reverse();
+    await env.PREDICTIONS.put(LEGACY_HISTORY_KEY, JSON.stringify(newest.slice(0, maxHistory)));
+    await env.PREDICTIONS.put(
+      LEGACY_HISTORY_ID_KEY,
+      String(Math.max(0, ...newest.map((h) => h.id)))
+    );
+  }
+
+  const current = await readLatestPrediction(env);
+  await appendAudit(
+    { action: 'restore', post_id: current?.post_id ?? null, previous, current },
+    audit,
+    env
+  );
+  return { kv: entries.length, history: backup.history.length };
+}
+
+// ── KV Helpers ───────────────────────────────────────────────────────────────
+
+/**
+ * The published prediction from `latest_prediction`, upgraded to the current schema.
+ * @param {object} env
+ * @returns {Promise<Prediction|null>}
+ */
+async function readLatestPrediction(env) {
+  const raw = await env.PREDICTIONS.get('latest_prediction');
+  return raw ? upgradePrediction(JSON.parse(raw)) : null;
+}
+
+/**
+ * Default plausibility limits. Overridable via PRICE_MIN / PRICE_MAX ($/L),
+ * MAX_WEEKLY_DELTA and ADJUSTMENT_TOLERANCE (cents).
+ */
+const DEFAULT_PRICE_LIMITS = { min: 0.5, max: 3, maxDelta: 25, tolerance: 0.5 };
+
+/**
+ * Plausibility limits for this deployment.
+ * @param {object} env
+ * @returns {{ min: number, max: number, maxDelta: number, tolerance: number }}
+ */
+function priceLimits(env) {
+  const num = (value, fallback) => {
+    const n = parseFloat(value);
+    return isNaN(n) ? fallback : n;
+  };
+  return {
+    min: num(env.PRICE_MIN, DEFAULT_PRICE_LIMITS.min),
+    max: num(env.PRICE_MAX, DEFAULT_PRICE_LIMITS.max),
+    maxDelta: num(env.MAX_WEEKLY_DELTA, DEFAULT_PRICE_LIMITS.maxDelta),
+    tolerance: num(env.ADJUSTMENT_TOLERANCE, DEFAULT_PRICE_LIMITS.tolerance),
+  };
+}
+
+/**
+ * The prices currently in force for a published prediction: its weekly grades,
+ * overridden by the latest interrupter clause adjustment if there is one.
+ * @param {object|null} p
+ * @returns {Object<string, object>}
+ */
+function currentGrades(p) {
+  const latestInterrupter = p?.interrupters?.[p.interrupters.length - 1];
+  return { ...predictionGrades(p), ...predictionGrades(latestInterrupter ?? null) };
+}
+
+/**
+ * Check a parsed prediction against the price bounds and the currently published prices.
+ *
+ * - every price (all grades, all zones) must be within `min`–`max` $/L
+ * - no adjustment may exceed `maxDelta` cents
+ * - each grade's price may not move more than `maxDelta` cents from the published price,
+ *   and the move must match its stated adjustment to within `tolerance` cents
+ *
+ * @param {object} prediction
+ * @param {object|null} previous - the published latest_prediction
+ * @param {{ min: number, max: number, maxDelta: number, tolerance: number }} [limits]
+ * @returns {string[]} anomalies — empty if the prediction looks plausible
+ */
+export function checkPlausibility(prediction, previous, limits = DEFAULT_PRICE_LIMITS) {
+  const anomalies = [];
+  const cents = (n) => `${n > 0 ? '+' : ''}${n.toFixed(1)}¢`;
+
+  const checkBounds = (grades, where) => {
+    for (const [key, slot] of Object.entries(grades)) {
+      const label = where ? `${gradeLabel(key)} (${where})` : gradeLabel(key);
+      if (slot?.price != null && (slot.price < limits.min || slot.price > limits.max)) {
+        anomalies.push(
+          `${label} price $${slot.price.toFixed(3)}/L is outside $${limits.min.toFixed(2)}–$${limits.max.toFixed(2)}`
+        );
+      }
+      if (slot?.adjustment != null && Math.abs(slot.adjustment) > limits.maxDelta) {
+        anomalies.push(`${label} adjustment ${slot.adjustment}¢ exceeds ${limits.maxDelta}¢`);
+      }
+    }
+  };
+
+  checkBounds(predictionGrades(prediction));
+  // Zone 1 is the top-level grades, already checked
+  for (const [zone, grades] of Object.entries(prediction.zones ?? {})) {
+    if (Number(zone) !== 1) checkBounds(grades, zoneLabel(Number(zone)));
+  }
+
+  const published = currentGrades(previous);
+  for (const [key, slot] of Object.entries(predictionGrades(prediction))) {
+    const before = published[key]?.price;
+    if (slot?.price == null || before == null) continue;
+    const moved = Math.round((slot.price - before) * 1000) / 10;
+    if (Math.abs(moved) > limits.maxDelta) {
+      anomalies.push(
+        `${gradeLabel(key)} moved ${cents(moved)} from $${before.toFixed(3)}/L (max ${limits.maxDelta}¢)`
+      );
+    }
+    const expected =
+      slot.direction === 'no-change'
+        ? 0
+        : slot.adjustment == null
+          ? null
+          : slot.direction === 'down'
+            ? -slot.adjustment
+            : slot.direction === 'up'
+              ? slot.adjustment
+              : null;
+    if (expected !== null && Math.abs(moved - expected) > limits.tolerance) {
+      anomalies.push(
+        `${gradeLabel(key)} moved ${cents(moved)} but its adjustment is ${cents(expected)}`
+      );
+    }
+  }
+
+  return anomalies;
+}
+
+/** KV key prefix of held predictions: one `pending_prediction:{post_id}` per post. */
+const PENDING_PREFIX = 'pending_prediction:';
+
+/**
+ * Every prediction held for review, newest first.
+ * @param {object} env
+ * @returns {Promise<object[]>}
+ */
+async function readPending(env) {
+  const { keys } = await env.PREDICTIONS.list({ prefix: PENDING_PREFIX });
+  const held = await Promise.all(keys.map(({ name }) => env.PREDICTIONS.get(name)));
+  return held
+    .filter(Boolean)
+    .map((raw) => JSON.parse(raw))
+    .sort((a, b) => (b.updated_at ?? '').localeCompare(a.updated_at ?? ''));
+}
+
+/**
+ * Hold a prediction in `pending_prediction:{post_id}` for review instead of publishing
+ * it, audit-logged as a `hold`, and mark its post processed if `processed` is given. A
+ * newer hold for the same post replaces the older one; other posts' holds are kept.
+ * Write operation `hold` — run it through commitWrite().
+ * @param {{ prediction: object, reason: 'low_confidence'|'anomaly', details?: object, processed?: ProcessedRecord|null, audit?: AuditContext }} args
+ *   `details` are extra fields stored with the held prediction (e.g. anomalies)
+ * @param {object} env
+ */
+async function holdForReview({ prediction, reason, details = {}, processed = null, audit }, env) {
+  const key = `${PENDING_PREFIX}${prediction.post_id}`;
+  const raw = await env.PREDICTIONS.get(key);
+  const held = { ...prediction, ...details, held_reason: reason };
+  await appendAudit(
+    {
+      action: 'hold',
+      post_id: prediction.post_id ?? null,
+      previous: raw ? JSON.parse(raw) : null,
+      current: held,
+    },
+    audit,
+    env
+  );
+  await env.PREDICTIONS.put(key, JSON.stringify(held));
+  if (processed) await markProcessed(processed, env);
+}
+
+/**
+ * Approve or reject the prediction held for a post. An approval is published as by
+ * writePrediction() with `keep_newer` (audit-logged as a `publish`), a rejection is
+ * audit-logged as a `reject` of the held prediction; either way the hold is deleted only
+ * once that has succeeded, so a failed publish leaves it held.
+ * Write operation `review` — run it through commitWrite(), so two reviews of the same
+ * hold can't both act on it.
+ * @param {{ post_id: string|null, action: 'approve'|'reject', audit?: AuditContext }} args
+ * @param {object} env
+ * @returns {Promise<{ prediction: object }|{ rejected: object }|null>} null if the post
+ *   has no held prediction (any more)
+ */
+async function reviewPending({ post_id: postId, action, audit }, env) {
+  const key = `${PENDING_PREFIX}${postId}`;
+  const raw = await env.PREDICTIONS.get(key);
+  if (raw === null) return null;
+  const pending = JSON.parse(raw);
+
+  let result;
+  if (action === 'approve') {
+    const { held_reason, anomalies, ...approved } = pending;
+    approved.approved_at = new Date().toISOString();
+    const prediction = await publishPrediction(
+      { prediction: approved, keep_newer: true, audit },
+      env
+    );
+    console.log(`Pending: approved post ${postId} (held for ${held_reason})`);
+    result = { prediction };
+  } else {
+    await appendAudit(
+      { action: 'reject', post_id: pending.post_id ?? null, previous: pending, current: null },
+      audit,
+      env
+    );
+    console.log(`Pending: rejected post ${postId}`);
+    result = { rejected: pending };
+  }
+  await env.PREDICTIONS.delete(key);
+  return result;
+}
+
+/** How long per-post edit-tracking records are kept (posts are only eligible for 7 days). */
+const PROCESSED_POST_TTL = 30 * 86400;
+
+/**
+ * What markProcessed() records about a post.
+ * @typedef {{ post: { id: string, updated: string|null }, hash: string, revision: number }} ProcessedRecord
+ */
+
+/**
+ * @param {{ id: string, updated?: string|null }} post
+ * @param {string} hash - contentHash(post)
+ * @param {number} revision
+ * @returns {ProcessedRecord}
+ */
+function processedRecord(post, hash, revision) {
+  return { post: { id: post.id, updated: post.updated ?? null }, hash, revision };
+}
+
+/**
+ * Mark a post processed: the `last_processed_post_id` dedup key plus a per-post
+ * `processed_post:{id}` record of its content hash, Atom <updated> time and revision,
+ * used to spot edits.
+ * Write operation `mark_processed` — run it through commitWrite().
+ * @param {ProcessedRecord} record
+ * @param {object} env
+ */
+async function markProcessed({ post, hash, revision }, env) {
+  await env.PREDICTIONS.put('last_processed_post_id', post.id);
+  await env.PREDICTIONS.put(
+    `processed_post:${post.id}`,
+    JSON.stringify({
+      content_hash: hash,
+      updated: post.updated ?? null,
+      revision,
+      processed_at: new Date().toISOString(),
+    }),
+    { expirationTtl: PROCESSED_POST_TTL }
+  );
+}
+
+/**
+ * The prediction a post's prices should be checked against. For a revision of a post
+ * already in `history`, that is what was in force before the post — not its earlier
+ * revision, nor a newer week that has replaced it.
+ * @param {object|null} published - latest_prediction
+ * @param {object[]} history - prediction_history
+ * @param {string} postId
+ * @returns {object|null}
+ */
+function plausibilityBaseline(published, history, postId) {
+  if (!published) return null;
+  if (published.interrupters?.some((e) => e.post_id === postId)) {
+    return {
+      ...published,
+      interrupters: published.interrupters.filter((e) => e.post_id !== postId),
+    };
+  }
+  const i = history.findIndex((h) => h.post_id === postId);
+  if (published.post_id === postId || i !== -1) {
+    return i === -1 ? null : (history[i + 1] ?? null);
+  }
+  return published;
+}
+
+/**
+ * The fields of an earlier revision kept in `revisions` when a post is re-parsed.
+ * @param {object} p
+ * @returns {object}
+ */
+function revisionSnapshot(p) {
+  return {
+    revision: p.revision ?? 1,
+    gas: p.gas ?? null,
+    diesel: p.diesel ?? null,
+    grades: predictionGrades(p),
+    zones: p.zones ?? null,
+    effective_at: p.effective_at ?? null,
+    notes: p.notes ?? null,
+    updated_at: p.updated_at ?? null,
+  };
+}
+
+/**
+ * Whether publishing `prediction` would take latest_prediction back to an earlier week:
+ * it is not part of `current` (the weekly post or one of its interrupters) and is not
+ * newer than it.
+ * @param {object} prediction
+ * @param {object|null} current - latest_prediction
+ * @returns {boolean}
+ */
+function isSuperseded(prediction, current) {
+  if (!current || current.post_id === prediction.post_id) return false;
+  if (current.interrupters?.some((e) => e.post_id === prediction.post_id)) return false;
+  const date = HISTORY_SORTS.effective.value;
+  return date(prediction) <= date(current);
+}
+
+/**
+ * Publish a prediction: write latest_prediction and its history entry together with
+ * its image key and dedup record, through the single write path (see commitWrite).
+ *
+ * Interrupter clause events don't replace the week's prediction: they are recorded
+ * against it (`amends`) and appended to its `interrupters` list, so the homepage and
+ * /api/latest show the weekly price plus any mid-week adjustments. If there is no
+ * weekly prediction to amend, the interrupter becomes the latest prediction itself.
+ * Every event — weekly or interrupter — gets its own history entry.
+ * @param {object} prediction
+ * @param {object} env
+ * @param {{ image?: { key: string, prompt: string }|null, processed?: ProcessedRecord|null, expected_revision?: number, keep_newer?: boolean, audit?: AuditContext }} [options]
+ *   `expected_revision` makes the write optimistic: it is refused unless the post's
+ *   history entry is still at that revision. `keep_newer` leaves a newer
+ *   latest_prediction in place: a superseded prediction (see isSuperseded) only updates
+ *   its history entry. `audit` says who is publishing it, for the audit log.
+ * @returns {Promise<object|null>} the prediction as stored, or null if refused
+ */
+export function writePrediction(prediction, env, options = {}) {
+  return commitWrite('publish', { prediction, ...options }, env);
+}
+
+/**
+ * Write operation `publish` — see writePrediction(). The audit entry records
+ * latest_prediction before and after.
+ * @param {{ prediction: object, image?: { key: string, prompt: string }|null, processed?: ProcessedRecord|null, expected_revision?: number, keep_newer?: boolean, audit?: AuditContext }} args
+ * @param {object} env
+ * @returns {Promise<object|null>}
+ */
+async function publishPrediction(
+  {
+    prediction: input,
+    image = null,
+    processed = null,
+    expected_revision,
+    keep_newer = false,
+    audit,
+  },
+  env
+) {
+  // Records from before schema_version (e.g. a held prediction approved later)
+  const prediction = upgradePrediction(input);
+  // A re-parsed (edited) post replaces its own history entry, keeping the earlier
+  // numbers in `revisions` so the correction is visible.
+  const previous = prediction.post_id ? await findHistoryEntry(prediction.post_id, env) : null;
+  if (expected_revision !== undefined && (previous?.revision ?? 1) !== expected_revision) {
+    return null;
+  }
+  if (image) prediction.image_key = image.key;
+  if (previous) {
+    prediction.revisions = [...(previous.revisions ?? []), revisionSnapshot(previous)];
+    if (previous.updates && !prediction.updates) prediction.updates = previous.updates;
+  }
+
+  const current = await readLatestPrediction(env);
+
+  if (keep_newer && isSuperseded(prediction, current)) {
+    prediction.id = await saveHistoryEntry(prediction, env);
+    await appendAudit(
+      { action: 'publish', post_id: prediction.post_id, previous, current: prediction },
+      audit,
+      env
+    );
+    if (processed) await markProcessed(processed, env);
+    return prediction;
+  }
+
+  let latest = prediction;
+  if (prediction.kind === 'interrupter') {
+    const revisedEvent = current?.interrupters?.findIndex((e) => e.post_id === prediction.post_id);
+    if (current && revisedEvent !== undefined && revisedEvent !== -1) {
+      prediction.amends = current.interrupters[revisedEvent].amends ?? null;
+      latest = { ...current, interrupters: current.interrupters.with(revisedEvent, prediction) };
+    } else if (current && current.kind !== 'interrupter') {
+      prediction.amends = {
+        post_id: current.post_id ?? null,
+        updated_at: current.updated_at ?? null,
+      };
+      latest = { ...current, interrupters: [...(current.interrupters ?? []), prediction] };
+    } else {
+      prediction.amends = null;
+    }
+  } else if (current?.interrupters && current.post_id && current.post_id === prediction.post_id) {
+    // Revised weekly post — keep this week's interrupters
+    latest = { ...prediction, interrupters: current.interrupters };
+  }
+
+  // The history row id is the prediction's permanent id (/api/predictions/:id, /p/:id)
+  prediction.id = await saveHistoryEntry(prediction, env);
+  // A weekly prediction is latest itself, or copied into it with its interrupters
+  if (prediction.kind !== 'interrupter') latest.id = prediction.id;
+  await env.PREDICTIONS.put('latest_prediction', JSON.stringify(latest));
+  await appendAudit(
+    { action: 'publish', post_id: prediction.post_id, previous: current, current: latest },
+    audit,
+    env
+  );
+
+  if (image) {
+    await env.PREDICTIONS.put('latest_image_key', image.key);
+    await env.PREDICTIONS.put('latest_image_prompt', image.prompt);
+    // Kept per image so a rollback can restore the prompt with the image
+    await env.PREDICTIONS.put(`image_prompt:${image.key}`, image.prompt);
+  }
+  if (processed) await markProcessed(processed, env);
+  return prediction;
+}
+
+/** History entries a rollback looks through to rebuild latest_prediction and its image. */
+const ROLLBACK_WINDOW = 50;
+
+/**
+ * latest_prediction as it stood when `history[0]` was the newest entry: the newest
+ * weekly prediction with the interrupters published after it, as publishPrediction()
+ * builds it.
+ * @param {object[]} history - newest first, from readHistory
+ * @returns {object|null}
+ */
+function latestFromHistory(history) {
+  const weekly = history.findIndex((p) => p.kind !== 'interrupter');
+  if (weekly <= 0) return history[0] ?? null;
+  return { ...history[weekly], interrupters: history.slice(0, weekly).reverse() };
+}
+
+/**
+ * The image a history entry was published with: its `image_key`, or for entries from
+ * before that was recorded, `images/{post_id}.png` if it exists in R2.
+ * @param {object} entry
+ * @param {object} env
+ * @returns {Promise<string|null>}
+ */
+async function entryImageKey(entry, env) {
+  if (entry.image_key) return entry.image_key;
+  if (!entry.post_id) return null;
+  const key = `images/${entry.post_id}.png`;
+  return (await env.IMAGES.head(key)) ? key : null;
+}
+
+/**
+ * Roll back latest_prediction: remove the newest history entry and restore the
+ * prediction, image key and image prompt from before it was published, through the
+ * single write path (see commitWrite). Dedup keys are left alone, so the rolled-back
+ * post stays processed and the next cron run doesn't publish it again (an edit to it
+ * is still picked up as a new revision).
+ * @param {object} env
+ * @param {{ audit?: AuditContext }} [options]
+ * @returns {Promise<{ removed: object, latest: object|null }|null>} null if history is empty
+ */
+export function rollbackPrediction(env, options = {}) {
+  return commitWrite('remove_entry', { id: null, ...options }, env);
+}
+
+/**
+ * Delete a history entry by its id (see readHistory) — a bad prediction drops off the
+ * homepage list and chart. If latest_prediction includes it, latest_prediction is
+ * rolled back as by rollbackPrediction().
+ * @param {number} id
+ * @param {object} env
+ * @param {{ audit?: AuditContext }} [options]
+ * @returns {Promise<{ removed: object, latest: object|null }|null>} null if there is no such entry
+ */
+export function deleteHistoryEntry(id, env, options = {}) {
+  return commitWrite('remove_entry', { id, ...options }, env);
+}
+
+/**
+ * Write operation `remove_entry` — see rollbackPrediction() and deleteHistoryEntry().
+ * Audit-logged as a `delete` of the entry and, if latest_prediction changed, a
+ * `rollback` from the old to the new one.
+ * @param {{ id: number|null, audit?: AuditContext }} args - null for the newest entry
+ * @param {object} env
+ * @returns {Promise<{ removed: object, latest: object|null }|null>}
+ */
+async function removePrediction({ id, audit }, env) {
+  const recent = await readHistory(env, { limit: ROLLBACK_WINDOW });
+  const index = id === null ? 0 : recent.findIndex((h) => h.id === id);
+  const removed = index === -1 ? await findHistoryEntryById(id, env) : recent[index];
+  if (!removed) return null;
+
+  await removeHistoryEntry(removed, env);
+  const { id: _id, ...entry } = removed;
+  await appendAudit(
+    { action: 'delete', post_id: entry.post_id, previous: entry, current: null },
+    audit,
+    env
+  );
+
+  // Only the newest weekly entry and the interrupters since are in latest_prediction
+  const weekly = recent.findIndex((h) => h.kind !== 'interrupter');
+  const current = await readLatestPrediction(env);
+  if (index === -1 || (weekly !== -1 && index > weekly)) return { removed, latest: current };
+
+  const rest = recent.toSpliced(index, 1);
+  const latest = latestFromHistory(rest);
+  if (latest) {
+    await env.PREDICTIONS.put('latest_prediction', JSON.stringify(latest));
+  } else {
+    await env.PREDICTIONS.delete('latest_prediction');
+  }
+
+  // latest_image_key is the newest image generated, which may predate latest_prediction
+  let imageKey = null;
+  for (const h of rest) {
+    imageKey = await entryImageKey(h, env);
+    if (imageKey) break;
+  }
+  const imagePrompt = imageKey && (await env.PREDICTIONS.get(`image_prompt:${imageKey}`));
+  if (imageKey) {
+    await env.PREDICTIONS.put('latest_image_key', imageKey);
+  } else {
+    await env.PREDICTIONS.delete('latest_image_key');
+  }
+  if (imagePrompt) {
+    await env.PREDICTIONS.put('latest_image_prompt', imagePrompt);
+  } else {
+    await env.PREDICTIONS.delete('latest_image_prompt');
+  }
+
+  await appendAudit(
+    { action: 'rollback', post_id: entry.post_id, previous: current, current: latest },
+    audit,
+    env
+  );
+  return { removed, latest };
+}
+
+/**
+ * Mark the published prediction for `post_id` (and its history entry) with a retraction
+ * `update` — unless a different prediction was published since it was checked.
+ * Write operation `retract` — run it through commitWrite().
+ * @param {{ post_id: string, update: object, audit?: AuditContext }} args
+ * @param {object} env
+ * @returns {Promise<boolean>} whether it was applied
+ */
+async function recordRetraction({ post_id: postId, update, audit }, env) {
+  const latest = await readLatestPrediction(env);
+  if (latest?.post_id !== postId) return false;
+  await env.PREDICTIONS.put('latest_prediction', JSON.stringify({ ...latest, ...update }));
+  await appendAudit(
+    {
+      action: update.retracted ? 'retract' : 'unretract',
+      post_id: postId,
+      previous: latest,
+      current: { ...latest, ...update },
+    },
+    audit,
+    env
+  );
+
+  const entry = await findHistoryEntry(postId, env);
+  if (entry) await saveHistoryEntry({ ...entry, ...update }, env);
+  return true;
+}
+
+/**
+ * Every write to the published state — latest_prediction, the prediction history,
+ * latest_image_key/prompt, the held predictions and the dedup keys. Each one reads what it
+ * changes and writes it back, so it must not interleave with another (see commitWrite).
+ */
+const WRITE_OPS = {
+  publish: publishPrediction,
+  hold: holdForReview,
+  review: reviewPending,
+  attach_updates: attachUpdates,
+  retract: recordRetraction,
+  mark_processed: markProcessed,
+  remove_entry: removePrediction,
+  restore: restoreBackup,
+};
+
+/**
+ * Run a write operation from WRITE_OPS through the single write path. With the
+ * PREDICTION_STORE binding, writes go through one PredictionStore Durable Object that
+ * runs them one at a time, so a cron run, a webhook POST and an MCP call landing
+ * together can't drop history entries or leave `latest_prediction` disagreeing with
+ * `history[0]`. Without it (unit tests, deployments that haven't added the binding)
+ * the operation runs directly.
+ * @param {keyof WRITE_OPS} op
+ * @param {object} args - structured-cloneable, it may cross to the Durable Object
+ * @param {object} env
+ * @returns {Promise<unknown>} the operation's result
+ */
+async function commitWrite(op, args, env) {
+  if (!env.PREDICTION_STORE) return WRITE_OPS[op](args, env);
+  const store = env.PREDICTION_STORE.get(env.PREDICTION_STORE.idFromName('predictions'));
+  return await store.commit(op, args);
+}
+
+/**
+ * Serialises writes to the published state. A single instance (named "predictions")
+ * queues write operations and runs each to completion before starting the next; the
+ * data itself stays in KV, where every reader already looks.
+ */
+export class PredictionStore extends DurableObject {
+  #queue = Promise.resolve();
+
+  /**
+   * Queue a write operation and resolve with its result once it has run.
+   * @param {keyof WRITE_OPS} op
+   * @param {object} args
+   * @returns {Promise<unknown>}
+   */
+  async commit(op, args) {
+    const write = WRITE_OPS[op];
+    if (!write) throw new TypeError(`Unknown write operation "${op}"`);
+    const result = this.#queue.then(() => write(args, this.env));
+    this.#queue = result.catch(() => {});
+    return await result;
+  }
+}
+
+// ── HTML Renderer ────────────────────────────────────────────────────────────
+
+/**
+ * Build Chart.js dataset JSON for gas + diesel price history.
+ * Labels are the effective date of each price (falling back to updated_at).
+ * `kinds` marks which points are interrupter clause adjustments so the chart can
+ * draw them differently from the weekly prices. `otherGrades` holds one series per
+ * additional grade (mid-grade, premium, furnace oil) that appears anywhere in history.
+ * @param {Array<object>} history - the chart window, newest first (see readHistory)
+ * @returns {{
+ *   labels: string[],
+ *   gasData: (number|null)[],
+ *   dieselData: (number|null)[],
+ *   otherGrades: { key: string, label: string, data: (number|null)[] }[],
+ *   kinds: ('weekly'|'interrupter')[],
+ * }}
+ */
+export function buildChartData(history) {
+  const reversed = [...history].reverse();
+  // Label by when the price takes effect; records from before effective_at existed
+  // fall back to when they were scraped.
+  const labels = reversed.map(
+    (h, i) => formatShortDate(h.effective_at ?? h.updated_at) || `#${i + 1}`
+  );
+  const gasData = reversed.map((h) => h.gas?.price ?? null);
+  const dieselData = reversed.map((h) => h.diesel?.price ?? null);
+  const reversedGrades = reversed.map(predictionGrades);
+  const otherGrades = FUEL_GRADES.filter(
+    (g) => g.key !== 'regular' && g.key !== 'diesel' && reversedGrades.some((gr) => gr[g.key])
+  ).map((g) => ({
+    key: g.key,
+    label: g.label,
+    data: reversedGrades.map((gr) => gr[g.key]?.price ?? null),
+  }));
+  const kinds = reversed.map((h) => (h.kind === 'interrupter' ? 'interrupter' : 'weekly'));
+  return { labels, gasData, dieselData, otherGrades, kinds };
+}
+
+/**
+ * Render a single fuel card for the sign board.
+ * @param {'gas'|'diesel'|string} type - 'gas' (regular) or any FUEL_GRADES key
+ * @param {{ direction: string|null, adjustment: number|null, price: number|null }|null} slot
+ * @returns {string}
+ */
+function renderFuelCard(type, slot) {
+  const label = gradeLabel(type);
+  const hasSlot = slot !== null;
+  const dir = slot?.direction ?? null;
+  const isUp = dir === 'up';
+  const isDown = dir === 'down';
+  const isNoChange = dir === 'no-change';
+
+  const accentColor = isUp
+    ? 'var(--color-up)'
+    : isDown
+      ? 'var(--color-down)'
+      : 'var(--color-neutral)';
+  const bgColor = isUp
+    ? 'var(--color-up-bg)'
+    : isDown
+      ? 'var(--color-down-bg)'
+      : 'var(--color-neutral-bg)';
+  const borderColor = isUp
+    ? 'var(--color-up-border)'
+    : isDown
+      ? 'var(--color-down-border)'
+      : 'var(--color-neutral-border)';
+
+  const arrowChar = isUp ? '↑' : isDown ? '↓' : isNoChange ? '=' : '–';
+  const arrowLabel = isUp
+    ? 'Price going up'
+    : isDown
+      ? 'Price going down'
+      : isNoChange
+        ? 'No change'
+        : 'No prediction';
+
+  // Hero: the adjustment delta is the most important number
+  const adjDisplay =
+    (isUp || isDown) && slot?.adjustment != null
+      ? `${isUp ? '+' : '−'}${slot.adjustment.toFixed(1)}¢`
+      : isNoChange
+        ? 'No Change'
+        : '–';
+
+  const priceDisplay = slot?.price != null ? `$${slot.price.toFixed(3)}/L` : '';
+
+  const dirLabelText = isUp ? '▲ UP' : isDown ? '▼ DOWN' : isNoChange ? '= NO CHANGE' : '';
+
+  return `<div class="fuel-card fuel-card--${type}${!hasSlot ? ' fuel-card--empty' : ''}" data-dir="${escapeHtml(dir ?? 'none')}">
+  <div class="fuel-card-header">
+    <span class="fuel-type-badge">${escapeHtml(label.toUpperCase())}</span>
+    ${dirLabelText ? `<span class="fuel-dir-label" style="color:${accentColor};background:${bgColor};border-color:${borderColor}">${escapeHtml(dirLabelText)}</span>` : ''}
+  </div>
+  <div class="fuel-card-body">
+    <span class="fuel-arrow" aria-label="${escapeHtml(arrowLabel)}" style="color:${accentColor};filter:${isUp || isDown ? `drop-shadow(0 0 12px ${accentColor})` : 'none'}">${arrowChar}</span>
+    <div class="fuel-numbers">
+      <span class="fuel-adj" style="color:${accentColor}">${escapeHtml(adjDisplay)}</span>
+      ${priceDisplay ? `<span class="fuel-price">${escapeHtml(priceDisplay)}</span>` : ''}
+    </div>
+  </div>
+</div>`;
+}
+
+/**
+ * Render the fuel cards for a prediction: Regular and Diesel always (empty when missing),
+ * plus a card for every other grade the post included, in FUEL_GRADES order.
+ * @param {object} p - prediction or interrupter event
+ * @returns {string}
+ */
+function renderFuelCards(p) {
+  const grades = predictionGrades(p);
+  return FUEL_GRADES.map((g) => {
+    if (g.key === 'regular') return renderFuelCard('gas', p.gas ?? null);
+    if (g.key === 'diesel') return renderFuelCard('diesel', p.diesel ?? null);
+    return grades[g.key] ? renderFuelCard(g.key, grades[g.key]) : '';
+  })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Render one fuel grade in a history card (arrow, delta, price).
+ * @param {string} key - FUEL_GRADES key
+ * @param {{ direction: string|null, adjustment: number|null, price: number|null }} slot
+ * @returns {string}
+ */
+function renderHistoryFuel(key, slot) {
+  const dir = slot.direction;
+  const arrow = dir === 'up' ? '↑' : dir === 'down' ? '↓' : dir === 'no-change' ? '=' : '–';
+  const color =
+    dir === 'up'
+      ? 'var(--color-up)'
+      : dir === 'down'
+        ? 'var(--color-down)'
+        : 'var(--color-neutral)';
+  const adj =
+    (dir === 'up' || dir === 'down') && slot.adjustment != null
+      ? `${dir === 'up' ? '+' : '−'}${slot.adjustment.toFixed(1)}¢`
+      : '';
+  const title = key === 'regular' ? 'Regular gas' : gradeLabel(key);
+  return `<span class="hc-fuel hc-fuel--${key}" style="color:${color}" title="${escapeHtml(title)}">
+                    <span class="hc-arrow">${arrow}</span>
+                    <span class="hc-adj">${adj || (dir === 'no-change' ? '=' : '')}</span>
+                    <span class="hc-price">${slot.price != null ? `$${slot.price.toFixed(3)}` : ''}</span>
+                  </span>`;
+}
+
+/**
+ * Reddit username that posted a prediction — u/buckit for entries from before the
+ * watch list recorded `reddit_source`.
+ * @param {object} p - prediction or history entry
+ * @returns {string}
+ */
+function sourceAuthor(p) {
+  return p?.reddit_source?.author ?? 'buckit';
+}
+
+/**
+ * Render the "Edited" tag for a history entry whose post was re-parsed after an edit.
+ * The tooltip lists the Regular price of each earlier revision.
+ * @param {object} h - history entry with `revisions`
+ * @returns {string}
+ */
+function renderRevisedTag(h) {
+  const was = h.revisions
+    .map((r) => {
+      const price = predictionGrades(r).regular?.price;
+      return `Revision ${r.revision}: ${price != null ? `$${price.toFixed(3)}` : 'no Regular price'}`;
+    })
+    .join('\n');
+  return `<span class="hc-revised" title="${escapeHtml(`Corrected after u/${sourceAuthor(h)} edited the post\n${was}`)}">✎ Edited</span>`;
+}
+
+/**
+ * Render a history card's date, linked to the entry's permalink when it has an id.
+ * @param {object} h - history entry
+ * @returns {string}
+ */
+function renderHistoryTime(h) {
+  const label = escapeHtml(
+    h.effective_at ? `From ${formatShortDate(h.effective_at)}` : formatRelativeTime(h.updated_at)
+  );
+  return h.id
+    ? `<a class="hc-time" href="/p/${escapeHtml(String(h.id))}">${label}</a>`
+    : `<span class="hc-time">${label}</span>`;
+}
+
+/**
+ * Render the mid-week interrupter clause block shown under the weekly fuel cards.
+ * Only the most recent interrupter is shown; earlier ones remain in history.
+ * @param {object} event - interrupter event from prediction.interrupters
+ * @returns {string}
+ */
+function renderInterrupter(event) {
+  const effective = event.effective_at
+    ? `Effective ${escapeHtml(formatDate(event.effective_at))} (Halifax)`
+    : 'Mid-week adjustment';
+  return `<div class="interrupter" aria-label="Interrupter clause adjustment">
+  <p class="interrupter-label"><span class="interrupter-badge">⚡ Interrupter</span> ${effective}</p>
+  <div class="fuel-cards">
+    ${renderFuelCards(event)}
+  </div>
+</div>`;
+}
+
+/**
+ * Render the author's comment-thread replies attached to a prediction.
+ * @param {object[]} updates - prediction.updates
+ * @param {string} author - Reddit username, see sourceAuthor()
+ * @returns {string}
+ */
+function renderUpdates(updates, author) {
+  const items = updates
+    .map(
+      (u) =>
+        `<li><a href="${escapeHtml(u.url)}" rel="noopener" target="_blank"><time datetime="${escapeHtml(u.posted_at)}">${escapeHtml(formatShortDate(u.posted_at))}</time></a>${escapeHtml(u.text)}${u.amended ? '<span class="update-amended">Amended prices</span>' : ''}</li>`
+    )
+    .join('');
+  const label = `Updates from u/${escapeHtml(author)}`;
+  return `<div class="author-updates" aria-label="${label}">
+  <p class="author-updates-label">${label}</p>
+  <ul>${items}</ul>
+</div>`;
+}
+
+/**
+ * Render the pricing zone selector (a GET form, auto-submitted on change).
+ * Only zones the prediction has prices for are listed; Zone 1 is always available.
+ * @param {object} zones - prediction.zones
+ * @param {number} zone - currently selected zone
+ * @param {string} [action] - the page's path
+ * @returns {string}
+ */
+function renderZoneSelector(zones, zone, action = '/') {
+  const options = PRICING_ZONES.filter((z) => z.id === 1 || zones[z.id])
+    .map(
+      (z) =>
+        `<option value="${z.id}"${z.id === zone ? ' selected' : ''}>${escapeHtml(zoneLabel(z.id))}</option>`
+    )
+    .join('');
+  return `<form class="zone-select" method="get" action="${escapeHtml(action)}">
+            <label for="zone">Pricing zone</label>
+            <select id="zone" name="zone">${options}</select>
+            <noscript><button type="submit">Go</button></noscript>
+          </form>`;
+}
+
+/**
+ * Render the full website HTML.
+ * @param {{ prediction: object|null, history: object[], chartHistory?: object[], imageKey: string|null, siteUrl: string, zone?: number, permalink?: boolean }} opts
+ *   `chartHistory` is the (usually longer) window the price chart plots; defaults to `history`.
+ *   `permalink` renders the page for one history entry, /p/{prediction.id}, with its own
+ *   title, canonical URL and OG tags.
+ * @returns {string}
+ */
+export function renderHtml({
+  prediction,
+  history,
+  chartHistory = history,
+  imageKey,
+  siteUrl,
+  imagePrompt = null,
+  zone = 1,
+  permalink = false,
+}) {
+  // Show the selected pricing zone, falling back to Zone 1 if the post has no prices for it
+  const p = zonePrediction(prediction, zone) ?? zonePrediction(prediction, 1);
+  const hasData = p !== null;
+  const pagePath = permalink ? `/p/${p.id}` : '/';
+  const pageUrl = permalink ? `${siteUrl}${pagePath}` : siteUrl;
+  const pageDate = permalink ? formatLongDate(p.effective_at ?? p.updated_at) : '';
+  const pageTitle = pageDate
+    ? `Halifax Gas Price Prediction, ${pageDate} | hfxgas.ca`
+    : 'Halifax Gas Price Prediction | hfxgas.ca';
+  const zoneSelectorHtml = p?.zones ? renderZoneSelector(p.zones, p.zone, pagePath) : '';
+
+  // Derive top-level accent from gas direction, fallback diesel
+  const primaryDir = p?.gas?.direction ?? p?.diesel?.direction ?? null;
+  const isUp = primaryDir === 'up';
+  const isDown = primaryDir === 'down';
+  const accentColor = isUp
+    ? 'var(--color-up)'
+    : isDown
+      ? 'var(--color-down)'
+      : 'var(--color-neutral)';
+
+  const updatedAt = formatDate(p?.updated_at ?? null);
+  const relativeTime = formatRelativeTime(p?.updated_at ?? null);
+  const effectiveHtml = p?.effective_at
+    ? `<time class="effective-at" datetime="${escapeHtml(p.effective_at)}">Prices effective ${escapeHtml(formatDate(p.effective_at))}</time>`
+    : '';
+  const notesHtml = p?.notes ? `<p class="notes">${escapeHtml(p.notes)}</p>` : '';
+  const retractionReasons = {
+    deleted: `u/${sourceAuthor(p)} deleted the source post`,
+    removed: 'the source post was removed by moderators',
+    vanished: 'the source post is no longer on Reddit',
+  };
+  const retractionHtml = p?.retracted
+    ? `<div class="retraction-banner" role="alert"><strong>Retracted</strong> — ${escapeHtml(retractionReasons[p.retraction_reason] ?? 'the source post is no longer available')}. These numbers may no longer be accurate.</div>`
+    : '';
+  const revisedHtml =
+    p?.revision > 1
+      ? `<p class="revised-note">✎ Corrected — u/${escapeHtml(sourceAuthor(p))} ${p.amended_by ? 'posted a correction in the comments' : 'edited the post'} (revision ${escapeHtml(String(p.revision))})</p>`
+      : '';
+  const updatesHtml = p?.updates?.length ? renderUpdates(p.updates, sourceAuthor(p)) : '';
+  // A link to share this prediction, or back to the latest one from its permalink
+  const permalinkHtml = permalink
+    ? '<a class="permalink" href="/">See the latest prediction →</a>'
+    : p?.id
+      ? `<a class="permalink" href="/p/${escapeHtml(String(p.id))}">Link to this prediction</a>`
+      : '';
+
+  // Interrupter clause: a standalone interrupter (no weekly prediction to amend) gets a
+  // badge; a weekly prediction with interrupters shows the latest one under its cards.
+  const latestInterrupter = p?.interrupters?.length
+    ? p.interrupters[p.interrupters.length - 1]
+    : null;
+  const kindLabelHtml =
+    p?.kind === 'interrupter'
+      ? '<p class="interrupter-label"><span class="interrupter-badge">⚡ Interrupter</span> Mid-week adjustment</p>'
+      : latestInterrupter
+        ? '<p class="interrupter-label">Weekly price</p>'
+        : '';
+  const interrupterHtml = latestInterrupter ? renderInterrupter(latestInterrupter) : '';
+
+  // AI image
+  const postLinkHtml = p?.post_url
+    ? ` &middot; <a href="${escapeHtml(p.post_url)}" class="caption-link" target="_blank" rel="noopener noreferrer">View Reddit post ↗</a>`
+    : '';
+  const promptDisclosure = imagePrompt
+    ? `<details class="prompt-details"><summary>View AI prompt</summary><p class="prompt-text">${escapeHtml(imagePrompt)}</p></details>`
+    : '';
+  const imageHtml = imageKey
+    ? `<section class="image-section" aria-label="AI-generated prediction illustration">
+        <div class="image-card">
+          <figure class="image-figure">
+            <img
+              src="/images/${escapeHtml(imageKey.replace('images/', ''))}"
+              alt="AI-generated illustration: Halifax gas prices ${isUp ? 'going up' : 'going down'} — ${getSeason(new Date())} scene"
+              loading="lazy"
+              decoding="async"
+              class="prediction-image"
+            />
+            <figcaption class="image-caption">
+              <span class="ai-badge">AI-generated</span>
+              Made with <a href="https://developers.cloudflare.com/workers-ai/" class="caption-link" target="_blank" rel="noopener noreferrer">Cloudflare Workers AI</a> (<code>@cf/black-forest-labs/flux-1-schnell</code>).${postLinkHtml}
+              ${promptDisclosure}
+            </figcaption>
+          </figure>
+        </div>
+      </section>`
+    : '';
+
+  // History cards + Chart.js, in the sign board's zone. Entries without prices for it
+  // (posts from before per-zone tables) are left out rather than mixed in from Zone 1.
+  const shownZone = p?.zone ?? 1;
+  const inZone = (entries) => entries.map((h) => zonePrediction(h, shownZone)).filter(Boolean);
+  const zoneHistory = inZone(history);
+  const chartData = buildChartData(inZone(chartHistory));
+  const chartJson = JSON.stringify(chartData);
+  const hasHistory = zoneHistory.length > 0;
+  const hasChartData =
+    chartData.gasData.some((v) => v !== null) ||
+    chartData.dieselData.some((v) => v !== null) ||
+    chartData.otherGrades.some((g) => g.data.some((v) => v !== null));
+
+  const historyHtml = hasHistory
+    ? `<section class="history-section" aria-label="Prediction history">
+        <h2 class="section-label">History${shownZone === 1 ? '' : ` — ${escapeHtml(zoneLabel(shownZone))}`}</h2>
+        ${
+          hasChartData
+            ? `<div class="chart-wrap" aria-label="Price history chart">
+          <canvas id="historyChart" height="120"></canvas>
+        </div>`
+            : ''
+        }
+        <ul class="history-list" role="list">
+          ${zoneHistory
+            .map((h, i) => {
+              const grades = predictionGrades(h);
+              return `
+              <li class="history-card" style="animation-delay: ${i * 50}ms">
+                <div class="hc-fuels">
+                  ${FUEL_GRADES.filter((g) => grades[g.key])
+                    .map((g) => renderHistoryFuel(g.key, grades[g.key]))
+                    .join('')}
+                </div>
+                <div class="hc-meta">
+                  ${h.kind === 'interrupter' ? '<span class="hc-kind">⚡ Interrupter</span>' : ''}
+                  ${h.revisions?.length ? renderRevisedTag(h) : ''}
+                  ${h.retracted ? '<span class="hc-retracted">Retracted</span>' : ''}
+                  ${renderHistoryTime(h)}
+                  ${h.notes ? `<span class="hc-notes">${escapeHtml(h.notes.slice(0, 80))}${h.notes.length > 80 ? '…' : ''}</span>` : ''}
+                </div>
+              </li>`;
+            })
+            .join('')}
+        </ul>
+      </section>`
+    : '<section class="history-section" aria-label="Prediction history" style="display:none" aria-hidden="true"></section>';
+
+  const ogImage = imageKey
+    ? `${siteUrl}/images/${imageKey.replace('images/', '')}`
+    : `${siteUrl}/og-default.png`;
+  const gasSummary = p?.gas ? `gas ${p.gas.direction} to $${p.gas.price?.toFixed(3)}/L` : '';
+  const dieselSummary = p?.diesel
+    ? `diesel ${p.diesel.direction} to $${p.diesel.price?.toFixed(3)}/L`
+    : '';
+  const summaryParts = [gasSummary, dieselSummary].filter(Boolean).join(', ');
+  const description = hasData
+    ? `Halifax fuel prices${pageDate ? ` from ${pageDate}` : ''}: ${summaryParts || 'update available'}. Community estimate by u/buckit on r/halifax.`
+    : 'Halifax gas price prediction — community estimate by u/buckit on r/halifax. Updated every Thursday.';
+
+  return `<!DOCTYPE html>
+<html lang="en" dir="ltr">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(pageTitle)}</title>
+  <meta name="description" content="${escapeHtml(description)}" />
+  <link rel="canonical" href="${escapeHtml(pageUrl)}" />
+  <meta property="og:title" content="${escapeHtml(pageTitle)}" />
+  <meta property="og:description" content="${escapeHtml(description)}" />
+  <meta property="og:url" content="${escapeHtml(pageUrl)}" />
+  <meta property="og:image" content="${escapeHtml(ogImage)}" />
+  <meta property="og:type" content="${permalink ? 'article' : 'website'}" />
+  <meta name="twitter:card" content="summary_large_image" />
+  <meta name="twitter:title" content="${escapeHtml(pageTitle)}" />
+  <meta name="twitter:description" content="${escapeHtml(description)}" />
+  <meta name="twitter:image" content="${escapeHtml(ogImage)}" />
+  <script type="application/ld+json">
+  {
+    "@context": "https://schema.org",
+    "@graph": [
+      { "@type": "WebSite", "name": "hfxgas.ca", "url": "${siteUrl}", "description": "Halifax Nova Scotia gas and diesel price prediction, updated every Thursday." },
+      { "@type": "Dataset", "name": "Halifax Gas Price Predictions",
+        "description": "Weekly gas and diesel price predictions for Halifax, Nova Scotia, sourced from Reddit /u/buckit on r/halifax.",
+        "url": "${siteUrl}", "creator": { "@type": "Person", "name": "u/buckit" },
+        "spatialCoverage": "Halifax, Nova Scotia, Canada", "temporalCoverage": "Weekly",
+        "license": "https://creativecommons.org/licenses/by/4.0/", "isBasedOn": "https://www.reddit.com/r/halifax" }
+    ]
+  }
+  </script>
+  <!-- Chart.js for price history -->
+  <script src="https://cdn.jsdelivr.net/npm/chart.js@4/dist/chart.umd.min.js"></script>
+  <style>
+    :root {
+      --background:        hsl(0 0% 100%);
+      --foreground:        hsl(240 10% 3.9%);
+      --card:              hsl(0 0% 100%);
+      --popover:           hsl(0 0% 100%);
+      --popover-foreground:hsl(240 10% 3.9%);
+      --primary:           hsl(240 5.9% 10%);
+      --primary-foreground:hsl(0 0% 98%);
+      --secondary:         hsl(240 4.8% 95.9%);
+      --muted:             hsl(240 4.8% 95.9%);
+      --muted-foreground:  hsl(240 3.8% 46.1%);
+      --border:            hsl(240 5.9% 90%);
+      --ring:              hsl(240 5.9% 10%);
+      --radius:            0.5rem;
+      --color-up:          hsl(20 90% 48%);
+      --color-up-bg:       hsl(20 90% 97%);
+      --color-up-border:   hsl(20 80% 88%);
+      --color-down:        hsl(142 69% 36%);
+      --color-down-bg:     hsl(142 60% 96%);
+      --color-down-border: hsl(142 55% 84%);
+      --color-neutral:     hsl(240 4% 52%);
+      --color-neutral-bg:  hsl(240 4% 96%);
+      --color-neutral-border:hsl(240 4% 86%);
+      --sign-bg:           hsl(240 10% 8%);
+      --sign-border:       hsl(240 8% 18%);
+      --sign-scanline:     hsl(0 0% 0% / 0.07);
+      --font-sans: ui-sans-serif, system-ui, -apple-system, 'Segoe UI', sans-serif;
+      --font-mono: ui-monospace, 'Cascadia Code', 'SF Mono', monospace;
+      --font-display: 'Arial Black', 'Arial Bold', 'Trebuchet MS', Arial, sans-serif;
+    }
+    @media (prefers-color-scheme: dark) {
+      :root {
+        --background:        hsl(240 10% 3.9%);
+        --foreground:        hsl(0 0% 98%);
+        --card:              hsl(240 8% 7%);
+        --popover:           hsl(240 10% 6%);
+        --popover-foreground:hsl(0 0% 98%);
+        --primary:           hsl(0 0% 98%);
+        --secondary:         hsl(240 3.7% 15.9%);
+        --muted:             hsl(240 3.7% 15.9%);
+        --muted-foreground:  hsl(240 5% 64.9%);
+        --border:            hsl(240 3.7% 15.9%);
+        --ring:              hsl(240 4.9% 83.9%);
+        --color-up:          hsl(20 90% 60%);
+        --color-up-bg:       hsl(20 80% 12%);
+        --color-up-border:   hsl(20 70% 22%);
+        --color-down:        hsl(142 65% 48%);
+        --color-down-bg:     hsl(142 50% 10%);
+        --color-down-border: hsl(142 50% 20%);
+        --color-neutral:     hsl(240 5% 58%);
+        --color-neutral-bg:  hsl(240 5% 14%);
+        --color-neutral-border:hsl(240 5% 22%);
+        --sign-bg:           hsl(240 12% 5%);
+        --sign-border:       hsl(240 8% 14%);
+      }
+    }
+    *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+    html { font-size: 100%; -webkit-text-size-adjust: 100%; }
+    body { font-family: var(--font-sans); background: var(--background); color: var(--foreground); min-height: 100dvh; display: flex; flex-direction: column; line-height: 1.5; -webkit-font-smoothing: antialiased; }
+    img { max-width: 100%; height: auto; display: block; }
+    ul { list-style: none; }
+    a { color: inherit; }
+    main { flex: 1; width: 100%; max-width: 640px; margin: 0 auto; padding: clamp(1.25rem,4vw,2rem) clamp(0.875rem,4vw,1.25rem); display: flex; flex-direction: column; gap: 0.875rem; }
+
+    /* Wordmark */
+    .wordmark { display: flex; align-items: center; justify-content: space-between; padding: 0 0.125rem; }
+    .wordmark-logo { font-family: var(--font-display); font-size: clamp(1.35rem,4vw,1.6rem); font-weight: 900; letter-spacing: -0.04em; color: var(--foreground); text-decoration: none; line-height: 1; }
+    .wordmark-logo span { color: var(--muted-foreground); font-weight: 700; }
+
+    /* Sign board */
+    .sign-board { background: var(--sign-bg); border: 1px solid var(--sign-border); border-radius: calc(var(--radius)*2); overflow: hidden; position: relative; box-shadow: inset 0 1px 0 hsl(0 0% 100%/0.04), 0 1px 3px hsl(0 0% 0%/0.12), 0 4px 16px hsl(0 0% 0%/0.1); }
+    .sign-board::before { content:''; position:absolute; inset:0; background:repeating-linear-gradient(0deg,transparent,transparent 3px,var(--sign-scanline) 3px,var(--sign-scanline) 4px); pointer-events:none; z-index:2; }
+    .sign-board::after { content:''; position:absolute; top:0; left:0; right:0; height:3px; background:${accentColor}; box-shadow:0 0 16px ${accentColor}; z-index:3; }
+    .sign-inner { position:relative; z-index:1; padding:clamp(1.5rem,5vw,2.5rem) clamp(1rem,4vw,2rem) clamp(1.25rem,4vw,2rem); display:flex; flex-direction:column; align-items:center; text-align:center; gap:0; }
+
+    /* Fuel cards side-by-side */
+    .fuel-cards { display:grid; grid-template-columns:1fr 1fr; gap:0.75rem; width:100%; margin-bottom:1rem; }
+    @media (max-width:340px) { .fuel-cards { grid-template-columns:1fr; } }
+    .fuel-card { background:hsl(240 8% 11%); border:1px solid hsl(240 6% 20%); border-radius:calc(var(--radius)*1.25); padding:0.875rem 1rem 1rem; display:flex; flex-direction:column; gap:0.5rem; }
+    .fuel-card[data-dir="up"]        { border-color:hsl(20 50% 28%); }
+    .fuel-card[data-dir="down"]      { border-color:hsl(142 40% 22%); }
+    .fuel-card[data-dir="no-change"] { border-color:hsl(240 5% 26%); }
+    .fuel-card--empty { opacity:0.4; }
+    .fuel-card-header { display:flex; align-items:center; justify-content:space-between; gap:0.5rem; }
+    .fuel-type-badge { font-family:var(--font-mono); font-size:0.6rem; font-weight:700; letter-spacing:0.12em; color:hsl(240 5% 52%); text-transform:uppercase; }
+    .fuel-dir-label { font-family:var(--font-mono); font-size:0.56rem; font-weight:700; letter-spacing:0.1em; text-transform:uppercase; border:1px solid; border-radius:9999px; padding:0.15rem 0.5rem; }
+    .fuel-card-body { display:flex; align-items:center; gap:0.5rem; }
+    .fuel-arrow { font-size:clamp(2.5rem,10vw,3.5rem); line-height:0.85; font-weight:900; font-family:var(--font-display); flex-shrink:0; }
+    .fuel-numbers { display:flex; flex-direction:column; align-items:flex-start; gap:0.1rem; min-width:0; }
+    /* Hero: adjustment delta */
+    .fuel-adj { font-size:clamp(1.25rem,5.5vw,1.875rem); font-weight:900; font-family:var(--font-display); line-height:1; letter-spacing:-0.02em; white-space:nowrap; font-variant-numeric:tabular-nums; }
+    /* Secondary: absolute price */
+    .fuel-price { font-size:0.75rem; color:hsl(240 5% 46%); font-family:var(--font-mono); font-variant-numeric:tabular-nums; white-space:nowrap; }
+
+    /* Interrupter clause */
+    .interrupter { width:100%; padding-top:0.75rem; border-top:1px dashed hsl(240 6% 22%); }
+    .interrupter-label { font-family:var(--font-mono); font-size:0.62rem; letter-spacing:0.08em; text-transform:uppercase; color:hsl(240 5% 52%); margin-bottom:0.5rem; }
+    .interrupter-badge { font-weight:700; color:hsl(45 95% 55%); margin-right:0.35rem; }
+
+    /* Retraction */
+    .retraction-banner { width:100%; margin-bottom:0.75rem; padding:0.5rem 0.75rem; font-size:0.75rem; line-height:1.5; color:hsl(0 80% 78%); background:hsl(0 60% 14%); border:1px solid hsl(0 55% 30%); border-radius:var(--radius); text-align:left; }
+    .fuel-cards--retracted { opacity:0.45; }
+
+    /* Pricing zone selector */
+    .zone-select { display:flex; align-items:center; justify-content:center; gap:0.5rem; width:100%; margin-bottom:0.75rem; }
+    .zone-select label { font-family:var(--font-mono); font-size:0.62rem; letter-spacing:0.08em; text-transform:uppercase; color:hsl(240 5% 52%); }
+    .zone-select select, .zone-select button { font:inherit; font-size:0.75rem; color:hsl(240 5% 80%); background:hsl(240 8% 11%); border:1px solid hsl(240 6% 20%); border-radius:var(--radius); padding:0.25rem 0.5rem; }
+
+    /* Sign meta */
+    .sign-meta { display:flex; flex-direction:column; align-items:center; gap:0.2rem; width:100%; }
+    .effective-at { font-size:0.75rem; font-weight:600; color:hsl(240 5% 62%); }
+    .updated-at { font-size:0.68rem; color:hsl(240 4% 36%); margin-bottom:0.2rem; }
+    .permalink { font-size:0.68rem; color:hsl(240 5% 62%); text-decoration:underline; text-underline-offset:2px; }
+    .notes { font-size:0.77rem; color:hsl(240 4% 44%); max-width:38ch; line-height:1.6; margin-bottom:0.5rem; padding:0.4rem 0.7rem; background:hsl(240 6% 12%); border-left:2px solid ${accentColor}50; border-radius:0 calc(var(--radius)*0.6) calc(var(--radius)*0.6) 0; text-align:left; font-style:italic; }
+    .disclaimer { font-size:0.67rem; color:hsl(240 4% 32%); line-height:1.7; }
+    .disclaimer a { color:hsl(240 4% 42%); text-decoration:underline; text-underline-offset:2px; }
+    .disclaimer a:hover { color:hsl(240 5% 60%); }
+
+    /* Empty state */
+    .empty-state { display:flex; flex-direction:column; align-items:center; gap:0.75rem; padding:1rem 0; width:100%; }
+    .empty-pump { color:hsl(240 5% 28%); }
+    .empty-state h2 { font-size:1.2rem; font-weight:700; color:hsl(240 5% 50%); font-family:var(--font-display); }
+    .empty-state p { font-size:0.8rem; color:hsl(240 4% 38%); max-width:26ch; text-align:center; line-height:1.6; }
+    .thursday-badge { font-family:var(--font-mono); font-size:0.62rem; font-weight:700; letter-spacing:0.12em; text-transform:uppercase; color:hsl(240 4% 38%); border:1px dashed hsl(240 5% 26%); border-radius:9999px; padding:0.2rem 0.7rem; }
+
+    /* AI image */
+    .image-card { background:var(--card); border:1px solid var(--border); border-radius:calc(var(--radius)*2); padding:0.5rem; box-shadow:0 1px 3px hsl(0 0% 0%/0.06),0 4px 12px hsl(0 0% 0%/0.05); }
+    .prediction-image { width:100%; border-radius:calc(var(--radius)*1.5); object-fit:cover; }
+    .image-figure { margin:0; }
+    .image-caption { font-size:0.62rem; color:var(--muted-foreground); padding:0.5rem 0.25rem 0.1rem; line-height:1.6; }
+    .ai-badge { display:inline-block; font-family:var(--font-mono); font-size:0.58rem; font-weight:700; letter-spacing:0.08em; text-transform:uppercase; background:hsl(240 5% 14%); border:1px solid var(--border); border-radius:9999px; padding:0.15rem 0.5rem; margin-right:0.4rem; vertical-align:middle; }
+    .caption-link { color:var(--muted-foreground); text-decoration:underline; text-underline-offset:2px; }
+    .caption-link:hover { color:var(--foreground); }
+    .prompt-details { margin-top:0.4rem; }
+    .prompt-details summary { cursor:pointer; font-family:var(--font-mono); font-size:0.6rem; color:var(--muted-foreground); user-select:none; }
+    .prompt-details summary:hover { color:var(--foreground); }
+    .prompt-text { margin:0.3rem 0 0; font-size:0.6rem; color:var(--muted-foreground); font-style:italic; line-height:1.55; word-break:break-word; }
+
+    /* History */
+    .section-label { font-size:0.62rem; font-weight:600; color:var(--muted-foreground); text-transform:uppercase; letter-spacing:0.12em; margin-bottom:0.75rem; font-family:var(--font-mono); }
+    .chart-wrap { background:var(--card); border:1px solid var(--border); border-radius:var(--radius); padding:0.75rem 0.875rem 0.5rem; margin-bottom:0.75rem; }
+    .history-list { display:flex; flex-direction:column; gap:0.35rem; }
+    .history-card { background:var(--card); border:1px solid var(--border); border-radius:var(--radius); padding:0.625rem 0.875rem; opacity:0; display:flex; align-items:center; gap:0.75rem; }
+    .hc-fuels { display:flex; gap:0.75rem; flex:1; min-width:0; flex-wrap:wrap; align-items:baseline; }
+    .hc-fuel { display:flex; align-items:baseline; gap:0.25rem; white-space:nowrap; }
+    .hc-fuel + .hc-fuel { padding-left:0.625rem; border-left:1px solid var(--border); }
+    .hc-arrow { font-size:1.05rem; font-weight:900; font-family:var(--font-display); line-height:1; }
+    .hc-adj { font-size:0.8rem; font-weight:700; font-family:var(--font-display); font-variant-numeric:tabular-nums; }
+    .hc-price { font-size:0.7rem; opacity:0.6; font-family:var(--font-mono); font-variant-numeric:tabular-nums; }
+    .hc-meta { display:flex; flex-direction:column; align-items:flex-end; gap:0.1rem; flex-shrink:0; }
+    .hc-time { font-size:0.6rem; color:var(--muted-foreground); white-space:nowrap; }
+    a.hc-time { text-decoration:underline; text-underline-offset:2px; }
+    .hc-retracted { font-family:var(--font-mono); font-size:0.56rem; font-weight:700; text-transform:uppercase; letter-spacing:0.08em; color:var(--color-up); white-space:nowrap; }
+    .hc-revised { font-family:var(--font-mono); font-size:0.56rem; font-weight:700; text-transform:uppercase; letter-spacing:0.08em; color:hsl(200 70% 50%); white-space:nowrap; cursor:help; }
+    .revised-note { font-size:0.68rem; color:hsl(200 50% 55%); }
+    .author-updates { width:100%; margin-top:0.75rem; padding-top:0.625rem; border-top:1px dashed var(--border); text-align:left; }
+    .author-updates-label { font-family:var(--font-mono); font-size:0.6rem; font-weight:700; text-transform:uppercase; letter-spacing:0.08em; color:var(--muted-foreground); margin-bottom:0.35rem; }
+    .author-updates ul { list-style:none; display:flex; flex-direction:column; gap:0.35rem; }
+    .author-updates li { font-size:0.72rem; line-height:1.45; }
+    .author-updates time { font-family:var(--font-mono); font-size:0.62rem; color:var(--muted-foreground); margin-right:0.35rem; }
+    .update-amended { font-family:var(--font-mono); font-size:0.56rem; font-weight:700; text-transform:uppercase; letter-spacing:0.08em; color:hsl(200 70% 50%); margin-left:0.35rem; }
+    .hc-kind { font-family:var(--font-mono); font-size:0.56rem; font-weight:700; text-transform:uppercase; letter-spacing:0.08em; color:hsl(45 90% 42%); white-space:nowrap; }
+    .hc-notes { font-size:0.6rem; color:var(--muted-foreground); white-space:nowrap; overflow:hidden; text-overflow:ellipsis; max-width:12ch; font-style:italic; }
+
+    /* Footer */
+    footer { padding:1.125rem 1rem 1.5rem; border-top:1px solid var(--border); display:flex; flex-wrap:wrap; align-items:center; justify-content:center; gap:0.2rem 0.875rem; font-size:0.775rem; color:var(--muted-foreground); }
+    footer a { text-decoration:underline; text-underline-offset:2px; }
+    footer a:hover { color:var(--foreground); }
+    footer a:focus-visible { outline:2px solid var(--ring); outline-offset:2px; border-radius:2px; }
+    .footer-sep { opacity:0.35; user-select:none; }
+    .dev-link { background:none; border:none; color:var(--muted-foreground); font-size:0.775rem; cursor:pointer; text-decoration:underline; text-underline-offset:2px; font-family:var(--font-sans); padding:0; }
+    .dev-link:hover { color:var(--foreground); }
+    .dev-link:focus-visible { outline:2px solid var(--ring); outline-offset:2px; border-radius:2px; }
+
+    /* Modal */
+    .modal-backdrop { display:none; position:fixed; inset:0; background:hsl(0 0% 0%/0.5); backdrop-filter:blur(2px); -webkit-backdrop-filter:blur(2px); z-index:100; align-items:center; justify-content:center; padding:1rem; }
+    .modal-backdrop.open { display:flex; }
+    .modal { background:var(--popover); color:var(--popover-foreground); border:1px solid var(--border); border-radius:calc(var(--radius)*1.5); padding:1.5rem; width:100%; max-width:540px; max-height:85dvh; overflow-y:auto; position:relative; box-shadow:0 4px 6px hsl(0 0% 0%/0.07),0 16px 48px hsl(0 0% 0%/0.18); }
+    .modal-close { position:absolute; top:0.875rem; right:0.875rem; display:flex; align-items:center; justify-content:center; width:1.75rem; height:1.75rem; background:transparent; border:none; font-size:1.1rem; cursor:pointer; color:var(--muted-foreground); border-radius:calc(var(--radius)*0.5); }
+    .modal-close:hover { background:var(--muted); }
+    .modal-close:focus-visible { outline:2px solid var(--ring); outline-offset:2px; }
+    .modal h2 { font-size:1.1rem; font-weight:600; letter-spacing:-0.01em; margin-bottom:0.25rem; padding-right:2rem; }
+    .modal-subtitle { font-size:0.825rem; color:var(--muted-foreground); margin-bottom:1.25rem; }
+    .tabs { display:flex; gap:0; margin-bottom:1.25rem; border-bottom:1px solid var(--border); }
+    .tab-btn { background:none; border:none; font-family:var(--font-sans); font-size:0.825rem; color:var(--muted-foreground); cursor:pointer; padding:0.5rem 0.875rem; border-bottom:2px solid transparent; margin-bottom:-1px; }
+    .tab-btn.active { color:var(--foreground); border-bottom-color:var(--foreground); font-weight:500; }
+    .tab-btn:hover { color:var(--foreground); }
+    .tab-btn:focus-visible { outline:2px solid var(--ring); outline-offset:2px; border-radius:calc(var(--radius)*0.5); }
+    .tab-panel { display:none; }
+    .tab-panel.active { display:block; }
+    .tab-panel p { font-size:0.825rem; color:var(--muted-foreground); margin-bottom:0.75rem; line-height:1.65; }
+    .tab-panel h3 { font-size:0.65rem; text-transform:uppercase; letter-spacing:0.1em; color:var(--muted-foreground); margin-bottom:0.4rem; margin-top:1.125rem; font-family:var(--font-mono); font-weight:600; }
+    .code-block { background:var(--sign-bg); border:1px solid var(--sign-border); border-radius:var(--radius); padding:0.875rem 1rem; font-family:var(--font-mono); font-size:0.775rem; overflow-x:auto; white-space:pre; position:relative; color:hsl(240 5% 72%); line-height:1.6; }
+    .copy-btn { position:absolute; top:0.5rem; right:0.5rem; display:inline-flex; align-items:center; gap:0.25rem; background:var(--secondary); border:1px solid var(--border); border-radius:calc(var(--radius)*0.6); padding:0.18rem 0.5rem; font-size:0.67rem; cursor:pointer; color:var(--muted-foreground); font-family:var(--font-sans); font-weight:500; }
+    .copy-btn:hover { color:var(--foreground); }
+    .modal-links { display:flex; flex-direction:column; gap:0.375rem; margin-top:0.625rem; }
+    .modal-links a { font-size:0.825rem; color:var(--foreground); text-underline-offset:2px; padding:0.25rem 0; }
+    .modal-links a:hover { color:var(--muted-foreground); }
+    .about-body h3 { font-size:0.72rem; text-transform:uppercase; letter-spacing:0.1em; color:var(--muted-foreground); margin-bottom:0.4rem; margin-top:1.125rem; font-family:var(--font-mono); font-weight:600; }
+    .about-body h3:first-child { margin-top:0; }
+    .about-body p { font-size:0.825rem; color:var(--muted-foreground); margin-bottom:0.625rem; line-height:1.65; }
+    .about-body p:last-child { margin-bottom:0; }
+    .about-body a { color:var(--foreground); text-underline-offset:2px; }
+    .about-body a:hover { color:var(--muted-foreground); }
+
+    /* Animations */
+    @media (prefers-reduced-motion: no-preference) {
+      .history-card { animation:fadeSlideIn 0.25s cubic-bezier(0.16,1,0.3,1) forwards; }
+      @keyframes fadeSlideIn { from{opacity:0;transform:translateY(4px)} to{opacity:1;transform:translateY(0)} }
+      .modal-backdrop.open .modal { animation:modalIn 0.2s cubic-bezier(0.16,1,0.3,1); }
+      @keyframes modalIn { from{opacity:0;transform:translateY(6px) scale(0.98)} to{opacity:1;transform:translateY(0) scale(1)} }
+      .fuel-arrow { animation:arrowBounce 2.2s cubic-bezier(0.37,0,0.63,1) infinite; }
+      @keyframes arrowBounce {
+        0%,100%{transform:translateY(0) scale(1)}
+        40%{transform:translateY(${isUp ? '-7px' : isDown ? '7px' : '0'}) scale(${isUp || isDown ? '1.04' : '1.06'})}
+        60%{transform:translateY(${isUp ? '-4px' : isDown ? '4px' : '0'}) scale(${isUp || isDown ? '1.02' : '1.03'})}
+      }
+      .sign-board { animation:signReveal 0.35s cubic-bezier(0.16,1,0.3,1) forwards; }
+      @keyframes signReveal { from{opacity:0;transform:translateY(6px)} to{opacity:1;transform:translateY(0)} }
+      .wordmark { animation:fadeSlideIn 0.22s cubic-bezier(0.16,1,0.3,1) both; }
+    }
+    @media (prefers-reduced-motion: reduce) { .history-card{opacity:1} }
+
+    /* Responsive */
+    @media (max-width: 400px) {
+      .hc-fuel + .hc-fuel { padding-left:0.4rem; }
+      .hc-time { display:none; }
+    }
+  </style>
+</head>
+<body>
+  <main>
+    <header class="wordmark" role="banner">
+      <a href="/" class="wordmark-logo" aria-label="hfxgas.ca home">hfxgas<span>.ca</span></a>
+    </header>
+
+    <!-- Sign Board -->
+    <section aria-label="Current gas price prediction">
+      <div class="sign-board">
+        <div class="sign-inner">
+          ${
+            hasData
+              ? `
+          ${retractionHtml}
+          ${zoneSelectorHtml}
+          ${kindLabelHtml}
+          <div class="fuel-cards${p.retracted ? ' fuel-cards--retracted' : ''}">
+            ${renderFuelCards(p)}
+          </div>
+          ${interrupterHtml}
+          <div class="sign-meta">
+            ${effectiveHtml}
+            <time class="updated-at" datetime="${escapeHtml(p?.updated_at ?? '')}">
+              Updated ${relativeTime} &mdash; ${updatedAt} (Halifax)
+            </time>
+            ${revisedHtml}
+            ${notesHtml}
+            ${permalinkHtml}
+          </div>
+          ${updatesHtml}
+          `
+              : `
+          <div class="empty-state">
+            <svg class="empty-pump" width="64" height="64" viewBox="0 0 64 64" fill="none" aria-hidden="true" xmlns="http://www.w3.org/2000/svg">
+              <rect x="8" y="14" width="30" height="42" rx="3" stroke="currentColor" stroke-width="2.5" fill="none"/>
+              <rect x="14" y="20" width="18" height="12" rx="2" stroke="currentColor" stroke-width="2" fill="none" opacity="0.5"/>
+              <path d="M38 24 L50 18 L52 20 L52 38 Q52 42 48 42 L44 42" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" fill="none"/>
+              <circle cx="46" cy="44" r="3" stroke="currentColor" stroke-width="2" fill="none"/>
+              <line x1="14" y1="40" x2="32" y2="40" stroke="currentColor" stroke-width="2" stroke-linecap="round" opacity="0.4"/>
+              <line x1="14" y1="46" x2="26" y2="46" stroke="currentColor" stroke-width="2" stroke-linecap="round" opacity="0.4"/>
+            </svg>
+            <h2>No prediction yet.</h2>
+            <p>u/buckit posts every Thursday — check back soon!</p>
+            <span class="thursday-badge">Updated weekly · Thursdays</span>
+          </div>
+          `
+          }
+          <p class="disclaimer">
+            Community estimate by
+            <a href="https://www.reddit.com/u/buckit" rel="noopener noreferrer" target="_blank">u/buckit</a>
+            &nbsp;&middot;&nbsp; Not financial advice &nbsp;&middot;&nbsp; No tracking
+          </p>
+        </div>
+      </div>
+    </section>
+
+    ${imageHtml}
+    ${historyHtml}
+  </main>
+
+  <footer>
+    <span>Prediction by
+      <a href="https://www.reddit.com/u/buckit" rel="noopener noreferrer" target="_blank">u/buckit</a>
+      on <a href="https://www.reddit.com/r/halifax" rel="noopener noreferrer" target="_blank">r/halifax</a>
+    </span>
+    <span class="footer-sep">&middot;</span>
+    <button class="dev-link" id="aboutModalTrigger" aria-haspopup="dialog">About</button>
+    <span class="footer-sep">&middot;</span>
+    <button class="dev-link" id="devModalTrigger" aria-haspopup="dialog">Developer? Prompter?</button>
+    <span class="footer-sep">&middot;</span>
+    <span>Site by <a href="https://github.com/program-the-brain-not-the-heartbeat" rel="noopener noreferrer" target="_blank">program-the-brain-not-the-heartbeat</a></span>
+  </footer>
+
+  <!-- About Modal -->
+  <div class="modal-backdrop" id="aboutModal" role="dialog" aria-modal="true" aria-labelledby="aboutModalTitle">
+    <div class="modal">
+      <button class="modal-close" id="aboutModalClose" aria-label="Close about modal">&times;</button>
+      <h2 id="aboutModalTitle">About hfxgas.ca</h2>
+      <p class="modal-subtitle">Halifax fuel price predictions, automated.</p>
+      <div class="about-body">
+        <h3>What is this?</h3>
+        <p>Every Thursday, a Reddit user named <a href="https://www.reddit.com/u/buckit" rel="noopener noreferrer" target="_blank">u/buckit</a> posts the upcoming week&rsquo;s Halifax gas and diesel price predictions to <a href="https://www.reddit.com/r/halifax" rel="noopener noreferrer" target="_blank">r/halifax</a>. This site automatically finds that post, reads the numbers, and displays them in a clean format — so you don&rsquo;t have to dig through Reddit.</p>
+        <p>This project was entirely created, deployed, and maintained solely via AI prompts. The only human interaction was purchasing the domain name. Zero lines of human-written code or documentation.</p>
+        <h3>How does it work?</h3>
+        <p>A <a href="https://workers.cloudflare.com/" rel="noopener noreferrer" target="_blank">Cloudflare Worker</a> runs four times every Thursday. It fetches the newest posts from r/halifax, looks for u/buckit&rsquo;s prediction, parses the markdown table for regular and diesel prices, then stores the result and updates this page — all automatically, with no human in the loop.</p>
+        <p>The site also handles <strong>interrupter clause</strong> posts — when the Nova Scotia Utility and Review Board issues an emergency mid-week rate adjustment, those posts are caught too, any day of the week.</p>
+        <h3>The meme image</h3>
+        <p>When prices go up or down (not &ldquo;no change&rdquo;), the Worker generates a meme image using <a href="https://developers.cloudflare.com/workers-ai/" rel="noopener noreferrer" target="_blank">Cloudflare Workers AI</a> — specifically the <strong>Flux&nbsp;1&nbsp;Schnell</strong> text-to-image model, which runs entirely in Cloudflare&rsquo;s infrastructure.</p>
+        <p>The prompt is built automatically from two sources: the price direction (up&nbsp;= despair, down&nbsp;= celebration) and the top posts from r/halifax and r/novascotia that week &mdash; excluding u/buckit&rsquo;s own prediction post. Whatever Halifax and Nova Scotia are talking about &mdash; potholes, storms, local events &mdash; becomes the backdrop for the meme. Very Canadian.</p>
+        <p>The caption below each image shows the model used and links back to the Reddit post that triggered the generation. Tap <strong>View AI prompt</strong> to see the exact prompt that was sent to the model.</p>
+        <p>Images are stored in <a href="https://developers.cloudflare.com/r2/" rel="noopener noreferrer" target="_blank">Cloudflare R2</a> and served directly from this site with no third-party CDN. The whole thing — Worker, AI, storage — runs on Cloudflare&rsquo;s free tier. The only cost is the domain name (at wholesale Cloudflare prices).</p>
+        <h3>Who made this?</h3>
+        <p>A developer with the moniker <strong>program-the-brain-not-the-heartbeat</strong> from Cape Breton, Nova Scotia who got tired of searching Reddit every Thursday. The source code is open-source (MIT licensed) on <a href="https://github.com/program-the-brain-not-the-heartbeat/hfxgas.ca" rel="noopener noreferrer" target="_blank">GitHub</a>.</p>
+        <h3>Is the data accurate?</h3>
+        <p>This site displays community estimates posted by u/buckit. The author of this site has no affiliation with u/buckit and cannot verify the accuracy of the predictions. Prices may be off by a cent or two (&ldquo;May be +/- 0.1&rdquo;). <strong>Not financial advice.</strong> Always confirm at the pump.</p>
+        <h3>Privacy</h3>
+        <p>This site has no tracking, no cookies, no analytics, and no ads. Nothing about your visit is collected or stored.</p>
+      </div>
+    </div>
+  </div>
+
+  <!-- Developer Modal -->
+  <div class="modal-backdrop" id="devModal" role="dialog" aria-modal="true" aria-labelledby="devModalTitle">
+    <div class="modal">
+      <button class="modal-close" id="modalClose" aria-label="Close developer modal">&times;</button>
+      <h2 id="devModalTitle">Developer? Prompter?</h2>
+      <div class="tabs" role="tablist">
+        <button class="tab-btn active" role="tab" aria-selected="true" aria-controls="tab-api" id="btn-api">REST API</button>
+        <button class="tab-btn" role="tab" aria-selected="false" aria-controls="tab-mcp" id="btn-mcp">MCP Server</button>
+        <button class="tab-btn" role="tab" aria-selected="false" aria-controls="tab-docs" id="btn-docs">Docs</button>
+      </div>
+      <div id="tab-api" class="tab-panel active" role="tabpanel" aria-labelledby="btn-api">
+        <p>Plain JSON API via Cloudflare KV. No API key required for read access.</p>
+        <h3>Latest prediction</h3>
+        <div class="code-block" id="code-api">GET ${escapeHtml(siteUrl)}/api/latest
+Accept: application/json<button class="copy-btn" onclick="copyCode('code-api')">Copy</button></div>
+        <p>Add <code>?zone=1</code>–<code>?zone=6</code> for another Nova Scotia pricing zone (default: Zone 1, Halifax).</p>
+        <h3>Full history</h3>
+        <div class="code-block" id="code-history">GET ${escapeHtml(siteUrl)}/api/history?limit=100<button class="copy-btn" onclick="copyCode('code-history')">Copy</button></div>
+        <p>Follow <code>next_cursor</code> with <code>?cursor=</code> for the next page, until it is <code>null</code> — a filtered page can come back short or empty. Filter with <code>fuel</code>, <code>direction</code>, <code>source</code>, <code>from</code> and <code>to</code>; sort with <code>sort=effective|updated</code> and <code>order=desc|asc</code>.</p>
+        <p>For spreadsheets and pandas, <code>/api/history.csv</code> and <code>/api/history.ndjson</code> download every matching entry in one go, with the same filters.</p>
+        <h3>One prediction</h3>
+        <div class="code-block" id="code-prediction">GET ${escapeHtml(siteUrl)}/api/predictions/{id}<button class="copy-btn" onclick="copyCode('code-prediction')">Copy</button></div>
+        <p>Every prediction carries a permanent <code>id</code>; <code>/p/{id}</code> is its shareable page.</p>
+        <h3>OpenAPI</h3>
+        <div class="code-block" id="code-openapi">GET ${escapeHtml(siteUrl)}/openapi.json<button class="copy-btn" onclick="copyCode('code-openapi')">Copy</button></div>
+        <p>Every route, public and authenticated, with its parameters and request, response and error schemas.</p>
+        <h3>LLM-friendly summary</h3>
+        <div class="code-block" id="code-llms">GET ${escapeHtml(siteUrl)}/llms.txt<button class="copy-btn" onclick="copyCode('code-llms')">Copy</button></div>
+      </div>
+      <div id="tab-mcp" class="tab-panel" role="tabpanel" aria-labelledby="btn-mcp">
+        <p>Connect to this site's MCP server from Claude Desktop or any MCP-compatible client.</p>
+        <h3>Claude Desktop config</h3>
+        <div class="code-block" id="code-mcp">{
+  "mcpServers": {
+    "hfxgas": { "url": "${escapeHtml(siteUrl)}/mcp" }
+  }
+}<button class="copy-btn" onclick="copyCode('code-mcp')">Copy</button></div>
+        <h3>Available tools (no auth)</h3>
+        <div class="code-block">get_latest_prediction
+get_prediction_history
+get_prediction
+get_status</div>
+      </div>
+      <div id="tab-docs" class="tab-panel" role="tabpanel" aria-labelledby="btn-docs">
+        <p>Full documentation, architecture diagrams, and deployment guide.</p>
+        <div class="modal-links">
+          <a href="https://program-the-brain-not-the-heartbeat.github.io/buckit" rel="noopener noreferrer" target="_blank">VitePress Docs &#x2192;</a>
+          <a href="https://github.com/program-the-brain-not-the-heartbeat/hfxgas.ca" rel="noopener noreferrer" target="_blank">GitHub Repository &#x2192;</a>
+        </div>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    // Tab switching
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('.tab-btn').forEach(b => { b.classList.remove('active'); b.setAttribute('aria-selected','false'); });
+        document.querySelectorAll('.tab-panel').forEach(p => p.classList.remove('active'));
+        btn.classList.add('active'); btn.setAttribute('aria-selected','true');
+        document.getElementById(btn.getAttribute('aria-controls')).classList.add('active');
+      });
+    });
+    // Pricing zone selector
+    const zoneSelect=document.getElementById('zone');
+    if(zoneSelect)zoneSelect.addEventListener('change',()=>zoneSelect.form.submit());
+    // Modal
+    const modal=document.getElementById('devModal');
+    const trigger=document.getElementById('devModalTrigger');
+    const closeBtn=document.getElementById('modalClose');
+    function openModal(){modal.classList.add('open');closeBtn.focus();document.addEventListener('keydown',trapFocus);}
+    function closeModal(){modal.classList.remove('open');trigger.focus();document.removeEventListener('keydown',trapFocus);}
+    trigger.addEventListener('click',openModal);
+    closeBtn.addEventListener('click',closeModal);
+    modal.addEventListener('click',e=>{if(e.target===modal)closeModal();});
+    document.addEventListener('keydown',e=>{if(e.key==='Escape'&&modal.classList.contains('open'))closeModal();});
+    function trapFocus(e){
+      if(e.key!=='Tab')return;
+      const focusable=modal.querySelectorAll('button,a,[tabindex]:not([tabindex="-1"])');
+      const first=focusable[0];const last=focusable[focusable.length-1];
+      if(e.shiftKey?document.activeElement===first:document.activeElement===last){e.preventDefault();(e.shiftKey?last:first).focus();}
+    }
+    // About modal
+    const aboutModal=document.getElementById('aboutModal');
+    const aboutTrigger=document.getElementById('aboutModalTrigger');
+    const aboutCloseBtn=document.getElementById('aboutModalClose');
+    function openAboutModal(){aboutModal.classList.add('open');aboutCloseBtn.focus();document.addEventListener('keydown',trapAboutFocus);}
+    function closeAboutModal(){aboutModal.classList.remove('open');aboutTrigger.focus();document.removeEventListener('keydown',trapAboutFocus);}
+    aboutTrigger.addEventListener('click',openAboutModal);
+    aboutCloseBtn.addEventListener('click',closeAboutModal);
+    aboutModal.addEventListener('click',e=>{if(e.target===aboutModal)closeAboutModal();});
+    document.addEventListener('keydown',e=>{if(e.key==='Escape'&&aboutModal.classList.contains('open'))closeAboutModal();});
+    function trapAboutFocus(e){
+      if(e.key!=='Tab')return;
+      const focusable=aboutModal.querySelectorAll('button,a,[tabindex]:not([tabindex="-1"])');
+      const first=focusable[0];const last=focusable[focusable.length-1];
+      if(e.shiftKey?document.activeElement===first:document.activeElement===last){e.preventDefault();(e.shiftKey?last:first).focus();}
+    }
+    function copyCode(id){
+      const el=document.getElementById(id);
+      const text=el.childNodes[0].textContent.trim();
+      navigator.clipboard.writeText(text).catch(()=>{});
+    }
+    // Chart.js history
+    const chartData = ${chartJson};
+    const canvas = document.getElementById('historyChart');
+    if (canvas && typeof Chart !== 'undefined') {
+      const isDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+      const gridColor  = isDark ? 'hsl(240 8% 16%)' : 'hsl(240 5% 92%)';
+      const labelColor = isDark ? 'hsl(240 5% 55%)' : 'hsl(240 4% 46%)';
+      const datasets = [];
+      // Interrupter clause points are drawn as triangles so they stand out from weekly prices
+      const pointStyle = chartData.kinds.map(k => k === 'interrupter' ? 'triangle' : 'circle');
+      if (chartData.gasData.some(v => v !== null)) {
+        datasets.push({
+          label: 'Regular', data: chartData.gasData,
+          borderColor: 'hsl(20 90% 52%)', backgroundColor: 'hsl(20 90% 52% / 0.12)',
+          pointBackgroundColor: 'hsl(20 90% 52%)', tension: 0.35,
+          fill: true, borderWidth: 2, pointRadius: 3, pointHoverRadius: 5,
+          pointStyle, spanGaps: true,
+        });
+      }
+      if (chartData.dieselData.some(v => v !== null)) {
+        datasets.push({
+          label: 'Diesel', data: chartData.dieselData,
+          borderColor: 'hsl(200 75% 48%)', backgroundColor: 'hsl(200 75% 48% / 0.1)',
+          pointBackgroundColor: 'hsl(200 75% 48%)', tension: 0.35,
+          fill: true, borderWidth: 2, pointRadius: 3, pointHoverRadius: 5,
+          pointStyle, spanGaps: true,
+        });
+      }
+      const gradeColors = { midgrade: 'hsl(280 60% 58%)', premium: 'hsl(45 90% 48%)', furnace_oil: 'hsl(0 65% 52%)' };
+      chartData.otherGrades.forEach(g => {
+        const color = gradeColors[g.key] ?? 'hsl(240 5% 58%)';
+        datasets.push({
+          label: g.label, data: g.data,
+          borderColor: color, backgroundColor: 'transparent',
+          pointBackgroundColor: color, tension: 0.35,
+          fill: false, borderWidth: 2, pointRadius: 3, pointHoverRadius: 5,
+          pointStyle, spanGaps: true,
+        });
+      });
+      new Chart(canvas, {
+        type: 'line',
+        data: { labels: chartData.labels, datasets },
+        options: {
+          responsive: true, maintainAspectRatio: false,
+          interaction: { mode: 'index', intersect: false },
+          plugins: {
+            legend: { display: datasets.length > 1, labels: { color: labelColor, font: { size: 11 }, boxWidth: 12, padding: 12 } },
+            tooltip: {
+              backgroundColor: isDark ? 'hsl(240 10% 10%)' : 'hsl(0 0% 100%)',
+              borderColor: isDark ? 'hsl(240 8% 18%)' : 'hsl(240 5% 90%)',
+              borderWidth: 1, titleColor: labelColor, bodyColor: labelColor,
+              callbacks: {
+                label: ctx => ' ' + ctx.dataset.label + ': $' + (ctx.parsed.y?.toFixed(3) ?? '') + '/L',
+                footer: items => chartData.kinds[items[0]?.dataIndex] === 'interrupter' ? 'Interrupter clause' : '',
+              },
+            },
+          },
+          scales: {
+            x: { grid: { color: gridColor }, ticks: { color: labelColor, font: { size: 10 }, maxTicksLimit: 8 } },
+            y: {
+              grid: { color: gridColor }, ticks: { color: labelColor, font: { size: 10 },
+                callback: v => '$' + v.toFixed(2) },
+            },
+          },
+        },
+      });
+    }
+  </script>
+</body>
+</html>`;
+}
+
+// ── Route Handlers ───────────────────────────────────────────────────────────
+
+async function handleRoot(env, url) {
+  // The list shows the last MAX_HISTORY entries; the chart can reach further back
+  const maxHistory = parseInt(env.MAX_HISTORY ?? '10', 10);
+  const chartWindow = parseInt(env.CHART_WINDOW ?? '26', 10);
+  const [prediction, recent, imageKey, imagePrompt] = await Promise.all([
+    readLatestPrediction(env),
+    readHistory(env, { limit: Math.max(maxHistory, chartWindow) }),
+    env.PREDICTIONS.get('latest_image_key'),
+    env.PREDICTIONS.get('latest_image_prompt'),
+  ]);
+
+  const siteUrl = env.SITE_URL ?? 'https://hfxgas.ca';
+
+  const zone = parsePricingZone(url.searchParams.get('zone')) ?? 1;
+
+  const html = renderHtml({
+    prediction,
+    history: recent.slice(0, maxHistory),
+    chartHistory: recent.slice(0, chartWindow),
+    imageKey,
+    imagePrompt,
+    siteUrl,
+    zone,
+  });
+
+  return new Response(html, {
+    headers: {
+      'content-type': 'text/html; charset=utf-8',
+      'cache-control': 'no-store',
+    },
+  });
+}
+
+async function handleApiLatest(env, url) {
+  const zoneParam = url.searchParams.get('zone');
+  const zone = zoneParam === null ? 1 : parsePricingZone(zoneParam);
+  if (zone === null) {
+    return new Response(
+      JSON.stringify({
+        error: `zone must be one of: ${PRICING_ZONES.map((z) => z.id).join(', ')}`,
+      }),
+      { status: 400, headers: { 'content-type': 'application/json' } }
+    );
+  }
+
+  const latest = await readLatestPrediction(env);
+  if (!latest)
+    return new Response(JSON.stringify(null), { headers: { 'content-type': 'application/json' } });
+  const prediction = zonePrediction(latest, zone);
+  if (!prediction) {
+    return new Response(
+      JSON.stringify({ error: `No prices for ${zoneLabel(zone)} in the latest prediction` }),
+      { status: 404, headers: { 'content-type': 'application/json' } }
+    );
+  }
+  return new Response(JSON.stringify(publicPrediction(prediction)), {
+    headers: { 'content-type': 'application/json', 'cache-control': 'no-store' },
+  });
+}
+
+/**
+ * GET /p/:id — the page for one history entry, as shared on Reddit: its fuel cards,
+ * image and notes, with its own OG tags. `?zone=` works as on the homepage.
+ * @param {object} env
+ * @param {URL} url
+ * @param {number} id
+ */
+async function handlePermalink(env, url, id) {
+  const prediction = await findHistoryEntryById(id, env);
+  if (!prediction) {
+    return new Response(`No prediction ${id}`, {
+      status: 404,
+      headers: { 'content-type': 'text/plain; charset=utf-8' },
+    });
+  }
+  const imageKey = await entryImageKey(prediction, env);
+  const imagePrompt = imageKey ? await env.PREDICTIONS.get(`image_prompt:${imageKey}`) : null;
+
+  const html = renderHtml({
+    prediction,
+    history: [],
+    imageKey,
+    imagePrompt,
+    siteUrl: env.SITE_URL ?? 'https://hfxgas.ca',
+    zone: parsePricingZone(url.searchParams.get('zone')) ?? 1,
+    permalink: true,
+  });
+  return new Response(html, {
+    headers: { 'content-type': 'text/html; charset=utf-8', 'cache-control': 'no-store' },
+  });
+}
+
+/**
+ * GET /api/predictions/:id — one history entry by its id, as /api/history returns it.
+ * @param {object} env
+ * @param {number} id
+ */
+async function handleApiPrediction(env, id) {
+  const prediction = await findHistoryEntryById(id, env);
+  if (!prediction) {
+    return new Response(JSON.stringify({ error: `No prediction ${id}` }), {
+      status: 404,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+  return new Response(JSON.stringify(publicPrediction(prediction)), {
+    headers: { 'content-type': 'application/json', 'cache-control': 'no-store' },
+  });
+}
+
+/**
+ * A prediction as the public API returns it. Always exposes `id` (its permanent id, see
+ * GET /api/predictions/:id) and effective_at so consumers can tell which week a price
+ * belongs to — both null for records written before they were tracked.
+ * @param {object} prediction
+ * @returns {object}
+ */
+function publicPrediction(prediction) {
+  return {
+    ...prediction,
+    id: prediction.id ?? null,
+    effective_at: prediction.effective_at ?? null,
+    zones: prediction.zones ?? null,
+    retracted: prediction.retracted ?? false,
+  };
+}
+
+/** Largest page GET /api/history returns. */
+const MAX_HISTORY_PAGE = 100;
+
+/**
+ * GET /api/history — the full prediction history, a page at a time, as the same objects
+ * /api/latest returns. Query parameters:
+ *   limit     — page size, 1–MAX_HISTORY_PAGE (default 20)
+ *   cursor    — `next_cursor` from the previous page (a page stops after MAX_HISTORY_SCAN rows)
+ *   sort      — `effective` (default) or `updated`; order — `desc` (default) or `asc`
+ *   from, to  — ISO dates or times on the sort date; a date-only `to` includes that day
+ *   fuel      — a grade (`regular`, `gas`, `diesel`, …); direction — `up`, `down`, `no-change`
+ *   source    — `reddit`, `webhook` or `mcp`
+ */
+async function handleApiHistory(env, url) {
+  const params = url.searchParams;
+  const limit = params.has('limit') ? Number(params.get('limit')) : 20;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE) {
+    return historyBadRequest(`limit must be an integer from 1 to ${MAX_HISTORY_PAGE}`);
+  }
+  const { filters, error } = parseHistoryFilters(params);
+  if (error) return historyBadRequest(error);
+
+  let after = null;
+  if (params.has('cursor')) {
+    after = decodeHistoryCursor(params.get('cursor'));
+    if (!after) return historyBadRequest('Invalid cursor');
+  }
+
+  const { entries, next } = await queryHistory(env, { ...filters, limit, after });
+  return new Response(
+    JSON.stringify({
+      predictions: entries.map(publicPrediction),
+      next_cursor: next && encodeHistoryCursor(next),
+    }),
+    { headers: { 'content-type': 'application/json', 'cache-control': 'no-store' } }
+  );
+}
+
+/**
+ * @param {string} error
+ * @returns {Response}
+ */
+function historyBadRequest(error) {
+  return new Response(JSON.stringify({ error }), {
+    status: 400,
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+/**
+ * The sort and filter parameters shared by /api/history and its exports.
+ * @param {URLSearchParams} params
+ * @returns {{ filters: HistoryQuery, error?: undefined }|{ error: string }}
+ */
+function parseHistoryFilters(params) {
+  const sort = params.get('sort') ?? 'effective';
+  if (!Object.hasOwn(HISTORY_SORTS, sort)) {
+    return { error: `sort must be one of: ${Object.keys(HISTORY_SORTS).join(', ')}` };
+  }
+  const order = params.get('order') ?? 'desc';
+  if (!['desc', 'asc'].includes(order)) return { error: 'order must be one of: desc, asc' };
+
+  const fuel = params.has('fuel') ? normaliseGrade(params.get('fuel')) : null;
+  if (params.has('fuel') && !fuel) {
+    return { error: `fuel must be one of: ${FUEL_GRADES.map((g) => g.key).join(', ')}` };
+  }
+  const direction = params.get('direction');
+  if (direction !== null && !['up', 'down', 'no-change'].includes(direction)) {
+    return { error: 'direction must be one of: up, down, no-change' };
+  }
+  const source = params.get('source');
+  if (source !== null && !PREDICTION_SOURCES.includes(source)) {
+    return { error: `source must be one of: ${PREDICTION_SOURCES.join(', ')}` };
+  }
+
+  const range = {};
+  for (const name of ['from', 'to']) {
+    const raw = params.get(name);
+    if (raw === null) continue;
+    const date = parseIsoDate(raw);
+    if (!date) return { error: `${name} must be an ISO 8601 date or timestamp` };
+    // `to` is exclusive underneath: a date-only `to` runs to the end of that day
+    if (name === 'to') {
+      date.setTime(date.getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(raw) ? 86400000 : 1));
+    }
+    range[name] = date.toISOString();
+  }
+
+  return {
+    filters: { sort, order, ...range, fuel, direction, source },
+  };
+}
+
+/** Fuel slots flattened into CSV columns: the gas/diesel shorthands, then the other grades. */
+const CSV_FUEL_COLUMNS = [
+  ['gas', 'regular'],
+  ['diesel', 'diesel'],
+  ...FUEL_GRADES.filter((g) => !['regular', 'diesel'].includes(g.key)).map((g) => [g.key, g.key]),
+];
+
+const CSV_COLUMNS = [
+  'id',
+  'kind',
+  'effective_at',
+  'updated_at',
+  'triggered_at',
+  ...CSV_FUEL_COLUMNS.flatMap(([prefix]) =>
+    ['direction', 'adjustment', 'price'].map((field) => `${prefix}_${field}`)
+  ),
+  'source',
+  'post_id',
+  'post_url',
+  'revision',
+  'retracted',
+  'notes',
+];
+
+/**
+ * One CSV field (RFC 4180). Text that a spreadsheet would run as a formula — notes come
+ * from Reddit — is prefixed with `'`.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A history entry as a CSV row, in CSV_COLUMNS order.
+ * @param {object} p - from publicPrediction
+ * @returns {string}
+ */
+function csvRow(p) {
+  const grades = predictionGrades(p);
+  const fuel = CSV_FUEL_COLUMNS.flatMap(([, grade]) => [
+    grades[grade]?.direction,
+    grades[grade]?.adjustment,
+    grades[grade]?.price,
+  ]);
+  return [
+    p.id,
+    p.kind,
+    p.effective_at,
+    p.updated_at,
+    p.triggered_at,
+    ...fuel,
+    p.source,
+    p.post_id,
+    p.post_url,
+    p.revision,
+    p.retracted,
+    p.notes,
+  ]
+    .map(csvField)
+    .join(',');
+}
+
+/**
+ * GET /api/history.csv and /api/history.ndjson — every entry matching the /api/history
+ * filters (no paging), streamed as it is read, as a download. CSV flattens each fuel
+ * slot into direction/adjustment/price columns; NDJSON has one /api/history object per
+ * line.
+ * @param {object} env
+ * @param {URL} url
+ * @param {'csv'|'ndjson'} format
+ */
+async function handleHistoryExport(env, url, format) {
+  const { filters, error } = parseHistoryFilters(url.searchParams);
+  if (error) return historyBadRequest(error);
+
+  const filename = `hfxgas-history-${today()}.${format}`;
+  return streamDownload(
+    'History export',
+    async (writer) => {
+      if (format === 'csv') await writer.write(`${CSV_COLUMNS.join(',')}\r\n`);
+      for await (const { entry } of historyMatches(env, filters)) {
+        const p = publicPrediction(entry);
+        await writer.write(format === 'csv' ? `${csvRow(p)}\r\n` : `${JSON.stringify(p)}\n`);
+      }
+    },
+    {
+      'content-type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      'content-disposition': `attachment; filename="${filename}"`,
+    }
+  );
+}
+
+/**
+ * An opaque /api/history cursor for a page position.
+ * @param {{ key: string, id: number }} position
+ * @returns {string}
+ */
+function encodeHistoryCursor({ key, id }) {
+  return btoa(JSON.stringify([key, id]))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {{ key: string, id: number }|null} null if it isn't one of ours
+ */
+function decodeHistoryCursor(cursor) {
+  try {
+    const [key, id] = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof key === 'string' && Number.isInteger(id) ? { key, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+async function handleImage(key, env) {
+  const obj = await env.IMAGES.get(`images/${key}`);
+  if (!obj) return new Response('Not Found', { status: 404 });
+  return new Response(obj.body, {
+    headers: {
+      'content-type': 'image/png',
+      'cache-control': 'public, max-age=31536000, immutable',
+    },
+  });
+}
+
+async function handleRobots(env) {
+  const siteUrl = env.SITE_URL ?? 'https://hfxgas.ca';
+  return new Response(`User-agent: *\nAllow: /\n\nSitemap: ${siteUrl}/sitemap.xml\n`, {
+    headers: { 'content-type': 'text/plain; charset=utf-8' },
+  });
+}
+
+async function handleSitemap(env) {
+  const siteUrl = env.SITE_URL ?? 'https://hfxgas.ca';
+  const raw = await env.PREDICTIONS.get('latest_prediction');
+  const p = raw ? JSON.parse(raw) : null;
+  const lastmod = p?.updated_at ? p.updated_at.slice(0, 10) : new Date().toISOString().slice(0, 10);
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>${siteUrl}/</loc>
+    <lastmod>${lastmod}</lastmod>
+    <changefreq>weekly</changefreq>
+    <priority>1.0</priority>
+  </url>
+</urlset>`;
+
+  return new Response(xml, {
+    headers: { 'content-type': 'application/xml; charset=utf-8' },
+  });
+}
+
+async function handleLlmsTxt(env) {
+  const siteUrl = env.SITE_URL ?? 'https://hfxgas.ca';
+  const p = await readLatestPrediction(env);
+
+  const gasSummary = p?.gas
+    ? `${p.gas.direction} to $${p.gas.price?.toFixed(3) ?? 'unknown'}/L`
+    : null;
+  const dieselSummary = p?.diesel
+    ? `${p.diesel.direction} to $${p.diesel.price?.toFixed(3) ?? 'unknown'}/L`
+    : null;
+
+  const grades = predictionGrades(p);
+  const otherGradeLines = FUEL_GRADES.filter(
+    (g) => g.key !== 'regular' && g.key !== 'diesel' && grades[g.key]
+  )
+    .map(
+      (g) =>
+        `\n- ${g.label}: ${grades[g.key].direction} to $${grades[g.key].price?.toFixed(3) ?? 'unknown'}/L`
+    )
+    .join('');
+  const zoneLine = p?.zones
+    ? `\n- Pricing zones: ${PRICING_ZONES.filter((z) => z.id === 1 || p.zones[z.id])
+        .map((z) => zoneLabel(z.id))
+        .join(', ')} (prices above are Zone 1)`
+    : '';
+
+  const body = `# hfxgas.ca — Halifax Gas Price Prediction
+
+> Weekly gas price prediction for Halifax, Nova Scotia, Canada.
+> Data source: Reddit /u/buckit on r/halifax (community estimate).
+> Updated every Thursday. Not financial advice. No tracking.
+
+## Current Prediction
+${
+  p
+    ? `${gasSummary ? `- Regular gas: ${gasSummary}` : ''}
+${dieselSummary ? `- Diesel: ${dieselSummary}` : ''}${otherGradeLines}
+- Effective: ${p.effective_at ?? 'unknown'}${zoneLine}${
+        p.retracted
+          ? `\n- Status: RETRACTED (source post ${p.retraction_reason ?? 'unavailable'}) — may no longer be accurate`
+          : ''
+      }
+- Updated: ${p.updated_at}${(p.updates ?? [])
+        .map((u) => `\n- Update from u/${sourceAuthor(p)} (${u.posted_at}): ${u.text}`)
+        .join('')}${
+        p.interrupters?.length
+          ? `\n- Interrupter clause adjustments this week: ${p.interrupters.length}`
+          : ''
+      }`
+    : 'No prediction available yet.'
+}
+
+## API Access (no key required)
+- Latest prediction JSON: ${siteUrl}/api/latest
+- Another pricing zone: ${siteUrl}/api/latest?zone=6 (zones 1–6, default 1 — Halifax)
+- Full history, paginated: ${siteUrl}/api/history (?limit=, ?cursor=, ?fuel=, ?direction=, ?source=, ?from=, ?to=, ?sort=effective|updated)
+- Full history as a download: ${siteUrl}/api/history.csv, ${siteUrl}/api/history.ndjson (same filters, no paging)
+- One prediction by its id: ${siteUrl}/api/predictions/{id} (page: ${siteUrl}/p/{id})
+- MCP server (Claude Desktop): ${siteUrl}/mcp
+- OpenAPI description of every route and schema: ${siteUrl}/openapi.json
+
+## Attribution
+Prediction data by u/buckit on r/halifax (https://www.reddit.com/r/halifax).
+Site by program-the-brain-not-the-heartbeat (https://github.com/program-the-brain-not-the-heartbeat).
+Source code: https://github.com/program-the-brain-not-the-heartbeat/hfxgas.ca
+`;
+
+  return new Response(body, {
+    headers: { 'content-type': 'text/plain; charset=utf-8' },
+  });
+}
+
+/**
+ * The name of an API token: `default` for WEBHOOK_SECRET, or its key in the optional
+ * API_TOKENS secret (`{"name": "token", …}`) — so each person or integration can have
+ * its own token and show up by name in the audit log.
+ * @param {string|null|undefined} token
+ * @param {object} env
+ * @returns {string|null} null if the token isn't valid
+ */
+export function tokenName(token, env) {
+  if (!token) return null;
+  if (token === env.WEBHOOK_SECRET) return 'default';
+  if (!env.API_TOKENS) return null;
+  let tokens;
+  try {
+    tokens = JSON.parse(env.API_TOKENS);
+  } catch {
+    console.error('API_TOKENS is not valid JSON — ignoring it');
+    return null;
+  }
+  const match = Object.entries(tokens ?? {}).find(([, t]) => typeof t === 'string' && t === token);
+  return match ? match[0] : null;
+}
+
+/**
+ * Check the bearer token (WEBHOOK_SECRET or an API_TOKENS token) on an authenticated endpoint.
+ * Query-parameter secrets (?secret=) are explicitly rejected: they leak into
+ * server logs, browser history, and Referer headers.
+ * @param {Request} request
+ * @param {object} env
+ * @param {string} name - endpoint name for the log line
+ * @returns {Response|null} error response, or null if authorised
+ */
+function authorize(request, env, name) {
+  const url = new URL(request.url);
+  if (url.searchParams.has('secret')) {
+    console.warn(`${name}: rejected ?secret= query param — use Authorization: Bearer <token>`);
+    return new Response(
+      JSON.stringify({ error: 'Use Authorization: Bearer header, not ?secret= query param' }),
+      {
+        status: 400,
+        headers: { 'content-type': 'application/json' },
+      }
+    );
+  }
+
+  const authHeader = request.headers.get('authorization') ?? '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+
+  if (tokenName(token, env) === null) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+  return null;
+}
+
+/**
+ * GET  /api/pending — the predictions held for review, newest first.
+ * POST /api/pending — { action: 'approve'|'reject', post_id? } publishes or discards the
+ * one held for `post_id`, which may be left out while only one is held. An approved
+ * prediction older than the published one is only added to the history (see
+ * publishPrediction's `keep_newer`), so the homepage stays on the newer week.
+ */
+async function handlePending(request, env) {
+  const authError = authorize(request, env, 'Pending');
+  if (authError) return authError;
+
+  const held = await readPending(env);
+
+  if (request.method === 'GET') {
+    return new Response(JSON.stringify({ pending: held }), {
+      headers: { 'content-type': 'application/json', 'cache-control': 'no-store' },
+    });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+      status: 400,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+  const { action, post_id } = body ?? {};
+  if (!['approve', 'reject'].includes(action)) {
+    return new Response(JSON.stringify({ error: 'action must be one of: approve, reject' }), {
+      status: 400,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+  if (post_id === undefined && held.length > 1) {
+    return new Response(
+      JSON.stringify({
+        error: `${held.length} predictions are held — post_id must say which one`,
+      }),
+      {
+        status: 400,
+        headers: { 'content-type': 'application/json' },
+      }
+    );
+  }
+  const pending = post_id === undefined ? held[0] : held.find((p) => p.post_id === post_id);
+  // Reviewed through the write path, which re-reads the hold — another review may have
+  // taken it since
+  const result =
+    pending &&
+    (await commitWrite(
+      'review',
+      { post_id: pending.post_id, action, audit: requestAudit(request, env, 'pending') },
+      env
+    ));
+  if (!result) {
+    const error =
+      post_id === undefined ? 'No pending prediction' : `No pending prediction for post ${post_id}`;
+    return new Response(JSON.stringify({ error }), {
+      status: 404,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+  return new Response(JSON.stringify({ ok: true, ...result }), {
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+/**
+ * GET /api/sources — the Reddit watch list in use and where it came from ('env'|'default').
+ */
+async function handleSources(request, env) {
+  const authError = authorize(request, env, 'Sources');
+  if (authError) return authError;
+
+  // The compiled title_regex stays internal
+  const sources = (await loadSources(env)).map(({ title_regex, ...source }) => source);
+  const origin = env.REDDIT_SOURCES ? 'env' : 'default';
+  return new Response(JSON.stringify({ sources, origin }), {
+    headers: { 'content-type': 'application/json', 'cache-control': 'no-store' },
+  });
+}
+
+/**
+ * GET /api/runs — the cron run journal, newest first. `?limit=` (default 20, clamped to
+ * MAX_RUNS) caps the number of runs returned.
+ */
+async function handleRuns(request, env) {
+  const authError = authorize(request, env, 'Runs');
+  if (authError) return authError;
+
+  const limitParam = new URL(request.url).searchParams.get('limit');
+  const limit = limitParam === null ? 20 : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return new Response(JSON.stringify({ error: 'limit must be a positive integer' }), {
+      status: 400,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+
+  return new Response(JSON.stringify({ runs: await readRuns(env, limit) }), {
+    headers: { 'content-type': 'application/json', 'cache-control': 'no-store' },
+  });
+}
+
+/**
+ * GET /api/audit — the audit log, newest first. `?limit=` (default 50) caps the page;
+ * `?before=<id>` continues from the last entry of the previous page; `post_id`,
+ * `actor`, `entry_point` and `request_id` filter on the matching field.
+ */
+async function handleAudit(request, env) {
+  const authError = authorize(request, env, 'Audit');
+  if (authError) return authError;
+
+  const params = new URL(request.url).searchParams;
+  const query = {};
+  for (const name of ['limit', 'before']) {
+    const raw = params.get(name);
+    if (raw === null) continue;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1) {
+      return new Response(JSON.stringify({ error: `${name} must be a positive integer` }), {
+        status: 400,
+        headers: { 'content-type': 'application/json' },
+      });
+    }
+    query[name] = value;
+  }
+  for (const name of ['post_id', 'actor', 'entry_point', 'request_id']) {
+    if (params.has(name)) query[name] = params.get(name);
+  }
+
+  return new Response(JSON.stringify({ entries: await readAudit(env, query) }), {
+    headers: { 'content-type': 'application/json', 'cache-control': 'no-store' },
+  });
+}
+
+/**
+ * GET /api/backup — stream a backup document (see writeBackup) as a download.
+ * PUT /api/backup — restore one (see restoreBackup). The images themselves stay in R2:
+ *                   manifest entries missing from IMAGES are listed in `missing_images`.
+ */
+async function handleBackup(request, env) {
+  const authError = authorize(request, env, 'Backup');
+  if (authError) return authError;
+
+  if (request.method === 'GET') {
+    return streamDownload('Backup', (writer) => writeBackup(writer, env), {
+      'content-type': 'application/json',
+      'content-disposition': `attachment; filename="buckit-backup-${today()}.json"`,
+    });
+  }
+
+  let backup;
+  try {
+    backup = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+      status: 400,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+  const error = validateBackup(backup);
+  if (error) {
+    return new Response(JSON.stringify({ error }), {
+      status: 400,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+
+  const restored = await commitWrite(
+    'restore',
+    { backup, audit: requestAudit(request, env, 'api') },
+    env
+  );
+  const missing = [];
+  for (const { key } of backup.images) {
+    if (!(await env.IMAGES.head(key))) missing.push(key);
+  }
+  console.log(
+    `Backup: restored ${restored.kv} KV keys and ${restored.history} history entries from ${backup.exported_at}`
+  );
+  return new Response(
+    JSON.stringify({
+      ok: true,
+      restored: { ...restored, images: backup.images.length - missing.length },
+      missing_images: missing,
+    }),
+    { headers: { 'content-type': 'application/json' } }
+  );
+}
+
+/**
+ * A download whose body `write` produces as the client reads it. The headers get
+ * `cache-control: no-store`; a failure part-way is logged and aborts the body.
+ * @param {string} name - for the log line
+ * @param {(writer: WritableStreamDefaultWriter<string>) => Promise<void>} write
+ * @param {Record<string, string>} headers
+ * @returns {Response}
+ */
+function streamDownload(name, write, headers) {
+  const { readable, writable } = new TextEncoderStream();
+  const writer = writable.getWriter();
+  write(writer).then(
+    () => writer.close(),
+    (err) => {
+      console.error(`${name}: export failed:`, err.message);
+      return writer.abort(err);
+    }
+  );
+  return new Response(readable, { headers: { ...headers, 'cache-control': 'no-store' } });
+}
+
+/** Today's UTC date, YYYY-MM-DD, for download filenames. */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * POST /api/rollback — revert latest_prediction to the previous history entry, removing
+ * the newest one (see rollbackPrediction). 404 if there is no history.
+ */
+async function handleRollback(request, env) {
+  const authError = authorize(request, env, 'Rollback');
+  if (authError) return authError;
+
+  const result = await rollbackPrediction(env, { audit: requestAudit(request, env, 'api') });
+  if (!result) {
+    return new Response(JSON.stringify({ error: 'No prediction to roll back' }), {
+      status: 404,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+  console.log(`Rollback: removed history entry ${result.removed.id ?? '(newest)'}`);
+  return new Response(JSON.stringify({ ok: true, ...result }), {
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+/**
+ * DELETE /api/history/:id — delete a history entry by the `id` readHistory gives it,
+ * rolling back latest_prediction if it includes the entry (see deleteHistoryEntry).
+ * @param {Request} request
+ * @param {object} env
+ * @param {number} id
+ */
+async function handleDeleteHistory(request, env, id) {
+  const authError = authorize(request, env, 'History');
+  if (authError) return authError;
+
+  const result = await deleteHistoryEntry(id, env, { audit: requestAudit(request, env, 'api') });
+  if (!result) {
+    return new Response(JSON.stringify({ error: `No history entry ${id}` }), {
+      status: 404,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+  console.log(`History: deleted entry ${id}`);
+  return new Response(JSON.stringify({ ok: true, ...result }), {
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/scan/dry-run — run the scheduled scan without writing KV or calling
+ * Workers AI, and return the would-be prediction, the chosen post and the image
+ * prompt (see dryRunScan). Same Bearer WEBHOOK_SECRET as the webhook.
+ */
+async function handleDryRun(request, env) {
+  const authError = authorize(request, env, 'Dry run');
+  if (authError) return authError;
+
+  return new Response(JSON.stringify(await dryRunScan(env)), {
+    headers: { 'content-type': 'application/json', 'cache-control': 'no-store' },
+  });
+}
+
+async function handleWebhook(request, env) {
+  // Auth — Bearer token only.
+  const authError = authorize(request, env, 'Webhook');
+  if (authError) return authError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+      status: 400,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
 
-    /* Fuel cards side-by-side */
-    .fuel-cards { display:grid; grid-template-columns:1fr 1fr; gap:0.75rem; width:100%; margin-bottom:1rem; }
-    @media (max-width:340px) { .fuel-cards { grid-template-columns:1fr; } }
-    .fuel-card { background:hsl(240 8% 11%); border:1px solid hsl(240 6% 20%); border-radius:calc(var(--radius)*1.25); padding:0.875rem 1rem 1rem; display:flex; flex-direction:column; gap:0.5rem; }
-    .fuel-card[data-dir="up"]        { border-color:hsl(20 50% 28%); }
-    .fuel-card[data-dir="down"]      { border-color:hsl(142 40% 22%); }
-    .fuel-card[data-dir="no-change"] { border-color:hsl(240 5% 26%); }
-    .fuel-card--empty { opacity:0.4; }
-    .fuel-card-header { display:flex; align-items:center; justify-content:space-between; gap:0.5rem; }
-    .fuel-type-badge { font-family:var(--font-mono); font-size:0.6rem; font-weight:700; letter-spacing:0.12em; color:hsl(240 5% 52%); text-transform:uppercase; }
-    .fuel-dir-label { font-family:var(--font-mono); font-size:0.56rem; font-weight:700; letter-spacing:0.1em; text-transform:uppercase; border:1px solid; border-radius:9999px; padding:0.15rem 0.5rem; }
-    .fuel-card-body { display:flex; align-items:center; gap:0.5rem; }
-    .fuel-arrow { font-size:clamp(2.5rem,10vw,3.5rem); line-height:0.85; font-weight:900; font-family:var(--font-display); flex-shrink:0; }
-    .fuel-numbers { display:flex; flex-direction:column; align-items:flex-start; gap:0.1rem; min-width:0; }
-    /* Hero: adjustment delta */
-    .fuel-adj { font-size:clamp(1.25rem,5.5vw,1.875rem); font-weight:900; font-family:var(--font-display); line-height:1; letter-spacing:-0.02em; white-space:nowrap; font-variant-numeric:tabular-nums; }
-    /* Secondary: absolute price */
-    .fuel-price { font-size:0.75rem; color:hsl(240 5% 46%); font-family:var(--font-mono); font-variant-numeric:tabular-nums; white-space:nowrap; }
+  // Same validation and record shape as the MCP post_prediction tool
+  const result = normalisePredictionInput(body, 'webhook');
+  if (result.error) {
+    return new Response(JSON.stringify({ error: result.error }), {
+      status: 400,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
 
-    /* Sign meta */
-    .sign-meta { display:flex; flex-direction:column; align-items:center; gap:0.2rem; width:100%; }
-    .updated-at { font-size:0.68rem; color:hsl(240 4% 36%); margin-bottom:0.2rem; }
-    .notes { font-size:0.77rem; color:hsl(240 4% 44%); max-width:38ch; line-height:1.6; margin-bottom:0.5rem; padding:0.4rem 0.7rem; background:hsl(240 6% 12%); border-left:2px solid ${accentColor}50; border-radius:0 calc(var(--radius)*0.6) calc(var(--radius)*0.6) 0; text-align:left; font-style:italic; }
-    .disclaimer { font-size:0.67rem; color:hsl(240 4% 32%); line-height:1.7; }
-    .disclaimer a { color:hsl(240 4% 42%); text-decoration:underline; text-underline-offset:2px; }
-    .disclaimer a:hover { color:hsl(240 5% 60%); }
+  const stored = await writePrediction(result.prediction, env, {
+    audit: requestAudit(request, env, 'webhook'),
+  });
 
-    /* Empty state */
-    .empty-state { display:flex; flex-direction:column; align-items:center; gap:0.75rem; padding:1rem 0; width:100%; }
-    .empty-pump { color:hsl(240 5% 28%); }
-    .empty-state h2 { font-size:1.2rem; font-weight:700; color:hsl(240 5% 50%); font-family:var(--font-display); }
-    .empty-state p { font-size:0.8rem; color:hsl(240 4% 38%); max-width:26ch; text-align:center; line-height:1.6; }
-    .thursday-badge { font-family:var(--font-mono); font-size:0.62rem; font-weight:700; letter-spacing:0.12em; text-transform:uppercase; color:hsl(240 4% 38%); border:1px dashed hsl(240 5% 26%); border-radius:9999px; padding:0.2rem 0.7rem; }
+  return new Response(JSON.stringify({ ok: true, prediction: stored }), {
+    headers: { 'content-type': 'application/json' },
+  });
+}
 
-    /* AI image */
-    .image-card { background:var(--card); border:1px solid var(--border); border-radius:calc(var(--radius)*2); padding:0.5rem; box-shadow:0 1px 3px hsl(0 0% 0%/0.06),0 4px 12px hsl(0 0% 0%/0.05); }
-    .prediction-image { width:100%; border-radius:calc(var(--radius)*1.5); object-fit:cover; }
-    .image-figure { margin:0; }
-    .image-caption { font-size:0.62rem; color:var(--muted-foreground); padding:0.5rem 0.25rem 0.1rem; line-height:1.6; }
-    .ai-badge { display:inline-block; font-family:var(--font-mono); font-size:0.58rem; font-weight:700; letter-spacing:0.08em; text-transform:uppercase; background:hsl(240 5% 14%); border:1px solid var(--border); border-radius:9999px; padding:0.15rem 0.5rem; margin-right:0.4rem; vertical-align:middle; }
-    .caption-link { color:var(--muted-foreground); text-decoration:underline; text-underline-offset:2px; }
-    .caption-link:hover { color:var(--foreground); }
-    .prompt-details { margin-top:0.4rem; }
-    .prompt-details summary { cursor:pointer; font-family:var(--font-mono); font-size:0.6rem; color:var(--muted-foreground); user-select:none; }
-    .prompt-details summary:hover { color:var(--foreground); }
-    .prompt-text { margin:0.3rem 0 0; font-size:0.6rem; color:var(--muted-foreground); font-style:italic; line-height:1.55; word-break:break-word; }
+// ── Routes ───────────────────────────────────────────────────────────────────
 
-    /* History */
-    .section-label { font-size:0.62rem; font-weight:600; color:var(--muted-foreground); text-transform:uppercase; letter-spacing:0.12em; margin-bottom:0.75rem; font-family:var(--font-mono); }
-    .chart-wrap { background:var(--card); border:1px solid var(--border); border-radius:var(--radius); padding:0.75rem 0.875rem 0.5rem; margin-bottom:0.75rem; }
-    .history-list { display:flex; flex-direction:column; gap:0.35rem; }
-    .history-card { background:var(--card); border:1px solid var(--border); border-radius:var(--radius); padding:0.625rem 0.875rem; opacity:0; display:flex; align-items:center; gap:0.75rem; }
-    .hc-fuels { display:flex; gap:0.75rem; flex:1; min-width:0; flex-wrap:wrap; align-items:baseline; }
-    .hc-fuel { display:flex; align-items:baseline; gap:0.25rem; white-space:nowrap; }
-    .hc-fuel--diesel { padding-left:0.625rem; border-left:1px solid var(--border); }
-    .hc-arrow { font-size:1.05rem; font-weight:900; font-family:var(--font-display); line-height:1; }
-    .hc-adj { font-size:0.8rem; font-weight:700; font-family:var(--font-display); font-variant-numeric:tabular-nums; }
-    .hc-price { font-size:0.7rem; opacity:0.6; font-family:var(--font-mono); font-variant-numeric:tabular-nums; }
-    .hc-meta { display:flex; flex-direction:column; align-items:flex-end; gap:0.1rem; flex-shrink:0; }
-    .hc-time { font-size:0.6rem; color:var(--muted-foreground); white-space:nowrap; }
-    .hc-notes { font-size:0.6rem; color:var(--muted-foreground); white-space:nowrap; overflow:hidden; text-overflow:ellipsis; max-width:12ch; font-style:italic; }
+/**
+ * Bumped when a route or schema changes incompatibly — the `info.version` of
+ * /openapi.json.
+ */
+const API_VERSION = '1';
 
-    /* Footer */
-    footer { padding:1.125rem 1rem 1.5rem; border-top:1px solid var(--border); display:flex; flex-wrap:wrap; align-items:center; justify-content:center; gap:0.2rem 0.875rem; font-size:0.775rem; color:var(--muted-foreground); }
-    footer a { text-decoration:underline; text-underline-offset:2px; }
-    footer a:hover { color:var(--foreground); }
-    footer a:focus-visible { outline:2px solid var(--ring); outline-offset:2px; border-radius:2px; }
-    .footer-sep { opacity:0.35; user-select:none; }
-    .dev-link { background:none; border:none; color:var(--muted-foreground); font-size:0.775rem; cursor:pointer; text-decoration:underline; text-underline-offset:2px; font-family:var(--font-sans); padding:0; }
-    .dev-link:hover { color:var(--foreground); }
-    .dev-link:focus-visible { outline:2px solid var(--ring); outline-offset:2px; border-radius:2px; }
+/**
+ * @param {string} name - a key of API_SCHEMAS
+ * @returns {{ $ref: string }}
+ */
+function schemaRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
 
-    /* Modal */
-    .modal-backdrop { display:none; position:fixed; inset:0; background:hsl(0 0% 0%/0.5); backdrop-filter:blur(2px); -webkit-backdrop-filter:blur(2px); z-index:100; align-items:center; justify-content:center; padding:1rem; }
-    .modal-backdrop.open { display:flex; }
-    .modal { background:var(--popover); color:var(--popover-foreground); border:1px solid var(--border); border-radius:calc(var(--radius)*1.5); padding:1.5rem; width:100%; max-width:540px; max-height:85dvh; overflow-y:auto; position:relative; box-shadow:0 4px 6px hsl(0 0% 0%/0.07),0 16px 48px hsl(0 0% 0%/0.18); }
-    .modal-close { position:absolute; top:0.875rem; right:0.875rem; display:flex; align-items:center; justify-content:center; width:1.75rem; height:1.75rem; background:transparent; border:none; font-size:1.1rem; cursor:pointer; color:var(--muted-foreground); border-radius:calc(var(--radius)*0.5); }
-    .modal-close:hover { background:var(--muted); }
-    .modal-close:focus-visible { outline:2px solid var(--ring); outline-offset:2px; }
-    .modal h2 { font-size:1.1rem; font-weight:600; letter-spacing:-0.01em; margin-bottom:0.25rem; padding-right:2rem; }
-    .modal-subtitle { font-size:0.825rem; color:var(--muted-foreground); margin-bottom:1.25rem; }
-    .tabs { display:flex; gap:0; margin-bottom:1.25rem; border-bottom:1px solid var(--border); }
-    .tab-btn { background:none; border:none; font-family:var(--font-sans); font-size:0.825rem; color:var(--muted-foreground); cursor:pointer; padding:0.5rem 0.875rem; border-bottom:2px solid transparent; margin-bottom:-1px; }
-    .tab-btn.active { color:var(--foreground); border-bottom-color:var(--foreground); font-weight:500; }
-    .tab-btn:hover { color:var(--foreground); }
-    .tab-btn:focus-visible { outline:2px solid var(--ring); outline-offset:2px; border-radius:calc(var(--radius)*0.5); }
-    .tab-panel { display:none; }
-    .tab-panel.active { display:block; }
-    .tab-panel p { font-size:0.825rem; color:var(--muted-foreground); margin-bottom:0.75rem; line-height:1.65; }
-    .tab-panel h3 { font-size:0.65rem; text-transform:uppercase; letter-spacing:0.1em; color:var(--muted-foreground); margin-bottom:0.4rem; margin-top:1.125rem; font-family:var(--font-mono); font-weight:600; }
-    .code-block { background:var(--sign-bg); border:1px solid var(--sign-border); border-radius:var(--radius); padding:0.875rem 1rem; font-family:var(--font-mono); font-size:0.775rem; overflow-x:auto; white-space:pre; position:relative; color:hsl(240 5% 72%); line-height:1.6; }
-    .copy-btn { position:absolute; top:0.5rem; right:0.5rem; display:inline-flex; align-items:center; gap:0.25rem; background:var(--secondary); border:1px solid var(--border); border-radius:calc(var(--radius)*0.6); padding:0.18rem 0.5rem; font-size:0.67rem; cursor:pointer; color:var(--muted-foreground); font-family:var(--font-sans); font-weight:500; }
-    .copy-btn:hover { color:var(--foreground); }
-    .modal-links { display:flex; flex-direction:column; gap:0.375rem; margin-top:0.625rem; }
-    .modal-links a { font-size:0.825rem; color:var(--foreground); text-underline-offset:2px; padding:0.25rem 0; }
-    .modal-links a:hover { color:var(--muted-foreground); }
-    .about-body h3 { font-size:0.72rem; text-transform:uppercase; letter-spacing:0.1em; color:var(--muted-foreground); margin-bottom:0.4rem; margin-top:1.125rem; font-family:var(--font-mono); font-weight:600; }
-    .about-body h3:first-child { margin-top:0; }
-    .about-body p { font-size:0.825rem; color:var(--muted-foreground); margin-bottom:0.625rem; line-height:1.65; }
-    .about-body p:last-child { margin-bottom:0; }
-    .about-body a { color:var(--foreground); text-underline-offset:2px; }
-    .about-body a:hover { color:var(--muted-foreground); }
+/**
+ * @param {object} schema
+ * @returns {object} the schema, or null
+ */
+function nullable(schema) {
+  return { anyOf: [schema, { type: 'null' }] };
+}
 
-    /* Animations */
-    @media (prefers-reduced-motion: no-preference) {
-      .history-card { animation:fadeSlideIn 0.25s cubic-bezier(0.16,1,0.3,1) forwards; }
-      @keyframes fadeSlideIn { from{opacity:0;transform:translateY(4px)} to{opacity:1;transform:translateY(0)} }
-      .modal-backdrop.open .modal { animation:modalIn 0.2s cubic-bezier(0.16,1,0.3,1); }
-      @keyframes modalIn { from{opacity:0;transform:translateY(6px) scale(0.98)} to{opacity:1;transform:translateY(0) scale(1)} }
-      .fuel-arrow { animation:arrowBounce 2.2s cubic-bezier(0.37,0,0.63,1) infinite; }
-      @keyframes arrowBounce {
-        0%,100%{transform:translateY(0) scale(1)}
-        40%{transform:translateY(${isUp ? '-7px' : isDown ? '7px' : '0'}) scale(${isUp || isDown ? '1.04' : '1.06'})}
-        60%{transform:translateY(${isUp ? '-4px' : isDown ? '4px' : '0'}) scale(${isUp || isDown ? '1.02' : '1.03'})}
-      }
-      .sign-board { animation:signReveal 0.35s cubic-bezier(0.16,1,0.3,1) forwards; }
-      @keyframes signReveal { from{opacity:0;transform:translateY(6px)} to{opacity:1;transform:translateY(0)} }
-      .wordmark { animation:fadeSlideIn 0.22s cubic-bezier(0.16,1,0.3,1) both; }
-    }
-    @media (prefers-reduced-motion: reduce) { .history-card{opacity:1} }
+/**
+ * An OpenAPI response with a JSON body.
+ * @param {string} description
+ * @param {object} schema
+ * @returns {object}
+ */
+function jsonBody(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
 
-    /* Responsive */
-    @media (max-width: 400px) {
-      .hc-fuel--diesel { padding-left:0.4rem; }
-      .hc-time { display:none; }
-    }
-  </style>
-</head>
-<body>
-  <main>
-    <header class="wordmark" role="banner">
-      <a href="/" class="wordmark-logo" aria-label="hfxgas.ca home">hfxgas<span>.ca</span></a>
-    </header>
+/**
+ * An OpenAPI error response — every JSON error is `{ "error": "…" }`.
+ * @param {string} description
+ * @returns {object}
+ */
+function errorBody(description) {
+  return jsonBody(description, schemaRef('Error'));
+}
 
-    <!-- Sign Board -->
-    <section aria-label="Current gas price prediction">
-      <div class="sign-board">
-        <div class="sign-inner">
-          ${
-            hasData
-              ? `
-          <div class="fuel-cards">
-            ${renderFuelCard('gas', p.gas)}
-            ${renderFuelCard('diesel', p.diesel)}
-          </div>
-          <div class="sign-meta">
-            <time class="updated-at" datetime="${escapeHtml(p?.updated_at ?? '')}">
-              Updated ${relativeTime} &mdash; ${updatedAt} (Halifax)
-            </time>
-            ${notesHtml}
-          </div>
-          `
-              : `
-          <div class="empty-state">
-            <svg class="empty-pump" width="64" height="64" viewBox="0 0 64 64" fill="none" aria-hidden="true" xmlns="http://www.w3.org/2000/svg">
-              <rect x="8" y="14" width="30" height="42" rx="3" stroke="currentColor" stroke-width="2.5" fill="none"/>
-              <rect x="14" y="20" width="18" height="12" rx="2" stroke="currentColor" stroke-width="2" fill="none" opacity="0.5"/>
-              <path d="M38 24 L50 18 L52 20 L52 38 Q52 42 48 42 L44 42" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" fill="none"/>
-              <circle cx="46" cy="44" r="3" stroke="currentColor" stroke-width="2" fill="none"/>
-              <line x1="14" y1="40" x2="32" y2="40" stroke="currentColor" stroke-width="2" stroke-linecap="round" opacity="0.4"/>
-              <line x1="14" y1="46" x2="26" y2="46" stroke="currentColor" stroke-width="2" stroke-linecap="round" opacity="0.4"/>
-            </svg>
-            <h2>No prediction yet.</h2>
-            <p>u/buckit posts every Thursday — check back soon!</p>
-            <span class="thursday-badge">Updated weekly · Thursdays</span>
-          </div>
-          `
-          }
-          <p class="disclaimer">
-            Community estimate by
-            <a href="https://www.reddit.com/u/buckit" rel="noopener noreferrer" target="_blank">u/buckit</a>
-            &nbsp;&middot;&nbsp; Not financial advice &nbsp;&middot;&nbsp; No tracking
-          </p>
-        </div>
-      </div>
-    </section>
+/**
+ * An OpenAPI response whose body isn't JSON.
+ * @param {string} description
+ * @param {string} type - content type
+ * @param {object} [schema]
+ * @returns {object}
+ */
+function textBody(description, type, schema = { type: 'string' }) {
+  return { description, content: { [type]: { schema } } };
+}
 
-    ${imageHtml}
-    ${historyHtml}
-  </main>
+/**
+ * @param {string} name
+ * @param {object} schema
+ * @param {string} description
+ * @returns {object} an OpenAPI query parameter
+ */
+function queryParam(name, schema, description) {
+  return { name, in: 'query', description, schema };
+}
 
-  <footer>
-    <span>Prediction by
-      <a href="https://www.reddit.com/u/buckit" rel="noopener noreferrer" target="_blank">u/buckit</a>
-      on <a href="https://www.reddit.com/r/halifax" rel="noopener noreferrer" target="_blank">r/halifax</a>
-    </span>
-    <span class="footer-sep">&middot;</span>
-    <button class="dev-link" id="aboutModalTrigger" aria-haspopup="dialog">About</button>
-    <span class="footer-sep">&middot;</span>
-    <button class="dev-link" id="devModalTrigger" aria-haspopup="dialog">Developer? Prompter?</button>
-    <span class="footer-sep">&middot;</span>
-    <span>Site by <a href="https://github.com/program-the-brain-not-the-heartbeat" rel="noopener noreferrer" target="_blank">program-the-brain-not-the-heartbeat</a></span>
-  </footer>
+const DIRECTIONS = ['up', 'down', 'no-change'];
 
-  <!-- About Modal -->
-  <div class="modal-backdrop" id="aboutModal" role="dialog" aria-modal="true" aria-labelledby="aboutModalTitle">
-    <div class="modal">
-      <button class="modal-close" id="aboutModalClose" aria-label="Close about modal">&times;</button>
-      <h2 id="aboutModalTitle">About hfxgas.ca</h2>
-      <p class="modal-subtitle">Halifax fuel price predictions, automated.</p>
-      <div class="about-body">
-        <h3>What is this?</h3>
-        <p>Every Thursday, a Reddit user named <a href="https://www.reddit.com/u/buckit" rel="noopener noreferrer" target="_blank">u/buckit</a> posts the upcoming week&rsquo;s Halifax gas and diesel price predictions to <a href="https://www.reddit.com/r/halifax" rel="noopener noreferrer" target="_blank">r/halifax</a>. This site automatically finds that post, reads the numbers, and displays them in a clean format — so you don&rsquo;t have to dig through Reddit.</p>
-        <p>This project was entirely created, deployed, and maintained solely via AI prompts. The only human interaction was purchasing the domain name. Zero lines of human-written code or documentation.</p>
-        <h3>How does it work?</h3>
-        <p>A <a href="https://workers.cloudflare.com/" rel="noopener noreferrer" target="_blank">Cloudflare Worker</a> runs four times every Thursday. It fetches the newest posts from r/halifax, looks for u/buckit&rsquo;s prediction, parses the markdown table for regular and diesel prices, then stores the result and updates this page — all automatically, with no human in the loop.</p>
-        <p>The site also handles <strong>interrupter clause</strong> posts — when the Nova Scotia Utility and Review Board issues an emergency mid-week rate adjustment, those posts are caught too, any day of the week.</p>
-        <h3>The meme image</h3>
-        <p>When prices go up or down (not &ldquo;no change&rdquo;), the Worker generates a meme image using <a href="https://developers.cloudflare.com/workers-ai/" rel="noopener noreferrer" target="_blank">Cloudflare Workers AI</a> — specifically the <strong>Flux&nbsp;1&nbsp;Schnell</strong> text-to-image model, which runs entirely in Cloudflare&rsquo;s infrastructure.</p>
-        <p>The prompt is built automatically from two sources: the price direction (up&nbsp;= despair, down&nbsp;= celebration) and the top posts from r/halifax and r/novascotia that week &mdash; excluding u/buckit&rsquo;s own prediction post. Whatever Halifax and Nova Scotia are talking about &mdash; potholes, storms, local events &mdash; becomes the backdrop for the meme. Very Canadian.</p>
-        <p>The caption below each image shows the model used and links back to the Reddit post that triggered the generation. Tap <strong>View AI prompt</strong> to see the exact prompt that was sent to the model.</p>
-        <p>Images are stored in <a href="https://developers.cloudflare.com/r2/" rel="noopener noreferrer" target="_blank">Cloudflare R2</a> and served directly from this site with no third-party CDN. The whole thing — Worker, AI, storage — runs on Cloudflare&rsquo;s free tier. The only cost is the domain name (at wholesale Cloudflare prices).</p>
-        <h3>Who made this?</h3>
-        <p>A developer with the moniker <strong>program-the-brain-not-the-heartbeat</strong> from Cape Breton, Nova Scotia who got tired of searching Reddit every Thursday. The source code is open-source (MIT licensed) on <a href="https://github.com/program-the-brain-not-the-heartbeat/hfxgas.ca" rel="noopener noreferrer" target="_blank">GitHub</a>.</p>
-        <h3>Is the data accurate?</h3>
-        <p>This site displays community estimates posted by u/buckit. The author of this site has no affiliation with u/buckit and cannot verify the accuracy of the predictions. Prices may be off by a cent or two (&ldquo;May be +/- 0.1&rdquo;). <strong>Not financial advice.</strong> Always confirm at the pump.</p>
-        <h3>Privacy</h3>
-        <p>This site has no tracking, no cookies, no analytics, and no ads. Nothing about your visit is collected or stored.</p>
-      </div>
-    </div>
-  </div>
+/** JSON Schemas of the request and response bodies, shared through `$ref`. */
+const API_SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: { error: { type: 'string' } },
+  },
+  FuelSlot: {
+    type: 'object',
+    properties: {
+      direction: { enum: [...DIRECTIONS, null] },
+      adjustment: { type: ['number', 'null'], description: 'Change in cents' },
+      price: { type: ['number', 'null'], description: 'New minimum price, dollars per litre' },
+    },
+  },
+  Grades: {
+    type: 'object',
+    description: 'Fuel slots keyed by grade',
+    properties: Object.fromEntries(FUEL_GRADES.map((g) => [g.key, schemaRef('FuelSlot')])),
+    additionalProperties: false,
+  },
+  Zones: {
+    type: ['object', 'null'],
+    description: 'Grades per UARB pricing zone; null for single-table posts (Zone 1)',
+    patternProperties: {
+      [`^(${PRICING_ZONES.map((z) => z.id).join('|')})$`]: schemaRef('Grades'),
+    },
+    additionalProperties: false,
+  },
+  Prediction: {
+    type: 'object',
+    description:
+      'A published prediction (see the Data Model in docs/architecture.md). `gas` and `diesel` mirror `grades.regular` and `grades.diesel`.',
+    properties: {
+      id: { type: ['integer', 'null'], description: 'Permanent id — GET /api/predictions/{id}' },
+      schema_version: { type: 'integer', const: PREDICTION_SCHEMA_VERSION },
+      kind: { enum: ['weekly', 'interrupter'] },
+      gas: nullable(schemaRef('FuelSlot')),
+      diesel: nullable(schemaRef('FuelSlot')),
+      grades: schemaRef('Grades'),
+      zones: schemaRef('Zones'),
+      effective_at: { type: ['string', 'null'], format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' },
+      notes: { type: ['string', 'null'] },
+      source: { enum: PREDICTION_SOURCES },
+      post_id: { type: ['string', 'null'] },
+      post_url: { type: ['string', 'null'], format: 'uri' },
+      revision: { type: 'integer', minimum: 1 },
+      retracted: { type: 'boolean' },
+      interrupters: {
+        type: 'array',
+        description: 'Mid-week interrupter clause adjustments to this week',
+        items: schemaRef('Prediction'),
+      },
+      updates: {
+        type: 'array',
+        description: "The author's replies in the post's comment thread",
+        items: { type: 'object' },
+      },
+    },
+  },
+  FuelSlotInput: {
+    type: 'object',
+    required: ['direction'],
+    properties: {
+      direction: { enum: DIRECTIONS },
+      adjustment: { type: ['number', 'null'], description: 'Change in cents' },
+      price: { type: ['number', 'null'], description: 'New minimum price, dollars per litre' },
+    },
+  },
+  PredictionInput: {
+    type: 'object',
+    description:
+      'The prediction format: at least one of `gas`, `diesel`, `grades` or `zones`. `gas`/`diesel` are shorthands for `grades.regular`/`grades.diesel` and win over them.',
+    properties: {
+      gas: schemaRef('FuelSlotInput'),
+      diesel: schemaRef('FuelSlotInput'),
+      grades: {
+        type: 'object',
+        properties: Object.fromEntries(FUEL_GRADES.map((g) => [g.key, schemaRef('FuelSlotInput')])),
+        additionalProperties: false,
+      },
+      zones: {
+        type: 'object',
+        description: 'Grades per pricing zone 1–6; Zone 1 fills `grades` if that is omitted',
+        additionalProperties: { type: 'object' },
+      },
+      notes: { type: ['string', 'null'], maxLength: 500 },
+      kind: { enum: ['weekly', 'interrupter'], default: 'weekly' },
+      effective_at: { type: ['string', 'null'], format: 'date-time' },
+    },
+    anyOf: ['gas', 'diesel', 'grades', 'zones'].map((name) => ({ required: [name] })),
+  },
+  LegacyPredictionInput: {
+    type: 'object',
+    description: 'The legacy single-fuel format, still accepted',
+    required: ['direction', 'predicted_price'],
+    properties: {
+      direction: { enum: DIRECTIONS },
+      predicted_price: { type: 'number', description: 'Dollars per litre' },
+      current_price: {
+        type: ['number', 'null'],
+        description: 'Dollars per litre; the difference becomes the adjustment',
+      },
+      fuel_type: { enum: ['gas', 'diesel'], default: 'gas' },
+      notes: { type: ['string', 'null'], maxLength: 500 },
+    },
+  },
+  HistoryPage: {
+    type: 'object',
+    required: ['predictions', 'next_cursor'],
+    properties: {
+      predictions: { type: 'array', items: schemaRef('Prediction') },
+      next_cursor: {
+        type: ['string', 'null'],
+        description: 'null on the last page; a page that scanned its row limit may be short',
+      },
+    },
+  },
+  Removal: {
+    type: 'object',
+    required: ['ok', 'removed', 'latest'],
+    properties: {
+      ok: { const: true },
+      removed: schemaRef('Prediction'),
+      latest: nullable(schemaRef('Prediction')),
+    },
+  },
+  PendingPrediction: {
+    allOf: [
+      schemaRef('Prediction'),
+      {
+        type: 'object',
+        properties: {
+          held_reason: { enum: ['low_confidence', 'anomaly'] },
+          anomalies: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    ],
+  },
+  WatchList: {
+    type: 'object',
+    required: ['sources', 'origin'],
+    properties: {
+      sources: { type: 'array', items: schemaRef('WatchSource') },
+      origin: { enum: ['env', 'default'] },
+    },
+  },
+  WatchSource: {
+    type: 'object',
+    required: ['subreddit', 'author'],
+    properties: {
+      id: { type: 'string', description: 'Defaults to "subreddit/author"' },
+      subreddit: { type: 'string', pattern: '^[A-Za-z0-9_]{2,21}$' },
+      author: { type: 'string', pattern: '^[A-Za-z0-9_-]{3,20}$' },
+      title_pattern: { type: 'string', description: 'Case-insensitive regular expression' },
+      priority: { type: 'number', default: 0 },
+    },
+  },
+  CronRun: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      started_at: { type: 'string', format: 'date-time' },
+      finished_at: { type: ['string', 'null'], format: 'date-time' },
+      duration_ms: { type: ['integer', 'null'] },
+      cron: { type: ['string', 'null'] },
+      outcome: {
+        enum: ['published', 'held', 'skipped', 'no_post', 'backoff', 'fetch_failed', 'error', null],
+      },
+      fetch: { type: ['string', 'null'] },
+      candidates: { type: 'array', items: { type: 'object' } },
+      chosen: { type: ['object', 'null'] },
+      parse: { type: ['object', 'null'] },
+      image: { type: ['object', 'null'] },
+      errors: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      at: { type: 'string', format: 'date-time' },
+      action: {
+        enum: [
+          'publish',
+          'retract',
+          'unretract',
+          'attach_updates',
+          'delete',
+          'rollback',
+          'restore',
+          'hold',
+          'reject',
+        ],
+      },
+      actor: { type: 'string' },
+      entry_point: { enum: ['cron', 'webhook', 'mcp', 'pending', 'api'] },
+      request_id: { type: ['string', 'null'] },
+      post_id: { type: ['string', 'null'] },
+      previous: nullable(schemaRef('Prediction')),
+      current: nullable(schemaRef('Prediction')),
+    },
+  },
+  Backup: {
+    type: 'object',
+    required: ['format', 'version', 'exported_at', 'kv', 'history', 'images'],
+    properties: {
+      format: { const: BACKUP_FORMAT },
+      version: { const: BACKUP_VERSION },
+      exported_at: { type: 'string', format: 'date-time' },
+      kv: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['key', 'value'],
+          properties: {
+            key: { type: 'string' },
+            value: { type: 'string' },
+            expiration: { type: 'integer', description: 'Epoch seconds' },
+          },
+        },
+      },
+      history: {
+        type: 'array',
+        description: 'HISTORY_DB rows, oldest first',
+        items: {
+          type: 'object',
+          required: ['id', 'data'],
+          properties: { id: { type: 'integer' }, data: { type: 'object' } },
+        },
+      },
+      images: {
+        type: 'array',
+        description: 'The R2 manifest — the image bytes stay in R2',
+        items: { type: 'object', required: ['key'], properties: { key: { type: 'string' } } },
+      },
+    },
+  },
+  DryRun: {
+    type: 'object',
+    properties: {
+      dry_run: { const: true },
+      outcome: {
+        enum: ['would_publish', 'would_hold', 'would_skip', 'no_post', 'backoff', 'fetch_failed'],
+      },
+      fetch: { type: ['string', 'null'] },
+      candidates: { type: 'array', items: { type: 'object' } },
+      post: { type: ['object', 'null'] },
+      already_processed: { type: 'boolean' },
+      prediction: nullable(schemaRef('Prediction')),
+      held_reason: { enum: ['low_confidence', 'anomaly', null] },
+      anomalies: { type: 'array', items: { type: 'string' } },
+      image_prompt: { type: ['string', 'null'] },
+      errors: { type: 'array', items: { type: 'string' } },
+    },
+  },
+};
 
-  <!-- Developer Modal -->
-  <div class="modal-backdrop" id="devModal" role="dialog" aria-modal="true" aria-labelledby="devModalTitle">
-    <div class="modal">
-      <button class="modal-close" id="modalClose" aria-label="Close developer modal">&times;</button>
-      <h2 id="devModalTitle">Developer? Prompter?</h2>
-      <div class="tabs" role="tablist">
-        <button class="tab-btn active" role="tab" aria-selected="true" aria-controls="tab-api" id="btn-api">REST API</button>
-        <button class="tab-btn" role="tab" aria-selected="false" aria-controls="tab-mcp" id="btn-mcp">MCP Server</button>
-        <button class="tab-btn" role="tab" aria-selected="false" aria-controls="tab-docs" id="btn-docs">Docs</button>
-      </div>
-      <div id="tab-api" class="tab-panel active" role="tabpanel" aria-labelledby="btn-api">
-        <p>Plain JSON API via Cloudflare KV. No API key required for read access.</p>
-        <h3>Latest prediction</h3>
-        <div class="code-block" id="code-api">GET ${escapeHtml(siteUrl)}/api/latest
-Accept: application/json<button class="copy-btn" onclick="copyCode('code-api')">Copy</button></div>
-        <h3>LLM-friendly summary</h3>
-        <div class="code-block" id="code-llms">GET ${escapeHtml(siteUrl)}/llms.txt<button class="copy-btn" onclick="copyCode('code-llms')">Copy</button></div>
-      </div>
-      <div id="tab-mcp" class="tab-panel" role="tabpanel" aria-labelledby="btn-mcp">
-        <p>Connect to this site's MCP server from Claude Desktop or any MCP-compatible client.</p>
-        <h3>Claude Desktop config</h3>
-        <div class="code-block" id="code-mcp">{
-  "mcpServers": {
-    "hfxgas": { "url": "${escapeHtml(siteUrl)}/mcp" }
-  }
-}<button class="copy-btn" onclick="copyCode('code-mcp')">Copy</button></div>
-        <h3>Available tools (no auth)</h3>
-        <div class="code-block">get_latest_prediction
-get_prediction_history
-get_status</div>
-      </div>
-      <div id="tab-docs" class="tab-panel" role="tabpanel" aria-labelledby="btn-docs">
-        <p>Full documentation, architecture diagrams, and deployment guide.</p>
-        <div class="modal-links">
-          <a href="https://program-the-brain-not-the-heartbeat.github.io/buckit" rel="noopener noreferrer" target="_blank">VitePress Docs &#x2192;</a>
-          <a href="https://github.com/program-the-brain-not-the-heartbeat/hfxgas.ca" rel="noopener noreferrer" target="_blank">GitHub Repository &#x2192;</a>
-        </div>
-      </div>
-    </div>
-  </div>
+const ZONE_PARAM = queryParam(
+  'zone',
+  { type: 'integer', enum: PRICING_ZONES.map((z) => z.id), default: 1 },
+  'UARB pricing zone (1 is Halifax)'
+);
+
+/** The /api/history sort and filter parameters, shared with its exports. */
+const HISTORY_FILTER_PARAMS = [
+  queryParam('sort', { enum: Object.keys(HISTORY_SORTS), default: 'effective' }, 'Sort date'),
+  queryParam('order', { enum: ['desc', 'asc'], default: 'desc' }, 'Sort order'),
+  queryParam('from', { type: 'string' }, 'ISO date or time on the sort date, inclusive'),
+  queryParam('to', { type: 'string' }, 'ISO date or time; a date-only value includes that day'),
+  queryParam(
+    'fuel',
+    { type: 'string' },
+    `Only entries with this grade: ${FUEL_GRADES.map((g) => g.key).join(', ')} (or gas)`
+  ),
+  queryParam('direction', { enum: DIRECTIONS }, 'Direction of `fuel`, else of any grade'),
+  queryParam('source', { enum: PREDICTION_SOURCES }, 'Where the prediction came from'),
+];
+
+/** A numeric id path segment. */
+const ID_PARAM = { pattern: /\d+/, schema: { type: 'integer', minimum: 1 } };
+
+const HISTORY_EXPORT_NOTE =
+  'Every entry matching the /api/history filters, unpaged, streamed as a download.';
 
-  <script>
-    // Tab switching
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        document.querySelectorAll('.tab-btn').forEach(b => { b.classList.remove('active'); b.setAttribute('aria-selected','false'); });
-        document.querySelectorAll('.tab-panel').forEach(p => p.classList.remove('active'));
-        btn.classList.add('active'); btn.setAttribute('aria-selected','true');
-        document.getElementById(btn.getAttribute('aria-controls')).classList.add('active');
-      });
-    });
-    // Modal
-    const modal=document.getElementById('devModal');
-    const trigger=document.getElementById('devModalTrigger');
-    const closeBtn=document.getElementById('modalClose');
-    function openModal(){modal.classList.add('open');closeBtn.focus();document.addEventListener('keydown',trapFocus);}
-    function closeModal(){modal.classList.remove('open');trigger.focus();document.removeEventListener('keydown',trapFocus);}
-    trigger.addEventListener('click',openModal);
-    closeBtn.addEventListener('click',closeModal);
-    modal.addEventListener('click',e=>{if(e.target===modal)closeModal();});
-    document.addEventListener('keydown',e=>{if(e.key==='Escape'&&modal.classList.contains('open'))closeModal();});
-    function trapFocus(e){
-      if(e.key!=='Tab')return;
-      const focusable=modal.querySelectorAll('button,a,[tabindex]:not([tabindex="-1"])');
-      const first=focusable[0];const last=focusable[focusable.length-1];
-      if(e.shiftKey?document.activeElement===first:document.activeElement===last){e.preventDefault();(e.shiftKey?last:first).focus();}
-    }
-    // About modal
-    const aboutModal=document.getElementById('aboutModal');
-    const aboutTrigger=document.getElementById('aboutModalTrigger');
-    const aboutCloseBtn=document.getElementById('aboutModalClose');
-    function openAboutModal(){aboutModal.classList.add('open');aboutCloseBtn.focus();document.addEventListener('keydown',trapAboutFocus);}
-    function closeAboutModal(){aboutModal.classList.remove('open');aboutTrigger.focus();document.removeEventListener('keydown',trapAboutFocus);}
-    aboutTrigger.addEventListener('click',openAboutModal);
-    aboutCloseBtn.addEventListener('click',closeAboutModal);
-    aboutModal.addEventListener('click',e=>{if(e.target===aboutModal)closeAboutModal();});
-    document.addEventListener('keydown',e=>{if(e.key==='Escape'&&aboutModal.classList.contains('open'))closeAboutModal();});
-    function trapAboutFocus(e){
-      if(e.key!=='Tab')return;
-      const focusable=aboutModal.querySelectorAll('button,a,[tabindex]:not([tabindex="-1"])');
-      const first=focusable[0];const last=focusable[focusable.length-1];
-      if(e.shiftKey?document.activeElement===first:document.activeElement===last){e.preventDefault();(e.shiftKey?last:first).focus();}
-    }
-    function copyCode(id){
-      const el=document.getElementById(id);
-      const text=el.childNodes[0].textContent.trim();
-      navigator.clipboard.writeText(text).catch(()=>{});
-    }
-    // Chart.js history
-    const chartData = ${chartJson};
-    const canvas = document.getElementById('historyChart');
-    if (canvas && typeof Chart !== 'undefined') {
-      const isDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-      const gridColor  = isDark ? 'hsl(240 8% 16%)' : 'hsl(240 5% 92%)';
-      const labelColor = isDark ? 'hsl(240 5% 55%)' : 'hsl(240 4% 46%)';
-      const datasets = [];
-      if (chartData.gasData.some(v => v !== null)) {
-        datasets.push({
-          label: 'Regular', data: chartData.gasData,
-          borderColor: 'hsl(20 90% 52%)', backgroundColor: 'hsl(20 90% 52% / 0.12)',
-          pointBackgroundColor: 'hsl(20 90% 52%)', tension: 0.35,
-          fill: true, borderWidth: 2, pointRadius: 3, pointHoverRadius: 5,
-          spanGaps: true,
-        });
-      }
-      if (chartData.dieselData.some(v => v !== null)) {
-        datasets.push({
-          label: 'Diesel', data: chartData.dieselData,
-          borderColor: 'hsl(200 75% 48%)', backgroundColor: 'hsl(200 75% 48% / 0.1)',
-          pointBackgroundColor: 'hsl(200 75% 48%)', tension: 0.35,
-          fill: true, borderWidth: 2, pointRadius: 3, pointHoverRadius: 5,
-          spanGaps: true,
-        });
-      }
-      new Chart(canvas, {
-        type: 'line',
-        data: { labels: chartData.labels, datasets },
-        options: {
-          responsive: true, maintainAspectRatio: false,
-          interaction: { mode: 'index', intersect: false },
-          plugins: {
-            legend: { display: datasets.length > 1, labels: { color: labelColor, font: { size: 11 }, boxWidth: 12, padding: 12 } },
-            tooltip: {
-              backgroundColor: isDark ? 'hsl(240 10% 10%)' : 'hsl(0 0% 100%)',
-              borderColor: isDark ? 'hsl(240 8% 18%)' : 'hsl(240 5% 90%)',
-              borderWidth: 1, titleColor: labelColor, bodyColor: labelColor,
-              callbacks: { label: ctx => ' ' + ctx.dataset.label + ': $' + (ctx.parsed.y?.toFixed(3) ?? '') + '/L' },
+/**
+ * One HTTP route: what the router dispatches on and what /openapi.json describes.
+ * @typedef {object} Route
+ * @property {string} method
+ * @property {string} path - `{name}` segments are path parameters
+ * @property {Object<string, { pattern: RegExp, schema?: object, description?: string }>} [params]
+ *   path parameter patterns; the schema defaults to a string matching the pattern
+ * @property {boolean} [auth] - a Bearer token is required (the handler checks it, see authorize)
+ * @property {string} operationId
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {object[]} [parameters] - OpenAPI query parameters
+ * @property {object} [requestBody] - OpenAPI request body
+ * @property {Object<string, object>} responses - OpenAPI responses by status; the
+ *   auth errors of `auth` routes are added
+ * @property {(req: { request: Request, env: object, ctx: object, url: URL, params: Object<string, string> }) => Response|Promise<Response>} handle
+ */
+
+/** @type {Route[]} */
+const ROUTES = [
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'getHomepage',
+    summary: 'Homepage: the latest prediction, history and chart',
+    parameters: [ZONE_PARAM],
+    responses: { 200: textBody('HTML page', 'text/html') },
+    handle: ({ env, url }) => handleRoot(env, url),
+  },
+  {
+    method: 'GET',
+    path: '/api/latest',
+    operationId: 'getLatestPrediction',
+    summary: 'The latest prediction, with any interrupters this week',
+    parameters: [ZONE_PARAM],
+    responses: {
+      200: jsonBody(
+        'The prediction, or null before the first one',
+        nullable(schemaRef('Prediction'))
+      ),
+      400: errorBody('Invalid zone'),
+      404: errorBody('The latest prediction has no prices for the zone'),
+    },
+    handle: ({ env, url }) => handleApiLatest(env, url),
+  },
+  {
+    method: 'GET',
+    path: '/api/history',
+    operationId: 'listHistory',
+    summary: 'The full prediction history, a page at a time',
+    parameters: [
+      queryParam(
+        'limit',
+        { type: 'integer', minimum: 1, maximum: MAX_HISTORY_PAGE, default: 20 },
+        'Page size'
+      ),
+      queryParam('cursor', { type: 'string' }, '`next_cursor` from the previous page'),
+      ...HISTORY_FILTER_PARAMS,
+    ],
+    responses: {
+      200: jsonBody('A page of predictions', schemaRef('HistoryPage')),
+      400: errorBody('Invalid parameter'),
+    },
+    handle: ({ env, url }) => handleApiHistory(env, url),
+  },
+  {
+    method: 'GET',
+    path: '/api/history.csv',
+    operationId: 'exportHistoryCsv',
+    summary: 'The history as CSV',
+    description: `${HISTORY_EXPORT_NOTE} One row per entry, with a direction, adjustment and price column per fuel grade: ${CSV_COLUMNS.join(', ')}.`,
+    parameters: HISTORY_FILTER_PARAMS,
+    responses: {
+      200: textBody('CSV with a header row', 'text/csv'),
+      400: errorBody('Invalid parameter'),
+    },
+    handle: ({ env, url }) => handleHistoryExport(env, url, 'csv'),
+  },
+  {
+    method: 'GET',
+    path: '/api/history.ndjson',
+    operationId: 'exportHistoryNdjson',
+    summary: 'The history as newline-delimited JSON',
+    description: `${HISTORY_EXPORT_NOTE} One Prediction per line.`,
+    parameters: HISTORY_FILTER_PARAMS,
+    responses: {
+      200: textBody('One Prediction object per line', 'application/x-ndjson'),
+      400: errorBody('Invalid parameter'),
+    },
+    handle: ({ env, url }) => handleHistoryExport(env, url, 'ndjson'),
+  },
+  {
+    method: 'GET',
+    path: '/api/predictions/{id}',
+    params: { id: { ...ID_PARAM, description: "The prediction's permanent id" } },
+    operationId: 'getPrediction',
+    summary: 'One prediction by its permanent id',
+    responses: {
+      200: jsonBody('The prediction', schemaRef('Prediction')),
+      404: errorBody('No prediction with that id'),
+    },
+    handle: ({ env, params }) => handleApiPrediction(env, Number(params.id)),
+  },
+  {
+    method: 'GET',
+    path: '/p/{id}',
+    params: { id: { ...ID_PARAM, description: "The prediction's permanent id" } },
+    operationId: 'getPredictionPage',
+    summary: 'Shareable page for one prediction, with its own OG tags',
+    parameters: [ZONE_PARAM],
+    responses: {
+      200: textBody('HTML page', 'text/html'),
+      404: textBody('No prediction with that id', 'text/plain'),
+    },
+    handle: ({ env, url, params }) => handlePermalink(env, url, Number(params.id)),
+  },
+  {
+    method: 'GET',
+    path: '/images/{key}',
+    params: { key: { pattern: /[a-zA-Z0-9_-]+\.png/, description: 'Image file name' } },
+    operationId: 'getImage',
+    summary: 'An AI-generated prediction image',
+    responses: {
+      200: textBody('The image', 'image/png', { type: 'string', format: 'binary' }),
+      404: textBody('No such image', 'text/plain'),
+    },
+    handle: ({ env, params }) => handleImage(params.key, env),
+  },
+  {
+    method: 'GET',
+    path: '/robots.txt',
+    operationId: 'getRobots',
+    summary: 'robots.txt',
+    responses: { 200: textBody('robots.txt', 'text/plain') },
+    handle: ({ env }) => handleRobots(env),
+  },
+  {
+    method: 'GET',
+    path: '/sitemap.xml',
+    operationId: 'getSitemap',
+    summary: 'XML sitemap',
+    responses: { 200: textBody('Sitemap', 'application/xml') },
+    handle: ({ env }) => handleSitemap(env),
+  },
+  {
+    method: 'GET',
+    path: '/llms.txt',
+    operationId: 'getLlmsTxt',
+    summary: 'Plain-text summary of the latest prediction and the API, for LLMs',
+    responses: { 200: textBody('Markdown-style plain text', 'text/plain') },
+    handle: ({ env }) => handleLlmsTxt(env),
+  },
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    operationId: 'getOpenApi',
+    summary: 'This OpenAPI description',
+    responses: { 200: jsonBody('OpenAPI 3.1 document', { type: 'object' }) },
+    handle: ({ env }) => handleOpenApi(env),
+  },
+  {
+    method: 'POST',
+    path: '/mcp',
+    operationId: 'callMcpTool',
+    summary: 'MCP server: JSON-RPC tools/call',
+    description:
+      'Read tools need no auth; write tools take the token as a `secret` argument. See docs/mcp.md for the tools.',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['method', 'params'],
+            properties: {
+              method: { const: 'tools/call' },
+              params: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string' }, arguments: { type: 'object' } },
+              },
             },
           },
-          scales: {
-            x: { grid: { color: gridColor }, ticks: { color: labelColor, font: { size: 10 }, maxTicksLimit: 8 } },
-            y: {
-              grid: { color: gridColor }, ticks: { color: labelColor, font: { size: 10 },
-                callback: v => '$' + v.toFixed(2) },
+        },
+      },
+    },
+    responses: {
+      200: jsonBody('The tool result — `{ error, status }` for a refused call', {
+        type: 'object',
+        properties: { result: {} },
+      }),
+      400: errorBody('Invalid JSON'),
+      404: errorBody('Unknown tool or method'),
+      500: errorBody('The tool threw'),
+    },
+    handle: ({ request, env, ctx }) => new BuckitMCP(ctx, env).fetch(request),
+  },
+  {
+    method: 'POST',
+    path: '/webhook',
+    auth: true,
+    operationId: 'publishPrediction',
+    summary: 'Publish a prediction (manual override of the Reddit scan)',
+    description: "The change is audit-logged under the token's name. See docs/webhook.md.",
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            oneOf: [schemaRef('PredictionInput'), schemaRef('LegacyPredictionInput')],
+          },
+        },
+      },
+    },
+    responses: {
+      200: jsonBody('The prediction as stored', {
+        type: 'object',
+        required: ['ok', 'prediction'],
+        properties: { ok: { const: true }, prediction: schemaRef('Prediction') },
+      }),
+      400: errorBody('Invalid JSON or an invalid prediction'),
+    },
+    handle: ({ request, env }) => handleWebhook(request, env),
+  },
+  {
+    method: 'GET',
+    path: '/api/pending',
+    auth: true,
+    operationId: 'getPendingPredictions',
+    summary: 'The predictions held for review, newest first',
+    responses: {
+      200: jsonBody('The held predictions', {
+        type: 'object',
+        required: ['pending'],
+        properties: { pending: { type: 'array', items: schemaRef('PendingPrediction') } },
+      }),
+    },
+    handle: ({ request, env }) => handlePending(request, env),
+  },
+  {
+    method: 'POST',
+    path: '/api/pending',
+    auth: true,
+    operationId: 'reviewPendingPrediction',
+    summary: 'Approve (publish) or reject a held prediction',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['action'],
+            properties: {
+              action: { enum: ['approve', 'reject'] },
+              post_id: {
+                type: 'string',
+                description: 'Post of the held prediction; optional while only one is held',
+              },
             },
           },
         },
-      });
-    }
-  </script>
-</body>
-</html>`;
-}
+      },
+    },
+    responses: {
+      200: jsonBody('`prediction` as published, or the `rejected` one', {
+        type: 'object',
+        required: ['ok'],
+        properties: {
+          ok: { const: true },
+          prediction: schemaRef('Prediction'),
+          rejected: schemaRef('PendingPrediction'),
+        },
+      }),
+      400: errorBody('Invalid JSON or action, or no post_id while several are held'),
+      404: errorBody('No prediction held for that post'),
+    },
+    handle: ({ request, env }) => handlePending(request, env),
+  },
+  {
+    method: 'GET',
+    path: '/api/sources',
+    auth: true,
+    operationId: 'getWatchList',
+    summary: 'The Reddit watch list and where it came from',
+    responses: { 200: jsonBody('The watch list', schemaRef('WatchList')) },
+    handle: ({ request, env }) => handleSources(request, env),
+  },
+  {
+    method: 'GET',
+    path: '/api/runs',
+    auth: true,
+    operationId: 'listCronRuns',
+    summary: 'The cron run journal, newest first',
+    parameters: [
+      queryParam(
+        'limit',
+        { type: 'integer', minimum: 1, default: 20 },
+        'Runs to return, at most MAX_RUNS'
+      ),
+    ],
+    responses: {
+      200: jsonBody('Recent runs', {
+        type: 'object',
+        required: ['runs'],
+        properties: { runs: { type: 'array', items: schemaRef('CronRun') } },
+      }),
+      400: errorBody('Invalid limit'),
+    },
+    handle: ({ request, env }) => handleRuns(request, env),
+  },
+  {
+    method: 'GET',
+    path: '/api/audit',
+    auth: true,
+    operationId: 'listAuditLog',
+    summary: 'The audit log of prediction changes, newest first',
+    parameters: [
+      queryParam('limit', { type: 'integer', minimum: 1, default: 50 }, 'Page size'),
+      queryParam('before', { type: 'integer', minimum: 1 }, 'Entries before this entry id'),
+      ...['post_id', 'actor', 'entry_point', 'request_id'].map((name) =>
+        queryParam(name, { type: 'string' }, `Only entries with this ${name}`)
+      ),
+    ],
+    responses: {
+      200: jsonBody('Audit entries', {
+        type: 'object',
+        required: ['entries'],
+        properties: { entries: { type: 'array', items: schemaRef('AuditEntry') } },
+      }),
+      400: errorBody('Invalid limit or before'),
+    },
+    handle: ({ request, env }) => handleAudit(request, env),
+  },
+  {
+    method: 'GET',
+    path: '/api/backup',
+    auth: true,
+    operationId: 'exportBackup',
+    summary: 'Download a backup of KV, history and the image manifest',
+    responses: { 200: jsonBody('The backup, streamed', schemaRef('Backup')) },
+    handle: ({ request, env }) => handleBackup(request, env),
+  },
+  {
+    method: 'PUT',
+    path: '/api/backup',
+    auth: true,
+    operationId: 'restoreBackup',
+    summary: 'Restore a backup, replacing KV state and history',
+    requestBody: {
+      required: true,
+      content: { 'application/json': { schema: schemaRef('Backup') } },
+    },
+    responses: {
+      200: jsonBody('What was restored, and manifest images missing from R2', {
+        type: 'object',
+        required: ['ok', 'restored', 'missing_images'],
+        properties: {
+          ok: { const: true },
+          restored: {
+            type: 'object',
+            properties: {
+              kv: { type: 'integer' },
+              history: { type: 'integer' },
+              images: { type: 'integer' },
+            },
+          },
+          missing_images: { type: 'array', items: { type: 'string' } },
+        },
+      }),
+      400: errorBody('Invalid JSON or backup'),
+    },
+    handle: ({ request, env }) => handleBackup(request, env),
+  },
+  {
+    method: 'POST',
+    path: '/api/rollback',
+    auth: true,
+    operationId: 'rollbackPrediction',
+    summary: 'Remove the newest history entry and restore the previous prediction',
+    responses: {
+      200: jsonBody('The removed entry and the restored prediction', schemaRef('Removal')),
+      404: errorBody('No prediction to roll back'),
+    },
+    handle: ({ request, env }) => handleRollback(request, env),
+  },
+  {
+    method: 'DELETE',
+    path: '/api/history/{id}',
+    params: { id: { ...ID_PARAM, description: "The history entry's id" } },
+    auth: true,
+    operationId: 'deleteHistoryEntry',
+    summary: 'Delete a history entry, rolling back the latest prediction if it included it',
+    responses: {
+      200: jsonBody('The removed entry and the latest prediction', schemaRef('Removal')),
+      404: errorBody('No history entry with that id'),
+    },
+    handle: ({ request, env, params }) => handleDeleteHistory(request, env, Number(params.id)),
+  },
+  {
+    method: 'POST',
+    path: '/api/scan/dry-run',
+    auth: true,
+    operationId: 'dryRunScan',
+    summary: 'Run the Reddit scan without writing anything',
+    responses: { 200: jsonBody('What the scan would do', schemaRef('DryRun')) },
+    handle: ({ request, env }) => handleDryRun(request, env),
+  },
+];
 
-// ── Route Handlers ───────────────────────────────────────────────────────────
+/**
+ * The pattern a route's path matches, with a named group per path parameter.
+ * @param {Route} route
+ * @returns {RegExp}
+ */
+function routePattern({ path, params = {} }) {
+  const source = path
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, (_, name) => `(?<${name}>${params[name]?.pattern.source ?? '[^/]+'})`);
+  return new RegExp(`^${source}$`);
+}
 
-async function handleRoot(env) {
-  const [predRaw, histRaw, imageKey, imagePrompt] = await Promise.all([
-    env.PREDICTIONS.get('latest_prediction'),
-    env.PREDICTIONS.get('prediction_history'),
-    env.PREDICTIONS.get('latest_image_key'),
-    env.PREDICTIONS.get('latest_image_prompt'),
-  ]);
+const ROUTE_PATTERNS = new Map(ROUTES.map((route) => [route, routePattern(route)]));
 
-  const prediction = predRaw ? JSON.parse(predRaw) : null;
-  const history = histRaw ? JSON.parse(histRaw) : [];
-  const siteUrl = env.SITE_URL ?? 'https://hfxgas.ca';
+/**
+ * The route for a request, with its path parameters, or null.
+ * @param {string} method
+ * @param {string} pathname
+ * @returns {{ route: Route, params: Object<string, string> }|null}
+ */
+function matchRoute(method, pathname) {
+  for (const [route, pattern] of ROUTE_PATTERNS) {
+    if (route.method !== method) continue;
+    const match = pattern.exec(pathname);
+    if (match) return { route, params: { ...match.groups } };
+  }
+  return null;
+}
 
-  const html = renderHtml({ prediction, history, imageKey, imagePrompt, siteUrl });
+/**
+ * The OpenAPI 3.1 description of ROUTES. Routes with `auth` get the bearer security
+ * scheme and its 400 (`?secret=`) and 401 responses.
+ * @param {string} siteUrl
+ * @returns {object}
+ */
+function openApiDocument(siteUrl) {
+  const paths = {};
+  for (const route of ROUTES) {
+    const pathParams = [...route.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => {
+      const { pattern, schema, description } = route.params[name];
+      return {
+        name,
+        in: 'path',
+        required: true,
+        description,
+        schema: schema ?? { type: 'string', pattern: `^${pattern.source}$` },
+      };
+    });
 
-  return new Response(html, {
-    headers: {
-      'content-type': 'text/html; charset=utf-8',
-      'cache-control': 'no-store',
-    },
-  });
-}
+    const responses = { ...route.responses };
+    if (route.auth) {
+      const secretParam = 'a `?secret=` query parameter (send the Authorization header)';
+      responses[400] = responses[400]
+        ? { ...responses[400], description: `${responses[400].description}, or ${secretParam}` }
+        : errorBody(`${secretParam[0].toUpperCase()}${secretParam.slice(1)}`);
+      responses[401] = errorBody('Missing or invalid Bearer token');
+    }
 
-async function handleApiLatest(env) {
-  const raw = await env.PREDICTIONS.get('latest_prediction');
-  if (!raw)
-    return new Response(JSON.stringify(null), { headers: { 'content-type': 'application/json' } });
-  return new Response(raw, {
-    headers: { 'content-type': 'application/json', 'cache-control': 'no-store' },
-  });
-}
+    paths[route.path] ??= {};
+    paths[route.path][route.method.toLowerCase()] = {
+      operationId: route.operationId,
+      summary: route.summary,
+      ...(route.description && { description: route.description }),
+      tags: [route.auth ? 'admin' : 'public'],
+      ...(route.auth && { security: [{ bearerAuth: [] }] }),
+      parameters: [...pathParams, ...(route.parameters ?? [])],
+      ...(route.requestBody && { requestBody: route.requestBody }),
+      responses,
+    };
+  }
 
-async function handleImage(key, env) {
-  const obj = await env.IMAGES.get(`images/${key}`);
-  if (!obj) return new Response('Not Found', { status: 404 });
-  return new Response(obj.body, {
-    headers: {
-      'content-type': 'image/png',
-      'cache-control': 'public, max-age=31536000, immutable',
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'hfxgas.ca',
+      version: API_VERSION,
+      description:
+        'Halifax gas price predictions from u/buckit on r/halifax. Reads are public; changes need a Bearer token.',
     },
-  });
+    servers: [{ url: siteUrl }],
+    tags: [
+      { name: 'public', description: 'No auth' },
+      { name: 'admin', description: 'WEBHOOK_SECRET or an API_TOKENS token' },
+    ],
+    paths,
+    components: {
+      schemas: API_SCHEMAS,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'WEBHOOK_SECRET, or a named token from API_TOKENS',
+        },
+      },
+    },
+  };
 }
 
-async function handleRobots(env) {
-  const siteUrl = env.SITE_URL ?? 'https://hfxgas.ca';
-  return new Response(`User-agent: *\nAllow: /\n\nSitemap: ${siteUrl}/sitemap.xml\n`, {
-    headers: { 'content-type': 'text/plain; charset=utf-8' },
+/** GET /openapi.json — see openApiDocument. */
+function handleOpenApi(env) {
+  const doc = openApiDocument(env.SITE_URL ?? 'https://hfxgas.ca');
+  return new Response(JSON.stringify(doc), {
+    headers: { 'content-type': 'application/json', 'cache-control': 'public, max-age=3600' },
   });
 }
 
-async function handleSitemap(env) {
-  const siteUrl = env.SITE_URL ?? 'https://hfxgas.ca';
-  const raw = await env.PREDICTIONS.get('latest_prediction');
-  const p = raw ? JSON.parse(raw) : null;
-  const lastmod = p?.updated_at ? p.updated_at.slice(0, 10) : new Date().toISOString().slice(0, 10);
-
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>${siteUrl}/</loc>
-    <lastmod>${lastmod}</lastmod>
-    <changefreq>weekly</changefreq>
-    <priority>1.0</priority>
-  </url>
-</urlset>`;
+// ── Fetch Handler ─────────────────────────────────────────────────────────────
 
-  return new Response(xml, {
-    headers: { 'content-type': 'application/xml; charset=utf-8' },
-  });
-}
+/**
+ * One Reddit scan: fetch the watch list, re-check the published post, then process the
+ * chosen post and its author's replies. What happened is noted in `run`.
+ * @param {object} env
+ * @param {CronRun} run
+ */
+async function scan(env, run) {
+  // Honour a 429's Retry-After — every Reddit request waits until it has passed
+  const backoffUntil = await activeBackoff(env);
+  if (backoffUntil) {
+    await recordFetchStatus(env, 'backoff', { backoff_until: backoffUntil });
+    run.outcome = run.fetch = 'backoff';
+    console.warn(`Cron: Reddit asked us to back off until ${backoffUntil} — skipping`);
+    return;
+  }
 
-async function handleLlmsTxt(env) {
-  const siteUrl = env.SITE_URL ?? 'https://hfxgas.ca';
-  const raw = await env.PREDICTIONS.get('latest_prediction');
-  const p = raw ? JSON.parse(raw) : null;
+  let post;
+  let communityContext = [];
+  try {
+    const sources = await loadSources(env);
+    [post, communityContext] = await Promise.all([
+      fetchWatchedPost(env, sources, run),
+      fetchCommunityContext(env, sources),
+    ]);
+  } catch (err) {
+    console.error('Cron: Reddit fetch error:', err);
+    run.outcome = 'fetch_failed';
+    run.errors.push(err.message ?? String(err));
+    return;
+  }
 
-  const gasSummary = p?.gas
-    ? `${p.gas.direction} to $${p.gas.price?.toFixed(3) ?? 'unknown'}/L`
-    : null;
-  const dieselSummary = p?.diesel
-    ? `${p.diesel.direction} to $${p.diesel.price?.toFixed(3) ?? 'unknown'}/L`
-    : null;
+  // Deleted/removed source post → retract the published prediction
+  await recheckSourcePost(env, cronAudit(run));
 
-  const body = `# hfxgas.ca — Halifax Gas Price Prediction
+  if (!post) {
+    run.outcome = 'no_post';
+    console.log('Cron: no matching post found — done');
+    return;
+  }
 
-> Weekly gas price prediction for Halifax, Nova Scotia, Canada.
-> Data source: Reddit /u/buckit on r/halifax (community estimate).
-> Updated every Thursday. Not financial advice. No tracking.
+  await processPost(post, communityContext, env, run);
 
-## Current Prediction
-${
-  p
-    ? `${gasSummary ? `- Regular gas: ${gasSummary}` : ''}
-${dieselSummary ? `- Diesel: ${dieselSummary}` : ''}
-- Updated: ${p.updated_at}`
-    : 'No prediction available yet.'
+  // Clarifications and corrected tables the author posts in the comments
+  await ingestAuthorReplies(post, env, cronAudit(run));
 }
 
-## API Access (no key required)
-- Latest prediction JSON: ${siteUrl}/api/latest
-- MCP server (Claude Desktop): ${siteUrl}/mcp
-
-## Attribution
-Prediction data by u/buckit on r/halifax (https://www.reddit.com/r/halifax).
-Site by program-the-brain-not-the-heartbeat (https://github.com/program-the-brain-not-the-heartbeat).
-Source code: https://github.com/program-the-brain-not-the-heartbeat/hfxgas.ca
-`;
+/**
+ * Dedup state of a post: its content hash, the revision it would be published as, and
+ * whether it was already processed and is unchanged since (same content hash and Atom
+ * <updated> time). `legacy` marks a post processed before edit tracking existed, known
+ * only from `last_processed_post_id`.
+ * @param {object} post
+ * @param {object} env
+ * @returns {Promise<{ hash: string, revision: number, processed: boolean, legacy: boolean }>}
+ */
+async function dedupState(post, env) {
+  const [lastId, seenRaw] = await Promise.all([
+    env.PREDICTIONS.get('last_processed_post_id'),
+    env.PREDICTIONS.get(`processed_post:${post.id}`),
+  ]);
+  const hash = await contentHash(post);
+  const seen = seenRaw ? JSON.parse(seenRaw) : null;
+  if (seen) {
+    const unchanged = seen.content_hash === hash && seen.updated === (post.updated ?? null);
+    return {
+      hash,
+      revision: unchanged ? seen.revision : seen.revision + 1,
+      processed: unchanged,
+      legacy: false,
+    };
+  }
+  return { hash, revision: 1, processed: lastId === post.id, legacy: lastId === post.id };
+}
 
-  return new Response(body, {
-    headers: { 'content-type': 'text/plain; charset=utf-8' },
+/**
+ * Parse a post into the prediction it would publish and check it: a parse below
+ * MIN_PARSE_CONFIDENCE is held as `low_confidence`, implausible prices (bounds, weekly
+ * delta, adjustment consistency) as `anomaly`. Reads KV but never writes it.
+ * @param {object} post - from fetchWatchedPost
+ * @param {number} revision
+ * @param {object} env
+ * @returns {Promise<{ parsed: object, prediction: object, held_reason: 'low_confidence'|'anomaly'|null, anomalies: string[] }>}
+ */
+async function evaluatePost(post, revision, env) {
+  const parsed = parseRedditPost(post);
+
+  const prediction = createPrediction({
+    kind: parsed.kind,
+    effective_at: parsed.effective_at,
+    grades: parsed.grades,
+    zones: parsed.zones,
+    notes: parsed.notes,
+    diagnostics: parsed.diagnostics,
+    source: 'reddit',
+    post_id: post.id,
+    post_url: `https://www.reddit.com${post.permalink}`,
+    reddit_title: post.title,
+    reddit_source: {
+      id: post.source.id,
+      subreddit: post.source.subreddit,
+      author: post.source.author,
+    },
+    revision,
+    post_updated_at: post.updated ?? null,
+    triggered_at:
+      parsed.kind === 'interrupter' ? new Date(post.created_utc * 1000).toISOString() : undefined,
   });
-}
 
-async function handleWebhook(request, env) {
-  // Auth — Bearer token only.
-  // Query-parameter secrets (?secret=) are explicitly rejected: they leak into
-  // server logs, browser history, and Referer headers.
-  const url = new URL(request.url);
-  if (url.searchParams.has('secret')) {
-    console.warn('Webhook: rejected ?secret= query param — use Authorization: Bearer <token>');
-    return new Response(
-      JSON.stringify({ error: 'Use Authorization: Bearer header, not ?secret= query param' }),
-      {
-        status: 400,
-        headers: { 'content-type': 'application/json' },
-      }
-    );
+  const minConfidence = parseFloat(env.MIN_PARSE_CONFIDENCE ?? '0.5');
+  if (parsed.diagnostics.confidence < minConfidence) {
+    return { parsed, prediction, held_reason: 'low_confidence', anomalies: [] };
   }
 
-  const authHeader = request.headers.get('authorization') ?? '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+  const [published, history] = await Promise.all([
+    readLatestPrediction(env),
+    readHistory(env, { limit: parseInt(env.MAX_HISTORY ?? '10', 10) }),
+  ]);
+  const anomalies = checkPlausibility(
+    prediction,
+    plausibilityBaseline(published, history, post.id),
+    priceLimits(env)
+  );
+  return { parsed, prediction, held_reason: anomalies.length > 0 ? 'anomaly' : null, anomalies };
+}
 
-  if (!token || token !== env.WEBHOOK_SECRET) {
-    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-      status: 401,
-      headers: { 'content-type': 'application/json' },
-    });
-  }
+/**
+ * Direction the meme image is drawn for: gas (primary), fallback to diesel.
+ * Must check explicitly for 'up'/'down' — 'no-change' is truthy but not actionable.
+ * @param {object} parsed - from parseRedditPost
+ * @returns {'up'|'down'|null}
+ */
+function imageDirection(parsed) {
+  return parsed.gas?.direction === 'up' || parsed.gas?.direction === 'down'
+    ? parsed.gas.direction
+    : parsed.diesel?.direction === 'up' || parsed.diesel?.direction === 'down'
+      ? parsed.diesel.direction
+      : null;
+}
 
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
-      status: 400,
-      headers: { 'content-type': 'application/json' },
-    });
+/**
+ * Parse and publish (or hold) the matched post, skipping it if already processed.
+ * @param {object} post - from fetchWatchedPost
+ * @param {string[]} communityContext - for the image prompt
+ * @param {object} env
+ * @param {CronRun} run
+ */
+async function processPost(post, communityContext, env, run) {
+  // Dedup — skip if already processed, unless the post has been edited since
+  const { hash, revision, processed, legacy } = await dedupState(post, env);
+  run.chosen = { post_id: post.id, title: post.title, source_id: post.source.id, revision: null };
+  if (processed) {
+    // Processed before edit tracking existed — record it as revision 1
+    if (legacy) await commitWrite('mark_processed', processedRecord(post, hash, 1), env);
+    run.outcome = 'skipped';
+    console.log(`Cron: post ${post.id} already processed — skipping`);
+    return;
+  }
+  if (revision > 1) {
+    console.log(`Cron: post ${post.id} was edited — re-parsing as revision ${revision}`);
   }
+  run.chosen.revision = revision;
 
-  // Webhook accepts either:
-  //   a) New format: { gas: { direction, price }, diesel: { direction, price }, notes }
-  //   b) Legacy format: { direction, predicted_price, current_price, fuel_type, notes }
-  const { notes = null } = body;
+  console.log(`Cron: processing post ${post.id} from ${post.source.id} — "${post.title}"`);
 
-  const VALID_DIRECTIONS = ['up', 'down', 'no-change'];
+  const { parsed, prediction, held_reason, anomalies } = await evaluatePost(post, revision, env);
+  run.parse = {
+    kind: parsed.kind,
+    strategy: parsed.diagnostics.strategy,
+    confidence: parsed.diagnostics.confidence,
+    warnings: parsed.diagnostics.warnings,
+  };
 
-  function validateFuelSlot(slot, name) {
-    if (!slot) return null;
-    if (!VALID_DIRECTIONS.includes(slot.direction)) {
-      return { error: `${name}.direction must be one of: up, down, no-change` };
-    }
-    if (
-      slot.price !== undefined &&
-      slot.price !== null &&
-      (typeof slot.price !== 'number' || isNaN(slot.price))
-    ) {
-      return { error: `${name}.price must be a number if provided` };
-    }
-    return null;
+  // Hold low-confidence parses for review instead of publishing them
+  if (held_reason === 'low_confidence') {
+    await commitWrite(
+      'hold',
+      {
+        prediction,
+        reason: 'low_confidence',
+        processed: processedRecord(post, hash, revision),
+        audit: cronAudit(run),
+      },
+      env
+    );
+    run.outcome = 'held';
+    run.parse.held_reason = 'low_confidence';
+    console.warn(
+      `Cron: holding post ${post.id} for review — confidence ${parsed.diagnostics.confidence} below MIN_PARSE_CONFIDENCE (${parsed.diagnostics.warnings.join('; ')})`
+    );
+    return;
   }
 
-  let gas = null;
-  let diesel = null;
+  // Quarantine implausible prices
+  if (held_reason === 'anomaly') {
+    await commitWrite(
+      'hold',
+      {
+        prediction,
+        reason: 'anomaly',
+        details: { anomalies },
+        processed: processedRecord(post, hash, revision),
+        audit: cronAudit(run),
+      },
+      env
+    );
+    run.outcome = 'held';
+    Object.assign(run.parse, { held_reason: 'anomaly', anomalies });
+    console.warn(`Cron: quarantined post ${post.id} — ${anomalies.join('; ')}`);
+    return;
+  }
 
-  if (body.gas !== undefined || body.diesel !== undefined) {
-    // New format
-    const gasErr = validateFuelSlot(body.gas, 'gas');
-    if (gasErr)
-      return new Response(JSON.stringify(gasErr), {
-        status: 400,
-        headers: { 'content-type': 'application/json' },
-      });
-    const dieselErr = validateFuelSlot(body.diesel, 'diesel');
-    if (dieselErr)
-      return new Response(JSON.stringify(dieselErr), {
-        status: 400,
-        headers: { 'content-type': 'application/json' },
-      });
-    gas = body.gas
-      ? {
-          direction: body.gas.direction,
-          adjustment: body.gas.adjustment ?? null,
-          price: body.gas.price ?? null,
-        }
-      : null;
-    diesel = body.diesel
-      ? {
-          direction: body.diesel.direction,
-          adjustment: body.diesel.adjustment ?? null,
-          price: body.diesel.price ?? null,
-        }
-      : null;
-  } else {
-    // Legacy format — map to new model
-    const { direction, predicted_price, current_price, fuel_type = 'gas' } = body;
-    if (!VALID_DIRECTIONS.includes(direction)) {
-      return new Response(
-        JSON.stringify({ error: 'Invalid direction — must be "up", "down", or "no-change"' }),
-        {
-          status: 400,
-          headers: { 'content-type': 'application/json' },
-        }
-      );
-    }
-    if (!['gas', 'diesel'].includes(fuel_type)) {
-      return new Response(
-        JSON.stringify({ error: 'Invalid fuel_type — must be "gas" or "diesel"' }),
-        {
-          status: 400,
-          headers: { 'content-type': 'application/json' },
-        }
-      );
-    }
-    if (typeof predicted_price !== 'number' || isNaN(predicted_price)) {
-      return new Response(JSON.stringify({ error: 'predicted_price must be a number' }), {
-        status: 400,
-        headers: { 'content-type': 'application/json' },
-      });
-    }
-    if (
-      current_price !== undefined &&
-      (typeof current_price !== 'number' || isNaN(current_price))
-    ) {
-      return new Response(JSON.stringify({ error: 'current_price must be a number if provided' }), {
-        status: 400,
-        headers: { 'content-type': 'application/json' },
-      });
-    }
-    const slot = { direction, adjustment: null, price: predicted_price };
-    if (fuel_type === 'diesel') {
-      diesel = slot;
+  let image = null;
+  const direction = imageDirection(parsed);
+  if (direction) {
+    const imageResult = await generateAndStoreImage(post.id, direction, communityContext, env);
+    if (imageResult.key) {
+      image = { key: imageResult.key, prompt: imageResult.prompt };
+      run.image = { outcome: 'generated', key: imageResult.key };
     } else {
-      gas = slot;
+      run.image = { outcome: 'failed' };
+      run.errors.push(`Image generation failed: ${imageResult.error}`);
     }
+  } else {
+    run.image = { outcome: 'skipped' };
   }
 
-  const prediction = {
-    gas,
-    diesel,
-    notes: notes ? String(notes).slice(0, 500) : null,
-    source: 'webhook',
-    updated_at: new Date().toISOString(),
-    post_id: null,
-  };
-
-  await writePrediction(prediction, env);
-
-  return new Response(JSON.stringify({ ok: true, prediction }), {
-    headers: { 'content-type': 'application/json' },
+  // Prediction, image key and dedup record land together
+  await writePrediction(prediction, env, {
+    image,
+    processed: processedRecord(post, hash, revision),
+    audit: cronAudit(run),
   });
+  run.outcome = 'published';
+
+  const gasSummary = parsed.gas
+    ? `gas=${parsed.gas.direction} $${parsed.gas.price?.toFixed(3)}`
+    : 'gas=none';
+  const dieselSummary = parsed.diesel
+    ? `diesel=${parsed.diesel.direction} $${parsed.diesel.price?.toFixed(3)}`
+    : 'diesel=none';
+  console.log(
+    `Cron: done — ${parsed.kind}, ${gasSummary}, ${dieselSummary}, ${parsed.diagnostics.strategy} (confidence ${parsed.diagnostics.confidence})`
+  );
 }
 
-// ── Fetch Handler ─────────────────────────────────────────────────────────────
-
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const { pathname, method } = { pathname: url.pathname, method: request.method };
-
-    let response;
-
-    // GET /
-    if (pathname === '/' && method === 'GET') {
-      response = await handleRoot(env);
-    }
-
-    // GET /api/latest
-    else if (pathname === '/api/latest' && method === 'GET') {
-      response = await handleApiLatest(env);
-    }
+/**
+ * A D1 database for dry runs: SELECT statements run against `db`, anything else is
+ * dropped as if it had changed no rows.
+ * @param {object} db - HISTORY_DB
+ * @returns {object}
+ */
+function readOnlyDatabase(db) {
+  const dropped = {
+    bind: () => dropped,
+    run: async () => ({ success: true, meta: { changes: 0 } }),
+    first: async () => null,
+    all: async () => ({ success: true, results: [], meta: { changes: 0 } }),
+  };
+  return {
+    prepare: (sql) => (/^\s*SELECT\b/i.test(sql) ? db.prepare(sql) : dropped),
+    batch: (statements) => Promise.all(statements.map((s) => s.all())),
+    exec: async () => ({ count: 0, duration: 0 }),
+  };
+}
 
-    // GET /images/:key
-    else if (pathname.match(/^\/images\/([a-zA-Z0-9_-]+\.png)$/) && method === 'GET') {
-      const imageMatch = pathname.match(/^\/images\/([a-zA-Z0-9_-]+\.png)$/);
-      response = await handleImage(imageMatch[1], env);
-    }
+/**
+ * A copy of env for dry runs. KV and HISTORY_DB can be read but their writes are
+ * dropped, and Workers AI refuses to run. Dry runs go through the same fetch and parse
+ * code as the cron, so its feed cache and fetch status writes are dropped too, and a
+ * pending history migration is left for the next real run.
+ * @param {object} env
+ * @returns {object}
+ */
+function readOnlyEnv(env) {
+  const kv = env.PREDICTIONS;
+  return {
+    ...env,
+    PREDICTIONS: {
+      get: (...args) => kv.get(...args),
+      list: (...args) => kv.list(...args),
+      put: async () => {},
+      delete: async () => {},
+    },
+    HISTORY_DB: env.HISTORY_DB && readOnlyDatabase(env.HISTORY_DB),
+    AI: {
+      run: async () => {
+        throw new Error('env.AI is not available in a dry run');
+      },
+    },
+  };
+}
 
-    // GET /robots.txt
-    else if (pathname === '/robots.txt' && method === 'GET') {
-      response = await handleRobots(env);
-    }
+/**
+ * Run a scan without side effects: fetch → select → parse → validate → image prompt,
+ * returning what the cron would do instead of doing it. KV is only read (see
+ * readOnlyEnv), env.AI is never called and no run is journaled, so a parser change can
+ * be tried against the live feed. An already-processed post is still parsed.
+ *
+ * `outcome` is `would_publish`, `would_hold` (see `held_reason`), `would_skip` (already
+ * processed and unchanged), `no_post`, `backoff` or `fetch_failed`.
+ * @param {object} env
+ * @returns {Promise<object>}
+ */
+export async function dryRunScan(env) {
+  const dryEnv = readOnlyEnv(env);
+  const run = startRun();
+  const result = {
+    dry_run: true,
+    outcome: null,
+    fetch: null,
+    candidates: run.candidates,
+    post: null,
+    already_processed: false,
+    prediction: null,
+    held_reason: null,
+    anomalies: [],
+    image_prompt: null,
+    errors: run.errors,
+  };
 
-    // GET /sitemap.xml
-    else if (pathname === '/sitemap.xml' && method === 'GET') {
-      response = await handleSitemap(env);
-    }
+  const backoffUntil = await activeBackoff(env);
+  if (backoffUntil) {
+    result.outcome = result.fetch = 'backoff';
+    result.errors.push(`Reddit asked us to back off until ${backoffUntil}`);
+    return result;
+  }
 
-    // GET /llms.txt
-    else if (pathname === '/llms.txt' && method === 'GET') {
-      response = await handleLlmsTxt(env);
-    }
+  let post;
+  let communityContext = [];
+  try {
+    const sources = await loadSources(dryEnv);
+    [post, communityContext] = await Promise.all([
+      fetchWatchedPost(dryEnv, sources, run),
+      fetchCommunityContext(dryEnv, sources),
+    ]);
+  } catch (err) {
+    result.outcome = 'fetch_failed';
+    result.errors.push(err.message ?? String(err));
+    return result;
+  }
+  result.fetch = run.fetch;
+  if (!post) {
+    result.outcome = 'no_post';
+    return result;
+  }
 
-    // POST /webhook
-    else if (pathname === '/webhook' && method === 'POST') {
-      response = await handleWebhook(request, env);
-    }
+  const { revision, processed } = await dedupState(post, dryEnv);
+  const { parsed, prediction, held_reason, anomalies } = await evaluatePost(post, revision, dryEnv);
+  const direction = imageDirection(parsed);
+  return Object.assign(result, {
+    outcome: processed ? 'would_skip' : held_reason ? 'would_hold' : 'would_publish',
+    post: {
+      id: post.id,
+      title: post.title,
+      author: post.author,
+      url: `https://www.reddit.com${post.permalink}`,
+      created_at: new Date(post.created_utc * 1000).toISOString(),
+      source_id: post.source.id,
+    },
+    already_processed: processed,
+    prediction,
+    held_reason,
+    anomalies,
+    image_prompt: direction ? buildImagePrompt(direction, post.id, communityContext) : null,
+  });
+}
 
-    // /mcp — MCP server (workers-mcp)
-    else if (pathname.startsWith('/mcp')) {
-      return new BuckitMCP(ctx, env).fetch(request);
-    }
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    const matched = matchRoute(request.method, url.pathname);
 
-    // 404
-    else {
-      response = new Response(JSON.stringify({ error: 'Not Found' }), {
-        status: 404,
-        headers: { 'content-type': 'application/json' },
-      });
-    }
+    const response = matched
+      ? await matched.route.handle({ request, env, ctx, url, params: matched.params })
+      : new Response(JSON.stringify({ error: 'Not Found' }), {
+          status: 404,
+          headers: { 'content-type': 'application/json' },
+        });
 
     // Apply security headers to every response
     return withSecurityHeaders(response);
   },
 
   // ── Scheduled Handler ────────────────────────────────────────────────────
-  async scheduled(_event, env, _ctx) {
+  async scheduled(event, env, _ctx) {
     console.log('Cron: starting Reddit scan');
-
-    let post;
-    let communityContext = [];
+    const run = startRun(event);
     try {
-      [post, communityContext] = await Promise.all([
-        fetchBuckitPost(env),
-        fetchCommunityContext(env),
-      ]);
+      await scan(env, run);
     } catch (err) {
-      console.error('Cron: Reddit fetch error:', err);
-      return;
-    }
-
-    if (!post) {
-      console.log('Cron: no matching post found — done');
-      return;
-    }
-
-    // Dedup — skip if already processed
-    const lastId = await env.PREDICTIONS.get('last_processed_post_id');
-    if (lastId === post.id) {
-      console.log(`Cron: post ${post.id} already processed — skipping`);
-      return;
-    }
-
-    console.log(`Cron: processing post ${post.id} — "${post.title}"`);
-
-    const parsed = parseRedditPost(post);
-
-    const prediction = {
-      gas: parsed.gas,
-      diesel: parsed.diesel,
-      notes: parsed.notes,
-      source: 'reddit',
-      post_id: post.id,
-      post_url: `https://www.reddit.com${post.permalink}`,
-      reddit_title: post.title,
-      updated_at: new Date().toISOString(),
-    };
-
-    // Generate image using gas direction (primary), fallback to diesel.
-    // Must check explicitly for 'up'/'down' — 'no-change' is truthy but not actionable.
-    const actionableDirection =
-      parsed.gas?.direction === 'up' || parsed.gas?.direction === 'down'
-        ? parsed.gas.direction
-        : parsed.diesel?.direction === 'up' || parsed.diesel?.direction === 'down'
-          ? parsed.diesel.direction
-          : null;
-    if (actionableDirection) {
-      const imageResult = await generateAndStoreImage(
-        post.id,
-        actionableDirection,
-        communityContext,
-        env
-      );
-      if (imageResult) {
-        await env.PREDICTIONS.put('latest_image_key', imageResult.key);
-        await env.PREDICTIONS.put('latest_image_prompt', imageResult.prompt);
-        prediction.image_key = imageResult.key;
-      }
+      run.outcome = 'error';
+      run.errors.push(err.message ?? String(err));
+      throw err;
+    } finally {
+      await finishRun(run, env);
     }
-
-    await writePrediction(prediction, env);
-    await env.PREDICTIONS.put('last_processed_post_id', post.id);
-
-    const gasSummary = parsed.gas
-      ? `gas=${parsed.gas.direction} $${parsed.gas.price?.toFixed(3)}`
-      : 'gas=none';
-    const dieselSummary = parsed.diesel
-      ? `diesel=${parsed.diesel.direction} $${parsed.diesel.price?.toFixed(3)}`
-      : 'diesel=none';
-    console.log(`Cron: done — ${gasSummary}, ${dieselSummary}`);
   },
 };
@@ -0,0 +1,9 @@
+/**
+ * Vitest setup file — runs the D1 migrations in ./migrations against HISTORY_DB before
+ * each test file. The migrations use IF NOT EXISTS, so re-running them is a no-op.
+ */
+
+import { env } from 'cloudflare:workers';
+
+const queries = env.TEST_MIGRATIONS.flatMap((m) => m.queries);
+await env.HISTORY_DB.batch(queries.map((q) => env.HISTORY_DB.prepare(q)));
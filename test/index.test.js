@@ -21,11 +21,91 @@ import {
   parseAdjustment,
   parseRedditPost,
   parseRssEntries,
+  readRssEntries,
+  createXmlReader,
   buildChartData,
   renderHtml,
+  detectPostKind,
+  halifaxTimeToUtc,
+  interrupterEffectiveAt,
+  weeklyEffectiveAt,
+  extractEffectiveAt,
+  formatShortDate,
+  normaliseGrade,
+  predictionGrades,
+  upgradePrediction,
+  createPrediction,
+  normalisePredictionInput,
+  PREDICTION_SCHEMA_VERSION,
+  parsePricingZone,
+  zonePrediction,
+  checkPlausibility,
+  contentHash,
+  parseReplyCorrection,
+  sourcePostStatus,
+  checkSourcePost,
+  backoffDelay,
+  parseRetryAfter,
+  registerParseStrategy,
+  unregisterParseStrategy,
+  parseStrategies,
+  normaliseSources,
+  dryRunScan,
+  readHistory,
+  readAudit,
+  tokenName,
+  rollbackPrediction,
+  deleteHistoryEntry,
+  findHistoryEntryById,
+  validateBackup,
+  queryHistory,
+  csvField,
+  writePrediction,
 } from '../src/index.js';
 import worker from '../src/index.js';
 
+// Prediction history as stored in HISTORY_DB, newest first
+async function storedHistory() {
+  const { results } = await env.HISTORY_DB.prepare(
+    'SELECT data FROM predictions ORDER BY id DESC'
+  ).all();
+  return results.map((row) => JSON.parse(row.data));
+}
+
+async function clearHistory() {
+  await env.PREDICTIONS.delete('prediction_history');
+  await env.PREDICTIONS.delete('prediction_history_last_id');
+  await env.HISTORY_DB.exec('DELETE FROM predictions');
+}
+
+async function clearPending() {
+  const { keys } = await env.PREDICTIONS.list({ prefix: 'pending_prediction:' });
+  await Promise.all(keys.map(({ name }) => env.PREDICTIONS.delete(name)));
+}
+
+// Format fixtures: each is a hand-written post in one of /u/buckit's formats plus its expected
+// parse. They pin what each strategy does with its format, not how real past posts parsed.
+// `provenance` marks real captured posts apart from hand-modelled ones (docs/development.md).
+const POST_FIXTURES = import.meta.glob('./fixtures/posts/*.json', {
+  eager: true,
+  import: 'default',
+});
+
+// Per-zone markdown post: Zone 1 (Halifax) and Zone 6 (Cape Breton)
+const ZONED_SELFTEXT = [
+  '**Zone 1 (Halifax)**',
+  '|Type|Adjustment|New Min Price|',
+  ':--|:--|:--|',
+  '|Regular| UP 3.6 |162.1|',
+  '|Diesel| DOWN 0.7 |154.4|',
+  '**Zone 6 (Cape Breton)**',
+  '|Type|Adjustment|New Min Price|',
+  ':--|:--|:--|',
+  '|Regular| UP 3.6 |164.0|',
+  '|Diesel| DOWN 0.7 |156.3|',
+  'Fill up tonight.',
+].join('\n');
+
 // ── RSS test helpers ───────────────────────────────────────────────────────────
 
 /**
@@ -53,12 +133,33 @@ function makeRssXml(posts = []) {
         .replace(/</g, '&lt;')
         .replace(/>/g, '&gt;')
         .replace(/"/g, '&quot;');
-      return `<entry><author><name>/u/${author}</name></author><title>${title}</title><id>t3_${id}</id><link href="https://www.reddit.com${permalink}"/><published>${published}</published><content type="html">${encoded}</content></entry>`;
+      const updated = p.updated ? `<updated>${p.updated}</updated>` : '';
+      return `<entry><author><name>/u/${author}</name></author><title>${title}</title><id>${p.comment ? 't1_' : 't3_'}${id}</id><link href="https://www.reddit.com${permalink}"/>${updated}<published>${published}</published><content type="html">${encoded}</content></entry>`;
     })
     .join('');
   return `<?xml version="1.0" encoding="UTF-8"?><feed xmlns="http://www.w3.org/2005/Atom">${entries}</feed>`;
 }
 
+/**
+ * A response body that delivers `chunks` one read at a time. Unless `close` is false it
+ * ends after the last chunk; otherwise it stays open, so a reader that doesn't stop early
+ * waits forever. `cancelled` records whether the reader gave up on the rest.
+ */
+function chunkedBody(chunks, { close = true } = {}) {
+  const queue = [...chunks];
+  const state = { cancelled: false };
+  state.body = new ReadableStream({
+    pull(controller) {
+      if (queue.length) controller.enqueue(queue.shift());
+      else if (close) controller.close();
+    },
+    cancel() {
+      state.cancelled = true;
+    },
+  });
+  return state;
+}
+
 // ── Utilities ──────────────────────────────────────────────────────────────────
 
 describe('escapeHtml', () => {
@@ -83,6 +184,20 @@ describe('decodeHtmlEntities', () => {
     expect(decodeHtmlEntities('&#65;')).toBe('A');
     expect(decodeHtmlEntities('&#32;')).toBe(' ');
   });
+  it('decodes hex entities', () => {
+    expect(decodeHtmlEntities('It&#x27;s &#X2014; &#x1F600;')).toBe("It's — 😀");
+  });
+  it('decodes &nbsp;, &apos; and common named entities', () => {
+    expect(decodeHtmlEntities('a&nbsp;b &apos;c&apos; 5&cent; &mdash;')).toBe("a\u00a0b 'c' 5¢ —");
+  });
+  it('decodes only once', () => {
+    expect(decodeHtmlEntities('&amp;lt;p&amp;gt;')).toBe('&lt;p&gt;');
+  });
+  it('leaves unknown and out-of-range entities alone', () => {
+    expect(decodeHtmlEntities('&bogus; &#0; &#x110000; & alone')).toBe(
+      '&bogus; &#0; &#x110000; & alone'
+    );
+  });
   it('passes plain strings unchanged', () => {
     expect(decodeHtmlEntities('hello world')).toBe('hello world');
   });
@@ -128,6 +243,11 @@ describe('parseRssEntries', () => {
     expect(entries[0].id).toBe('xyz789');
   });
 
+  it('strips t1_ prefix from comment ids', () => {
+    const xml = makeRssXml([{ id: 'c0mm3nt', title: '/u/buckit on Gas', comment: true }]);
+    expect(parseRssEntries(xml)[0].id).toBe('c0mm3nt');
+  });
+
   it('parses permalink', () => {
     const entries = parseRssEntries(singleEntryXml({ id: 'abc123' }));
     expect(entries[0].permalink).toBe('/r/halifax/comments/abc123/gas_post/');
@@ -138,6 +258,15 @@ describe('parseRssEntries', () => {
     expect(entries[0].created_utc).toBe(baseUtc);
   });
 
+  it('parses updated timestamp (ISO)', () => {
+    const xml = makeRssXml([{ id: 'e1', title: 'Gas', updated: '2026-06-18T18:05:12+00:00' }]);
+    expect(parseRssEntries(xml)[0].updated).toBe('2026-06-18T18:05:12.000Z');
+  });
+
+  it('updated is null when the entry has none', () => {
+    expect(parseRssEntries(singleEntryXml())[0].updated).toBeNull();
+  });
+
   it('extracts selftext from SC_OFF/SC_ON block', () => {
     const entries = parseRssEntries(singleEntryXml({ selftext: 'Hello world' }));
     expect(entries[0].selftext).toContain('Hello world');
@@ -188,6 +317,159 @@ describe('parseRssEntries', () => {
     const entries = parseRssEntries(xml);
     expect(entries[0].title).toBe('AT&T news');
   });
+
+  // Hand-written feeds for what makeRssXml doesn't produce
+  const feed = (entry) =>
+    `<?xml version="1.0" encoding="UTF-8"?><!-- generated --><feed xmlns="http://www.w3.org/2005/Atom">${entry}</feed>`;
+
+  it('decodes hex entities and &nbsp; in titles', () => {
+    const xml = feed('<entry><title>Buckit&#x27;s gas&nbsp;post</title><id>t3_e1</id></entry>');
+    expect(parseRssEntries(xml)[0].title).toBe("Buckit's gas\u00a0post");
+  });
+
+  it('reads CDATA titles and content verbatim', () => {
+    const xml = feed(
+      '<entry><title><![CDATA[Gas & diesel <this week>]]></title><id>t3_e1</id>' +
+        '<content type="html"><![CDATA[<!-- SC_OFF --><div class="md"><p>Tom &amp; Jerry</p></div><!-- SC_ON -->]]></content></entry>'
+    );
+    const [entry] = parseRssEntries(xml);
+    expect(entry.title).toBe('Gas & diesel <this week>');
+    expect(entry.selftext).toBe('<div class="md"><p>Tom &amp; Jerry</p></div>');
+  });
+
+  it('handles namespace-prefixed Atom elements', () => {
+    const xml =
+      '<atom:feed xmlns:atom="http://www.w3.org/2005/Atom"><atom:entry><atom:author><atom:name>/u/buckit</atom:name></atom:author>' +
+      '<atom:title>Gas</atom:title><atom:id>t3_ns1</atom:id></atom:entry></atom:feed>';
+    const [entry] = parseRssEntries(xml);
+    expect(entry).toMatchObject({ author: 'buckit', title: 'Gas', id: 'ns1' });
+  });
+
+  it('takes the permalink from the alternate link', () => {
+    const xml = feed(
+      '<entry><title>Gas</title><id>t3_e1</id>' +
+        '<link rel="replies" href="https://www.reddit.com/r/halifax/comments/e1/.rss"/>' +
+        '<link rel="alternate" href="https://www.reddit.com/r/halifax/comments/e1/gas/"/></entry>'
+    );
+    expect(parseRssEntries(xml)[0].permalink).toBe('/r/halifax/comments/e1/gas/');
+  });
+
+  it('parses categories', () => {
+    const xml = feed(
+      '<entry><title>Gas</title><id>t3_e1</id><category term="halifax" label="r/halifax"/><category term="news"/></entry>'
+    );
+    expect(parseRssEntries(xml)[0].categories).toEqual(['r/halifax', 'news']);
+    expect(parseRssEntries(makeRssXml([{ id: 'e2', title: 'Gas' }]))[0].categories).toEqual([]);
+  });
+
+  it('keeps xhtml content as markup', () => {
+    const xml = feed(
+      '<entry><title>Gas</title><id>t3_e1</id><content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p>Up <b>3.6</b> &amp; more</p></div></content></entry>'
+    );
+    expect(parseRssEntries(xml)[0].selftext).toBe(
+      '<div xmlns="http://www.w3.org/1999/xhtml"><p>Up <b>3.6</b> &amp; more</p></div>'
+    );
+  });
+
+  it('does not mistake nested titles for the entry title', () => {
+    const xml = feed(
+      '<entry><source><title>r/halifax</title></source><title>Gas</title><id>t3_e1</id></entry>'
+    );
+    expect(parseRssEntries(xml)[0].title).toBe('Gas');
+  });
+
+  it('skips entries without a title or Reddit id', () => {
+    const xml = feed(
+      '<entry><id>t3_e1</id></entry><entry><title>No id</title></entry><entry><title>Ok</title><id>t3_e3</id></entry>'
+    );
+    expect(parseRssEntries(xml).map((e) => e.id)).toEqual(['e3']);
+  });
+});
+
+describe('readRssEntries', () => {
+  const utf8 = (s) => new TextEncoder().encode(s);
+
+  it('reads a body that arrives in chunks split mid-tag and mid-character', async () => {
+    const bytes = utf8(
+      makeRssXml([
+        { id: 'e1', author: 'buckit', title: 'Gas ⛽ down', selftext: 'Prices €' },
+        { id: 'e2', author: 'buckit', title: 'Second' },
+      ])
+    );
+    const title = bytes.indexOf(0xe2); // first byte of ⛽
+    const cuts = [0, 17, title + 1, title + 2, bytes.length - 9, bytes.length];
+    const chunks = cuts.slice(1).map((end, i) => bytes.slice(cuts[i], end));
+    const { body } = chunkedBody(chunks);
+    const entries = await readRssEntries(new Response(body));
+    expect(entries.map((e) => e.title)).toEqual(['Gas ⛽ down', 'Second']);
+    expect(entries[0].selftext).toContain('Prices €');
+  });
+
+  it('stops reading once an entry matches `until`', async () => {
+    const xml = makeRssXml([
+      { id: 'p1', author: 'buckit', title: 'Post' },
+      { id: 'c1', author: 'a', title: 'Reply', comment: true },
+    ]);
+    const end = xml.indexOf('</entry>') + '</entry>'.length;
+    const stream = chunkedBody([utf8(xml.slice(0, end)), utf8(xml.slice(end))], {
+      close: false,
+    });
+    const entries = await readRssEntries(new Response(stream.body), {
+      until: (e) => e.id === 'p1',
+    });
+    expect(entries.map((e) => e.id)).toEqual(['p1']);
+    expect(stream.cancelled).toBe(true);
+  });
+
+  it('reads nothing from an empty body', async () => {
+    expect(await readRssEntries(new Response(null))).toEqual([]);
+  });
+});
+
+describe('createXmlReader', () => {
+  const read = (chunks) => {
+    const events = [];
+    const reader = createXmlReader((ev) => events.push(ev));
+    for (const chunk of chunks) reader.write(chunk);
+    reader.end();
+    return events;
+  };
+
+  it('emits open, text and close events', () => {
+    const events = read(['<a x="1" y=\'&lt;2\'>hi &amp; bye</a>']);
+    expect(events.map((e) => e.type)).toEqual(['open', 'text', 'close']);
+    expect(events[0]).toMatchObject({ name: 'a', attrs: { x: '1', y: '<2' }, selfClosing: false });
+    expect(events[1].text).toBe('hi & bye');
+  });
+
+  it('gives the same events however the input is chunked', () => {
+    const xml =
+      '<?xml version="1.0"?><!DOCTYPE feed [<!ENTITY x "y">]><feed><!-- c --><e a="x>y">t&#x27;s</e><![CDATA[<raw>]]><br/></feed>';
+    const whole = read([xml]);
+    expect(read(xml.split(''))).toEqual(whole);
+    expect(read([xml.slice(0, 30), xml.slice(30, 61), xml.slice(61)])).toEqual(whole);
+    expect(whole.filter((e) => e.type === 'text').map((e) => e.text)).toEqual(["t's", '<raw>']);
+    expect(whole.find((e) => e.name === 'e').attrs.a).toBe('x>y');
+  });
+
+  it('reports local names and self-closing elements', () => {
+    const events = read(['<atom:link href="u"/>']);
+    expect(events).toEqual([
+      {
+        type: 'open',
+        name: 'link',
+        qname: 'atom:link',
+        attrs: { href: 'u' },
+        selfClosing: true,
+        raw: '<atom:link href="u"/>',
+      },
+      { type: 'close', name: 'link', qname: 'atom:link', raw: '' },
+    ]);
+  });
+
+  it('drops an unterminated tag at the end of the input', () => {
+    expect(read(['<a>text</a><b attr="'])).toHaveLength(3);
+  });
 });
 
 describe('formatDate', () => {
@@ -204,6 +486,20 @@ describe('formatDate', () => {
   });
 });
 
+describe('formatShortDate', () => {
+  it('formats as short Halifax date', () => {
+    expect(formatShortDate('2024-11-15T04:01:00.000Z')).toMatch(/Nov 15/);
+  });
+  it('uses Halifax calendar day', () => {
+    // 02:00 UTC on the 15th is still the 14th in Halifax
+    expect(formatShortDate('2024-11-15T02:00:00.000Z')).toMatch(/Nov 14/);
+  });
+  it('returns empty string for null or invalid', () => {
+    expect(formatShortDate(null)).toBe('');
+    expect(formatShortDate('bad')).toBe('');
+  });
+});
+
 describe('formatRelativeTime', () => {
   it('returns just now for very recent', () => {
     expect(formatRelativeTime(new Date().toISOString())).toBe('just now');
@@ -252,6 +548,112 @@ describe('getSeason', () => {
   it('fall for November', () => expect(getSeason(new Date('2024-11-01T12:00:00Z'))).toBe('fall'));
 });
 
+describe('halifaxTimeToUtc', () => {
+  it('converts Halifax standard time (AST, UTC-4)', () => {
+    expect(halifaxTimeToUtc(2024, 11, 15, 0, 1).toISOString()).toBe('2024-11-15T04:01:00.000Z');
+  });
+  it('converts Halifax daylight time (ADT, UTC-3)', () => {
+    expect(halifaxTimeToUtc(2024, 7, 12, 0, 1).toISOString()).toBe('2024-07-12T03:01:00.000Z');
+  });
+  it('normalises overflowing days', () => {
+    expect(halifaxTimeToUtc(2024, 11, 31).toISOString()).toBe('2024-12-01T04:00:00.000Z');
+  });
+});
+
+describe('interrupterEffectiveAt', () => {
+  it('returns 12:01 AM Halifax the following day', () => {
+    // Tuesday 2 PM Halifax (AST) → Wednesday 00:01 AST
+    expect(interrupterEffectiveAt('2024-11-12T18:00:00.000Z')).toBe('2024-11-13T04:01:00.000Z');
+  });
+  it('uses the Halifax calendar day, not the UTC one', () => {
+    // 2024-11-13T02:00Z is still Tuesday 10 PM in Halifax
+    expect(interrupterEffectiveAt('2024-11-13T02:00:00.000Z')).toBe('2024-11-13T04:01:00.000Z');
+  });
+  it('returns null for missing or invalid input', () => {
+    expect(interrupterEffectiveAt(null)).toBeNull();
+    expect(interrupterEffectiveAt('not-a-date')).toBeNull();
+  });
+});
+
+describe('weeklyEffectiveAt', () => {
+  it('returns 12:01 AM Halifax on the following Friday', () => {
+    // Thursday 2024-11-14 1 PM Halifax → Friday 2024-11-15 00:01 AST
+    expect(weeklyEffectiveAt('2024-11-14T17:00:00.000Z')).toBe('2024-11-15T04:01:00.000Z');
+  });
+  it('a Friday post rolls to the next week', () => {
+    expect(weeklyEffectiveAt('2024-11-15T17:00:00.000Z')).toBe('2024-11-22T04:01:00.000Z');
+  });
+  it('returns null for missing or invalid input', () => {
+    expect(weeklyEffectiveAt(null)).toBeNull();
+    expect(weeklyEffectiveAt('nope')).toBeNull();
+  });
+});
+
+describe('extractEffectiveAt', () => {
+  // Thursday 2024-11-14, 1 PM Halifax
+  const postedAt = new Date('2024-11-14T17:00:00.000Z');
+
+  it('weekday after "effective" (markdown)', () => {
+    expect(extractEffectiveAt('Prices effective Friday at 12:01 AM', postedAt)).toBe(
+      '2024-11-15T04:01:00.000Z'
+    );
+  });
+  it('month and day with time', () => {
+    expect(extractEffectiveAt('New prices take effect Nov 16th at 6 a.m.', postedAt)).toBe(
+      '2024-11-16T10:00:00.000Z'
+    );
+  });
+  it('ISO date', () => {
+    expect(extractEffectiveAt('As of 2024-11-22, prices drop', postedAt)).toBe(
+      '2024-11-22T04:01:00.000Z'
+    );
+  });
+  it('HTML table row', () => {
+    const html =
+      '<table><tr><td>Effective</td><td>Friday, November 15, 2024</td></tr></table><p>May be +/- 0.1</p>';
+    expect(extractEffectiveAt(html, postedAt)).toBe('2024-11-15T04:01:00.000Z');
+  });
+  it('tomorrow / midnight tonight', () => {
+    expect(extractEffectiveAt('Interrupter takes effect at midnight tonight', postedAt)).toBe(
+      '2024-11-15T04:00:00.000Z'
+    );
+  });
+  it('explicit month-day in the heading when there is no trigger phrase', () => {
+    expect(extractEffectiveAt('Gas prices for Nov 15', postedAt)).toBe('2024-11-15T04:01:00.000Z');
+  });
+  it('explicit month-day leading into or inside the price table', () => {
+    const table = '|Type|Adjustment|New Min Price|\n|Regular| UP 1.2 |162.1|';
+    expect(extractEffectiveAt(`Gas up\n\nPrices for Nov 15:\n${table}`, postedAt)).toBe(
+      '2024-11-15T04:01:00.000Z'
+    );
+    const html = '<table><tr><td>Date</td><td>Nov 16</td></tr></table><p>Fill up today</p>';
+    expect(extractEffectiveAt(`Gas up\n${html}`, postedAt)).toBe('2024-11-16T04:01:00.000Z');
+  });
+  it('ignores a month-day elsewhere in the post', () => {
+    const post =
+      'Gas going up\n\n|Type|Adjustment|New Min Price|\n|Regular| UP 1.2 |162.1|\n\n' +
+      'Last week on March 3 I said the same thing.';
+    expect(extractEffectiveAt(post, postedAt)).toBeNull();
+    expect(
+      extractEffectiveAt('Gas going up\n<p>Last week on March 3 it went down.</p>', postedAt)
+    ).toBeNull();
+  });
+  it('rolls a January date posted in December into next year', () => {
+    expect(extractEffectiveAt('Effective Jan 3', new Date('2024-12-30T17:00:00.000Z'))).toBe(
+      '2025-01-03T04:01:00.000Z'
+    );
+  });
+  it('ignores weekdays without a trigger phrase', () => {
+    expect(extractEffectiveAt('Fill up before Friday!', postedAt)).toBeNull();
+  });
+  it('does not mistake "decrease 2.1" for a date', () => {
+    expect(extractEffectiveAt('Prices decrease 2.1 cents', postedAt)).toBeNull();
+  });
+  it('returns null for empty text', () => {
+    expect(extractEffectiveAt('', postedAt)).toBeNull();
+  });
+});
+
 describe('buildImagePrompt', () => {
   // Community context path
   it('uses community context when provided', () => {
@@ -327,31 +729,58 @@ describe('buildImagePrompt', () => {
 
 // ── fetchCommunityContext ────────────────────────────────────────────────────
 
+describe('backoffDelay', () => {
+  it('is a random delay up to base × 2^attempt', () => {
+    expect(backoffDelay(0, 500, () => 0)).toBe(0);
+    expect(backoffDelay(0, 500, () => 0.5)).toBe(250);
+    expect(backoffDelay(3, 500, () => 0.999)).toBe(3996);
+  });
+  it('is capped at 30 seconds', () => {
+    expect(backoffDelay(20, 500, () => 0.999)).toBe(29970);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  const now = Date.parse('2026-06-18T17:00:00Z');
+  it('reads delay-seconds', () => {
+    expect(parseRetryAfter('120', now)).toBe(120000);
+  });
+  it('reads an HTTP date', () => {
+    expect(parseRetryAfter('Thu, 18 Jun 2026 17:05:00 GMT', now)).toBe(300000);
+    expect(parseRetryAfter('Thu, 18 Jun 2026 16:00:00 GMT', now)).toBe(0);
+  });
+  it('null when missing or unparseable', () => {
+    expect(parseRetryAfter(null, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
+
 describe('fetchCommunityContext', () => {
-  const mockEnv = { REDDIT_USER_AGENT: 'test-agent/1.0' };
+  const mockEnv = { REDDIT_USER_AGENT: 'test-agent/1.0', REDDIT_RETRY_BASE_MS: '0' };
   const now = Math.floor(Date.now() / 1000);
 
   it('returns combined titles from both subreddits', async () => {
-    global.fetch = vi.fn().mockResolvedValue({
-      ok: true,
-      text: async () =>
-        makeRssXml([
-          {
-            author: 'user1',
-            title: 'Pothole on Quinpool',
-            id: 'p1',
-            permalink: '/r/h/comments/p1/',
-            created_utc: now,
-          },
-          {
-            author: 'user2',
-            title: 'Bridge closure update',
-            id: 'p2',
-            permalink: '/r/h/comments/p2/',
-            created_utc: now,
-          },
-        ]),
-    });
+    global.fetch = vi.fn().mockImplementation(
+      async () =>
+        new Response(
+          makeRssXml([
+            {
+              author: 'user1',
+              title: 'Pothole on Quinpool',
+              id: 'p1',
+              permalink: '/r/h/comments/p1/',
+              created_utc: now,
+            },
+            {
+              author: 'user2',
+              title: 'Bridge closure update',
+              id: 'p2',
+              permalink: '/r/h/comments/p2/',
+              created_utc: now,
+            },
+          ])
+        )
+    );
     const titles = await fetchCommunityContext(mockEnv);
     // Both subreddits return 2 titles each = 4 total
     expect(titles).toHaveLength(4);
@@ -359,6 +788,29 @@ describe('fetchCommunityContext', () => {
     expect(titles).toContain('Bridge closure update');
   });
 
+  it('leaves out posts by any watched author and reads COMMUNITY_SUBREDDITS', async () => {
+    global.fetch = vi.fn().mockImplementation(
+      async () =>
+        new Response(
+          makeRssXml([
+            { author: 'buckit', title: 'Gas prices', id: 'b1', created_utc: now },
+            { author: 'backupcaster', title: 'Forecast', id: 'b2', created_utc: now },
+            { author: 'user1', title: 'Ferry news', id: 'u1', created_utc: now },
+          ])
+        )
+    );
+    const sources = [
+      { subreddit: 'halifax', author: 'buckit' },
+      { subreddit: 'halifax', author: 'BackupCaster' },
+    ];
+    const titles = await fetchCommunityContext(
+      { ...mockEnv, COMMUNITY_SUBREDDITS: 'halifax' },
+      sources
+    );
+    expect(titles).toEqual(['Ferry news']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
   it('returns empty array if both fetches fail', async () => {
     global.fetch = vi.fn().mockRejectedValue(new Error('network error'));
     const titles = await fetchCommunityContext(mockEnv);
@@ -372,9 +824,8 @@ describe('fetchCommunityContext', () => {
       if (callCount === 1) {
         return Promise.resolve({ ok: false, status: 429 });
       }
-      return Promise.resolve({
-        ok: true,
-        text: async () =>
+      return Promise.resolve(
+        new Response(
           makeRssXml([
             {
               author: 'user1',
@@ -383,8 +834,9 @@ describe('fetchCommunityContext', () => {
               permalink: '/r/ns/comments/q1/',
               created_utc: now,
             },
-          ]),
-      });
+          ])
+        )
+      );
     });
     const titles = await fetchCommunityContext(mockEnv);
     expect(titles).toContain('Nova Scotia ferry news');
@@ -392,43 +844,41 @@ describe('fetchCommunityContext', () => {
   });
 
   it('filters out empty/falsy titles', async () => {
-    global.fetch = vi.fn().mockResolvedValue({
-      ok: true,
-      text: async () =>
-        makeRssXml([
-          {
-            author: 'user1',
-            title: 'Valid post',
-            id: 'r1',
-            permalink: '/r/h/comments/r1/',
-            created_utc: now,
-          },
-          {
-            author: 'user2',
-            title: '',
-            id: 'r2',
-            permalink: '/r/h/comments/r2/',
-            created_utc: now,
-          },
-          {
-            author: 'user3',
-            title: 'Another valid post',
-            id: 'r3',
-            permalink: '/r/h/comments/r3/',
-            created_utc: now,
-          },
-        ]),
-    });
+    global.fetch = vi.fn().mockImplementation(
+      async () =>
+        new Response(
+          makeRssXml([
+            {
+              author: 'user1',
+              title: 'Valid post',
+              id: 'r1',
+              permalink: '/r/h/comments/r1/',
+              created_utc: now,
+            },
+            {
+              author: 'user2',
+              title: '',
+              id: 'r2',
+              permalink: '/r/h/comments/r2/',
+              created_utc: now,
+            },
+            {
+              author: 'user3',
+              title: 'Another valid post',
+              id: 'r3',
+              permalink: '/r/h/comments/r3/',
+              created_utc: now,
+            },
+          ])
+        )
+    );
     const titles = await fetchCommunityContext(mockEnv);
     expect(titles).not.toContain('');
     expect(titles.every((t) => t.length > 0)).toBe(true);
   });
 
   it('sends correct User-Agent header', async () => {
-    global.fetch = vi.fn().mockResolvedValue({
-      ok: true,
-      text: async () => makeRssXml([]),
-    });
+    global.fetch = vi.fn().mockImplementation(async () => new Response(makeRssXml([])));
     await fetchCommunityContext(mockEnv);
     expect(global.fetch).toHaveBeenCalledWith(
       expect.stringContaining('top.rss?t=week&limit=10'),
@@ -437,10 +887,7 @@ describe('fetchCommunityContext', () => {
   });
 
   it('fetches from both r/halifax and r/novascotia', async () => {
-    global.fetch = vi.fn().mockResolvedValue({
-      ok: true,
-      text: async () => makeRssXml([]),
-    });
+    global.fetch = vi.fn().mockImplementation(async () => new Response(makeRssXml([])));
     await fetchCommunityContext(mockEnv);
     const urls = global.fetch.mock.calls.map(([url]) => url);
     expect(urls.some((u) => u.includes('r/halifax/top.rss'))).toBe(true);
@@ -448,40 +895,41 @@ describe('fetchCommunityContext', () => {
   });
 
   it('excludes posts authored by buckit (case-insensitive)', async () => {
-    global.fetch = vi.fn().mockResolvedValue({
-      ok: true,
-      text: async () =>
-        makeRssXml([
-          {
-            author: 'someuser',
-            title: 'Pothole on Quinpool',
-            id: 's1',
-            permalink: '/r/h/comments/s1/',
-            created_utc: now,
-          },
-          {
-            author: 'buckit',
-            title: 'Gas prices going up — fill up tonight',
-            id: 's2',
-            permalink: '/r/h/comments/s2/',
-            created_utc: now,
-          },
-          {
-            author: 'Buckit',
-            title: 'Bridge closure update',
-            id: 's3',
-            permalink: '/r/h/comments/s3/',
-            created_utc: now,
-          },
-          {
-            author: 'anotheruser',
-            title: 'Storm watch this weekend',
-            id: 's4',
-            permalink: '/r/h/comments/s4/',
-            created_utc: now,
-          },
-        ]),
-    });
+    global.fetch = vi.fn().mockImplementation(
+      async () =>
+        new Response(
+          makeRssXml([
+            {
+              author: 'someuser',
+              title: 'Pothole on Quinpool',
+              id: 's1',
+              permalink: '/r/h/comments/s1/',
+              created_utc: now,
+            },
+            {
+              author: 'buckit',
+              title: 'Gas prices going up — fill up tonight',
+              id: 's2',
+              permalink: '/r/h/comments/s2/',
+              created_utc: now,
+            },
+            {
+              author: 'Buckit',
+              title: 'Bridge closure update',
+              id: 's3',
+              permalink: '/r/h/comments/s3/',
+              created_utc: now,
+            },
+            {
+              author: 'anotheruser',
+              title: 'Storm watch this weekend',
+              id: 's4',
+              permalink: '/r/h/comments/s4/',
+              created_utc: now,
+            },
+          ])
+        )
+    );
     const titles = await fetchCommunityContext(mockEnv);
     expect(titles).not.toContain('Gas prices going up — fill up tonight');
     expect(titles).not.toContain('Bridge closure update');
@@ -633,6 +1081,82 @@ describe('parseRedditPost', () => {
     expect(parseRedditPost(post).diesel).toBeNull();
   });
 
+  it('markdown table: parses every grade into grades', () => {
+    const post = {
+      title: 'Gas prices this week',
+      selftext:
+        '|Type|Adjustment|New Min Price|\n:--|:--|:--|\n|Regular| UP 3.6 |162.1|\n|Mid-Grade| UP 3.6 |176.2|\n|Premium| UP 3.5 |190.4|\n|Diesel| DOWN 0.7 |154.4|\n|Furnace Oil| DOWN 1.0 |141.8|',
+    };
+    const r = parseRedditPost(post);
+    expect(Object.keys(r.grades)).toEqual([
+      'regular',
+      'midgrade',
+      'premium',
+      'diesel',
+      'furnace_oil',
+    ]);
+    expect(r.grades.premium.price).toBeCloseTo(1.904);
+    expect(r.grades.furnace_oil.direction).toBe('down');
+    expect(r.gas).toBe(r.grades.regular);
+    expect(r.diesel).toBe(r.grades.diesel);
+  });
+
+  it('markdown table: ignores rows that are not fuel grades', () => {
+    const post = {
+      title: 'Prices',
+      selftext:
+        '|Type|Adjustment|New Min Price|\n|Regular| UP 3.6 |162.1|\n|Propane| UP 1.0 |99.9|',
+    };
+    expect(Object.keys(parseRedditPost(post).grades)).toEqual(['regular']);
+  });
+
+  it('free-text: grades mirrors the gas slot', () => {
+    const r = parseRedditPost({ title: 'Gas prices going up', selftext: '' });
+    expect(r.grades).toEqual({ regular: r.gas });
+  });
+
+  it('per-zone tables: zones keyed by zone, Zone 1 as the top-level prices', () => {
+    const r = parseRedditPost({ title: 'Gas prices this week', selftext: ZONED_SELFTEXT });
+    expect(Object.keys(r.zones)).toEqual(['1', '6']);
+    expect(r.zones[6].regular.price).toBeCloseTo(1.64);
+    expect(r.zones[6].diesel.price).toBeCloseTo(1.563);
+    expect(r.gas.price).toBeCloseTo(1.621);
+    expect(r.grades).toBe(r.zones[1]);
+  });
+
+  it('per-zone tables: zone headings are left out of notes', () => {
+    const r = parseRedditPost({ title: 'Gas prices this week', selftext: ZONED_SELFTEXT });
+    expect(r.notes).toBe('Fill up tonight.');
+  });
+
+  it('per-zone HTML tables (RSS feed)', () => {
+    const table = (reg) =>
+      `<table><tbody><tr><td>Regular</td><td>UP 3.6</td><td>${reg}</td></tr></tbody></table>`;
+    const selftext = `<div class="md"><p><strong>Zone 1 (Halifax)</strong></p>${table('162.1')}<p><strong>Zone 6 (Cape Breton)</strong></p>${table('164.0')}</div>`;
+    const r = parseRedditPost({ title: 'Gas', selftext });
+    expect(r.zones[1].regular.price).toBeCloseTo(1.621);
+    expect(r.zones[6].regular.price).toBeCloseTo(1.64);
+    expect(r.notes).toBeNull();
+  });
+
+  it('single table: zones is null', () => {
+    const r = parseRedditPost({
+      title: 'Gas prices this week',
+      selftext: '|Type|Adjustment|New Min Price|\n|Regular| UP 3.6 |162.1|',
+    });
+    expect(r.zones).toBeNull();
+  });
+
+  it('zone tables without Zone 1: no top-level prices', () => {
+    const r = parseRedditPost({
+      title: 'Gas prices this week',
+      selftext: 'Zone 6 (Cape Breton)\n|Type|Adjustment|New Min Price|\n|Regular| UP 3.6 |164.0|',
+    });
+    expect(r.zones[6].regular.price).toBeCloseTo(1.64);
+    expect(r.gas).toBeNull();
+    expect(r.grades).toEqual({});
+  });
+
   it('notes strips table lines, keeps free text', () => {
     const post = {
       title: 'Prices',
@@ -657,6 +1181,15 @@ describe('parseRedditPost', () => {
     expect(r.diesel.price).toBeCloseTo(1.854);
   });
 
+  it('HTML table: parses premium and furnace oil rows', () => {
+    const selftext =
+      '<div class="md"><table><tbody><tr><td>Regular</td><td>UP 3.6</td><td>162.1</td></tr><tr><td>Premium</td><td>UP 3.5</td><td>190.4</td></tr><tr><td>Furnace Oil</td><td>DOWN 1.0</td><td>141.8</td></tr></tbody></table></div>';
+    const r = parseRedditPost({ title: 'Gas', selftext });
+    expect(r.grades.premium.price).toBeCloseTo(1.904);
+    expect(r.grades.furnace_oil.adjustment).toBeCloseTo(1.0);
+    expect(r.diesel).toBeNull();
+  });
+
   it('HTML table: converts cent prices to dollars', () => {
     const selftext =
       '<div class="md"><table><tbody><tr><td>Regular</td><td>UP 3.6</td><td>162.1</td></tr></tbody></table></div>';
@@ -740,29 +1273,674 @@ describe('parseRedditPost', () => {
     expect(r.gas.direction).toBeNull();
   });
 
-  // ── Notes ──────────────────────────────────────────────────────────────────
-  it('null notes when selftext empty', () => {
-    expect(parseRedditPost({ title: 'Gas up', selftext: '' }).notes).toBeNull();
+  // ── Diagnostics ────────────────────────────────────────────────────────────
+  it('diagnostics: clean markdown table is full confidence', () => {
+    const r = parseRedditPost({
+      title: 'Gas prices this week',
+      selftext:
+        '|Type|Adjustment|New Min Price|\n|Regular| UP 3.6 |162.1|\n|Diesel| DOWN 0.7 |154.4|',
+    });
+    expect(r.diagnostics).toEqual({ strategy: 'markdown-table', confidence: 1, warnings: [] });
   });
 
-  it('truncates notes to 500 chars', () => {
-    const r = parseRedditPost({ title: 'Gas up', selftext: 'a'.repeat(600) });
-    expect(r.notes?.length).toBe(500);
+  it('diagnostics: HTML table strategy', () => {
+    const selftext = '<table><tr><td>Regular</td><td>UP 3.6</td><td>162.1</td></tr></table>';
+    expect(parseRedditPost({ title: 'Gas', selftext }).diagnostics.strategy).toBe('html-table');
   });
 
-  it('notes includes free-text selftext lines', () => {
-    const r = parseRedditPost({ title: 'Gas up', selftext: 'Fill up tonight.' });
-    expect(r.notes).toContain('Fill up tonight.');
+  it('diagnostics: warns when a table price looks like dollars', () => {
+    const r = parseRedditPost({
+      title: 'Gas',
+      selftext: '|Type|Adjustment|New Min Price|\n|Regular| UP 3.6 |1.621|',
+    });
+    expect(r.diagnostics.warnings).toContain('Regular price looked like dollars not cents');
+    expect(r.diagnostics.confidence).toBe(0.85);
   });
-});
 
-// ── buildChartData ─────────────────────────────────────────────────────────────
+  it('diagnostics: warns on an unrecognised adjustment', () => {
+    const r = parseRedditPost({
+      title: 'Gas',
+      selftext: '|Type|Adjustment|New Min Price|\n|Regular| ??? |162.1|',
+    });
+    expect(r.diagnostics.warnings).toEqual(['Regular adjustment "???" not recognised']);
+    expect(r.diagnostics.confidence).toBe(0.7);
+  });
 
-describe('buildChartData', () => {
-  it('returns empty arrays for empty history', () => {
-    const r = buildChartData([]);
-    expect(r.labels).toEqual([]);
-    expect(r.gasData).toEqual([]);
+  it('diagnostics: warns when the table has no Regular row', () => {
+    const r = parseRedditPost({
+      title: 'Diesel',
+      selftext: '|Type|Adjustment|New Min Price|\n|Diesel| UP 1.0 |154.4|',
+    });
+    expect(r.diagnostics.warnings).toEqual(['no Regular row in table']);
+  });
+
+  it('diagnostics: free-text direction is inferred from a keyword', () => {
+    const r = parseRedditPost({
+      title: 'Gas prices going up this week - currently $1.659/L, next week $1.719/L',
+      selftext: '',
+    });
+    expect(r.diagnostics.strategy).toBe('free-text');
+    expect(r.diagnostics.warnings).toEqual(['direction inferred from keyword "up"']);
+    expect(r.diagnostics.confidence).toBe(0.5);
+  });
+
+  it('diagnostics: a keyword the prices do not confirm falls below the hold threshold', () => {
+    const r = parseRedditPost({ title: 'Gas going lower this week', selftext: '' });
+    expect(r.gas.direction).toBe('down');
+    expect(r.diagnostics.warnings).toEqual([
+      'direction inferred from keyword "lower" alone',
+      'no price found',
+    ]);
+    expect(r.diagnostics.confidence).toBeLessThan(0.5);
+
+    const onePrice = parseRedditPost({ title: 'Gas going lower, $1.619/L', selftext: '' });
+    expect(onePrice.diagnostics.confidence).toBeLessThan(0.5);
+    const contradicted = parseRedditPost({
+      title: 'Gas going up - currently $1.719/L, next week $1.659/L',
+      selftext: '',
+    });
+    expect(contradicted.diagnostics.confidence).toBeLessThan(0.5);
+  });
+
+  it('diagnostics: conflicting free-text keywords lower confidence', () => {
+    const r = parseRedditPost({
+      title: 'Gas prices up $1.659, lower than last month',
+      selftext: '',
+    });
+    expect(r.gas.direction).toBe('down');
+    expect(r.diagnostics.warnings).toEqual(['conflicting direction keywords ("up", "lower")']);
+    expect(r.diagnostics.confidence).toBe(0.3);
+  });
+
+  it('diagnostics: free text with no direction or price', () => {
+    const r = parseRedditPost({ title: 'Weekly thread', selftext: '' });
+    expect(r.diagnostics.warnings).toEqual(['no direction found', 'no price found']);
+    expect(r.diagnostics.confidence).toBe(0.2);
+  });
+
+  // ── Notes ──────────────────────────────────────────────────────────────────
+  it('null notes when selftext empty', () => {
+    expect(parseRedditPost({ title: 'Gas up', selftext: '' }).notes).toBeNull();
+  });
+
+  it('truncates notes to 500 chars', () => {
+    const r = parseRedditPost({ title: 'Gas up', selftext: 'a'.repeat(600) });
+    expect(r.notes?.length).toBe(500);
+  });
+
+  it('notes includes free-text selftext lines', () => {
+    const r = parseRedditPost({ title: 'Gas up', selftext: 'Fill up tonight.' });
+    expect(r.notes).toContain('Fill up tonight.');
+  });
+
+  // ── Kind ───────────────────────────────────────────────────────────────────
+  it('kind is weekly for a regular post', () => {
+    expect(parseRedditPost({ title: 'Gas prices this week', selftext: '' }).kind).toBe('weekly');
+  });
+
+  it('effective_at from the post text', () => {
+    const r = parseRedditPost({
+      title: 'Gas prices this week',
+      selftext: '|Regular| UP 3.6 |162.1|\nEffective Friday, Nov 15 at 12:01 AM',
+      created_utc: Date.parse('2024-11-14T17:00:00.000Z') / 1000,
+    });
+    expect(r.effective_at).toBe('2024-11-15T04:01:00.000Z');
+  });
+
+  it('effective_at defaults to the Friday after a weekly post', () => {
+    const r = parseRedditPost({
+      title: 'Gas prices this week',
+      selftext: '|Regular| UP 3.6 |162.1|',
+      created_utc: Date.parse('2024-11-14T17:00:00.000Z') / 1000,
+    });
+    expect(r.effective_at).toBe('2024-11-15T04:01:00.000Z');
+  });
+
+  it('effective_at defaults to the day after an interrupter post', () => {
+    const r = parseRedditPost({
+      title: 'Interrupter triggered',
+      selftext: '|Regular| UP 6.3 |168.4|',
+      created_utc: Date.parse('2024-11-12T18:00:00.000Z') / 1000,
+    });
+    expect(r.effective_at).toBe('2024-11-13T04:01:00.000Z');
+  });
+
+  it('kind is interrupter for an interrupter clause post', () => {
+    const r = parseRedditPost({
+      title: 'Interrupter clause triggered',
+      selftext: '|Type|Adjustment|New Min Price|\n:--|:--|:--|\n|Regular| UP 6.3 |168.4|',
+    });
+    expect(r.kind).toBe('interrupter');
+    expect(r.gas.direction).toBe('up');
+    expect(r.gas.price).toBeCloseTo(1.684);
+  });
+});
+
+describe('normaliseGrade', () => {
+  it.each([
+    ['Regular', 'regular'],
+    ['Gasoline', 'regular'],
+    ['Regular Unleaded', 'regular'],
+    ['Mid-Grade', 'midgrade'],
+    ['Midgrade', 'midgrade'],
+    ['Premium', 'premium'],
+    ['Diesel', 'diesel'],
+    ['Ultra-Low Sulphur Diesel', 'diesel'],
+    ['ULS Diesel', 'diesel'],
+    ['Furnace Oil', 'furnace_oil'],
+    ['  furnace   oil ', 'furnace_oil'],
+  ])('%s → %s', (name, key) => {
+    expect(normaliseGrade(name)).toBe(key);
+  });
+  it('null for unknown names', () => {
+    expect(normaliseGrade('Type')).toBeNull();
+    expect(normaliseGrade('Propane')).toBeNull();
+    expect(normaliseGrade(null)).toBeNull();
+  });
+});
+
+describe('predictionGrades / upgradePrediction', () => {
+  it('returns the stored grades map', () => {
+    const grades = { premium: { direction: 'up', adjustment: 1, price: 1.9 } };
+    expect(predictionGrades({ grades })).toBe(grades);
+  });
+  it('upgrades older records from gas/diesel', () => {
+    const gas = { direction: 'up', adjustment: 1, price: 1.6 };
+    expect(predictionGrades({ gas, diesel: null })).toEqual({ regular: gas });
+  });
+  it('empty for null', () => {
+    expect(predictionGrades(null)).toEqual({});
+  });
+  it('upgradePrediction adds grades to the prediction and its interrupters', () => {
+    const gas = { direction: 'up', adjustment: 1, price: 1.6 };
+    const out = upgradePrediction({ gas, diesel: null, interrupters: [{ gas, diesel: gas }] });
+    expect(out.grades).toEqual({ regular: gas });
+    expect(out.interrupters[0].grades).toEqual({ regular: gas, diesel: gas });
+    expect(upgradePrediction(null)).toBeNull();
+  });
+});
+
+describe('prediction schema', () => {
+  it('upgrades the old MCP shape onto fuel slots', () => {
+    const out = upgradePrediction({
+      direction: 'up',
+      predictedPrice: 1.72,
+      currentPrice: 1.66,
+      fuelType: 'gas',
+      notes: 'n',
+      source: 'mcp',
+      updated_at: '2024-11-14T17:00:00.000Z',
+      post_id: null,
+    });
+    expect(out).toEqual({
+      schema_version: PREDICTION_SCHEMA_VERSION,
+      kind: 'weekly',
+      effective_at: null,
+      gas: { direction: 'up', adjustment: 6, price: 1.72 },
+      diesel: null,
+      grades: { regular: { direction: 'up', adjustment: 6, price: 1.72 } },
+      zones: null,
+      notes: 'n',
+      source: 'mcp',
+      updated_at: '2024-11-14T17:00:00.000Z',
+      post_id: null,
+    });
+  });
+
+  it('upgrades an old diesel-only MCP record', () => {
+    const out = upgradePrediction({ direction: 'down', predictedPrice: 1.5, fuelType: 'diesel' });
+    expect(out.gas).toBeNull();
+    expect(out.diesel).toEqual({ direction: 'down', adjustment: null, price: 1.5 });
+  });
+
+  it('leaves current records alone', () => {
+    const p = createPrediction({ grades: {}, source: 'webhook' });
+    expect(upgradePrediction(p)).toBe(p);
+  });
+
+  it('createPrediction fills gas/diesel, effective_at and the version', () => {
+    const regular = { direction: 'up', adjustment: 2, price: 1.6 };
+    const p = createPrediction({
+      kind: 'interrupter',
+      grades: { regular },
+      source: 'webhook',
+      updated_at: '2024-11-14T17:00:00.000Z',
+    });
+    expect(p).toMatchObject({
+      schema_version: PREDICTION_SCHEMA_VERSION,
+      gas: regular,
+      diesel: null,
+      effective_at: '2024-11-15T04:01:00.000Z',
+      triggered_at: '2024-11-14T17:00:00.000Z',
+      post_id: null,
+    });
+  });
+
+  it('normalisePredictionInput gives the webhook and MCP the same record', () => {
+    const body = { gas: { direction: 'up', price: 1.6 }, notes: 'n' };
+    const { prediction: webhook } = normalisePredictionInput(body, 'webhook');
+    const { prediction: mcp } = normalisePredictionInput(body, 'mcp');
+    const { source: _a, updated_at: _b, ...rest } = webhook;
+    expect(mcp).toMatchObject(rest);
+    expect(mcp.source).toBe('mcp');
+  });
+
+  it('normalisePredictionInput maps the legacy body and rejects bad input', () => {
+    const { prediction } = normalisePredictionInput(
+      { direction: 'down', predicted_price: 1.5, current_price: 1.52, fuel_type: 'diesel' },
+      'mcp'
+    );
+    expect(prediction.diesel).toEqual({ direction: 'down', adjustment: 2, price: 1.5 });
+    expect(prediction.grades).toEqual({ diesel: prediction.diesel });
+    expect(normalisePredictionInput(null, 'mcp')).toEqual({
+      error: 'Prediction must be a JSON object',
+    });
+    expect(normalisePredictionInput({ gas: { direction: 'sideways' } }, 'mcp').error).toBe(
+      'gas.direction must be one of: up, down, no-change'
+    );
+  });
+});
+
+describe('parsePricingZone', () => {
+  it.each([
+    ['1', 1],
+    ['6', 6],
+    [6, 6],
+    ['zone6', 6],
+    [' Zone 3 ', 3],
+  ])('%s → %s', (value, zone) => {
+    expect(parsePricingZone(value)).toBe(zone);
+  });
+  it.each(['0', '7', '12', 'halifax', '', null])('%s → null', (value) => {
+    expect(parsePricingZone(value)).toBeNull();
+  });
+});
+
+describe('zonePrediction', () => {
+  const halifax = { direction: 'up', adjustment: 3.6, price: 1.621 };
+  const capeBreton = { direction: 'up', adjustment: 3.6, price: 1.64 };
+  const zoned = {
+    gas: halifax,
+    diesel: null,
+    grades: { regular: halifax },
+    zones: { 1: { regular: halifax }, 6: { regular: capeBreton } },
+  };
+
+  it('swaps in the zone prices', () => {
+    const v = zonePrediction(zoned, 6);
+    expect(v.zone).toBe(6);
+    expect(v.gas).toBe(capeBreton);
+    expect(v.grades).toEqual({ regular: capeBreton });
+    expect(v.diesel).toBeNull();
+  });
+  it('zone 1 without zones is the prediction itself', () => {
+    const v = zonePrediction({ gas: halifax, diesel: null }, 1);
+    expect(v.gas).toBe(halifax);
+    expect(v.zone).toBe(1);
+  });
+  it('null for a zone the prediction has no prices for', () => {
+    expect(zonePrediction({ gas: halifax, diesel: null }, 6)).toBeNull();
+    expect(zonePrediction(zoned, 4)).toBeNull();
+    expect(zonePrediction(null, 1)).toBeNull();
+  });
+  it('drops interrupters without prices for the zone', () => {
+    const v = zonePrediction({ ...zoned, interrupters: [{ gas: halifax, diesel: null }] }, 6);
+    expect(v.interrupters).toEqual([]);
+    expect(
+      zonePrediction({ ...zoned, interrupters: [{ gas: halifax }] }, 1).interrupters
+    ).toHaveLength(1);
+  });
+});
+
+describe('checkPlausibility', () => {
+  const slot = (direction, adjustment, price) => ({ direction, adjustment, price });
+  const published = { gas: slot('up', 1, 1.6), diesel: slot('down', 1, 1.5) };
+
+  it('no anomalies for a consistent weekly change', () => {
+    const next = { gas: slot('up', 3.6, 1.636), diesel: slot('down', 0.7, 1.493) };
+    expect(checkPlausibility(next, published)).toEqual([]);
+  });
+
+  it('no anomalies without a published prediction', () => {
+    expect(checkPlausibility({ gas: slot('up', 3.6, 1.636), diesel: null }, null)).toEqual([]);
+  });
+
+  it('flags prices outside the absolute bounds', () => {
+    const anomalies = checkPlausibility({ gas: slot('up', 3.6, 16.21), diesel: null }, null);
+    expect(anomalies).toEqual(['Regular price $16.210/L is outside $0.50–$3.00']);
+  });
+
+  it('flags adjustments larger than the max weekly delta', () => {
+    const anomalies = checkPlausibility({ gas: slot('up', 36, 1.96), diesel: null }, null);
+    expect(anomalies).toEqual(['Regular adjustment 36¢ exceeds 25¢']);
+  });
+
+  it('flags a move from the published price larger than the max delta', () => {
+    const anomalies = checkPlausibility({ gas: slot('up', null, 1.9), diesel: null }, published);
+    expect(anomalies).toEqual(['Regular moved +30.0¢ from $1.600/L (max 25¢)']);
+  });
+
+  it('flags a move that does not match the adjustment', () => {
+    const anomalies = checkPlausibility({ gas: null, diesel: slot('up', 0.7, 1.49) }, published);
+    expect(anomalies).toEqual(['Diesel moved -1.0¢ but its adjustment is +0.7¢']);
+  });
+
+  it('no-change must not move the price', () => {
+    const anomalies = checkPlausibility(
+      { gas: slot('no-change', 0, 1.61), diesel: null },
+      published
+    );
+    expect(anomalies).toEqual(['Regular moved +1.0¢ but its adjustment is 0.0¢']);
+  });
+
+  it('compares against the latest interrupter when there is one', () => {
+    const withInterrupter = {
+      ...published,
+      interrupters: [{ kind: 'interrupter', gas: slot('up', 6, 1.66), diesel: null }],
+    };
+    expect(
+      checkPlausibility({ gas: slot('down', 1, 1.65), diesel: null }, withInterrupter)
+    ).toEqual([]);
+  });
+
+  it('checks every zone against the bounds', () => {
+    const next = {
+      gas: slot('up', 1, 1.61),
+      diesel: null,
+      zones: { 1: { regular: slot('up', 1, 1.61) }, 6: { regular: slot('up', 1, 0.1) } },
+    };
+    expect(checkPlausibility(next, published)).toEqual([
+      'Regular (Zone 6 — Cape Breton) price $0.100/L is outside $0.50–$3.00',
+    ]);
+  });
+
+  it('uses the limits it is given', () => {
+    const limits = { min: 0.5, max: 3, maxDelta: 2, tolerance: 0.5 };
+    const anomalies = checkPlausibility(
+      { gas: slot('up', 3.6, 1.636), diesel: null },
+      published,
+      limits
+    );
+    expect(anomalies).toHaveLength(2);
+  });
+});
+
+describe('contentHash', () => {
+  it('is a stable SHA-256 hex digest', async () => {
+    const post = { title: 'Gas prices', selftext: '|Regular| UP 3.6 |162.1|' };
+    const hash = await contentHash(post);
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(await contentHash({ ...post })).toBe(hash);
+  });
+
+  it('changes when the body or title is edited', async () => {
+    const post = { title: 'Gas prices', selftext: '|Regular| UP 3.6 |162.1|' };
+    const hash = await contentHash(post);
+    expect(await contentHash({ ...post, selftext: '|Regular| UP 3.6 |163.1|' })).not.toBe(hash);
+    expect(await contentHash({ ...post, title: 'Gas prices (fixed)' })).not.toBe(hash);
+  });
+});
+
+describe('parseReplyCorrection', () => {
+  const post = { title: 'Gas prices this week', created_utc: 1731600000 };
+
+  it('parses a corrected table', () => {
+    const parsed = parseReplyCorrection(post, {
+      selftext:
+        'Typo, sorry:\n\n|Type|Adjustment|New Min Price|\n:--|:--|:--|\n|Regular| UP 4.6 |163.1|',
+    });
+    expect(parsed.grades.regular).toEqual({ direction: 'up', adjustment: 4.6, price: 1.631 });
+    expect(parsed.kind).toBe('weekly');
+  });
+
+  it('returns null for a plain clarification', () => {
+    expect(
+      parseReplyCorrection(post, { selftext: '<p>Yes, it goes up again on Friday.</p>' })
+    ).toBeNull();
+  });
+});
+
+describe('sourcePostStatus', () => {
+  it('live post', () => {
+    expect(
+      sourcePostStatus({ author: 'buckit', selftext: '<div class="md"><p>Hi</p></div>' })
+    ).toBe('live');
+  });
+  it('[removed] body', () => {
+    expect(
+      sourcePostStatus({ author: 'buckit', selftext: '<div class="md"><p>[removed]</p></div>' })
+    ).toBe('removed');
+  });
+  it('[deleted] body or author', () => {
+    expect(sourcePostStatus({ author: 'buckit', selftext: '[deleted]' })).toBe('deleted');
+    expect(sourcePostStatus({ author: '[deleted]', selftext: '' })).toBe('deleted');
+  });
+});
+
+describe('checkSourcePost', () => {
+  const prediction = {
+    post_id: 'abc123',
+    post_url: 'https://www.reddit.com/r/halifax/comments/abc123/gas_prices/',
+  };
+  const env_ = { REDDIT_USER_AGENT: 'test', REDDIT_RETRY_BASE_MS: '0' };
+  const feed = (posts) => vi.fn().mockImplementation(async () => new Response(makeRssXml(posts)));
+
+  it('fetches the post feed and reports live', async () => {
+    global.fetch = feed([{ id: 'abc123', author: 'buckit', title: 'Gas', selftext: 'Table' }]);
+    expect(await checkSourcePost(prediction, env_)).toBe('live');
+    expect(global.fetch.mock.calls[0][0]).toBe(
+      'https://www.reddit.com/r/halifax/comments/abc123/gas_prices/.rss'
+    );
+  });
+
+  it("stops reading the feed once it has the post, before the post's comments", async () => {
+    const xml = makeRssXml([{ id: 'abc123', author: 'buckit', title: 'Gas', selftext: 'Table' }]);
+    // The comments never arrive: reading on would hang the test
+    const stream = chunkedBody([new TextEncoder().encode(xml.replace('</feed>', ''))], {
+      close: false,
+    });
+    global.fetch = vi.fn().mockResolvedValue(new Response(stream.body));
+    expect(await checkSourcePost(prediction, env_)).toBe('live');
+    expect(stream.cancelled).toBe(true);
+  });
+
+  it('removed post', async () => {
+    global.fetch = feed([{ id: 'abc123', author: 'buckit', title: 'Gas', selftext: '[removed]' }]);
+    expect(await checkSourcePost(prediction, env_)).toBe('removed');
+  });
+
+  it('vanished when the feed no longer has the post', async () => {
+    global.fetch = feed([]);
+    expect(await checkSourcePost(prediction, env_)).toBe('vanished');
+  });
+
+  it('vanished on 404', async () => {
+    global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404 });
+    expect(await checkSourcePost(prediction, env_)).toBe('vanished');
+  });
+
+  it('null on other errors (never retract on an outage)', async () => {
+    global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 503 });
+    expect(await checkSourcePost(prediction, env_)).toBeNull();
+    global.fetch = vi.fn().mockRejectedValue(new Error('network'));
+    expect(await checkSourcePost(prediction, env_)).toBeNull();
+  });
+
+  it('null without a post to check', async () => {
+    expect(await checkSourcePost({ post_id: null }, env_)).toBeNull();
+  });
+});
+
+describe('detectPostKind', () => {
+  it('weekly for regular posts', () => {
+    expect(detectPostKind({ title: 'Gas prices this week', selftext: '' })).toBe('weekly');
+  });
+  it('interrupter when the title mentions it', () => {
+    expect(detectPostKind({ title: 'Interrupter clause triggered!', selftext: '' })).toBe(
+      'interrupter'
+    );
+  });
+  it('weekly when only the body mentions the interrupter', () => {
+    expect(
+      detectPostKind({
+        title: 'Gas prices this week',
+        selftext: 'No interrupter this week, prices hold until Friday.',
+      })
+    ).toBe('weekly');
+  });
+  it('parses a weekly post whose body mentions the interrupter as weekly', () => {
+    const r = parseRedditPost({
+      title: 'Gas prices this week',
+      selftext:
+        '|Type|Adjustment|New Min Price|\n|Regular| UP 3.6 |162.1|\n\nNo interrupter this week.',
+    });
+    expect(r.kind).toBe('weekly');
+    expect(r.gas.price).toBeCloseTo(1.621);
+  });
+  it('handles missing selftext', () => {
+    expect(detectPostKind({ title: 'Gas' })).toBe('weekly');
+  });
+});
+
+// ── Parse strategies ───────────────────────────────────────────────────────────
+
+describe('parse strategy registry', () => {
+  it('lists the built-in strategies by descending priority', () => {
+    expect(parseStrategies().map((s) => s.name)).toEqual([
+      'markdown-table',
+      'html-table',
+      'free-text',
+    ]);
+  });
+
+  it('rejects strategies without the match/parse contract', () => {
+    expect(() => registerParseStrategy({ name: 'x', priority: 1, match: () => true })).toThrow(
+      TypeError
+    );
+    expect(() =>
+      registerParseStrategy({ name: 'x', parse: () => ({}), match: () => true })
+    ).toThrow(TypeError);
+  });
+
+  it('a new higher-priority strategy wins only the posts it matches', () => {
+    registerParseStrategy({
+      name: 'csv',
+      priority: 400,
+      confidence: 0.9,
+      match: (text) => /\bregular,/i.test(text),
+      parse: (text) => {
+        const [, adj, price] = text.match(/\bregular,([^,]+),([\d.]+)/i);
+        return { regular: { ...parseAdjustment(adj), price: parseFloat(price) / 100 } };
+      },
+    });
+    try {
+      const parsed = parseRedditPost({ title: 'Gas prices', selftext: 'Regular,UP 1.0,160.0' });
+      expect(parsed.diagnostics.strategy).toBe('csv');
+      expect(parsed.diagnostics.confidence).toBe(0.9);
+      expect(parsed.gas).toEqual({ direction: 'up', adjustment: 1, price: 1.6 });
+      for (const [file, { post, expected }] of Object.entries(POST_FIXTURES)) {
+        expect(parseRedditPost(post).diagnostics.strategy, file).toBe(
+          expected.diagnostics.strategy
+        );
+      }
+    } finally {
+      expect(unregisterParseStrategy('csv')).toBe(true);
+    }
+    expect(unregisterParseStrategy('csv')).toBe(false);
+  });
+
+  it('re-registering a name replaces the strategy', () => {
+    const original = parseStrategies().find((s) => s.name === 'html-table');
+    registerParseStrategy({ ...original, priority: 50 });
+    try {
+      expect(parseStrategies().at(-1).name).toBe('html-table');
+      expect(parseStrategies()).toHaveLength(3);
+    } finally {
+      registerParseStrategy(original);
+    }
+  });
+
+  it('warnings from a strategy that finds nothing are discarded', () => {
+    registerParseStrategy({
+      name: 'noisy',
+      priority: 400,
+      confidence: 1,
+      match: () => true,
+      parse: (text, report) => {
+        report.warnings.push('noisy warning');
+        report.penalty += 0.5;
+        return {};
+      },
+    });
+    try {
+      const parsed = parseRedditPost(
+        POST_FIXTURES['./fixtures/posts/weekly-markdown-table.json'].post
+      );
+      expect(parsed.diagnostics.warnings).toEqual([]);
+      expect(parsed.diagnostics.confidence).toBe(1);
+    } finally {
+      unregisterParseStrategy('noisy');
+    }
+  });
+});
+
+describe('parser format fixtures', () => {
+  // Float noise from the cents → dollars conversion isn't part of the expected output
+  const roundPrices = (value) =>
+    JSON.parse(
+      JSON.stringify(value, (k, v) =>
+        k === 'price' && typeof v === 'number' ? Math.round(v * 1000) / 1000 : v
+      )
+    );
+
+  it('has fixtures for every built-in strategy', () => {
+    const covered = new Set(
+      Object.values(POST_FIXTURES).map((f) => f.expected.diagnostics.strategy)
+    );
+    for (const { name } of parseStrategies()) expect(covered).toContain(name);
+  });
+
+  it('every fixture says whether it is a captured post or a modelled one', () => {
+    for (const [file, fixture] of Object.entries(POST_FIXTURES)) {
+      expect(['captured', 'modelled'], file).toContain(fixture.provenance);
+      if (fixture.provenance === 'captured') {
+        expect(fixture.url, file).toMatch(/^https:\/\/www\.reddit\.com\/r\/\w+\/comments\//);
+        expect(fixture.captured_at, file).toMatch(/^\d{4}-\d{2}-\d{2}/);
+      }
+    }
+  });
+
+  it.each(Object.entries(POST_FIXTURES))('%s parses as expected', (_file, { post, expected }) => {
+    expect(roundPrices(parseRedditPost(post))).toEqual(expected);
+  });
+
+  it.each(parseStrategies().map((s) => [s.name, s]))(
+    '%s runs against every fixture without stealing other formats',
+    (name, strategy) => {
+      const rank = (n) => parseStrategies().findIndex((s) => s.name === n);
+      for (const [file, { post, expected }] of Object.entries(POST_FIXTURES)) {
+        const text = `${post.title} ${post.selftext}`;
+        const report = { strategy: null, penalty: 0, warnings: [] };
+        const grades = strategy.match(text) ? strategy.parse(text, report) : {};
+        if (name === expected.diagnostics.strategy) {
+          expect(strategy.match(text), file).toBe(true);
+          if (!expected.zones) expect(roundPrices(grades), file).toEqual(expected.grades);
+        } else if (!strategy.fallback && rank(name) < rank(expected.diagnostics.strategy)) {
+          // A higher-priority table strategy must find nothing in this post
+          expect(grades, file).toEqual({});
+        }
+      }
+    }
+  );
+});
+
+// ── buildChartData ─────────────────────────────────────────────────────────────
+
+describe('buildChartData', () => {
+  it('returns empty arrays for empty history', () => {
+    const r = buildChartData([]);
+    expect(r.labels).toEqual([]);
+    expect(r.gasData).toEqual([]);
     expect(r.dieselData).toEqual([]);
   });
 
@@ -793,11 +1971,48 @@ describe('buildChartData', () => {
     expect(r.labels[0]).toMatch(/Nov/);
   });
 
+  it('prefers effective_at over updated_at for labels', () => {
+    const history = [
+      {
+        gas: { price: 1.65 },
+        diesel: null,
+        effective_at: '2024-11-15T04:01:00.000Z',
+        updated_at: '2024-11-07T17:00:00.000Z',
+      },
+    ];
+    expect(buildChartData(history).labels[0]).toMatch(/Nov 15/);
+  });
+
   it('falls back to #N label when no date', () => {
     const history = [{ gas: { price: 1.65 }, diesel: null }];
     const r = buildChartData(history);
     expect(r.labels[0]).toBe('#1');
   });
+
+  it('adds a series for each extra grade present in history', () => {
+    const history = [
+      {
+        gas: { price: 1.7 },
+        diesel: null,
+        grades: { regular: { price: 1.7 }, premium: { price: 1.9 } },
+      },
+      { gas: { price: 1.65 }, diesel: null },
+    ];
+    const r = buildChartData(history);
+    expect(r.otherGrades).toEqual([{ key: 'premium', label: 'Premium', data: [null, 1.9] }]);
+  });
+
+  it('no extra series for gas/diesel-only history', () => {
+    expect(buildChartData([{ gas: { price: 1.65 }, diesel: null }]).otherGrades).toEqual([]);
+  });
+
+  it('marks interrupter points in kinds (oldest first)', () => {
+    const history = [
+      { kind: 'interrupter', gas: { price: 1.72 }, diesel: null },
+      { gas: { price: 1.65 }, diesel: null },
+    ];
+    expect(buildChartData(history).kinds).toEqual(['weekly', 'interrupter']);
+  });
 });
 
 // ── renderHtml ─────────────────────────────────────────────────────────────────
@@ -901,40 +2116,205 @@ describe('renderHtml', () => {
     expect(renderHtml(opts())).toContain('DIESEL');
   });
 
-  it('renders empty state when no prediction', () => {
-    const html = renderHtml(opts({ prediction: null }));
-    expect(html).toContain('No prediction yet.');
-    expect(html).toContain('empty-state');
-  });
-
-  it('renders notes XSS-escaped', () => {
+  it('renders a card for each extra grade', () => {
     const html = renderHtml(
       opts({
-        prediction: { ...basePrediction, notes: '<script>alert(1)</script>' },
+        prediction: {
+          ...basePrediction,
+          grades: {
+            regular: basePrediction.gas,
+            premium: { direction: 'up', adjustment: 3.5, price: 1.904 },
+            furnace_oil: { direction: 'down', adjustment: 1.0, price: 1.418 },
+            diesel: basePrediction.diesel,
+          },
+        },
       })
     );
-    expect(html).not.toContain('<script>alert(1)</script>');
-    expect(html).toContain('&lt;script&gt;');
+    expect(html).toContain('fuel-card--premium');
+    expect(html).toContain('PREMIUM');
+    expect(html).toContain('FURNACE OIL');
+    expect(html).toContain('+3.5¢');
+    expect(html).not.toContain('fuel-card--midgrade');
   });
 
-  it('no notes block when notes null', () => {
+  it('history cards include extra grades', () => {
     const html = renderHtml(
       opts({
-        prediction: { ...basePrediction, notes: null },
+        history: [
+          {
+            ...basePrediction,
+            grades: {
+              regular: basePrediction.gas,
+              midgrade: { direction: 'up', adjustment: 3.6, price: 1.762 },
+            },
+          },
+        ],
       })
     );
-    expect(html).not.toContain('class="notes"');
+    expect(html).toContain('hc-fuel--midgrade');
+    expect(html).toContain('$1.762');
   });
 
-  it('includes image-section when imageKey set', () => {
-    const html = renderHtml(opts({ imageKey: 'images/abc123.png' }));
-    expect(html).toContain('image-section');
-    expect(html).toContain('abc123.png');
-  });
+  describe('pricing zones', () => {
+    const capeBreton = { direction: 'up', adjustment: 3.6, price: 1.64 };
+    const zoned = {
+      ...basePrediction,
+      zones: { 1: { regular: basePrediction.gas }, 6: { regular: capeBreton } },
+    };
 
-  it('shows AI-generated badge and model name when imageKey set', () => {
-    const html = renderHtml(opts({ imageKey: 'images/abc123.png' }));
-    expect(html).toContain('ai-badge');
+    it('renders a zone selector listing the zones in the post', () => {
+      const html = renderHtml(opts({ prediction: zoned }));
+      expect(html).toContain('class="zone-select"');
+      expect(html).toContain('<option value="1" selected>Zone 1 — Halifax</option>');
+      expect(html).toContain('<option value="6">Zone 6 — Cape Breton</option>');
+      expect(html).not.toContain('Zone 4');
+    });
+
+    it('no selector without per-zone prices', () => {
+      expect(renderHtml(opts())).not.toContain('class="zone-select"');
+    });
+
+    it('renders the selected zone prices', () => {
+      const html = renderHtml(opts({ prediction: zoned, zone: 6 }));
+      expect(html).toContain('$1.640/L');
+      expect(html).not.toContain('$1.621/L');
+      expect(html).toContain('<option value="6" selected>');
+    });
+
+    it('falls back to Zone 1 when the zone has no prices', () => {
+      const html = renderHtml(opts({ prediction: zoned, zone: 4 }));
+      expect(html).toContain('$1.621/L');
+      expect(html).toContain('<option value="1" selected>');
+    });
+
+    it('lists and charts the history in the selected zone', () => {
+      const older = {
+        ...basePrediction,
+        post_id: 'old',
+        updated_at: '2024-11-07T17:00:00.000Z',
+        zones: {
+          1: { regular: { direction: 'down', adjustment: 1, price: 1.58 } },
+          6: { regular: { direction: 'down', adjustment: 1, price: 1.599 } },
+        },
+      };
+      const preZones = { ...basePrediction, updated_at: '2024-10-31T17:00:00.000Z' };
+      const html = renderHtml(
+        opts({ prediction: zoned, zone: 6, history: [zoned, older, preZones] })
+      );
+      expect(html).toContain('History — Zone 6 — Cape Breton');
+      expect(html.match(/class="history-card"/g)).toHaveLength(2);
+      const list = html.slice(html.indexOf('class="history-list"'));
+      expect(list).toContain('$1.599');
+      expect(list).not.toContain('$1.580');
+      const chartData = JSON.parse(html.match(/const chartData = (\{.*?\});/)[1]);
+      expect(chartData.gasData).toEqual([1.599, 1.64]);
+    });
+
+    it('Zone 1 history keeps entries from before per-zone tables', () => {
+      const html = renderHtml(opts({ prediction: zoned, history: [zoned, basePrediction] }));
+      expect(html).toContain('<h2 class="section-label">History</h2>');
+      expect(html.match(/class="history-card"/g)).toHaveLength(2);
+    });
+  });
+
+  it('notes a corrected prediction on the sign board', () => {
+    const html = renderHtml(opts({ prediction: { ...basePrediction, revision: 2 } }));
+    expect(html).toContain('revised-note');
+    expect(html).toContain('u/buckit edited the post (revision 2)');
+    expect(renderHtml(opts())).not.toContain('class="revised-note"');
+  });
+
+  it('tags edited history entries with their earlier prices', () => {
+    const html = renderHtml(
+      opts({
+        history: [
+          {
+            ...basePrediction,
+            revision: 2,
+            revisions: [{ revision: 1, gas: { direction: 'up', adjustment: 3.6, price: 1.612 } }],
+          },
+        ],
+      })
+    );
+    expect(html).toContain('class="hc-revised"');
+    expect(html).toContain('Revision 1: $1.612');
+  });
+
+  it('shows a retraction banner for a retracted prediction', () => {
+    const html = renderHtml(
+      opts({ prediction: { ...basePrediction, retracted: true, retraction_reason: 'removed' } })
+    );
+    expect(html).toContain('class="retraction-banner"');
+    expect(html).toContain('removed by moderators');
+    expect(html).toContain('fuel-cards--retracted');
+    expect(renderHtml(opts())).not.toContain('class="retraction-banner"');
+  });
+
+  it('lists updates from the comment thread', () => {
+    const html = renderHtml(
+      opts({
+        prediction: {
+          ...basePrediction,
+          updates: [
+            {
+              comment_id: 'c1',
+              text: 'Premium is <unchanged>',
+              url: 'https://www.reddit.com/r/halifax/comments/abc123/gas_prices/c1/',
+              posted_at: '2024-11-14T18:00:00.000Z',
+              amended: true,
+            },
+          ],
+          revision: 2,
+          amended_by: 'c1',
+        },
+      })
+    );
+    expect(html).toContain('class="author-updates"');
+    expect(html).toContain('Premium is &lt;unchanged&gt;');
+    expect(html).toContain('Amended prices');
+    expect(html).toContain('posted a correction in the comments');
+    expect(renderHtml(opts())).not.toContain('class="author-updates"');
+  });
+
+  it('tags retracted history entries', () => {
+    const html = renderHtml(opts({ history: [{ ...basePrediction, retracted: true }] }));
+    expect(html).toContain('class="hc-retracted"');
+  });
+
+  it('renders empty state when no prediction', () => {
+    const html = renderHtml(opts({ prediction: null }));
+    expect(html).toContain('No prediction yet.');
+    expect(html).toContain('empty-state');
+  });
+
+  it('renders notes XSS-escaped', () => {
+    const html = renderHtml(
+      opts({
+        prediction: { ...basePrediction, notes: '<script>alert(1)</script>' },
+      })
+    );
+    expect(html).not.toContain('<script>alert(1)</script>');
+    expect(html).toContain('&lt;script&gt;');
+  });
+
+  it('no notes block when notes null', () => {
+    const html = renderHtml(
+      opts({
+        prediction: { ...basePrediction, notes: null },
+      })
+    );
+    expect(html).not.toContain('class="notes"');
+  });
+
+  it('includes image-section when imageKey set', () => {
+    const html = renderHtml(opts({ imageKey: 'images/abc123.png' }));
+    expect(html).toContain('image-section');
+    expect(html).toContain('abc123.png');
+  });
+
+  it('shows AI-generated badge and model name when imageKey set', () => {
+    const html = renderHtml(opts({ imageKey: 'images/abc123.png' }));
+    expect(html).toContain('ai-badge');
     expect(html).toContain('AI-generated');
     expect(html).toContain('flux-1-schnell');
     expect(html).toContain('Cloudflare Workers AI');
@@ -1075,185 +2455,1694 @@ describe('renderHtml', () => {
     expect(html).toContain('>About<');
   });
 
-  it('About modal HTML present with expected sections', () => {
-    const html = renderHtml(opts());
-    expect(html).toContain('id="aboutModal"');
-    expect(html).toContain('About hfxgas.ca');
-    expect(html).toContain('program-the-brain-not-the-heartbeat');
-    expect(html).toContain('Cape Breton');
-    expect(html).toContain('No tracking');
-    // Image / AI section
-    expect(html).toContain('The meme image');
-    expect(html).toContain('Flux');
-    expect(html).toContain('Cloudflare R2');
-    // Community context description
-    expect(html).toContain('r/halifax');
-    expect(html).toContain('r/novascotia');
+  it('About modal HTML present with expected sections', () => {
+    const html = renderHtml(opts());
+    expect(html).toContain('id="aboutModal"');
+    expect(html).toContain('About hfxgas.ca');
+    expect(html).toContain('program-the-brain-not-the-heartbeat');
+    expect(html).toContain('Cape Breton');
+    expect(html).toContain('No tracking');
+    // Image / AI section
+    expect(html).toContain('The meme image');
+    expect(html).toContain('Flux');
+    expect(html).toContain('Cloudflare R2');
+    // Community context description
+    expect(html).toContain('r/halifax');
+    expect(html).toContain('r/novascotia');
+  });
+
+  it('About modal open/close JS present', () => {
+    const html = renderHtml(opts());
+    expect(html).toContain('aboutModalTrigger');
+    expect(html).toContain('openAboutModal');
+    expect(html).toContain('closeAboutModal');
+  });
+
+  it('shows when prices take effect', () => {
+    const html = renderHtml(
+      opts({ prediction: { ...basePrediction, effective_at: '2024-11-15T04:01:00.000Z' } })
+    );
+    expect(html).toContain('class="effective-at"');
+    expect(html).toContain('Prices effective');
+    expect(html).toContain('datetime="2024-11-15T04:01:00.000Z"');
+  });
+
+  it('no effective line when effective_at missing', () => {
+    expect(renderHtml(opts())).not.toContain('class="effective-at"');
+  });
+
+  it('history cards show the effective date', () => {
+    const html = renderHtml(
+      opts({ history: [{ ...basePrediction, effective_at: '2024-11-15T04:01:00.000Z' }] })
+    );
+    expect(html).toMatch(/From Nov 15/);
+  });
+
+  it('renders latest interrupter under the weekly cards', () => {
+    const html = renderHtml(
+      opts({
+        prediction: {
+          ...basePrediction,
+          interrupters: [
+            {
+              kind: 'interrupter',
+              gas: { direction: 'up', adjustment: 6.3, price: 1.684 },
+              diesel: null,
+              effective_at: '2024-11-13T04:01:00.000Z',
+            },
+          ],
+        },
+      })
+    );
+    expect(html).toContain('class="interrupter"');
+    expect(html).toContain('Weekly price');
+    expect(html).toContain('+3.6¢');
+    expect(html).toContain('+6.3¢');
+    expect(html).toContain('Effective');
+  });
+
+  it('no interrupter block for a plain weekly prediction', () => {
+    const html = renderHtml(opts());
+    expect(html).not.toContain('class="interrupter"');
+    expect(html).not.toContain('Weekly price');
+  });
+
+  it('badges a standalone interrupter prediction', () => {
+    const html = renderHtml(opts({ prediction: { ...basePrediction, kind: 'interrupter' } }));
+    expect(html).toContain('⚡ Interrupter');
+    expect(html).not.toContain('class="interrupter"');
+  });
+
+  it('tags interrupter entries in history', () => {
+    const html = renderHtml(
+      opts({
+        history: [
+          { ...basePrediction, kind: 'interrupter' },
+          { ...basePrediction, kind: 'weekly' },
+        ],
+      })
+    );
+    expect(html.match(/class="hc-kind"/g)).toHaveLength(1);
+  });
+});
+
+// ── Routes via workerExports.default.fetch ──────────────────────────────────────────────────────
+
+describe('GET /', () => {
+  beforeEach(async () => {
+    await env.PREDICTIONS.delete('latest_prediction');
+    await clearHistory();
+    await env.PREDICTIONS.delete('latest_image_key');
+  });
+
+  it('renders records in the old MCP shape', async () => {
+    const old = { direction: 'up', predictedPrice: 1.72, fuelType: 'gas', source: 'mcp' };
+    await env.PREDICTIONS.put('latest_prediction', JSON.stringify(old));
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify([old]));
+    const html = await (await workerExports.default.fetch('https://hfxgas.ca/')).text();
+    expect(html).toContain('$1.720/L');
+    expect(html).toContain('class="history-card"');
+  });
+
+  it('200 HTML', async () => {
+    const res = await workerExports.default.fetch('https://hfxgas.ca/');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toContain('text/html');
+  });
+
+  it('cache-control: no-store', async () => {
+    expect(
+      (await workerExports.default.fetch('https://hfxgas.ca/')).headers.get('cache-control')
+    ).toBe('no-store');
+  });
+
+  it('security headers present on GET /', async () => {
+    const res = await workerExports.default.fetch('https://hfxgas.ca/');
+    expect(res.headers.get('X-Content-Type-Options')).toBe('nosniff');
+    expect(res.headers.get('X-Frame-Options')).toBe('DENY');
+    expect(res.headers.get('Referrer-Policy')).toBe('strict-origin-when-cross-origin');
+    expect(res.headers.get('Content-Security-Policy')).toContain("default-src 'self'");
+    expect(res.headers.get('Permissions-Policy')).toContain('geolocation=()');
+  });
+
+  it('empty state when KV empty', async () => {
+    expect(await (await workerExports.default.fetch('https://hfxgas.ca/')).text()).toContain(
+      'No prediction yet.'
+    );
+  });
+
+  it('shows prediction with new data model', async () => {
+    await env.PREDICTIONS.put(
+      'latest_prediction',
+      JSON.stringify({
+        gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
+        diesel: { direction: 'down', adjustment: 0.7, price: 1.544 },
+        notes: null,
+        updated_at: new Date().toISOString(),
+      })
+    );
+    const html = await (await workerExports.default.fetch('https://hfxgas.ca/')).text();
+    expect(html).toContain('+3.6¢');
+    expect(html).toContain('\u2191');
+  });
+
+  it('shows image section when key set', async () => {
+    await env.PREDICTIONS.put(
+      'latest_prediction',
+      JSON.stringify({
+        gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
+        diesel: null,
+        notes: null,
+        updated_at: new Date().toISOString(),
+      })
+    );
+    await env.PREDICTIONS.put('latest_image_key', 'images/abc123.png');
+    const html = await (await workerExports.default.fetch('https://hfxgas.ca/')).text();
+    expect(html).toContain('image-section');
+    expect(html).toContain('abc123.png');
+  });
+
+  it('hides history when empty', async () => {
+    expect(await (await workerExports.default.fetch('https://hfxgas.ca/')).text()).toContain(
+      'display:none'
+    );
+  });
+
+  it('?zone= selects the pricing zone', async () => {
+    await env.PREDICTIONS.put(
+      'latest_prediction',
+      JSON.stringify({
+        gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
+        diesel: null,
+        zones: {
+          1: { regular: { direction: 'up', adjustment: 3.6, price: 1.621 } },
+          6: { regular: { direction: 'up', adjustment: 3.6, price: 1.64 } },
+        },
+        updated_at: new Date().toISOString(),
+      })
+    );
+    const html = await (await workerExports.default.fetch('https://hfxgas.ca/?zone=6')).text();
+    expect(html).toContain('$1.640/L');
+    expect(html).toContain('<option value="6" selected>');
+  });
+});
+
+describe('GET /api/latest', () => {
+  beforeEach(async () => {
+    await env.PREDICTIONS.delete('latest_prediction');
+  });
+
+  it('null when empty', async () => {
+    expect(
+      await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json()
+    ).toBeNull();
+  });
+
+  it('returns prediction JSON', async () => {
+    await env.PREDICTIONS.put(
+      'latest_prediction',
+      JSON.stringify({
+        gas: { direction: 'down', adjustment: 1.1, price: 1.55 },
+        diesel: null,
+        updated_at: new Date().toISOString(),
+      })
+    );
+    const data = await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json();
+    expect(data.gas.direction).toBe('down');
+  });
+
+  it('includes effective_at', async () => {
+    await env.PREDICTIONS.put(
+      'latest_prediction',
+      JSON.stringify({ gas: null, diesel: null, effective_at: '2024-11-15T04:01:00.000Z' })
+    );
+    const data = await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json();
+    expect(data.effective_at).toBe('2024-11-15T04:01:00.000Z');
+  });
+
+  it('includes grades (upgraded from gas/diesel for older records)', async () => {
+    await env.PREDICTIONS.put(
+      'latest_prediction',
+      JSON.stringify({ gas: { direction: 'up', adjustment: 1, price: 1.6 }, diesel: null })
+    );
+    const data = await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json();
+    expect(data.grades.regular.price).toBeCloseTo(1.6);
+  });
+
+  describe('?zone=', () => {
+    const zoned = {
+      gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
+      diesel: null,
+      zones: {
+        1: { regular: { direction: 'up', adjustment: 3.6, price: 1.621 } },
+        6: { regular: { direction: 'up', adjustment: 3.6, price: 1.64 } },
+      },
+    };
+
+    it('returns the zone prices', async () => {
+      await env.PREDICTIONS.put('latest_prediction', JSON.stringify(zoned));
+      const data = await (
+        await workerExports.default.fetch('https://hfxgas.ca/api/latest?zone=6')
+      ).json();
+      expect(data.zone).toBe(6);
+      expect(data.gas.price).toBeCloseTo(1.64);
+      expect(data.grades.regular.price).toBeCloseTo(1.64);
+    });
+
+    it('defaults to Zone 1', async () => {
+      await env.PREDICTIONS.put('latest_prediction', JSON.stringify(zoned));
+      const data = await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json();
+      expect(data.zone).toBe(1);
+      expect(data.gas.price).toBeCloseTo(1.621);
+      expect(Object.keys(data.zones)).toEqual(['1', '6']);
+    });
+
+    it('400 for an invalid zone', async () => {
+      const res = await workerExports.default.fetch('https://hfxgas.ca/api/latest?zone=9');
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toContain('zone must be one of');
+    });
+
+    it('404 when the prediction has no prices for the zone', async () => {
+      await env.PREDICTIONS.put(
+        'latest_prediction',
+        JSON.stringify({ gas: zoned.gas, diesel: null })
+      );
+      const res = await workerExports.default.fetch('https://hfxgas.ca/api/latest?zone=6');
+      expect(res.status).toBe(404);
+      expect((await res.json()).error).toContain('Zone 6 — Cape Breton');
+    });
+
+    it('zones is null for single-table records', async () => {
+      await env.PREDICTIONS.put(
+        'latest_prediction',
+        JSON.stringify({ gas: zoned.gas, diesel: null })
+      );
+      const data = await (
+        await workerExports.default.fetch('https://hfxgas.ca/api/latest?zone=1')
+      ).json();
+      expect(data.zones).toBeNull();
+      expect(data.zone).toBe(1);
+    });
+  });
+
+  it('retracted flag defaults to false', async () => {
+    await env.PREDICTIONS.put('latest_prediction', JSON.stringify({ gas: null, diesel: null }));
+    const data = await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json();
+    expect(data.retracted).toBe(false);
+  });
+
+  it('exposes retracted predictions', async () => {
+    await env.PREDICTIONS.put(
+      'latest_prediction',
+      JSON.stringify({ gas: null, diesel: null, retracted: true, retraction_reason: 'deleted' })
+    );
+    const data = await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json();
+    expect(data.retracted).toBe(true);
+    expect(data.retraction_reason).toBe('deleted');
+  });
+
+  it('effective_at is null for older records', async () => {
+    await env.PREDICTIONS.put('latest_prediction', JSON.stringify({ gas: null, diesel: null }));
+    const data = await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json();
+    expect(data).toHaveProperty('effective_at', null);
+  });
+});
+
+describe('GET /robots.txt', () => {
+  it('200 text/plain with allow all', async () => {
+    const text = await (await workerExports.default.fetch('https://hfxgas.ca/robots.txt')).text();
+    expect(text).toContain('User-agent: *');
+    expect(text).toContain('Allow: /');
+    expect(text).toContain('Sitemap:');
+  });
+});
+
+describe('GET /sitemap.xml', () => {
+  it('200 valid XML', async () => {
+    const text = await (await workerExports.default.fetch('https://hfxgas.ca/sitemap.xml')).text();
+    expect(text).toContain('<urlset');
+    expect(text).toContain('hfxgas.ca');
+  });
+});
+
+describe('GET /llms.txt', () => {
+  it('200 with attribution', async () => {
+    const text = await (await workerExports.default.fetch('https://hfxgas.ca/llms.txt')).text();
+    expect(text).toContain('u/buckit');
+    expect(text).toContain('r/halifax');
+    expect(text).toContain('program-the-brain-not-the-heartbeat');
+  });
+
+  it('lists the API endpoints', async () => {
+    const text = await (await workerExports.default.fetch('https://hfxgas.ca/llms.txt')).text();
+    expect(text).toContain('https://hfxgas.ca/api/latest');
+    expect(text).toContain('https://hfxgas.ca/api/history');
+  });
+
+  it('lists updates from u/buckit', async () => {
+    await env.PREDICTIONS.put(
+      'latest_prediction',
+      JSON.stringify({
+        gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
+        diesel: null,
+        updates: [
+          { comment_id: 'c1', text: 'Furnace oil too', posted_at: '2024-11-14T18:00:00.000Z' },
+        ],
+        updated_at: new Date().toISOString(),
+      })
+    );
+    const text = await (await workerExports.default.fetch('https://hfxgas.ca/llms.txt')).text();
+    expect(text).toContain('- Update from u/buckit (2024-11-14T18:00:00.000Z): Furnace oil too');
+    await env.PREDICTIONS.delete('latest_prediction');
+  });
+
+  it('flags a retracted prediction', async () => {
+    await env.PREDICTIONS.put(
+      'latest_prediction',
+      JSON.stringify({
+        gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
+        diesel: null,
+        retracted: true,
+        retraction_reason: 'deleted',
+        updated_at: new Date().toISOString(),
+      })
+    );
+    const text = await (await workerExports.default.fetch('https://hfxgas.ca/llms.txt')).text();
+    expect(text).toContain('Status: RETRACTED (source post deleted)');
+    await env.PREDICTIONS.delete('latest_prediction');
+  });
+
+  it('lists pricing zones when the post has them', async () => {
+    await env.PREDICTIONS.put(
+      'latest_prediction',
+      JSON.stringify({
+        gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
+        diesel: null,
+        zones: { 1: {}, 6: { regular: { direction: 'up', price: 1.64 } } },
+        updated_at: new Date().toISOString(),
+      })
+    );
+    const text = await (await workerExports.default.fetch('https://hfxgas.ca/llms.txt')).text();
+    expect(text).toContain('Pricing zones: Zone 1 — Halifax, Zone 6 — Cape Breton');
+    expect(text).toContain('/api/latest?zone=6');
+    await env.PREDICTIONS.delete('latest_prediction');
+  });
+});
+
+describe('GET /images/:key', () => {
+  it('404 when not in R2', async () => {
+    expect(
+      (await workerExports.default.fetch('https://hfxgas.ca/images/notfound.png')).status
+    ).toBe(404);
+  });
+});
+
+describe('404 routing', () => {
+  it('unknown path → 404', async () => {
+    expect((await workerExports.default.fetch('https://hfxgas.ca/unknown')).status).toBe(404);
+  });
+  it('POST / → 404', async () => {
+    expect(
+      (await workerExports.default.fetch('https://hfxgas.ca/', { method: 'POST' })).status
+    ).toBe(404);
+  });
+  it('DELETE /webhook → 404', async () => {
+    expect(
+      (await workerExports.default.fetch('https://hfxgas.ca/webhook', { method: 'DELETE' })).status
+    ).toBe(404);
+  });
+});
+
+describe('GET /openapi.json', () => {
+  async function getDoc() {
+    const res = await workerExports.default.fetch('https://hfxgas.ca/openapi.json');
+    expect(res.headers.get('content-type')).toBe('application/json');
+    return res.json();
+  }
+
+  // Every `$ref` in a document, wherever it is nested
+  function refs(node) {
+    if (!node || typeof node !== 'object') return [];
+    return Object.entries(node).flatMap(([key, value]) => (key === '$ref' ? [value] : refs(value)));
+  }
+
+  it('describes the public and authenticated routes', async () => {
+    const doc = await getDoc();
+    expect(doc.openapi).toBe('3.1.0');
+    expect(doc.servers).toEqual([{ url: 'https://hfxgas.ca' }]);
+    expect(Object.keys(doc.paths)).toEqual(
+      expect.arrayContaining([
+        '/api/latest',
+        '/api/history',
+        '/api/history.csv',
+        '/api/predictions/{id}',
+        '/openapi.json',
+        '/webhook',
+        '/api/history/{id}',
+        '/mcp',
+      ])
+    );
+    expect(doc.paths['/api/latest'].get.security).toBeUndefined();
+    expect(doc.paths['/api/history/{id}'].delete).toMatchObject({
+      security: [{ bearerAuth: [] }],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+      responses: {
+        401: {
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+        },
+      },
+    });
+  });
+
+  it('gives the webhook both body formats and its errors', async () => {
+    const { paths, components } = await getDoc();
+    const webhook = paths['/webhook'].post;
+    expect(webhook.requestBody.content['application/json'].schema.oneOf).toEqual([
+      { $ref: '#/components/schemas/PredictionInput' },
+      { $ref: '#/components/schemas/LegacyPredictionInput' },
+    ]);
+    expect(components.schemas.LegacyPredictionInput.required).toEqual([
+      'direction',
+      'predicted_price',
+    ]);
+    expect(Object.keys(webhook.responses)).toEqual(['200', '400', '401']);
+    expect(webhook.responses[400].description).toContain('?secret=');
+  });
+
+  it('resolves every schema reference', async () => {
+    const doc = await getDoc();
+    for (const ref of new Set(refs(doc))) {
+      expect(doc.components.schemas[ref.replace('#/components/schemas/', '')], ref).toBeDefined();
+    }
+  });
+
+  it('matches the router: authenticated routes refuse a request without a token', async () => {
+    const { paths } = await getDoc();
+    for (const [path, operations] of Object.entries(paths)) {
+      for (const [method, operation] of Object.entries(operations)) {
+        if (!operation.security) continue;
+        const url = `https://hfxgas.ca${path.replace('{id}', '1')}`;
+        const res = await workerExports.default.fetch(url, { method: method.toUpperCase() });
+        expect(res.status, `${method} ${path}`).toBe(401);
+      }
+    }
+  });
+
+  it('is linked from llms.txt and the developer modal', async () => {
+    const text = await (await workerExports.default.fetch('https://hfxgas.ca/llms.txt')).text();
+    expect(text).toContain('https://hfxgas.ca/openapi.json');
+    const html = await (await workerExports.default.fetch('https://hfxgas.ca/')).text();
+    expect(html).toContain('GET https://hfxgas.ca/openapi.json');
+  });
+});
+
+// ── POST /webhook ──────────────────────────────────────────────────────────────
+
+describe('/api/pending', () => {
+  const held = {
+    kind: 'weekly',
+    gas: { direction: 'up', adjustment: 3.6, price: 16.21 },
+    diesel: null,
+    post_id: 'held1',
+    updated_at: '2024-11-14T17:00:00.000Z',
+    held_reason: 'anomaly',
+    anomalies: ['Regular price $16.210/L is outside $0.50–$3.00'],
+  };
+  const hold = (p = held) =>
+    env.PREDICTIONS.put(`pending_prediction:${p.post_id}`, JSON.stringify(p));
+  const store = () => env.PREDICTION_STORE.get(env.PREDICTION_STORE.idFromName('predictions'));
+
+  beforeEach(async () => {
+    await clearPending();
+    await env.PREDICTIONS.delete('latest_prediction');
+    await clearHistory();
+  });
+
+  function req(method, payload, secret = 'test-secret', query = '') {
+    return new Request(`https://hfxgas.ca/api/pending${query}`, {
+      method,
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${secret}` },
+      body: payload === undefined ? undefined : JSON.stringify(payload),
+    });
+  }
+
+  it('401 without the secret', async () => {
+    expect((await workerExports.default.fetch(req('GET', undefined, 'wrong'))).status).toBe(401);
+  });
+
+  it('400 for ?secret=', async () => {
+    const res = await workerExports.default.fetch(
+      req('GET', undefined, 'test-secret', '?secret=test-secret')
+    );
+    expect(res.status).toBe(400);
+  });
+
+  it('GET returns an empty list when nothing is held', async () => {
+    const res = await workerExports.default.fetch(req('GET'));
+    expect(await res.json()).toEqual({ pending: [] });
+  });
+
+  it('GET returns every held prediction, newest first', async () => {
+    await hold();
+    await hold({ ...held, post_id: 'held2', updated_at: '2024-11-21T17:00:00.000Z' });
+    const { pending } = await (await workerExports.default.fetch(req('GET'))).json();
+    expect(pending.map((p) => p.post_id)).toEqual(['held2', 'held1']);
+    expect(pending[1].anomalies).toHaveLength(1);
+  });
+
+  it('a second held post does not replace the first', async () => {
+    await store().commit('hold', { prediction: held, reason: 'anomaly' });
+    await store().commit('hold', {
+      prediction: { ...held, post_id: 'held2' },
+      reason: 'low_confidence',
+    });
+    const { pending } = await (await workerExports.default.fetch(req('GET'))).json();
+    expect(pending.map((p) => [p.post_id, p.held_reason]).sort()).toEqual([
+      ['held1', 'anomaly'],
+      ['held2', 'low_confidence'],
+    ]);
+  });
+
+  it('approve publishes it and clears its hold', async () => {
+    await hold();
+    const res = await workerExports.default.fetch(req('POST', { action: 'approve' }));
+    expect(res.status).toBe(200);
+    const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(latest.post_id).toBe('held1');
+    expect(latest.approved_at).toBeTruthy();
+    expect(latest).not.toHaveProperty('held_reason');
+    expect(latest).not.toHaveProperty('anomalies');
+    expect(await storedHistory()).toHaveLength(1);
+    expect(await env.PREDICTIONS.get('pending_prediction:held1')).toBeNull();
+    const [entry] = await readAudit(env, { post_id: 'held1', entry_point: 'pending' });
+    expect(entry).toMatchObject({ action: 'publish', actor: 'default' });
+  });
+
+  it('approves the post named by post_id and keeps the others held', async () => {
+    await hold();
+    await hold({ ...held, post_id: 'held2' });
+    const res = await workerExports.default.fetch(
+      req('POST', { action: 'approve', post_id: 'held2' })
+    );
+    expect((await res.json()).prediction.post_id).toBe('held2');
+    expect(await env.PREDICTIONS.get('pending_prediction:held2')).toBeNull();
+    expect(await env.PREDICTIONS.get('pending_prediction:held1')).not.toBeNull();
+  });
+
+  it('approving a post older than the published one only adds it to the history', async () => {
+    const newer = {
+      kind: 'weekly',
+      gas: { direction: 'down', adjustment: 1, price: 1.55 },
+      diesel: null,
+      post_id: 'newer',
+      effective_at: '2024-11-22T04:01:00.000Z',
+    };
+    await writePrediction(newer, env);
+    await hold({ ...held, effective_at: '2024-11-15T04:01:00.000Z' });
+
+    const res = await workerExports.default.fetch(
+      req('POST', { action: 'approve', post_id: 'held1' })
+    );
+    expect(res.status).toBe(200);
+    const { prediction } = await res.json();
+    expect(prediction.id).toEqual(expect.any(Number));
+    expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('newer');
+    expect((await storedHistory()).map((h) => h.post_id).sort()).toEqual(['held1', 'newer']);
+    expect(await env.PREDICTIONS.get('pending_prediction:held1')).toBeNull();
+  });
+
+  it('approving a post newer than the published one replaces it', async () => {
+    await writePrediction(
+      { ...held, post_id: 'older', effective_at: '2024-11-08T04:01:00.000Z' },
+      env
+    );
+    await hold({ ...held, effective_at: '2024-11-15T04:01:00.000Z' });
+    await workerExports.default.fetch(req('POST', { action: 'approve', post_id: 'held1' }));
+    expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('held1');
+  });
+
+  it('reject discards it without publishing', async () => {
+    await hold();
+    const res = await workerExports.default.fetch(
+      req('POST', { action: 'reject', post_id: 'held1' })
+    );
+    expect((await res.json()).rejected.post_id).toBe('held1');
+    expect(await env.PREDICTIONS.get('pending_prediction:held1')).toBeNull();
+    expect(await env.PREDICTIONS.get('latest_prediction')).toBeNull();
+  });
+
+  it('reject is audit-logged with the discarded prediction', async () => {
+    await hold();
+    await workerExports.default.fetch(req('POST', { action: 'reject', post_id: 'held1' }));
+    const [entry] = await readAudit(env, { post_id: 'held1', entry_point: 'pending' });
+    expect(entry).toMatchObject({ action: 'reject', actor: 'default', current: null });
+    expect(entry.previous.held_reason).toBe('anomaly');
+  });
+
+  it('keeps the hold when publishing the approval fails', async () => {
+    await hold();
+    const failingEnv = {
+      ...env,
+      PREDICTION_STORE: undefined,
+      HISTORY_DB: {
+        prepare() {
+          throw new Error('D1 unavailable');
+        },
+      },
+    };
+    await expect(
+      worker.fetch(req('POST', { action: 'approve', post_id: 'held1' }), failingEnv, {})
+    ).rejects.toThrow('D1 unavailable');
+    expect(await env.PREDICTIONS.get('pending_prediction:held1')).not.toBeNull();
+  });
+
+  it('two approvals of the same hold publish it once', async () => {
+    // Its own post, as the audit log keeps other tests' entries
+    await hold({ ...held, post_id: 'race1' });
+    const approve = () =>
+      workerExports.default.fetch(req('POST', { action: 'approve', post_id: 'race1' }));
+    const statuses = (await Promise.all([approve(), approve()])).map((r) => r.status);
+    expect(statuses.sort()).toEqual([200, 404]);
+    expect(await storedHistory()).toHaveLength(1);
+    expect(await readAudit(env, { post_id: 'race1' })).toHaveLength(1);
+  });
+
+  it('400 without post_id while several are held', async () => {
+    await hold();
+    await hold({ ...held, post_id: 'held2' });
+    const res = await workerExports.default.fetch(req('POST', { action: 'approve' }));
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toContain('post_id');
+    expect(await env.PREDICTIONS.get('latest_prediction')).toBeNull();
+  });
+
+  it('404 when post_id is not held', async () => {
+    await hold();
+    const res = await workerExports.default.fetch(
+      req('POST', { action: 'approve', post_id: 'other' })
+    );
+    expect(res.status).toBe(404);
+    expect((await res.json()).error).toContain('other');
+    expect(await env.PREDICTIONS.get('pending_prediction:held1')).not.toBeNull();
+  });
+
+  it('404 when nothing is held', async () => {
+    expect((await workerExports.default.fetch(req('POST', { action: 'approve' }))).status).toBe(
+      404
+    );
+  });
+
+  it('400 for an unknown action', async () => {
+    const res = await workerExports.default.fetch(req('POST', { action: 'publish' }));
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toContain('action must be one of');
+  });
+
+  it('400 for invalid JSON', async () => {
+    const res = await workerExports.default.fetch(
+      new Request('https://hfxgas.ca/api/pending', {
+        method: 'POST',
+        headers: { authorization: 'Bearer test-secret' },
+        body: 'not json',
+      })
+    );
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('normaliseSources', () => {
+  it('fills in defaults', () => {
+    const { sources } = normaliseSources([{ subreddit: 'NovaScotia', author: 'Buckit' }]);
+    expect(sources).toEqual([
+      {
+        id: 'novascotia/buckit',
+        subreddit: 'NovaScotia',
+        author: 'Buckit',
+        title_pattern: 'gas|gasoline|diesel|fuel|price|interrupter',
+        title_regex: /gas|gasoline|diesel|fuel|price|interrupter/i,
+        priority: 0,
+      },
+    ]);
+  });
+
+  it('compiles title_pattern once, case-insensitively', () => {
+    const [source] = normaliseSources([
+      { subreddit: 'halifax', author: 'buckit', title_pattern: 'forecast' },
+    ]).sources;
+    expect(source.title_regex.test('Weekly FORECAST')).toBe(true);
+  });
+
+  it.each([
+    [[], 'non-empty array'],
+    [{ subreddit: 'halifax' }, 'non-empty array'],
+    [[{ subreddit: 'r/halifax', author: 'buckit' }], 'sources[0].subreddit'],
+    [[{ subreddit: 'halifax' }], 'sources[0].author'],
+    [[{ subreddit: 'halifax', author: 'buckit', title_pattern: '(' }], 'title_pattern'],
+    [[{ subreddit: 'halifax', author: 'buckit', title_pattern: 7 }], 'title_pattern must be'],
+    [[{ subreddit: 'halifax', author: 'buckit', title_pattern: '' }], 'title_pattern must be'],
+    [[{ subreddit: 'halifax', author: 'buckit', id: 3 }], 'sources[0].id'],
+    [[{ subreddit: 'halifax', author: 'buckit', priority: '1' }], 'priority'],
+    [
+      [
+        { subreddit: 'halifax', author: 'buckit' },
+        { subreddit: 'Halifax', author: 'Buckit' },
+      ],
+      'Duplicate source id',
+    ],
+  ])('rejects %j', (list, message) => {
+    expect(normaliseSources(list).error).toContain(message);
+  });
+});
+
+describe('/api/sources', () => {
+  function req(method, payload, secret = 'test-secret') {
+    return new Request('https://hfxgas.ca/api/sources', {
+      method,
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${secret}` },
+      body: payload === undefined ? undefined : JSON.stringify(payload),
+    });
+  }
+
+  it('401 without the secret', async () => {
+    expect((await workerExports.default.fetch(req('GET', undefined, 'wrong'))).status).toBe(401);
+  });
+
+  it('GET returns the default source', async () => {
+    const body = await (await workerExports.default.fetch(req('GET'))).json();
+    expect(body.origin).toBe('default');
+    expect(body.sources.map((s) => s.id)).toEqual(['halifax/buckit']);
+  });
+
+  it('GET returns REDDIT_SOURCES, highest priority first', async () => {
+    const sources = [
+      { subreddit: 'novascotia', author: 'buckit' },
+      { subreddit: 'halifax', author: 'buckit', priority: 10 },
+    ];
+    const res = await worker.fetch(
+      req('GET'),
+      { ...env, REDDIT_SOURCES: JSON.stringify(sources) },
+      {}
+    );
+    const body = await res.json();
+    expect(body.origin).toBe('env');
+    expect(body.sources.map((s) => s.id)).toEqual(['halifax/buckit', 'novascotia/buckit']);
+    expect(body.sources[0]).not.toHaveProperty('title_regex');
+  });
+
+  it('the watch list cannot be changed through the API', async () => {
+    for (const method of ['PUT', 'DELETE']) {
+      const res = await workerExports.default.fetch(
+        req(method, method === 'PUT' ? { sources: [] } : undefined)
+      );
+      expect(res.status).toBe(404);
+    }
+  });
+});
+
+describe('GET /api/runs', () => {
+  const journal = [
+    { started_at: '2026-06-18T17:00:00.000Z', outcome: 'published' },
+    { started_at: '2026-06-18T16:00:00.000Z', outcome: 'no_post' },
+  ];
+
+  beforeEach(async () => {
+    await env.PREDICTIONS.put('cron_runs', JSON.stringify(journal));
+  });
+
+  function req(query = '', secret = 'test-secret') {
+    return new Request(`https://hfxgas.ca/api/runs${query}`, {
+      headers: { authorization: `Bearer ${secret}` },
+    });
+  }
+
+  it('401 without the secret', async () => {
+    expect((await workerExports.default.fetch(req('', 'wrong'))).status).toBe(401);
+  });
+
+  it('returns the journal, newest first', async () => {
+    const res = await workerExports.default.fetch(req());
+    expect(res.headers.get('cache-control')).toBe('no-store');
+    expect(await res.json()).toEqual({ runs: journal });
+  });
+
+  it('respects ?limit=', async () => {
+    const { runs } = await (await workerExports.default.fetch(req('?limit=1'))).json();
+    expect(runs.map((r) => r.outcome)).toEqual(['published']);
+  });
+
+  it('400 for an invalid limit', async () => {
+    expect((await workerExports.default.fetch(req('?limit=0'))).status).toBe(400);
+  });
+
+  it('clamps ?limit= to MAX_RUNS', async () => {
+    const res = await worker.fetch(req('?limit=1000000'), { ...env, MAX_RUNS: '1' }, {});
+    expect((await res.json()).runs).toEqual([journal[0]]);
+  });
+
+  it('returns an empty list before the first run', async () => {
+    await env.PREDICTIONS.delete('cron_runs');
+    expect(await (await workerExports.default.fetch(req())).json()).toEqual({ runs: [] });
+  });
+});
+
+describe('PredictionStore (single write path)', () => {
+  const store = () => env.PREDICTION_STORE.get(env.PREDICTION_STORE.idFromName('predictions'));
+  const history = storedHistory;
+  const latest = async () => JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+
+  beforeEach(async () => {
+    await env.PREDICTIONS.delete('latest_prediction');
+    await clearHistory();
+    await env.PREDICTIONS.delete('latest_image_key');
+    await env.PREDICTIONS.delete('last_processed_post_id');
+  });
+
+  function webhook(price) {
+    return workerExports.default.fetch(
+      new Request('https://hfxgas.ca/webhook', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', authorization: 'Bearer test-secret' },
+        body: JSON.stringify({ gas: { direction: 'up', price } }),
+      })
+    );
+  }
+
+  it('keeps every entry when writes land together', async () => {
+    const prices = [1.61, 1.62, 1.63, 1.64, 1.65, 1.66, 1.67, 1.68];
+    await Promise.all(prices.map(webhook));
+    const entries = await history();
+    expect(entries.map((h) => h.gas.price).sort()).toEqual(prices);
+    expect(await latest()).toEqual({ id: expect.any(Number), ...entries[0] });
+  });
+
+  it('publishes the prediction, image key and dedup record together', async () => {
+    const prediction = { kind: 'weekly', post_id: 'p1', gas: null, diesel: null };
+    const stored = await store().commit('publish', {
+      prediction,
+      image: { key: 'images/p1.png', prompt: 'a prompt' },
+      processed: { post: { id: 'p1', updated: null }, hash: 'h', revision: 1 },
+    });
+    expect(stored.image_key).toBe('images/p1.png');
+    expect((await latest()).image_key).toBe('images/p1.png');
+    expect(await env.PREDICTIONS.get('latest_image_key')).toBe('images/p1.png');
+    expect(await env.PREDICTIONS.get('last_processed_post_id')).toBe('p1');
+  });
+
+  it('refuses a write whose expected revision is stale', async () => {
+    const entry = { kind: 'weekly', post_id: 'p1', revision: 2, gas: null, diesel: null };
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify([entry]));
+    const amended = { ...entry, revision: 2, amended_by: 'c1' };
+    expect(await store().commit('publish', { prediction: amended, expected_revision: 1 })).toBe(
+      null
+    );
+    expect(await history()).toEqual([entry]);
+  });
+
+  it('does not retract a prediction published since the check', async () => {
+    const current = { kind: 'weekly', post_id: 'new1', source: 'reddit' };
+    await env.PREDICTIONS.put('latest_prediction', JSON.stringify(current));
+    const applied = await store().commit('retract', {
+      post_id: 'old1',
+      update: { retracted: true },
+    });
+    expect(applied).toBe(false);
+    expect(await latest()).toEqual(current);
+  });
+});
+
+describe('prediction history (D1)', () => {
+  const entry = (i) => ({
+    kind: 'weekly',
+    post_id: `p${i}`,
+    gas: { direction: 'up', adjustment: 1, price: 1.5 + i * 0.01 },
+    diesel: null,
+    effective_at: `2024-11-${String(i + 1).padStart(2, '0')}T04:01:00.000Z`,
+    updated_at: `2024-11-${String(i + 1).padStart(2, '0')}T00:00:00.000Z`,
+  });
+  // Newest first, as the KV blob stored it
+  const blob = (n) => Array.from({ length: n }, (_, i) => entry(n - 1 - i));
+
+  beforeEach(async () => {
+    await env.PREDICTIONS.delete('latest_prediction');
+    await clearHistory();
+  });
+
+  it('migrates the KV blob once, in order, and removes it', async () => {
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify(blob(3)));
+    const history = await readHistory(env);
+    expect(history.map((h) => h.post_id)).toEqual(['p2', 'p1', 'p0']);
+    expect(await env.PREDICTIONS.get('prediction_history')).toBeNull();
+    expect(await readHistory(env)).toEqual(history);
+  });
+
+  it('migrates a blob that lists a post twice, keeping its newest copy', async () => {
+    const stale = { ...entry(1), gas: { ...entry(1).gas, price: 1.4 } };
+    const blobWithDuplicate = [entry(2), entry(1), stale, entry(0)];
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify(blobWithDuplicate));
+    const history = await readHistory(env);
+    expect(history.map((h) => h.post_id)).toEqual(['p2', 'p1', 'p0']);
+    expect(history[1].gas.price).toBe(entry(1).gas.price);
+    expect(await env.PREDICTIONS.get('prediction_history')).toBeNull();
+  });
+
+  it('does not migrate into a table that already has entries', async () => {
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify(blob(2)));
+    await readHistory(env);
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify(blob(2)));
+    expect(await readHistory(env)).toHaveLength(2);
+    expect(await env.PREDICTIONS.get('prediction_history')).toBeNull();
+  });
+
+  it('reads a window, newest first', async () => {
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify(blob(5)));
+    const history = await readHistory(env, { limit: 2 });
+    expect(history.map((h) => h.post_id)).toEqual(['p4', 'p3']);
+  });
+
+  it('a revision replaces its row in place', async () => {
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify(blob(3)));
+    await writePrediction({ ...entry(1), revision: 2 }, env);
+    const history = await readHistory(env);
+    expect(history.map((h) => h.post_id)).toEqual(['p2', 'p1', 'p0']);
+    expect(history[1].revision).toBe(2);
+    expect(history[1].revisions).toHaveLength(1);
+  });
+
+  it('GET / lists MAX_HISTORY entries and charts CHART_WINDOW', async () => {
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify(blob(14)));
+    await env.PREDICTIONS.put('latest_prediction', JSON.stringify(entry(13)));
+    const html = await (await workerExports.default.fetch('https://hfxgas.ca/')).text();
+    expect(html.match(/class="history-card"/g)).toHaveLength(10);
+    const chartData = JSON.parse(html.match(/const chartData = (\{.*?\});/)[1]);
+    expect(chartData.labels).toHaveLength(14);
+  });
+});
+
+describe('GET /api/history', () => {
+  // Five weeks, published out of order so effective and publish order differ
+  const week = (n, overrides = {}) => ({
+    kind: 'weekly',
+    post_id: `h${n}`,
+    source: 'reddit',
+    gas: { direction: n % 2 ? 'up' : 'down', adjustment: 1, price: 1.5 + n / 100 },
+    diesel: n === 3 ? { direction: 'no-change', adjustment: 0, price: 1.7 } : null,
+    effective_at: `2026-05-0${n}T04:01:00.000Z`,
+    updated_at: `2026-06-0${6 - n}T00:00:00.000Z`,
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    await clearHistory();
+    for (const n of [2, 1, 3, 5]) await writePrediction(week(n), env);
+    await writePrediction(week(4, { source: 'webhook', post_id: null }), env);
+  });
+
+  async function get(query = '') {
+    return workerExports.default.fetch(`https://hfxgas.ca/api/history${query}`);
+  }
+  const ids = (body) => body.predictions.map((p) => p.gas.price);
+
+  it('pages through the series, newest effective date first', async () => {
+    const first = await (await get('?limit=2')).json();
+    expect(ids(first)).toEqual([1.55, 1.54]);
+    const second = await (await get(`?limit=2&cursor=${first.next_cursor}`)).json();
+    expect(ids(second)).toEqual([1.53, 1.52]);
+    const last = await (await get(`?limit=2&cursor=${second.next_cursor}`)).json();
+    expect(ids(last)).toEqual([1.51]);
+    expect(last.next_cursor).toBeNull();
+  });
+
+  it('returns the same objects as /api/latest, with their history id', async () => {
+    const res = await get('?limit=1');
+    expect(res.headers.get('cache-control')).toBe('no-store');
+    const [p] = (await res.json()).predictions;
+    expect(p).toMatchObject({ post_id: 'h5', retracted: false, zones: null, schema_version: 2 });
+    expect(p.grades.regular.price).toBe(1.55);
+    expect(Number.isInteger(p.id)).toBe(true);
+  });
+
+  it('sorts by updated date, either way', async () => {
+    expect(ids(await (await get('?sort=updated')).json())).toEqual([1.51, 1.52, 1.53, 1.54, 1.55]);
+    expect(ids(await (await get('?sort=effective&order=asc')).json())).toEqual([
+      1.51, 1.52, 1.53, 1.54, 1.55,
+    ]);
+  });
+
+  it('filters by fuel, direction and source', async () => {
+    expect(ids(await (await get('?fuel=diesel')).json())).toEqual([1.53]);
+    expect(ids(await (await get('?fuel=gas&direction=down')).json())).toEqual([1.54, 1.52]);
+    expect(ids(await (await get('?direction=no-change')).json())).toEqual([1.53]);
+    expect(ids(await (await get('?source=webhook')).json())).toEqual([1.54]);
+  });
+
+  it('filters by date range, a date-only `to` including that day', async () => {
+    const body = await (await get('?from=2026-05-02&to=2026-05-04')).json();
+    expect(ids(body)).toEqual([1.54, 1.53, 1.52]);
+  });
+
+  it('pages through filtered results', async () => {
+    const first = await (await get('?direction=up&limit=2')).json();
+    expect(ids(first)).toEqual([1.55, 1.53]);
+    const next = await (await get(`?direction=up&limit=2&cursor=${first.next_cursor}`)).json();
+    expect(ids(next)).toEqual([1.51]);
+    expect(next.next_cursor).toBeNull();
+  });
+
+  it('stops a page after MAX_HISTORY_SCAN rows and hands back a cursor', async () => {
+    // 1,100 older weeks with only a regular price, none of which match ?fuel=premium
+    await env.HISTORY_DB.prepare(
+      `WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1100)
+       INSERT INTO predictions (post_id, kind, effective_at, data)
+       SELECT 'old' || i, 'weekly', '2020-01-01T00:00:00.000Z',
+              json_object('kind', 'weekly', 'post_id', 'old' || i, 'source', 'reddit',
+                          'gas', json_object('direction', 'up', 'adjustment', 1, 'price', 1.4))
+       FROM n`
+    ).run();
+    const first = await (await get('?fuel=premium')).json();
+    expect(first.predictions).toEqual([]);
+    expect(first.next_cursor).toBeTruthy();
+    const last = await (await get(`?fuel=premium&cursor=${first.next_cursor}`)).json();
+    expect(last).toEqual({ predictions: [], next_cursor: null });
+  });
+
+  it('400 for invalid parameters', async () => {
+    for (const query of [
+      '?limit=0',
+      '?limit=101',
+      '?sort=price',
+      '?order=up',
+      '?fuel=jet',
+      '?direction=sideways',
+      '?source=rss',
+      '?from=yesterday',
+      '?cursor=nope',
+    ]) {
+      expect((await get(query)).status, query).toBe(400);
+    }
+  });
+
+  it('queries the KV history without HISTORY_DB', async () => {
+    const kvEnv = { ...env, HISTORY_DB: undefined };
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify([week(2), week(3), week(1)]));
+    const first = await queryHistory(kvEnv, { limit: 2 });
+    expect(first.entries.map((p) => p.post_id)).toEqual(['h3', 'h2']);
+    const next = await queryHistory(kvEnv, { limit: 2, after: first.next });
+    expect(next.entries.map((p) => p.post_id)).toEqual(['h1']);
+    expect(next.next).toBeNull();
+    await env.PREDICTIONS.delete('prediction_history');
+  });
+
+  it('exports matching entries as CSV, one column per fuel field', async () => {
+    const res = await workerExports.default.fetch(
+      'https://hfxgas.ca/api/history.csv?order=asc&to=2026-05-03'
+    );
+    expect(res.headers.get('content-type')).toBe('text/csv; charset=utf-8');
+    expect(res.headers.get('content-disposition')).toMatch(
+      /^attachment; filename="hfxgas-history-\d{4}-\d{2}-\d{2}\.csv"$/
+    );
+    const [header, ...rows] = (await res.text()).trimEnd().split('\r\n');
+    const columns = header.split(',');
+    expect(columns.slice(0, 11)).toEqual([
+      'id',
+      'kind',
+      'effective_at',
+      'updated_at',
+      'triggered_at',
+      'gas_direction',
+      'gas_adjustment',
+      'gas_price',
+      'diesel_direction',
+      'diesel_adjustment',
+      'diesel_price',
+    ]);
+    expect(columns).toContain('post_url');
+    expect(rows).toHaveLength(3);
+    const record = Object.fromEntries(rows[2].split(',').map((v, i) => [columns[i], v]));
+    expect(record).toMatchObject({
+      kind: 'weekly',
+      effective_at: '2026-05-03T04:01:00.000Z',
+      gas_direction: 'up',
+      gas_price: '1.53',
+      diesel_direction: 'no-change',
+      diesel_price: '1.7',
+      premium_price: '',
+      source: 'reddit',
+      post_id: 'h3',
+      retracted: 'false',
+    });
+  });
+
+  it('exports matching entries as NDJSON, one /api/history object per line', async () => {
+    const res = await workerExports.default.fetch(
+      'https://hfxgas.ca/api/history.ndjson?source=webhook'
+    );
+    // Decode the bytes rather than res.text(), which workerd warns about for non-text types
+    const body = new TextDecoder().decode(await res.arrayBuffer());
+    expect(res.headers.get('content-type')).toBe('application/x-ndjson');
+    expect(res.headers.get('content-disposition')).toMatch(/filename="hfxgas-history-.+\.ndjson"/);
+    const lines = body.trimEnd().split('\n');
+    expect(lines.map((line) => JSON.parse(line).gas.price)).toEqual([1.54]);
+    expect(JSON.parse(lines[0])).toMatchObject({ post_id: null, retracted: false, zones: null });
+  });
+
+  it('400 for invalid export parameters', async () => {
+    for (const path of ['/api/history.csv?fuel=jet', '/api/history.ndjson?to=soon']) {
+      const res = await workerExports.default.fetch(`https://hfxgas.ca${path}`);
+      expect(res.status, path).toBe(400);
+      expect((await res.json()).error, path).toEqual(expect.any(String));
+    }
+  });
+});
+
+describe('csvField', () => {
+  it('quotes separators, quotes and newlines', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField('a, b')).toBe('"a, b"');
+    expect(csvField('say "up"')).toBe('"say ""up"""');
+    expect(csvField('two\nlines')).toBe('"two\nlines"');
+  });
+
+  it('leaves numbers alone but defuses text a spreadsheet would run', () => {
+    expect(csvField(-0.5)).toBe('-0.5');
+    expect(csvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(csvField('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvField(null)).toBe('');
+    expect(csvField(false)).toBe('false');
+  });
+});
+
+describe('prediction permalinks', () => {
+  beforeEach(async () => {
+    await env.PREDICTIONS.delete('latest_prediction');
+    await clearHistory();
+  });
+
+  const weekly = (overrides = {}) => ({
+    kind: 'weekly',
+    post_id: 'perm1',
+    source: 'reddit',
+    gas: { direction: 'up', adjustment: 2.1, price: 1.621 },
+    diesel: null,
+    effective_at: '2026-03-13T04:01:00.000Z',
+    updated_at: '2026-03-12T17:00:00.000Z',
+    ...overrides,
+  });
+
+  it('gives every prediction its history id, kept through revisions', async () => {
+    const stored = await writePrediction(weekly(), env);
+    expect(Number.isInteger(stored.id)).toBe(true);
+    const latest = await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json();
+    expect(latest.id).toBe(stored.id);
+
+    const revised = await writePrediction(weekly({ revision: 2 }), env);
+    expect(revised.id).toBe(stored.id);
+    // The id is the row's, not part of its data
+    expect((await storedHistory())[0].id).toBeUndefined();
+  });
+
+  it('GET /api/predictions/:id returns one prediction, webhook ones included', async () => {
+    const { id } = await writePrediction(weekly({ post_id: null, source: 'webhook' }), env);
+    const res = await workerExports.default.fetch(`https://hfxgas.ca/api/predictions/${id}`);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toMatchObject({
+      id,
+      source: 'webhook',
+      post_id: null,
+      retracted: false,
+    });
+
+    const missing = await workerExports.default.fetch(
+      `https://hfxgas.ca/api/predictions/${id + 1}`
+    );
+    expect(missing.status).toBe(404);
+  });
+
+  it('renders /p/:id with its own title, canonical URL and OG tags', async () => {
+    const { id } = await writePrediction(weekly(), env);
+    const res = await workerExports.default.fetch(`https://hfxgas.ca/p/${id}`);
+    expect(res.headers.get('content-type')).toContain('text/html');
+    const html = await res.text();
+    expect(html).toContain(
+      '<title>Halifax Gas Price Prediction, March 13, 2026 | hfxgas.ca</title>'
+    );
+    expect(html).toContain(`<link rel="canonical" href="https://hfxgas.ca/p/${id}" />`);
+    expect(html).toContain(`<meta property="og:url" content="https://hfxgas.ca/p/${id}" />`);
+    expect(html).toContain('<meta property="og:type" content="article" />');
+    expect(html).toContain('Halifax fuel prices from March 13, 2026: gas up to $1.621/L');
+    expect(html).toContain('See the latest prediction');
+
+    expect((await workerExports.default.fetch(`https://hfxgas.ca/p/${id + 1}`)).status).toBe(404);
+  });
+
+  it('links the homepage prediction and history cards to their permalinks', async () => {
+    const { id } = await writePrediction(weekly(), env);
+    const html = await (await workerExports.default.fetch('https://hfxgas.ca/')).text();
+    expect(html).toContain(`<a class="permalink" href="/p/${id}">Link to this prediction</a>`);
+    expect(html).toContain(`<a class="hc-time" href="/p/${id}">From Mar 13</a>`);
+  });
+
+  describe('without HISTORY_DB', () => {
+    const kvEnv = { ...env, HISTORY_DB: undefined, PREDICTION_STORE: undefined };
+
+    it('numbers KV history entries, and never hands an id out twice', async () => {
+      const first = await writePrediction(weekly({ post_id: 'kv1' }), kvEnv);
+      const second = await writePrediction(weekly({ post_id: 'kv2' }), kvEnv);
+      expect([first.id, second.id]).toEqual([1, 2]);
+      expect((await writePrediction(weekly({ post_id: 'kv2', revision: 2 }), kvEnv)).id).toBe(2);
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).id).toBe(2);
+
+      await rollbackPrediction(kvEnv);
+      expect((await writePrediction(weekly({ post_id: 'kv3' }), kvEnv)).id).toBe(3);
+    });
+
+    it('serves /api/predictions/:id and /p/:id from the KV history', async () => {
+      const { id } = await writePrediction(weekly(), kvEnv);
+      const res = await worker.fetch(
+        new Request(`https://hfxgas.ca/api/predictions/${id}`),
+        kvEnv,
+        {}
+      );
+      expect(res.status).toBe(200);
+      expect(await res.json()).toMatchObject({ id, post_id: 'perm1' });
+      const page = await worker.fetch(new Request(`https://hfxgas.ca/p/${id}`), kvEnv, {});
+      expect(page.status).toBe(200);
+      await page.text();
+      const missing = await worker.fetch(
+        new Request(`https://hfxgas.ca/api/predictions/${id + 1}`),
+        kvEnv,
+        {}
+      );
+      expect(missing.status).toBe(404);
+    });
+
+    it('numbers entries saved before ids, oldest first, and keeps the ids in D1', async () => {
+      await env.PREDICTIONS.put(
+        'prediction_history',
+        JSON.stringify([weekly({ post_id: 'old2' }), weekly({ post_id: 'old1' })])
+      );
+      const { id } = await writePrediction(weekly({ post_id: 'new' }), kvEnv);
+      expect(id).toBe(3);
+      const blob = JSON.parse(await env.PREDICTIONS.get('prediction_history'));
+      expect(blob.map((h) => [h.post_id, h.id])).toEqual([
+        ['new', 3],
+        ['old2', 2],
+        ['old1', 1],
+      ]);
+
+      // Adding HISTORY_DB later migrates the blob with the same ids
+      expect((await findHistoryEntryById(2, env)).post_id).toBe('old2');
+      expect((await storedHistory())[0].id).toBeUndefined();
+    });
+  });
+});
+
+describe('audit log', () => {
+  beforeEach(async () => {
+    await env.PREDICTIONS.delete('latest_prediction');
+    await clearHistory();
+  });
+
+  function webhook(price, { token = 'test-secret', ray = crypto.randomUUID() } = {}) {
+    return workerExports.default.fetch(
+      new Request('https://hfxgas.ca/webhook', {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          authorization: `Bearer ${token}`,
+          'cf-ray': ray,
+        },
+        body: JSON.stringify({ gas: { direction: 'up', price } }),
+      })
+    );
+  }
+
+  function req(query = '', token = 'test-secret') {
+    return new Request(`https://hfxgas.ca/api/audit${query}`, {
+      headers: { authorization: `Bearer ${token}` },
+    });
+  }
+
+  it('names tokens: default for WEBHOOK_SECRET, else the API_TOKENS key', () => {
+    expect(tokenName('test-secret', env)).toBe('default');
+    expect(tokenName('ci-token', env)).toBe('ci');
+    expect(tokenName('wrong', env)).toBeNull();
+    expect(tokenName('', env)).toBeNull();
+  });
+
+  it('records a webhook change with actor, request id and both values', async () => {
+    const first = crypto.randomUUID();
+    const second = crypto.randomUUID();
+    await webhook(1.61, { ray: first });
+    await webhook(1.62, { token: 'ci-token', ray: second });
+
+    const [entry] = await readAudit(env, { request_id: second });
+    expect(entry).toMatchObject({
+      action: 'publish',
+      actor: 'ci',
+      entry_point: 'webhook',
+      request_id: second,
+    });
+    const [before] = await readAudit(env, { request_id: first });
+    expect(entry.previous).toEqual(before.current);
+    expect(entry.current.gas.price).toBe(1.62);
+  });
+
+  it('is append-only', async () => {
+    await webhook(1.61);
+    await expect(env.HISTORY_DB.exec("UPDATE audit_log SET actor = 'someone'")).rejects.toThrow(
+      /append-only/
+    );
+    await expect(env.HISTORY_DB.exec('DELETE FROM audit_log')).rejects.toThrow(/append-only/);
+  });
+
+  it('GET /api/audit 401 without a valid token', async () => {
+    expect((await workerExports.default.fetch(req('', 'wrong'))).status).toBe(401);
+  });
+
+  it('GET /api/audit filters and pages, newest first', async () => {
+    const ray = crypto.randomUUID();
+    await webhook(1.61, { ray });
+    await webhook(1.62, { token: 'ci-token' });
+    await webhook(1.63, { token: 'ci-token' });
+
+    const res = await workerExports.default.fetch(req(`?request_id=${ray}`));
+    expect(res.headers.get('cache-control')).toBe('no-store');
+    const { entries } = await res.json();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].current.gas.price).toBe(1.61);
+
+    const page = await (
+      await workerExports.default.fetch(req('?actor=ci&limit=1', 'ci-token'))
+    ).json();
+    expect(page.entries[0].current.gas.price).toBe(1.63);
+    const next = await (
+      await workerExports.default.fetch(req(`?actor=ci&limit=1&before=${page.entries[0].id}`))
+    ).json();
+    expect(next.entries[0].current.gas.price).toBe(1.62);
+  });
+
+  it('GET /api/audit 400 for an invalid limit or before', async () => {
+    expect((await workerExports.default.fetch(req('?limit=0'))).status).toBe(400);
+    expect((await workerExports.default.fetch(req('?before=abc'))).status).toBe(400);
   });
 
-  it('About modal open/close JS present', () => {
-    const html = renderHtml(opts());
-    expect(html).toContain('aboutModalTrigger');
-    expect(html).toContain('openAboutModal');
-    expect(html).toContain('closeAboutModal');
+  it('keeps a capped log in KV without HISTORY_DB', async () => {
+    const kvEnv = { ...env, HISTORY_DB: undefined, PREDICTION_STORE: undefined };
+    await env.PREDICTIONS.delete('audit_log');
+    await writePrediction({ kind: 'weekly', post_id: 'k1', gas: null, diesel: null }, kvEnv, {
+      audit: { actor: 'default', entry_point: 'webhook', request_id: 'r1' },
+    });
+    const [entry] = await readAudit(kvEnv, { post_id: 'k1' });
+    expect(entry).toMatchObject({ id: 1, action: 'publish', actor: 'default', request_id: 'r1' });
+    await env.PREDICTIONS.delete('audit_log');
   });
 });
 
-// ── Routes via workerExports.default.fetch ──────────────────────────────────────────────────────
+describe('rollback and history deletion', () => {
+  const weekly = (post_id, price) => ({
+    kind: 'weekly',
+    post_id,
+    gas: { direction: 'up', adjustment: 1, price },
+    diesel: null,
+  });
+  const interrupter = (post_id, price) => ({
+    ...weekly(post_id, price),
+    kind: 'interrupter',
+    triggered_at: '2026-06-20T12:00:00.000Z',
+  });
+  const latest = async () => JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
 
-describe('GET /', () => {
   beforeEach(async () => {
     await env.PREDICTIONS.delete('latest_prediction');
-    await env.PREDICTIONS.delete('prediction_history');
     await env.PREDICTIONS.delete('latest_image_key');
+    await env.PREDICTIONS.delete('latest_image_prompt');
+    await clearHistory();
   });
 
-  it('200 HTML', async () => {
-    const res = await workerExports.default.fetch('https://hfxgas.ca/');
-    expect(res.status).toBe(200);
-    expect(res.headers.get('content-type')).toContain('text/html');
+  function req(method, path, token = 'test-secret') {
+    return new Request(`https://hfxgas.ca${path}`, {
+      method,
+      headers: { authorization: `Bearer ${token}`, 'cf-ray': crypto.randomUUID() },
+    });
+  }
+
+  it('401 without a valid token', async () => {
+    expect((await workerExports.default.fetch(req('POST', '/api/rollback', 'x'))).status).toBe(401);
+    expect((await workerExports.default.fetch(req('DELETE', '/api/history/1', 'x'))).status).toBe(
+      401
+    );
   });
 
-  it('cache-control: no-store', async () => {
-    expect(
-      (await workerExports.default.fetch('https://hfxgas.ca/')).headers.get('cache-control')
-    ).toBe('no-store');
+  it('404 with nothing to roll back or no such entry', async () => {
+    expect((await workerExports.default.fetch(req('POST', '/api/rollback'))).status).toBe(404);
+    expect((await workerExports.default.fetch(req('DELETE', '/api/history/999999'))).status).toBe(
+      404
+    );
   });
 
-  it('security headers present on GET /', async () => {
-    const res = await workerExports.default.fetch('https://hfxgas.ca/');
-    expect(res.headers.get('X-Content-Type-Options')).toBe('nosniff');
-    expect(res.headers.get('X-Frame-Options')).toBe('DENY');
-    expect(res.headers.get('Referrer-Policy')).toBe('strict-origin-when-cross-origin');
-    expect(res.headers.get('Content-Security-Policy')).toContain("default-src 'self'");
-    expect(res.headers.get('Permissions-Policy')).toContain('geolocation=()');
+  it('rolling back the only prediction clears it', async () => {
+    await writePrediction(weekly('w1', 1.6), env);
+    await workerExports.default.fetch(req('POST', '/api/rollback'));
+    expect(await env.PREDICTIONS.get('latest_prediction')).toBeNull();
+    expect(await storedHistory()).toEqual([]);
   });
 
-  it('empty state when KV empty', async () => {
-    expect(await (await workerExports.default.fetch('https://hfxgas.ca/')).text()).toContain(
-      'No prediction yet.'
-    );
+  it('deleting an older entry leaves latest_prediction alone', async () => {
+    await writePrediction(weekly('w1', 1.6), env);
+    await writePrediction(weekly('w2', 1.61), env);
+    const current = await latest();
+    const [, older] = await readHistory(env);
+
+    const res = await workerExports.default.fetch(req('DELETE', `/api/history/${older.id}`));
+    expect(res.status).toBe(200);
+    expect((await res.json()).removed).toEqual(older);
+    expect(await latest()).toEqual(current);
+    expect((await readHistory(env)).map((h) => h.post_id)).toEqual(['w2']);
   });
 
-  it('shows prediction with new data model', async () => {
-    await env.PREDICTIONS.put(
-      'latest_prediction',
-      JSON.stringify({
-        gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
-        diesel: { direction: 'down', adjustment: 0.7, price: 1.544 },
-        notes: null,
-        updated_at: new Date().toISOString(),
-      })
-    );
-    const html = await (await workerExports.default.fetch('https://hfxgas.ca/')).text();
-    expect(html).toContain('+3.6¢');
-    expect(html).toContain('\u2191');
+  it('deleting an interrupter rebuilds the week from what is left', async () => {
+    await writePrediction(weekly('w1', 1.6), env);
+    await writePrediction(interrupter('i1', 1.62), env);
+    await writePrediction(interrupter('i2', 1.64), env);
+    const i1 = (await readHistory(env)).find((h) => h.post_id === 'i1');
+
+    await workerExports.default.fetch(req('DELETE', `/api/history/${i1.id}`));
+    const week = await latest();
+    expect(week.post_id).toBe('w1');
+    expect(week.interrupters.map((e) => e.post_id)).toEqual(['i2']);
   });
 
-  it('shows image section when key set', async () => {
-    await env.PREDICTIONS.put(
-      'latest_prediction',
-      JSON.stringify({
-        gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
-        diesel: null,
-        notes: null,
-        updated_at: new Date().toISOString(),
-      })
-    );
-    await env.PREDICTIONS.put('latest_image_key', 'images/abc123.png');
-    const html = await (await workerExports.default.fetch('https://hfxgas.ca/')).text();
-    expect(html).toContain('image-section');
-    expect(html).toContain('abc123.png');
+  it('audit-logs the deleted entry and the rollback', async () => {
+    await writePrediction(weekly('w1', 1.6), env);
+    await writePrediction(weekly('w2', 1.61), env);
+    const request = req('POST', '/api/rollback');
+    await workerExports.default.fetch(request);
+
+    const entries = await readAudit(env, { request_id: request.headers.get('cf-ray') });
+    expect(entries.map((e) => e.action)).toEqual(['rollback', 'delete']);
+    expect(entries[0]).toMatchObject({ actor: 'default', entry_point: 'api' });
+    expect(entries[0].previous.post_id).toBe('w2');
+    expect(entries[0].current.post_id).toBe('w1');
+    expect(entries[1].previous.post_id).toBe('w2');
+    expect(entries[1].current).toBeNull();
   });
 
-  it('hides history when empty', async () => {
-    expect(await (await workerExports.default.fetch('https://hfxgas.ca/')).text()).toContain(
-      'display:none'
+  it('rolls back the KV history without HISTORY_DB', async () => {
+    const kvEnv = { ...env, HISTORY_DB: undefined, PREDICTION_STORE: undefined };
+    await env.PREDICTIONS.put(
+      'prediction_history',
+      JSON.stringify([weekly('w2', 1.61), weekly('w1', 1.6)])
     );
+    const { latest: restored } = await rollbackPrediction(kvEnv);
+    expect(restored.post_id).toBe('w1');
+    expect(JSON.parse(await env.PREDICTIONS.get('prediction_history'))).toEqual([
+      weekly('w1', 1.6),
+    ]);
+    expect(await deleteHistoryEntry(1, kvEnv)).toBeNull();
+    await env.PREDICTIONS.delete('prediction_history');
+    await env.PREDICTIONS.delete('audit_log');
   });
 });
 
-describe('GET /api/latest', () => {
-  beforeEach(async () => {
-    await env.PREDICTIONS.delete('latest_prediction');
+describe('/api/backup', () => {
+  const weekly = (post_id, price) => ({
+    kind: 'weekly',
+    post_id,
+    gas: { direction: 'up', adjustment: 1, price },
+    diesel: null,
+  });
+  const backup = (overrides = {}) => ({
+    format: 'buckit-backup',
+    version: 1,
+    exported_at: '2026-06-20T00:00:00.000Z',
+    kv: [],
+    history: [],
+    images: [],
+    ...overrides,
   });
 
-  it('null when empty', async () => {
-    expect(
-      await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json()
-    ).toBeNull();
+  beforeEach(async () => {
+    for (const key of ['latest_prediction', 'latest_image_key']) {
+      await env.PREDICTIONS.delete(key);
+    }
+    await clearPending();
+    await clearHistory();
+  });
+
+  function req(method, body, token = 'test-secret') {
+    return new Request('https://hfxgas.ca/api/backup', {
+      method,
+      headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  }
+
+  it('401 without a valid token', async () => {
+    expect((await workerExports.default.fetch(req('GET', undefined, 'x'))).status).toBe(401);
+    expect((await workerExports.default.fetch(req('PUT', backup(), 'x'))).status).toBe(401);
   });
 
-  it('returns prediction JSON', async () => {
-    await env.PREDICTIONS.put(
-      'latest_prediction',
-      JSON.stringify({
-        gas: { direction: 'down', adjustment: 1.1, price: 1.55 },
-        diesel: null,
-        updated_at: new Date().toISOString(),
-      })
+  it('exports KV, history rows and the image manifest as a download', async () => {
+    await writePrediction(weekly('w1', 1.6), env, {
+      image: { key: 'images/w1.png', prompt: 'a prompt' },
+    });
+    await env.IMAGES.put('images/w1.png', 'png', { customMetadata: { postId: 'w1' } });
+
+    const res = await workerExports.default.fetch(req('GET'));
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-disposition')).toMatch(
+      /^attachment; filename="buckit-backup-\d{4}-\d{2}-\d{2}\.json"$/
+    );
+    const doc = await res.json();
+    expect(validateBackup(doc)).toBeNull();
+    const kv = Object.fromEntries(doc.kv.map((e) => [e.key, e.value]));
+    expect(JSON.parse(kv.latest_prediction).post_id).toBe('w1');
+    expect(kv.latest_image_key).toBe('images/w1.png');
+    expect(kv['image_prompt:images/w1.png']).toBe('a prompt');
+    expect(doc.history.map((row) => row.data.post_id)).toEqual(['w1']);
+    expect(doc.images).toContainEqual(
+      expect.objectContaining({ key: 'images/w1.png', size: 3, custom_metadata: { postId: 'w1' } })
     );
-    const data = await (await workerExports.default.fetch('https://hfxgas.ca/api/latest')).json();
-    expect(data.gas.direction).toBe('down');
   });
-});
 
-describe('GET /robots.txt', () => {
-  it('200 text/plain with allow all', async () => {
-    const text = await (await workerExports.default.fetch('https://hfxgas.ca/robots.txt')).text();
-    expect(text).toContain('User-agent: *');
-    expect(text).toContain('Allow: /');
-    expect(text).toContain('Sitemap:');
-  });
-});
+  it('restores an export, keeping history ids and dropping newer state', async () => {
+    await writePrediction(weekly('w1', 1.6), env);
+    await writePrediction(weekly('w2', 1.61), env);
+    const doc = await (await workerExports.default.fetch(req('GET'))).json();
+    const ids = (await readHistory(env)).map((h) => h.id);
 
-describe('GET /sitemap.xml', () => {
-  it('200 valid XML', async () => {
-    const text = await (await workerExports.default.fetch('https://hfxgas.ca/sitemap.xml')).text();
-    expect(text).toContain('<urlset');
-    expect(text).toContain('hfxgas.ca');
+    await writePrediction(weekly('bad', 9.99), env);
+    await env.PREDICTIONS.put('pending_prediction:held', JSON.stringify(weekly('held', 1.7)));
+
+    const res = await workerExports.default.fetch(req('PUT', doc));
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({ ok: true, restored: { history: 2 }, missing_images: [] });
+    expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('w2');
+    expect(await env.PREDICTIONS.get('pending_prediction:held')).toBeNull();
+    expect((await readHistory(env)).map((h) => h.id)).toEqual(ids);
+
+    const [entry] = await readAudit(env, { entry_point: 'api', limit: 1 });
+    expect(entry.action).toBe('restore');
+    expect(entry.previous.post_id).toBe('bad');
+    expect(entry.current.post_id).toBe('w2');
   });
-});
 
-describe('GET /llms.txt', () => {
-  it('200 with attribution', async () => {
-    const text = await (await workerExports.default.fetch('https://hfxgas.ca/llms.txt')).text();
-    expect(text).toContain('u/buckit');
-    expect(text).toContain('r/halifax');
-    expect(text).toContain('program-the-brain-not-the-heartbeat');
+  it('leaves history and KV untouched when the restore fails', async () => {
+    await writePrediction(weekly('w1', 1.6), env);
+    const doc = await (await workerExports.default.fetch(req('GET'))).json();
+    await writePrediction(weekly('w2', 1.61), env);
+    const history = await readHistory(env);
+
+    // A batch that fails on its last statement, after the delete and the inserts
+    const failingEnv = {
+      ...env,
+      PREDICTION_STORE: undefined,
+      HISTORY_DB: {
+        prepare: (sql) => env.HISTORY_DB.prepare(sql),
+        batch: (statements) =>
+          env.HISTORY_DB.batch([...statements, env.HISTORY_DB.prepare('SELECT * FROM missing')]),
+      },
+    };
+    await expect(worker.fetch(req('PUT', doc), failingEnv, {})).rejects.toThrow('missing');
+    expect(await readHistory(env)).toEqual(history);
+    expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('w2');
   });
-});
 
-describe('GET /images/:key', () => {
-  it('404 when not in R2', async () => {
-    expect(
-      (await workerExports.default.fetch('https://hfxgas.ca/images/notfound.png')).status
-    ).toBe(404);
+  it('lists manifest images missing from R2', async () => {
+    const doc = backup({ images: [{ key: 'images/gone.png', size: 1 }] });
+    const body = await (await workerExports.default.fetch(req('PUT', doc))).json();
+    expect(body.missing_images).toEqual(['images/gone.png']);
   });
-});
 
-describe('404 routing', () => {
-  it('unknown path → 404', async () => {
-    expect((await workerExports.default.fetch('https://hfxgas.ca/unknown')).status).toBe(404);
+  it('400 for an invalid document', async () => {
+    const res = await workerExports.default.fetch(req('PUT', backup({ format: 'zip' })));
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toContain('format');
   });
-  it('POST / → 404', async () => {
-    expect(
-      (await workerExports.default.fetch('https://hfxgas.ca/', { method: 'POST' })).status
-    ).toBe(404);
+
+  it('400 for a malformed latest_prediction, leaving the current state alone', async () => {
+    await env.PREDICTIONS.put('latest_prediction', JSON.stringify(weekly('w1', 1.6)));
+    const doc = backup({
+      kv: [{ key: 'latest_prediction', value: '{"kind": "weekly", "gas": ' }],
+      history: [{ id: 1, data: weekly('w2', 1.7) }],
+    });
+    const res = await workerExports.default.fetch(req('PUT', doc));
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe('kv[0]: latest_prediction is not valid JSON');
+    expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('w1');
+    expect(await storedHistory()).toEqual([]);
+  });
+
+  it('validateBackup checks keys, values and history rows', () => {
+    expect(validateBackup(backup())).toBeNull();
+    expect(validateBackup([])).toMatch(/JSON object/);
+    expect(validateBackup(backup({ version: 2 }))).toMatch(/version 2/);
+    expect(validateBackup(backup({ kv: null }))).toMatch(/kv must be an array/);
+    expect(validateBackup(backup({ kv: [{ key: 'reddit_backoff_until', value: 'x' }] }))).toMatch(
+      /not a backed-up key/
+    );
+    expect(validateBackup(backup({ kv: [{ key: 'latest_image_key', value: 1 }] }))).toMatch(
+      /value must be a string/
+    );
+    const row = { id: 1, data: weekly('w1', 1.6) };
+    expect(validateBackup(backup({ history: [row, row] }))).toMatch(/unique positive integer/);
+    expect(validateBackup(backup({ history: [{ id: 1, data: 'x' }] }))).toMatch(/prediction/);
+    expect(validateBackup(backup({ history: [row, { id: 2, data: weekly('w1', 1.61) }] }))).toBe(
+      'history[1]: post "w1" is in the history twice'
+    );
+    const manual = { id: 2, data: weekly(null, 1.6) };
+    expect(validateBackup(backup({ history: [manual, { ...manual, id: 3 }] }))).toBeNull();
   });
-  it('DELETE /webhook → 404', async () => {
-    expect(
-      (await workerExports.default.fetch('https://hfxgas.ca/webhook', { method: 'DELETE' })).status
-    ).toBe(404);
+
+  it('validateBackup parses and checks the KV values stored as JSON', () => {
+    const kv = (key, value) => validateBackup(backup({ kv: [{ key, value }] }));
+    expect(kv('latest_prediction', JSON.stringify(weekly('w1', 1.6)))).toBeNull();
+    expect(kv('latest_prediction', '[]')).toBe(
+      'kv[0]: latest_prediction must be a prediction object'
+    );
+    expect(kv('latest_prediction', JSON.stringify({ gas: 1.6 }))).toMatch(/gas must be an object/);
+    expect(kv('latest_prediction', JSON.stringify({ interrupters: [null] }))).toMatch(
+      /interrupters\[0\] must be a prediction object/
+    );
+    expect(kv('prediction_history', '{}')).toMatch(/must be an array of predictions/);
+    expect(kv('prediction_history_last_id', '"3"')).toMatch(/must be an integer/);
+    expect(kv('cron_runs', '[1]')).toMatch(/array of run objects/);
+    expect(kv('processed_post:p1', '{"revision": 1}')).toMatch(/content_hash/);
+    expect(kv('processed_post:p1', '{"content_hash": "x", "revision": 1}')).toBeNull();
+    expect(kv('pending_prediction:p1', 'nope')).toBe(
+      'kv[0]: pending_prediction:p1 is not valid JSON'
+    );
+    // Plain string values aren't parsed
+    expect(kv('latest_image_key', 'images/a.png')).toBeNull();
   });
 });
 
-// ── POST /webhook ──────────────────────────────────────────────────────────────
-
 describe('POST /webhook', () => {
   beforeEach(async () => {
     await env.PREDICTIONS.delete('latest_prediction');
-    await env.PREDICTIONS.delete('prediction_history');
+    await clearHistory();
   });
 
   function makeReq(payload, secret) {
@@ -1430,6 +4319,163 @@ describe('POST /webhook', () => {
     expect(new Date(stored.updated_at).toISOString()).toBe(stored.updated_at);
   });
 
+  it('new format: kind defaults to weekly', async () => {
+    await workerExports.default.fetch(makeReq(newFormat, 'test-secret'));
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.kind).toBe('weekly');
+  });
+
+  it('effective_at accepted and normalised to ISO', async () => {
+    await workerExports.default.fetch(
+      makeReq({ ...newFormat, effective_at: '2024-11-15T00:01:00-04:00' }, 'test-secret')
+    );
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.effective_at).toBe('2024-11-15T04:01:00.000Z');
+  });
+
+  it('effective_at defaults to next Friday 12:01 AM', async () => {
+    await workerExports.default.fetch(makeReq(newFormat, 'test-secret'));
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.effective_at).toBe(weeklyEffectiveAt(stored.updated_at));
+  });
+
+  it('400 invalid effective_at', async () => {
+    const res = await workerExports.default.fetch(
+      makeReq({ ...newFormat, effective_at: 'next friday' }, 'test-secret')
+    );
+    expect(res.status).toBe(400);
+  });
+
+  it('new format: grades map stored alongside gas/diesel', async () => {
+    await workerExports.default.fetch(
+      makeReq(
+        { ...newFormat, grades: { premium: { direction: 'up', adjustment: 3.5, price: 1.904 } } },
+        'test-secret'
+      )
+    );
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(Object.keys(stored.grades).sort()).toEqual(['diesel', 'premium', 'regular']);
+    expect(stored.gas.price).toBeCloseTo(1.621);
+  });
+
+  it('new format: grades.regular fills the gas slot', async () => {
+    await workerExports.default.fetch(
+      makeReq({ grades: { regular: { direction: 'down', price: 1.5 } } }, 'test-secret')
+    );
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.gas.direction).toBe('down');
+    expect(stored.diesel).toBeNull();
+  });
+
+  it('new format: 400 unknown grade', async () => {
+    const res = await workerExports.default.fetch(
+      makeReq({ grades: { jet_a1: { direction: 'up' } } }, 'test-secret')
+    );
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toContain('Unknown grade');
+  });
+
+  it('new format: 400 invalid grade direction', async () => {
+    const res = await workerExports.default.fetch(
+      makeReq({ grades: { premium: { direction: 'sideways' } } }, 'test-secret')
+    );
+    expect((await res.json()).error).toContain('premium.direction');
+  });
+
+  it('legacy format: grades mirrors the slot', async () => {
+    await workerExports.default.fetch(
+      makeReq({ direction: 'up', predicted_price: 1.7, fuel_type: 'diesel' }, 'test-secret')
+    );
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.grades).toEqual({ diesel: stored.diesel });
+  });
+
+  it('new format: zones stored, Zone 1 fills the top-level prices', async () => {
+    await workerExports.default.fetch(
+      makeReq(
+        {
+          zones: {
+            1: { regular: { direction: 'up', adjustment: 3.6, price: 1.621 } },
+            6: { regular: { direction: 'up', adjustment: 3.6, price: 1.64 } },
+          },
+        },
+        'test-secret'
+      )
+    );
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.zones[6].regular.price).toBeCloseTo(1.64);
+    expect(stored.gas.price).toBeCloseTo(1.621);
+    expect(stored.grades).toEqual(stored.zones[1]);
+  });
+
+  it('new format: zones is null when not given', async () => {
+    await workerExports.default.fetch(makeReq(newFormat, 'test-secret'));
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.zones).toBeNull();
+  });
+
+  it('new format: 400 unknown zone', async () => {
+    const res = await workerExports.default.fetch(
+      makeReq({ zones: { 9: { regular: { direction: 'up' } } } }, 'test-secret')
+    );
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toContain('Unknown zone "9"');
+  });
+
+  it('new format: 400 invalid direction inside a zone', async () => {
+    const res = await workerExports.default.fetch(
+      makeReq({ zones: { 6: { diesel: { direction: 'sideways' } } } }, 'test-secret')
+    );
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toContain('zones.6.diesel.direction');
+  });
+
+  it('new format: 400 invalid kind', async () => {
+    const res = await workerExports.default.fetch(
+      makeReq({ ...newFormat, kind: 'monthly' }, 'test-secret')
+    );
+    expect(res.status).toBe(400);
+  });
+
+  it('interrupter amends the weekly prediction instead of replacing it', async () => {
+    await workerExports.default.fetch(makeReq(newFormat, 'test-secret'));
+    await workerExports.default.fetch(
+      makeReq(
+        { kind: 'interrupter', gas: { direction: 'up', adjustment: 6.3, price: 1.684 } },
+        'test-secret'
+      )
+    );
+    const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(latest.kind).toBe('weekly');
+    expect(latest.gas.price).toBeCloseTo(1.621);
+    expect(latest.interrupters).toHaveLength(1);
+    expect(latest.interrupters[0].gas.price).toBeCloseTo(1.684);
+    expect(latest.interrupters[0].amends.updated_at).toBe(latest.updated_at);
+    expect(latest.interrupters[0].effective_at).toMatch(/T0[34]:01:00/);
+
+    const history = await storedHistory();
+    expect(history.map((h) => h.kind)).toEqual(['interrupter', 'weekly']);
+  });
+
+  it('interrupter with no weekly prediction becomes latest', async () => {
+    await workerExports.default.fetch(
+      makeReq({ kind: 'interrupter', gas: { direction: 'down', price: 1.6 } }, 'test-secret')
+    );
+    const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(latest.kind).toBe('interrupter');
+    expect(latest.amends).toBeNull();
+  });
+
+  it('next weekly prediction clears the interrupters', async () => {
+    await workerExports.default.fetch(makeReq(newFormat, 'test-secret'));
+    await workerExports.default.fetch(
+      makeReq({ kind: 'interrupter', gas: { direction: 'up', price: 1.684 } }, 'test-secret')
+    );
+    await workerExports.default.fetch(makeReq(newFormat, 'test-secret'));
+    const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(latest.interrupters).toBeUndefined();
+  });
+
   it('notes absent → null', async () => {
     const { notes: _, ...noNotes } = newFormat;
     await workerExports.default.fetch(makeReq(noNotes, 'test-secret'));
@@ -1442,10 +4488,17 @@ describe('POST /webhook', () => {
 describe('scheduled()', () => {
   beforeEach(async () => {
     await env.PREDICTIONS.delete('latest_prediction');
-    await env.PREDICTIONS.delete('prediction_history');
+    await clearHistory();
     await env.PREDICTIONS.delete('last_processed_post_id');
     await env.PREDICTIONS.delete('latest_image_key');
     await env.PREDICTIONS.delete('latest_image_prompt');
+    await env.PREDICTIONS.delete('reddit_backoff_until');
+    await env.PREDICTIONS.delete('reddit_fetch_status');
+    await env.PREDICTIONS.delete('cron_runs');
+    for (const prefix of ['processed_post:', 'reddit_feed_cache:']) {
+      const { keys } = await env.PREDICTIONS.list({ prefix });
+      await Promise.all(keys.map((k) => env.PREDICTIONS.delete(k.name)));
+    }
   });
 
   // Post with table format (matches real /u/buckit posts)
@@ -1486,13 +4539,18 @@ describe('scheduled()', () => {
   }
 
   // Helper: build a fetch mock that discriminates by URL.
-  // new.rss → returns the buckit post listing as RSS; top.rss → returns community context posts.
-  function mockFetchForScheduled(post = null) {
+  // new.rss → returns the buckit post listing as RSS; /comments/… → the post's own feed
+  // (source post re-check); top.rss → returns community context posts.
+  function mockFetchForScheduled(post = null, replies = []) {
     const now = Math.floor(Date.now() / 1000);
     return vi.fn().mockImplementation((url) => {
       if (url.includes('new.rss')) {
         const xml = makeRssXml(post ? [post] : []);
-        return Promise.resolve({ ok: true, text: async () => xml });
+        return Promise.resolve(new Response(xml));
+      }
+      if (url.includes('/comments/')) {
+        const xml = makeRssXml(post ? [post, ...replies] : []);
+        return Promise.resolve(new Response(xml));
       }
       // top.rss (community context) — return a couple of sample titles
       const xml = makeRssXml([
@@ -1511,7 +4569,7 @@ describe('scheduled()', () => {
           created_utc: now,
         },
       ]);
-      return Promise.resolve({ ok: true, text: async () => xml });
+      return Promise.resolve(new Response(xml));
     });
   }
 
@@ -1562,7 +4620,7 @@ describe('scheduled()', () => {
     expect(await env.PREDICTIONS.get('last_processed_post_id')).toBe('abc123');
   });
 
-  it('caps history at MAX_HISTORY', async () => {
+  it('keeps history beyond MAX_HISTORY in D1', async () => {
     const existing = Array.from({ length: 10 }, (_, i) => ({
       gas: { direction: 'up', price: 1.5 + i * 0.01 },
       diesel: null,
@@ -1572,8 +4630,25 @@ describe('scheduled()', () => {
     const e = envWithAI();
     global.fetch = mockFetchForScheduled(tablePost());
     await worker.scheduled({}, e, {});
+    const history = await storedHistory();
+    expect(history.length).toBe(11);
+    expect(history[0].post_id).toBe('abc123');
+  });
+
+  it('caps the KV history at MAX_HISTORY without the HISTORY_DB binding', async () => {
+    const existing = Array.from({ length: 10 }, (_, i) => ({
+      gas: { direction: 'up', price: 1.5 + i * 0.01 },
+      diesel: null,
+      updated_at: new Date().toISOString(),
+    }));
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify(existing));
+    const e = { ...envWithAI(), HISTORY_DB: undefined, PREDICTION_STORE: undefined };
+    global.fetch = mockFetchForScheduled(tablePost());
+    await worker.scheduled({}, e, {});
     const history = JSON.parse(await env.PREDICTIONS.get('prediction_history'));
-    expect(history.length).toBe(10);
+    expect(history).toHaveLength(10);
+    expect(history[0].post_id).toBe('abc123');
+    expect(await storedHistory()).toEqual([]);
   });
 
   it('stores latest_image_prompt in KV when image generated', async () => {
@@ -1652,6 +4727,1028 @@ describe('scheduled()', () => {
     expect(await env.PREDICTIONS.get('latest_prediction')).not.toBeNull();
   });
 
+  it('interrupter post is stored as an event amending the weekly prediction', async () => {
+    const weekly = {
+      kind: 'weekly',
+      gas: { direction: 'down', adjustment: 1.2, price: 1.55 },
+      diesel: null,
+      source: 'reddit',
+      post_id: 'week1',
+      updated_at: '2024-11-14T17:00:00.000Z',
+    };
+    await env.PREDICTIONS.put('latest_prediction', JSON.stringify(weekly));
+    await env.PREDICTIONS.put('prediction_history', JSON.stringify([weekly]));
+    const createdUtc = Math.floor(Date.now() / 1000) - 3600;
+    const e = envWithAI();
+    global.fetch = mockFetchForScheduled(
+      tablePost({
+        id: 'int1',
+        title: 'Interrupter clause triggered - gas up',
+        created_utc: createdUtc,
+        selftext: '|Type|Adjustment|New Min Price|\n:--|:--|:--|\n|Regular| UP 6.3 |161.3|',
+      })
+    );
+    await worker.scheduled({}, e, {});
+
+    const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(latest.post_id).toBe('week1');
+    expect(latest.gas.price).toBeCloseTo(1.55);
+    const [event] = latest.interrupters;
+    expect(event.kind).toBe('interrupter');
+    expect(event.post_id).toBe('int1');
+    expect(event.amends).toEqual({ post_id: 'week1', updated_at: '2024-11-14T17:00:00.000Z' });
+    expect(event.triggered_at).toBe(new Date(createdUtc * 1000).toISOString());
+    expect(event.effective_at).toBe(interrupterEffectiveAt(event.triggered_at));
+
+    const history = await storedHistory();
+    expect(history).toHaveLength(2);
+    expect(history[0].post_id).toBe('int1');
+  });
+
+  it('weekly post is stored with kind weekly', async () => {
+    const e = envWithAI();
+    global.fetch = mockFetchForScheduled(tablePost());
+    await worker.scheduled({}, e, {});
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.kind).toBe('weekly');
+    expect(stored.triggered_at).toBeUndefined();
+  });
+
+  it('stores parser diagnostics with the prediction', async () => {
+    const e = envWithAI();
+    global.fetch = mockFetchForScheduled(tablePost());
+    await worker.scheduled({}, e, {});
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.diagnostics).toEqual({ strategy: 'markdown-table', confidence: 1, warnings: [] });
+  });
+
+  describe('low-confidence parses', () => {
+    beforeEach(async () => {
+      await clearPending();
+    });
+
+    const vaguePost = () =>
+      textPost({ title: 'Gas prices up, lower than last month', selftext: '' });
+
+    it('are held in pending_prediction instead of published', async () => {
+      const e = envWithAI();
+      global.fetch = mockFetchForScheduled(vaguePost());
+      await worker.scheduled({}, e, {});
+      expect(await env.PREDICTIONS.get('latest_prediction')).toBeNull();
+      const pending = JSON.parse(await env.PREDICTIONS.get('pending_prediction:abc123'));
+      expect(pending.held_reason).toBe('low_confidence');
+      expect(pending.post_id).toBe('abc123');
+      expect(pending.diagnostics.confidence).toBeLessThan(0.5);
+      expect(await env.PREDICTIONS.get('last_processed_post_id')).toBe('abc123');
+      expect(e.AI.run).not.toHaveBeenCalled();
+    });
+
+    it('include a direction guessed from a single keyword', async () => {
+      global.fetch = mockFetchForScheduled(
+        textPost({ title: 'Gas going lower this week', selftext: '' })
+      );
+      await worker.scheduled({}, envWithAI(), {});
+      expect(await env.PREDICTIONS.get('latest_prediction')).toBeNull();
+      const pending = JSON.parse(await env.PREDICTIONS.get('pending_prediction:abc123'));
+      expect(pending).toMatchObject({ held_reason: 'low_confidence', gas: { direction: 'down' } });
+    });
+
+    it('leave the published prediction untouched', async () => {
+      await env.PREDICTIONS.put('latest_prediction', JSON.stringify({ post_id: 'prev' }));
+      global.fetch = mockFetchForScheduled(vaguePost());
+      await worker.scheduled({}, envWithAI(), {});
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('prev');
+    });
+
+    it('threshold is configurable with MIN_PARSE_CONFIDENCE', async () => {
+      global.fetch = mockFetchForScheduled(vaguePost());
+      await worker.scheduled({}, { ...envWithAI(), MIN_PARSE_CONFIDENCE: '0' }, {});
+      expect(await env.PREDICTIONS.get('pending_prediction:abc123')).toBeNull();
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('abc123');
+    });
+
+    it('clean free-text posts are still published', async () => {
+      global.fetch = mockFetchForScheduled(textPost());
+      await worker.scheduled({}, envWithAI(), {});
+      expect(await env.PREDICTIONS.get('pending_prediction:abc123')).toBeNull();
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).diagnostics.strategy).toBe(
+        'free-text'
+      );
+    });
+  });
+
+  describe('implausible prices', () => {
+    beforeEach(async () => {
+      await clearPending();
+    });
+
+    it('are quarantined in pending_prediction with their anomalies', async () => {
+      const e = envWithAI();
+      global.fetch = mockFetchForScheduled(
+        tablePost({ selftext: '|Type|Adjustment|New Min Price|\n|Regular| UP 3.6 |1621|' })
+      );
+      await worker.scheduled({}, e, {});
+      expect(await env.PREDICTIONS.get('latest_prediction')).toBeNull();
+      const pending = JSON.parse(await env.PREDICTIONS.get('pending_prediction:abc123'));
+      expect(pending.held_reason).toBe('anomaly');
+      expect(pending.anomalies[0]).toContain('outside');
+      expect(await env.PREDICTIONS.get('last_processed_post_id')).toBe('abc123');
+      expect(e.AI.run).not.toHaveBeenCalled();
+
+      const [run] = JSON.parse(await env.PREDICTIONS.get('cron_runs'));
+      const [entry] = await readAudit(env, { request_id: run.id });
+      expect(entry).toMatchObject({ action: 'hold', actor: 'cron', post_id: 'abc123' });
+    });
+
+    it('are checked against the published prediction', async () => {
+      await env.PREDICTIONS.put(
+        'latest_prediction',
+        JSON.stringify({
+          post_id: 'prev',
+          gas: { direction: 'up', adjustment: 1, price: 1.3 },
+          diesel: null,
+        })
+      );
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      const pending = JSON.parse(await env.PREDICTIONS.get('pending_prediction:abc123'));
+      expect(pending.anomalies).toContain('Regular moved +32.1¢ from $1.300/L (max 25¢)');
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('prev');
+    });
+
+    it('limits are configurable', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, { ...envWithAI(), PRICE_MAX: '1.60' }, {});
+      const pending = JSON.parse(await env.PREDICTIONS.get('pending_prediction:abc123'));
+      expect(pending.anomalies).toEqual(['Regular price $1.621/L is outside $0.50–$1.60']);
+    });
+  });
+
+  describe('Reddit fetching', () => {
+    const feedUrl = 'https://www.reddit.com/r/halifax/new.rss?limit=100';
+    const status = async () => JSON.parse(await env.PREDICTIONS.get('reddit_fetch_status'));
+    // Serve new.rss from `responses` in turn (the last one repeats); other feeds as usual
+    function mockFeed(...responses) {
+      const others = mockFetchForScheduled(tablePost());
+      let i = 0;
+      return vi.fn().mockImplementation((url, init) => {
+        if (!url.includes('new.rss')) return others(url, init);
+        const next = responses[Math.min(i++, responses.length - 1)];
+        return next instanceof Error ? Promise.reject(next) : Promise.resolve(next());
+      });
+    }
+    const ok =
+      (headers = {}) =>
+      () =>
+        new Response(makeRssXml([tablePost()]), { status: 200, headers });
+    const bare =
+      (code, headers = {}) =>
+      () =>
+        new Response(null, { status: code, headers });
+    const newRssCalls = () => global.fetch.mock.calls.filter(([url]) => url === feedUrl);
+
+    it('records a found post and a feed with no post', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      expect(await status()).toMatchObject({ outcome: 'post_found', post_id: 'abc123' });
+      global.fetch = mockFetchForScheduled(null);
+      await worker.scheduled({}, envWithAI(), {});
+      expect(await status()).toMatchObject({ outcome: 'no_post', http_status: 200 });
+    });
+
+    it('stores the ETag and Last-Modified and sends them back', async () => {
+      const validators = { etag: '"v1"', 'last-modified': 'Thu, 18 Jun 2026 17:00:00 GMT' };
+      global.fetch = mockFeed(ok(validators));
+      await worker.scheduled({}, envWithAI(), {});
+      const cache = JSON.parse(await env.PREDICTIONS.get('reddit_feed_cache:halifax'));
+      expect(cache).toMatchObject({ etag: '"v1"', last_modified: validators['last-modified'] });
+      expect(cache.posts.map((p) => p.id)).toEqual(['abc123']);
+
+      global.fetch = mockFeed(bare(304));
+      await worker.scheduled({}, envWithAI(), {});
+      expect(newRssCalls()[0][1].headers).toMatchObject({
+        'If-None-Match': '"v1"',
+        'If-Modified-Since': validators['last-modified'],
+      });
+      expect(await status()).toMatchObject({ outcome: 'not_modified', http_status: 304 });
+    });
+
+    it('a 304 carries on with the cached post', async () => {
+      await env.PREDICTIONS.put(
+        'reddit_feed_cache:halifax',
+        JSON.stringify({ etag: '"v1"', last_modified: null, posts: [tablePost()] })
+      );
+      global.fetch = mockFeed(bare(304));
+      await worker.scheduled({}, envWithAI(), {});
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('abc123');
+    });
+
+    it('a 429 backs off for its Retry-After and skips the next runs', async () => {
+      global.fetch = mockFeed(bare(429, { 'retry-after': '120' }));
+      const before = Date.now();
+      await worker.scheduled({}, envWithAI(), {});
+      const limited = await status();
+      expect(limited).toMatchObject({ outcome: 'rate_limited', http_status: 429 });
+      const until = Date.parse(await env.PREDICTIONS.get('reddit_backoff_until'));
+      expect(until).toBeGreaterThanOrEqual(before + 120000);
+      expect(until).toBeLessThan(before + 130000);
+      expect(newRssCalls()).toHaveLength(1); // a 429 is never retried
+
+      global.fetch = mockFeed(ok());
+      await worker.scheduled({}, envWithAI(), {});
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(await status()).toMatchObject({
+        outcome: 'backoff',
+        backoff_until: limited.backoff_until,
+      });
+    });
+
+    it('a 429 without Retry-After backs off for 10 minutes', async () => {
+      global.fetch = mockFeed(bare(429));
+      const before = Date.now();
+      await worker.scheduled({}, envWithAI(), {});
+      const until = Date.parse(await env.PREDICTIONS.get('reddit_backoff_until'));
+      expect(until).toBeGreaterThanOrEqual(before + 600000);
+    });
+
+    it('retries transient 5xx errors', async () => {
+      global.fetch = mockFeed(bare(503), bare(502), ok());
+      await worker.scheduled({}, envWithAI(), {});
+      expect(newRssCalls()).toHaveLength(3);
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('abc123');
+    });
+
+    it('gives up after four attempts and records the failure', async () => {
+      global.fetch = mockFeed(bare(500));
+      await worker.scheduled({}, envWithAI(), {});
+      expect(newRssCalls()).toHaveLength(4);
+      expect(await status()).toMatchObject({ outcome: 'failed', http_status: 500 });
+    });
+
+    it('retries network errors and records the last one', async () => {
+      global.fetch = mockFeed(new Error('connection reset'));
+      await expect(worker.scheduled({}, envWithAI(), {})).resolves.toBeUndefined();
+      expect(newRssCalls()).toHaveLength(4);
+      expect(await status()).toMatchObject({ outcome: 'failed', error: 'connection reset' });
+    });
+
+    it('does not retry beyond the time budget', async () => {
+      global.fetch = mockFeed(bare(503), ok());
+      await worker.scheduled(
+        {},
+        { ...envWithAI(), REDDIT_RETRY_BASE_MS: '1000', REDDIT_FETCH_BUDGET_MS: '0' },
+        {}
+      );
+      expect(newRssCalls()).toHaveLength(1);
+      expect(await status()).toMatchObject({ outcome: 'failed', http_status: 503 });
+    });
+
+    it('records a 403 as blocked', async () => {
+      global.fetch = mockFeed(bare(403));
+      await worker.scheduled({}, envWithAI(), {});
+      expect(newRssCalls()).toHaveLength(1);
+      expect(await status()).toMatchObject({ outcome: 'blocked', http_status: 403 });
+    });
+  });
+
+  describe('run journal', () => {
+    const runs = async () => JSON.parse(await env.PREDICTIONS.get('cron_runs'));
+
+    it('records a published run', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({ cron: '0 * * * 4' }, envWithAI(), {});
+      const [run] = await runs();
+      expect(run).toMatchObject({
+        cron: '0 * * * 4',
+        outcome: 'published',
+        fetch: 'post_found',
+        chosen: { post_id: 'abc123', source_id: 'halifax/buckit', revision: 1 },
+        parse: { kind: 'weekly', strategy: 'markdown-table', confidence: 1, warnings: [] },
+        image: { outcome: 'generated', key: 'images/abc123.png' },
+        errors: [],
+      });
+      expect(run.candidates).toEqual([
+        expect.objectContaining({ post_id: 'abc123', author: 'buckit' }),
+      ]);
+      expect(Date.parse(run.finished_at)).toBeGreaterThanOrEqual(Date.parse(run.started_at));
+      expect(run.duration_ms).toBeGreaterThanOrEqual(0);
+    });
+
+    it('audit-logs the publish under the run id', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      const [run] = await runs();
+      const [entry] = await readAudit(env, { request_id: run.id });
+      expect(entry).toMatchObject({
+        action: 'publish',
+        actor: 'cron',
+        entry_point: 'cron',
+        post_id: 'abc123',
+      });
+      expect(entry.current.post_id).toBe('abc123');
+    });
+
+    it('records a dedup skip, newest run first', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      await worker.scheduled({}, envWithAI(), {});
+      const [second, first] = await runs();
+      expect(first.outcome).toBe('published');
+      expect(second).toMatchObject({ outcome: 'skipped', cron: null, parse: null, image: null });
+    });
+
+    it('records a run with no post', async () => {
+      global.fetch = mockFetchForScheduled(null);
+      await worker.scheduled({}, envWithAI(), {});
+      expect((await runs())[0]).toMatchObject({
+        outcome: 'no_post',
+        fetch: 'no_post',
+        candidates: [],
+        chosen: null,
+      });
+    });
+
+    it('records a held parse', async () => {
+      global.fetch = mockFetchForScheduled(
+        tablePost({ selftext: 'Gas going up about 2 cents this week' })
+      );
+      await worker.scheduled({}, { ...envWithAI(), MIN_PARSE_CONFIDENCE: '0.9' }, {});
+      expect((await runs())[0]).toMatchObject({
+        outcome: 'held',
+        parse: { strategy: 'free-text', held_reason: 'low_confidence' },
+      });
+    });
+
+    it('records a failed image and feed errors', async () => {
+      const sources = JSON.stringify([
+        { subreddit: 'halifax', author: 'buckit', priority: 1 },
+        { subreddit: 'novascotia', author: 'buckit' },
+      ]);
+      const others = mockFetchForScheduled(tablePost());
+      global.fetch = vi
+        .fn()
+        .mockImplementation((url, init) =>
+          url.includes('/r/novascotia/new.rss')
+            ? Promise.resolve(new Response(null, { status: 403 }))
+            : others(url, init)
+        );
+      const failingAI = { run: vi.fn().mockRejectedValue(new Error('model overloaded')) };
+      await worker.scheduled({}, { ...envWithAI(), AI: failingAI, REDDIT_SOURCES: sources }, {});
+      const [run] = await runs();
+      expect(run.outcome).toBe('published');
+      expect(run.image).toEqual({ outcome: 'failed' });
+      expect(run.errors).toEqual([
+        'r/novascotia: blocked (403)',
+        'Image generation failed: model overloaded',
+      ]);
+    });
+
+    it('records a backoff', async () => {
+      await env.PREDICTIONS.put('reddit_backoff_until', new Date(Date.now() + 60000).toISOString());
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      expect((await runs())[0]).toMatchObject({ outcome: 'backoff', fetch: 'backoff' });
+    });
+
+    it('records an error and rethrows it', async () => {
+      const failingStore = {
+        idFromName: (name) => name,
+        get: () => ({ commit: () => Promise.reject(new Error('KV unavailable')) }),
+      };
+      global.fetch = mockFetchForScheduled(tablePost());
+      await expect(
+        worker.scheduled({}, { ...envWithAI(), PREDICTION_STORE: failingStore }, {})
+      ).rejects.toThrow('KV unavailable');
+      expect((await runs())[0]).toMatchObject({ outcome: 'error', errors: ['KV unavailable'] });
+    });
+
+    it('keeps the newest MAX_RUNS runs', async () => {
+      global.fetch = mockFetchForScheduled(null);
+      for (let i = 0; i < 3; i++) {
+        await worker.scheduled({}, { ...envWithAI(), MAX_RUNS: '2' }, {});
+      }
+      expect(await runs()).toHaveLength(2);
+    });
+  });
+
+  describe('dry run', () => {
+    // Every KV key a real scan would write
+    const written = [
+      'latest_prediction',
+      'prediction_history',
+      'last_processed_post_id',
+      'latest_image_key',
+      'latest_image_prompt',
+      'pending_prediction:abc123',
+      'reddit_fetch_status',
+      'reddit_feed_cache:halifax',
+      'cron_runs',
+      'processed_post:abc123',
+    ];
+    const snapshot = () =>
+      Promise.all([...written.map((key) => env.PREDICTIONS.get(key)), storedHistory()]);
+
+    beforeEach(async () => {
+      await clearPending();
+    });
+
+    it('returns the would-be prediction, post and prompt without side effects', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      const testEnv = envWithAI();
+      const before = await snapshot();
+      const result = await dryRunScan(testEnv);
+      expect(await snapshot()).toEqual(before);
+      expect(testEnv.AI.run).not.toHaveBeenCalled();
+      expect(testEnv.IMAGES.put).not.toHaveBeenCalled();
+
+      expect(result).toMatchObject({
+        dry_run: true,
+        outcome: 'would_publish',
+        fetch: 'post_found',
+        already_processed: false,
+        held_reason: null,
+        post: { id: 'abc123', author: 'buckit', source_id: 'halifax/buckit' },
+        prediction: {
+          post_id: 'abc123',
+          revision: 1,
+          gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
+        },
+      });
+      expect(result.candidates.map((c) => c.post_id)).toEqual(['abc123']);
+      expect(result.image_prompt).toContain('going UP');
+      expect(result.image_prompt).toContain('Pothole on Quinpool');
+    });
+
+    it('still parses an already-processed post', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      const result = await dryRunScan(envWithAI());
+      expect(result).toMatchObject({ outcome: 'would_skip', already_processed: true });
+      expect(result.prediction.gas.price).toBe(1.621);
+    });
+
+    it('reports a parse that would be held', async () => {
+      global.fetch = mockFetchForScheduled(tablePost({ selftext: '|Regular| UP 3.6 |16.21|' }));
+      const result = await dryRunScan(envWithAI());
+      expect(result.outcome).toBe('would_hold');
+      expect(result.held_reason).toBeTruthy();
+      expect(await env.PREDICTIONS.get('pending_prediction:abc123')).toBeNull();
+    });
+
+    it('leaves a pending history migration for the next real run', async () => {
+      const legacy = [{ kind: 'weekly', post_id: 'old1', gas: { price: 1.5 }, diesel: null }];
+      await env.PREDICTIONS.put('prediction_history', JSON.stringify(legacy));
+      global.fetch = mockFetchForScheduled(tablePost());
+      expect((await dryRunScan(envWithAI())).outcome).toBe('would_publish');
+      expect(await storedHistory()).toEqual([]);
+      expect(JSON.parse(await env.PREDICTIONS.get('prediction_history'))).toEqual(legacy);
+    });
+
+    it('reports no post, and honours a backoff without fetching', async () => {
+      global.fetch = mockFetchForScheduled(null);
+      expect((await dryRunScan(envWithAI())).outcome).toBe('no_post');
+
+      await env.PREDICTIONS.put('reddit_backoff_until', new Date(Date.now() + 60000).toISOString());
+      global.fetch = mockFetchForScheduled(tablePost());
+      expect((await dryRunScan(envWithAI())).outcome).toBe('backoff');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('is served at POST /api/scan/dry-run behind the webhook secret', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      const req = (secret) =>
+        new Request('https://hfxgas.ca/api/scan/dry-run', {
+          method: 'POST',
+          headers: { authorization: `Bearer ${secret}` },
+        });
+      expect((await workerExports.default.fetch(req('wrong'))).status).toBe(401);
+      const res = await workerExports.default.fetch(req('test-secret'));
+      expect(res.status).toBe(200);
+      expect(await res.json()).toMatchObject({ dry_run: true, outcome: 'would_publish' });
+      expect(await env.PREDICTIONS.get('latest_prediction')).toBeNull();
+    });
+  });
+
+  describe('watch list', () => {
+    // Serve each subreddit's new.rss from `feeds` (missing → empty); other URLs as usual
+    function mockFeeds(feeds) {
+      const others = mockFetchForScheduled(tablePost());
+      return vi.fn().mockImplementation((url, init) => {
+        const sub = url.match(/\/r\/(\w+)\/new\.rss/)?.[1];
+        if (!sub) return others(url, init);
+        const feed = feeds[sub];
+        if (typeof feed === 'number') return Promise.resolve(new Response(null, { status: feed }));
+        return Promise.resolve(new Response(makeRssXml(feed ?? []), { status: 200 }));
+      });
+    }
+    const watch = (sources) => ({ ...envWithAI(), REDDIT_SOURCES: JSON.stringify(sources) });
+    const crossPost = (overrides = {}) =>
+      tablePost({
+        id: 'ns1',
+        permalink: '/r/novascotia/comments/ns1/gas_prices/',
+        subreddit: 'novascotia',
+        ...overrides,
+      });
+    const latest = async () => JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+
+    it('records the default source on the prediction', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      expect((await latest()).reddit_source).toEqual({
+        id: 'halifax/buckit',
+        subreddit: 'halifax',
+        author: 'buckit',
+      });
+    });
+
+    it('picks up a cross-post when the primary subreddit has nothing', async () => {
+      const watchEnv = watch([
+        { subreddit: 'halifax', author: 'buckit', priority: 10 },
+        { subreddit: 'novascotia', author: 'buckit' },
+      ]);
+      global.fetch = mockFeeds({ halifax: [], novascotia: [crossPost()] });
+      await worker.scheduled({}, watchEnv, {});
+      const p = await latest();
+      expect(p.post_id).toBe('ns1');
+      expect(p.reddit_source.id).toBe('novascotia/buckit');
+      const status = JSON.parse(await env.PREDICTIONS.get('reddit_fetch_status'));
+      expect(status).toMatchObject({
+        outcome: 'post_found',
+        subreddit: 'novascotia',
+        post_id: 'ns1',
+        source_id: 'novascotia/buckit',
+      });
+      expect(status.feeds.halifax.outcome).toBe('no_post');
+    });
+
+    it('prefers the higher-priority source over a newer post', async () => {
+      const watchEnv = watch([
+        { subreddit: 'halifax', author: 'backupcaster', priority: 1 },
+        { subreddit: 'halifax', author: 'buckit', priority: 5 },
+      ]);
+      const backup = tablePost({
+        id: 'bk1',
+        author: 'backupcaster',
+        created_utc: Math.floor(Date.now() / 1000) - 60,
+      });
+      global.fetch = mockFeeds({ halifax: [backup, tablePost()] });
+      await worker.scheduled({}, watchEnv, {});
+      expect((await latest()).post_id).toBe('abc123');
+      // One request per subreddit, however many sources watch it
+      const feedCalls = global.fetch.mock.calls.filter(([url]) => url.includes('new.rss'));
+      expect(feedCalls).toHaveLength(1);
+    });
+
+    it('falls back to a backup forecaster', async () => {
+      const watchEnv = watch([
+        { subreddit: 'halifax', author: 'buckit', priority: 5 },
+        { subreddit: 'halifax', author: 'backupcaster', title_pattern: 'forecast' },
+      ]);
+      const backup = tablePost({ id: 'bk1', author: 'backupcaster', title: 'Weekly forecast' });
+      global.fetch = mockFeeds({ halifax: [backup] });
+      await worker.scheduled({}, watchEnv, {});
+      const p = await latest();
+      expect(p.post_id).toBe('bk1');
+      expect(p.reddit_source.author).toBe('backupcaster');
+    });
+
+    it("moves on to a lower-priority source when the primary's post is already processed", async () => {
+      const watchEnv = watch([
+        { subreddit: 'halifax', author: 'buckit', priority: 10 },
+        { subreddit: 'novascotia', author: 'buckit' },
+      ]);
+      global.fetch = mockFeeds({ halifax: [tablePost()] });
+      await worker.scheduled({}, watchEnv, {});
+      expect((await latest()).post_id).toBe('abc123');
+
+      global.fetch = mockFeeds({
+        halifax: [tablePost()],
+        novascotia: [crossPost({ created_utc: Math.floor(Date.now() / 1000) })],
+      });
+      await worker.scheduled({}, watchEnv, {});
+      const [run] = JSON.parse(await env.PREDICTIONS.get('cron_runs'));
+      expect(run.chosen).toMatchObject({ post_id: 'ns1', source_id: 'novascotia/buckit' });
+      expect(run.outcome).not.toBe('skipped');
+    });
+
+    it('still skips when every source has only processed posts', async () => {
+      global.fetch = mockFeeds({ halifax: [tablePost()] });
+      await worker.scheduled({}, envWithAI(), {});
+      await worker.scheduled({}, envWithAI(), {});
+      const [run] = JSON.parse(await env.PREDICTIONS.get('cron_runs'));
+      expect(run).toMatchObject({ outcome: 'skipped', chosen: { post_id: 'abc123' } });
+    });
+
+    it('still uses a healthy feed when another is blocked', async () => {
+      const watchEnv = watch([
+        { subreddit: 'halifax', author: 'buckit', priority: 10 },
+        { subreddit: 'novascotia', author: 'buckit' },
+      ]);
+      global.fetch = mockFeeds({ halifax: 403, novascotia: [crossPost()] });
+      await worker.scheduled({}, watchEnv, {});
+      expect((await latest()).post_id).toBe('ns1');
+      const status = JSON.parse(await env.PREDICTIONS.get('reddit_fetch_status'));
+      expect(status.feeds.halifax).toMatchObject({ outcome: 'blocked', http_status: 403 });
+    });
+
+    it('records the failing feed when no source has a post', async () => {
+      const watchEnv = watch([
+        { subreddit: 'halifax', author: 'buckit', priority: 10 },
+        { subreddit: 'novascotia', author: 'buckit' },
+      ]);
+      global.fetch = mockFeeds({ halifax: [], novascotia: 403 });
+      await worker.scheduled({}, watchEnv, {});
+      expect(await env.PREDICTIONS.get('latest_prediction')).toBeNull();
+      expect(JSON.parse(await env.PREDICTIONS.get('reddit_fetch_status'))).toMatchObject({
+        outcome: 'blocked',
+        subreddit: 'novascotia',
+        post_id: null,
+      });
+    });
+
+    it('reads REDDIT_SOURCES', async () => {
+      const sources = JSON.stringify([{ subreddit: 'novascotia', author: 'buckit' }]);
+      global.fetch = mockFeeds({ novascotia: [crossPost()] });
+      await worker.scheduled({}, { ...envWithAI(), REDDIT_SOURCES: sources }, {});
+      expect((await latest()).post_id).toBe('ns1');
+    });
+
+    it('ignores an invalid REDDIT_SOURCES', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, { ...envWithAI(), REDDIT_SOURCES: '[{"subreddit":"x"}]' }, {});
+      expect((await latest()).reddit_source.id).toBe('halifax/buckit');
+    });
+
+    it("labels the backup forecaster's updates with their name", async () => {
+      const watchEnv = watch([{ subreddit: 'halifax', author: 'backupcaster' }]);
+      const backup = tablePost({ author: 'backupcaster' });
+      const reply = {
+        id: 'c1',
+        comment: true,
+        author: 'backupcaster',
+        title: 'Re: gas',
+        selftext: 'Heads up, stations are slow to update.',
+        permalink: '/r/halifax/comments/abc123/gas_prices/c1/',
+        created_utc: Math.floor(Date.now() / 1000),
+      };
+      global.fetch = mockFetchForScheduled(backup, [reply]);
+      await worker.scheduled({}, watchEnv, {});
+      expect((await latest()).updates).toHaveLength(1);
+      const html = await (await workerExports.default.fetch('https://hfxgas.ca/')).text();
+      expect(html).toContain('Updates from u/backupcaster');
+    });
+  });
+
+  describe('source post re-check', () => {
+    const published = {
+      kind: 'weekly',
+      gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
+      diesel: null,
+      source: 'reddit',
+      post_id: 'abc123',
+      post_url: 'https://www.reddit.com/r/halifax/comments/abc123/gas_prices/',
+      updated_at: '2024-11-14T17:00:00.000Z',
+    };
+    beforeEach(async () => {
+      await env.PREDICTIONS.put('latest_prediction', JSON.stringify(published));
+      await env.PREDICTIONS.put('prediction_history', JSON.stringify([published]));
+      await env.PREDICTIONS.put('last_processed_post_id', 'abc123');
+    });
+
+    it('retracts the prediction when the post was removed', async () => {
+      global.fetch = mockFetchForScheduled(tablePost({ selftext: '[removed]' }));
+      await worker.scheduled({}, envWithAI(), {});
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.retracted).toBe(true);
+      expect(latest.retraction_reason).toBe('removed');
+      expect(latest.retracted_at).toBeTruthy();
+      const [entry] = await storedHistory();
+      expect(entry.retracted).toBe(true);
+    });
+
+    it('retracts the prediction when the post vanished from Reddit', async () => {
+      global.fetch = mockFetchForScheduled(null);
+      await worker.scheduled({}, envWithAI(), {});
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.retraction_reason).toBe('vanished');
+    });
+
+    it('leaves a live post alone', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction'))).not.toHaveProperty(
+        'retracted'
+      );
+    });
+
+    it('lifts the retraction when the post is back', async () => {
+      await env.PREDICTIONS.put(
+        'latest_prediction',
+        JSON.stringify({ ...published, retracted: true, retraction_reason: 'removed' })
+      );
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).retracted).toBe(false);
+    });
+
+    it('does not check webhook predictions', async () => {
+      await env.PREDICTIONS.put(
+        'latest_prediction',
+        JSON.stringify({ ...published, source: 'webhook' })
+      );
+      global.fetch = mockFetchForScheduled(null);
+      await worker.scheduled({}, envWithAI(), {});
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction'))).not.toHaveProperty(
+        'retracted'
+      );
+    });
+  });
+
+  describe('author replies', () => {
+    const reply = (id, selftext, overrides = {}) => ({
+      id,
+      comment: true,
+      author: 'buckit',
+      title: '/u/buckit on Gas prices this week',
+      selftext,
+      permalink: `/r/halifax/comments/abc123/gas_prices/${id}/`,
+      created_utc: Math.floor(Date.now() / 1000) - 1800,
+      ...overrides,
+    });
+    const correctedTable =
+      'Typo in the post:\n\n|Type|Adjustment|New Min Price|\n:--|:--|:--|\n|Regular| UP 4.6 |163.1|';
+
+    it('attaches replies as updates without changing the numbers', async () => {
+      global.fetch = mockFetchForScheduled(tablePost(), [
+        reply('c1', '<p>Diesel might move again Tuesday.</p>'),
+      ]);
+      await worker.scheduled({}, envWithAI(), {});
+
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.gas.price).toBeCloseTo(1.621);
+      expect(latest.updates).toEqual([
+        expect.objectContaining({
+          comment_id: 'c1',
+          text: 'Diesel might move again Tuesday.',
+          url: 'https://www.reddit.com/r/halifax/comments/abc123/gas_prices/c1/',
+          amended: false,
+        }),
+      ]);
+      const [entry] = await storedHistory();
+      expect(entry.updates).toHaveLength(1);
+    });
+
+    it('ignores replies from other users', async () => {
+      global.fetch = mockFetchForScheduled(tablePost(), [
+        reply('c1', '<p>Thanks buckit!</p>', { author: 'someone_else' }),
+      ]);
+      await worker.scheduled({}, envWithAI(), {});
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction'))).not.toHaveProperty(
+        'updates'
+      );
+    });
+
+    it('does not attach the same reply twice', async () => {
+      global.fetch = mockFetchForScheduled(tablePost(), [reply('c1', '<p>Diesel too.</p>')]);
+      await worker.scheduled({}, envWithAI(), {});
+      await worker.scheduled({}, envWithAI(), {});
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.updates).toHaveLength(1);
+    });
+
+    it('a corrected table amends the numbers as a new revision', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      global.fetch = mockFetchForScheduled(tablePost(), [reply('c2', correctedTable)]);
+      await worker.scheduled({}, envWithAI(), {});
+
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.gas.price).toBeCloseTo(1.631);
+      expect(latest.grades.diesel.price).toBeCloseTo(1.544); // untouched by the correction
+      expect(latest.revision).toBe(2);
+      expect(latest.amended_by).toBe('c2');
+      expect(latest.updates[0].amended).toBe(true);
+      const [entry] = await storedHistory();
+      expect(entry.revisions[0].gas.price).toBeCloseTo(1.621);
+      expect(JSON.parse(await env.PREDICTIONS.get('processed_post:abc123')).revision).toBe(2);
+    });
+
+    it('a correction to a post a newer week replaced only amends its history entry', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      const newer = {
+        kind: 'weekly',
+        post_id: 'new1',
+        source: 'reddit',
+        gas: { direction: 'down', adjustment: 2, price: 1.601 },
+        diesel: null,
+        effective_at: new Date(Date.now() + 14 * 86400000).toISOString(),
+      };
+      await writePrediction(newer, env);
+
+      global.fetch = mockFetchForScheduled(tablePost(), [reply('c2', correctedTable)]);
+      await worker.scheduled({}, envWithAI(), {});
+
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.post_id).toBe('new1');
+      expect(latest.gas.price).toBeCloseTo(1.601);
+      const entry = (await storedHistory()).find((h) => h.post_id === 'abc123');
+      expect(entry.gas.price).toBeCloseTo(1.631);
+      expect(entry.revision).toBe(2);
+      expect(entry.amended_by).toBe('c2');
+    });
+
+    it('holds an implausible correction for review', async () => {
+      global.fetch = mockFetchForScheduled(tablePost(), [
+        reply('c3', '|Type|Adjustment|New Min Price|\n:--|:--|:--|\n|Regular| UP 3.6 |1621|'),
+      ]);
+      await worker.scheduled({}, envWithAI(), {});
+
+      const pending = JSON.parse(await env.PREDICTIONS.get('pending_prediction:abc123'));
+      expect(pending.held_reason).toBe('anomaly');
+      expect(pending.amended_by).toBe('c3');
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.gas.price).toBeCloseTo(1.621);
+      expect(latest.updates[0].amended).toBe(false);
+
+      const [run] = JSON.parse(await env.PREDICTIONS.get('cron_runs'));
+      const entries = await readAudit(env, { request_id: run.id });
+      expect(entries.find((e) => e.action === 'hold')).toMatchObject({
+        actor: 'cron',
+        entry_point: 'cron',
+        post_id: 'abc123',
+        current: { amended_by: 'c3', held_reason: 'anomaly' },
+      });
+    });
+
+    it('keeps updates when the post itself is edited later', async () => {
+      global.fetch = mockFetchForScheduled(tablePost(), [reply('c1', '<p>Diesel too.</p>')]);
+      await worker.scheduled({}, envWithAI(), {});
+      global.fetch = mockFetchForScheduled(tablePost({ selftext: correctedTable }), [
+        reply('c1', '<p>Diesel too.</p>'),
+      ]);
+      await worker.scheduled({}, envWithAI(), {});
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.revision).toBe(2);
+      expect(latest.updates).toHaveLength(1);
+    });
+  });
+
+  describe('edited posts', () => {
+    const edited = (overrides = {}) =>
+      tablePost({
+        selftext:
+          '|Type|Adjustment|New Min Price|\n:--|:--|:--|\n|Regular| UP 4.6 |163.1|\n|Diesel| DOWN 0.7 |154.4|\nFill up tonight.',
+        ...overrides,
+      });
+
+    it('an unchanged post is skipped', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      const e = envWithAI();
+      await worker.scheduled({}, e, {});
+      expect(e.AI.run).not.toHaveBeenCalled();
+      expect(await storedHistory()).toHaveLength(1);
+    });
+
+    it('records the content hash and updated time of the processed post', async () => {
+      const post = tablePost({ updated: '2026-06-18T18:05:12+00:00' });
+      global.fetch = mockFetchForScheduled(post);
+      await worker.scheduled({}, envWithAI(), {});
+      const seen = JSON.parse(await env.PREDICTIONS.get('processed_post:abc123'));
+      expect(seen.revision).toBe(1);
+      expect(seen.updated).toBe('2026-06-18T18:05:12.000Z');
+      expect(seen.content_hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('a changed table is re-parsed as a new revision', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      global.fetch = mockFetchForScheduled(edited());
+      await worker.scheduled({}, envWithAI(), {});
+
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.gas.price).toBeCloseTo(1.631);
+      expect(latest.revision).toBe(2);
+      const history = await storedHistory();
+      expect(history).toHaveLength(1);
+      expect(history[0].revisions).toHaveLength(1);
+      expect(history[0].revisions[0].revision).toBe(1);
+      expect(history[0].revisions[0].gas.price).toBeCloseTo(1.621);
+      expect(JSON.parse(await env.PREDICTIONS.get('processed_post:abc123')).revision).toBe(2);
+    });
+
+    it('a changed <updated> time alone triggers a re-parse', async () => {
+      global.fetch = mockFetchForScheduled(tablePost({ updated: '2026-06-18T18:00:00+00:00' }));
+      await worker.scheduled({}, envWithAI(), {});
+      global.fetch = mockFetchForScheduled(tablePost({ updated: '2026-06-18T19:00:00+00:00' }));
+      await worker.scheduled({}, envWithAI(), {});
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.revision).toBe(2);
+      expect(latest.post_updated_at).toBe('2026-06-18T19:00:00.000Z');
+    });
+
+    it('posts processed before edit tracking are not re-parsed', async () => {
+      await env.PREDICTIONS.put('last_processed_post_id', 'abc123');
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      expect(await env.PREDICTIONS.get('latest_prediction')).toBeNull();
+      expect(JSON.parse(await env.PREDICTIONS.get('processed_post:abc123')).revision).toBe(1);
+    });
+
+    it('a revision is checked against the week before, not its earlier revision', async () => {
+      const lastWeek = {
+        kind: 'weekly',
+        gas: { direction: 'up', adjustment: 1, price: 1.585 },
+        diesel: { direction: 'up', adjustment: 1, price: 1.551 },
+        post_id: 'week0',
+        updated_at: '2024-11-07T17:00:00.000Z',
+      };
+      await env.PREDICTIONS.put('latest_prediction', JSON.stringify(lastWeek));
+      await env.PREDICTIONS.put('prediction_history', JSON.stringify([lastWeek]));
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      // Typo fix: UP 3.6 → UP 3.7, 162.1 → 162.2
+      global.fetch = mockFetchForScheduled(
+        edited({
+          selftext:
+            '|Type|Adjustment|New Min Price|\n|Regular| UP 3.7 |162.2|\n|Diesel| DOWN 0.7 |154.4|',
+        })
+      );
+      await worker.scheduled({}, envWithAI(), {});
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.revision).toBe(2);
+      expect(latest.gas.price).toBeCloseTo(1.622);
+      const history = await storedHistory();
+      expect(history.map((h) => h.post_id)).toEqual(['abc123', 'week0']);
+    });
+
+    it('an edited interrupter replaces its event instead of adding another', async () => {
+      const weekly = {
+        kind: 'weekly',
+        gas: { direction: 'down', adjustment: 1.2, price: 1.55 },
+        diesel: null,
+        post_id: 'week1',
+        updated_at: '2024-11-14T17:00:00.000Z',
+      };
+      await env.PREDICTIONS.put('latest_prediction', JSON.stringify(weekly));
+      await env.PREDICTIONS.put('prediction_history', JSON.stringify([weekly]));
+      const interrupter = (price) =>
+        tablePost({
+          id: 'int1',
+          title: 'Interrupter clause triggered - gas up',
+          selftext: `|Type|Adjustment|New Min Price|\n|Regular| UP 6.3 |${price}|`,
+        });
+      global.fetch = mockFetchForScheduled(interrupter('161.3'));
+      await worker.scheduled({}, envWithAI(), {});
+      global.fetch = mockFetchForScheduled(interrupter('161.4'));
+      await worker.scheduled({}, envWithAI(), {});
+
+      const latest = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      expect(latest.post_id).toBe('week1');
+      expect(latest.interrupters).toHaveLength(1);
+      expect(latest.interrupters[0].gas.price).toBeCloseTo(1.614);
+      expect(latest.interrupters[0].amends.post_id).toBe('week1');
+      expect(await storedHistory()).toHaveLength(2);
+    });
+  });
+
+  it('stores per-zone prices from the post', async () => {
+    const e = envWithAI();
+    global.fetch = mockFetchForScheduled(tablePost({ selftext: ZONED_SELFTEXT }));
+    await worker.scheduled({}, e, {});
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.zones[6].regular.price).toBeCloseTo(1.64);
+    expect(stored.gas.price).toBeCloseTo(1.621);
+  });
+
+  it('stores every grade from the post', async () => {
+    const e = envWithAI();
+    global.fetch = mockFetchForScheduled(
+      tablePost({
+        selftext:
+          '|Type|Adjustment|New Min Price|\n:--|:--|:--|\n|Regular| UP 3.6 |162.1|\n|Premium| UP 3.5 |190.4|\n|Diesel| DOWN 0.7 |154.4|',
+      })
+    );
+    await worker.scheduled({}, e, {});
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.grades.premium.price).toBeCloseTo(1.904);
+    expect(stored.gas.price).toBeCloseTo(1.621);
+  });
+
+  it('stores effective_at extracted from the post', async () => {
+    const e = envWithAI();
+    global.fetch = mockFetchForScheduled(
+      tablePost({
+        selftext:
+          '|Type|Adjustment|New Min Price|\n:--|:--|:--|\n|Regular| UP 3.6 |162.1|\nEffective 2030-01-04 at 12:01 AM',
+      })
+    );
+    await worker.scheduled({}, e, {});
+    const stored = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+    expect(stored.effective_at).toBe('2030-01-04T04:01:00.000Z');
+  });
+
   it('AI prompt includes community context from top posts', async () => {
     const e = envWithAI();
     global.fetch = mockFetchForScheduled(tablePost());
@@ -1661,4 +5758,57 @@ describe('scheduled()', () => {
     expect(promptArg).toContain('This week in Halifax and Nova Scotia');
     expect(promptArg).toContain('Pothole on Quinpool');
   });
+
+  describe('rollback', () => {
+    const nextWeek = () =>
+      tablePost({
+        id: 'next1',
+        permalink: '/r/halifax/comments/next1/gas_prices/',
+        selftext:
+          '|Type|Adjustment|New Min Price|\n:--|:--|:--|\n|Regular| UP 3.6 |165.7|\n|Diesel| DOWN 0.7 |153.7|',
+      });
+
+    function rollback() {
+      return workerExports.default.fetch(
+        new Request('https://hfxgas.ca/api/rollback', {
+          method: 'POST',
+          headers: { authorization: 'Bearer test-secret' },
+        })
+      );
+    }
+
+    it('restores the previous prediction and its image', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      const before = JSON.parse(await env.PREDICTIONS.get('latest_prediction'));
+      const prompt = await env.PREDICTIONS.get('latest_image_prompt');
+      global.fetch = mockFetchForScheduled(nextWeek());
+      await worker.scheduled({}, envWithAI(), {});
+      expect(await env.PREDICTIONS.get('latest_image_key')).toBe('images/next1.png');
+
+      const res = await rollback();
+      expect(res.status).toBe(200);
+      const { removed, latest } = await res.json();
+      expect(removed.post_id).toBe('next1');
+      expect(latest).toMatchObject({ post_id: 'abc123', gas: before.gas });
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction'))).toEqual(latest);
+      expect(await env.PREDICTIONS.get('latest_image_key')).toBe('images/abc123.png');
+      expect(await env.PREDICTIONS.get('latest_image_prompt')).toBe(prompt);
+      expect((await storedHistory()).map((h) => h.post_id)).toEqual(['abc123']);
+    });
+
+    it('the next cron run does not re-publish the rolled-back post', async () => {
+      global.fetch = mockFetchForScheduled(tablePost());
+      await worker.scheduled({}, envWithAI(), {});
+      global.fetch = mockFetchForScheduled(nextWeek());
+      await worker.scheduled({}, envWithAI(), {});
+      await rollback();
+
+      const e = envWithAI();
+      await worker.scheduled({}, e, {});
+      expect(e.AI.run).not.toHaveBeenCalled();
+      expect(JSON.parse(await env.PREDICTIONS.get('latest_prediction')).post_id).toBe('abc123');
+      expect(await env.PREDICTIONS.get('last_processed_post_id')).toBe('next1');
+    });
+  });
 });
@@ -5,13 +5,14 @@
  * avoiding the WorkerEntrypoint constructor ExecutionContext requirement.
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import { BuckitMCP } from '../mcp/server.js';
 
 function makeMcp(kvData = {}) {
   const store = { ...kvData };
   const mockEnv = {
     WEBHOOK_SECRET: 'test-secret',
+    API_TOKENS: JSON.stringify({ ci: 'ci-token' }),
     SITE_URL: 'https://hfxgas.ca',
     REDDIT_USER_AGENT: 'Buckit/1.0 (test)',
     REDDIT_AUTHOR: 'buckit',
@@ -22,8 +23,11 @@ function makeMcp(kvData = {}) {
       put: async (key, value) => {
         store[key] = value;
       },
+      delete: async (key) => {
+        delete store[key];
+      },
     },
-    IMAGES: { get: async () => null, put: async () => {} },
+    IMAGES: { get: async () => null, head: async () => null, put: async () => {} },
     AI: { run: async () => ({ image: null }) },
   };
 
@@ -31,9 +35,14 @@ function makeMcp(kvData = {}) {
   return {
     get_latest_prediction: BuckitMCP.prototype.get_latest_prediction.bind({ env: mockEnv }),
     get_prediction_history: BuckitMCP.prototype.get_prediction_history.bind({ env: mockEnv }),
+    get_prediction: BuckitMCP.prototype.get_prediction.bind({ env: mockEnv }),
     get_status: BuckitMCP.prototype.get_status.bind({ env: mockEnv }),
     post_prediction: BuckitMCP.prototype.post_prediction.bind({ env: mockEnv }),
     trigger_reddit_scan: BuckitMCP.prototype.trigger_reddit_scan.bind({ env: mockEnv }),
+    list_cron_runs: BuckitMCP.prototype.list_cron_runs.bind({ env: mockEnv }),
+    list_audit_log: BuckitMCP.prototype.list_audit_log.bind({ env: mockEnv }),
+    rollback_prediction: BuckitMCP.prototype.rollback_prediction.bind({ env: mockEnv }),
+    delete_history_entry: BuckitMCP.prototype.delete_history_entry.bind({ env: mockEnv }),
   };
 }
 
@@ -53,8 +62,31 @@ describe('get_latest_prediction (no auth required)', () => {
     };
     const mcp = makeMcp({ latest_prediction: JSON.stringify(pred) });
     const result = await mcp.get_latest_prediction();
-    expect(result.direction).toBe('up');
-    expect(result.predictedPrice).toBe(1.72);
+    expect(result.gas.direction).toBe('up');
+    expect(result.gas.price).toBe(1.72);
+  });
+
+  it('includes the retracted flag (false by default)', async () => {
+    const mcp = makeMcp({ latest_prediction: JSON.stringify({ gas: null, diesel: null }) });
+    expect((await mcp.get_latest_prediction()).retracted).toBe(false);
+    const retracted = makeMcp({
+      latest_prediction: JSON.stringify({ gas: null, diesel: null, retracted: true }),
+    });
+    expect((await retracted.get_latest_prediction()).retracted).toBe(true);
+  });
+
+  it('includes a grades map', async () => {
+    const pred = {
+      gas: { direction: 'up', adjustment: 3.6, price: 1.621 },
+      diesel: null,
+      grades: {
+        regular: { direction: 'up', adjustment: 3.6, price: 1.621 },
+        premium: { direction: 'up', adjustment: 3.5, price: 1.904 },
+      },
+    };
+    const mcp = makeMcp({ latest_prediction: JSON.stringify(pred) });
+    const result = await mcp.get_latest_prediction();
+    expect(result.grades.premium.price).toBe(1.904);
   });
 });
 
@@ -97,6 +129,13 @@ describe('get_prediction_history (no auth required)', () => {
     expect(result.length).toBe(3);
   });
 
+  it('upgrades older entries with a grades map', async () => {
+    const history = [{ gas: { direction: 'up', adjustment: 1, price: 1.6 }, diesel: null }];
+    const mcp = makeMcp({ prediction_history: JSON.stringify(history) });
+    const [entry] = await mcp.get_prediction_history();
+    expect(entry.grades.regular.price).toBe(1.6);
+  });
+
   it('caps limit at 10', async () => {
     const history = Array.from({ length: 10 }, (_, i) => ({
       direction: 'up',
@@ -108,6 +147,31 @@ describe('get_prediction_history (no auth required)', () => {
     const result = await mcp.get_prediction_history(100);
     expect(result.length).toBe(10);
   });
+
+  it('accepts a JSON-RPC arguments object', async () => {
+    const history = Array.from({ length: 8 }, (_, i) => ({
+      direction: 'up',
+      predictedPrice: 1.5 + i * 0.01,
+      fuelType: 'gas',
+      updated_at: new Date().toISOString(),
+    }));
+    const mcp = makeMcp({ prediction_history: JSON.stringify(history) });
+    expect(await mcp.get_prediction_history({ limit: 5 })).toHaveLength(5);
+    expect(await mcp.get_prediction_history({})).toHaveLength(8);
+  });
+});
+
+describe('get_prediction (no auth required)', () => {
+  it('400 for an invalid id', async () => {
+    const mcp = makeMcp();
+    expect(await mcp.get_prediction({ id: 'abc' })).toMatchObject({ status: 400 });
+    expect(await mcp.get_prediction({})).toMatchObject({ status: 400 });
+  });
+
+  it('404 without a history entry by that id', async () => {
+    const mcp = makeMcp();
+    expect(await mcp.get_prediction({ id: 1 })).toEqual({ error: 'No prediction 1', status: 404 });
+  });
 });
 
 describe('get_status (no auth required)', () => {
@@ -119,6 +183,18 @@ describe('get_status (no auth required)', () => {
     expect(result.last_post_id).toBeNull();
     expect(result.latest_image_key).toBeNull();
     expect(result.has_prediction).toBe(false);
+    expect(result.reddit_fetch).toBeNull();
+  });
+
+  it('reports the last Reddit fetch outcome', async () => {
+    const status = {
+      outcome: 'rate_limited',
+      checked_at: '2024-11-14T17:00:00.000Z',
+      http_status: 429,
+      backoff_until: '2024-11-14T17:10:00.000Z',
+    };
+    const mcp = makeMcp({ reddit_fetch_status: JSON.stringify(status) });
+    expect((await mcp.get_status()).reddit_fetch).toEqual(status);
   });
 
   it('returns status with data when prediction exists', async () => {
@@ -156,8 +232,34 @@ describe('post_prediction (secret required)', () => {
     const mcp = makeMcp();
     const result = await mcp.post_prediction(validArgs);
     expect(result.ok).toBe(true);
-    expect(result.prediction.direction).toBe('up');
+    expect(result.prediction.gas).toEqual({ direction: 'up', adjustment: 6, price: 1.72 });
     expect(result.prediction.source).toBe('mcp');
+    expect(result.prediction.schema_version).toBe(2);
+  });
+
+  it('accepts the webhook body and stores the same record shape', async () => {
+    const mcp = makeMcp();
+    const result = await mcp.post_prediction({
+      gas: { direction: 'down', price: 1.55 },
+      diesel: { direction: 'up', price: 1.7 },
+      kind: 'interrupter',
+      secret: 'test-secret',
+    });
+    expect(result.prediction).toMatchObject({
+      kind: 'interrupter',
+      grades: { regular: { price: 1.55 }, diesel: { price: 1.7 } },
+      source: 'mcp',
+    });
+    expect(result.prediction.triggered_at).toBeTruthy();
+    expect(result.prediction).not.toHaveProperty('predictedPrice');
+  });
+
+  it('upgrades an old-shape record when read back', async () => {
+    const old = { direction: 'up', predictedPrice: 1.72, fuelType: 'gas', source: 'mcp' };
+    const mcp = makeMcp({ latest_prediction: JSON.stringify(old) });
+    const latest = await mcp.get_latest_prediction();
+    expect(latest.grades.regular).toEqual({ direction: 'up', adjustment: null, price: 1.72 });
+    expect(latest.schema_version).toBe(2);
   });
 
   it('rejects with no secret → 401', async () => {
@@ -207,6 +309,58 @@ describe('trigger_reddit_scan (secret required)', () => {
     expect(result.error).toBe('Unauthorized');
     expect(result.status).toBe(401);
   });
+
+  it('dry_run scans without writing KV', async () => {
+    const kv = { latest_prediction: JSON.stringify({ post_id: 'old' }) };
+    const mcp = makeMcp(kv);
+    const emptyFeed = '<feed xmlns="http://www.w3.org/2005/Atom"></feed>';
+    global.fetch = vi.fn().mockImplementation(async () => new Response(emptyFeed));
+    const result = await mcp.trigger_reddit_scan({ secret: 'test-secret', dry_run: true });
+    expect(result).toMatchObject({ ok: true, dry_run: true, outcome: 'no_post' });
+    expect(await mcp.get_status()).toMatchObject({ reddit_fetch: null });
+  });
+});
+
+describe('list_cron_runs (secret required)', () => {
+  const runs = [
+    { started_at: '2026-06-18T17:00:00.000Z', outcome: 'published' },
+    { started_at: '2026-06-18T16:00:00.000Z', outcome: 'no_post' },
+  ];
+
+  it('rejects with wrong secret → 401', async () => {
+    const mcp = makeMcp({ cron_runs: JSON.stringify(runs) });
+    const result = await mcp.list_cron_runs({ secret: 'wrong' });
+    expect(result).toEqual({ error: 'Unauthorized', status: 401 });
+  });
+
+  it('returns the journal, newest first', async () => {
+    const mcp = makeMcp({ cron_runs: JSON.stringify(runs) });
+    expect(await mcp.list_cron_runs({ secret: 'test-secret' })).toEqual({ runs });
+  });
+
+  it('respects limit', async () => {
+    const mcp = makeMcp({ cron_runs: JSON.stringify(runs) });
+    const { runs: listed } = await mcp.list_cron_runs({ secret: 'test-secret', limit: 1 });
+    expect(listed).toHaveLength(1);
+  });
+
+  it('clamps limit to MAX_RUNS (default 50)', async () => {
+    const journal = Array.from({ length: 60 }, (_, i) => ({ outcome: 'no_post', i }));
+    const mcp = makeMcp({ cron_runs: JSON.stringify(journal) });
+    const { runs: listed } = await mcp.list_cron_runs({ secret: 'test-secret', limit: 1e6 });
+    expect(listed).toHaveLength(50);
+  });
+
+  it('rejects an invalid limit → 400', async () => {
+    const mcp = makeMcp();
+    const result = await mcp.list_cron_runs({ secret: 'test-secret', limit: 0 });
+    expect(result.status).toBe(400);
+  });
+
+  it('returns an empty list before the first run', async () => {
+    const mcp = makeMcp();
+    expect(await mcp.list_cron_runs({ secret: 'test-secret' })).toEqual({ runs: [] });
+  });
 });
 
 // ── BuckitMCP.fetch (HTTP handler) ────────────────────────────────────────
@@ -236,6 +390,7 @@ function makeMcpFetch(kvData = {}) {
     env: mockEnv,
     get_latest_prediction: BuckitMCP.prototype.get_latest_prediction.bind({ env: mockEnv }),
     get_prediction_history: BuckitMCP.prototype.get_prediction_history.bind({ env: mockEnv }),
+    get_prediction: BuckitMCP.prototype.get_prediction.bind({ env: mockEnv }),
     get_status: BuckitMCP.prototype.get_status.bind({ env: mockEnv }),
     post_prediction: BuckitMCP.prototype.post_prediction.bind({ env: mockEnv }),
     trigger_reddit_scan: BuckitMCP.prototype.trigger_reddit_scan.bind({ env: mockEnv }),
@@ -299,7 +454,7 @@ describe('BuckitMCP.fetch (HTTP handler)', () => {
     const res = await mcp.fetch(mcpRequest('get_latest_prediction'));
     expect(res.status).toBe(200);
     const data = await res.json();
-    expect(data.result.direction).toBe('up');
+    expect(data.result.gas.direction).toBe('up');
   });
 
   it('calls get_prediction_history and returns result', async () => {
@@ -334,3 +489,72 @@ describe('BuckitMCP.fetch (HTTP handler)', () => {
     expect(data.result.error).toBe('Unauthorized');
   });
 });
+
+describe('list_audit_log (secret required)', () => {
+  it('rejects with wrong secret → 401', async () => {
+    const mcp = makeMcp();
+    const result = await mcp.list_audit_log({ secret: 'wrong' });
+    expect(result).toEqual({ error: 'Unauthorized', status: 401 });
+  });
+
+  it('records post_prediction under the token name', async () => {
+    const mcp = makeMcp();
+    await mcp.post_prediction({ gas: { direction: 'up', price: 1.6 }, secret: 'test-secret' });
+    await mcp.post_prediction({ gas: { direction: 'down', price: 1.55 }, secret: 'ci-token' });
+    const { entries } = await mcp.list_audit_log({ secret: 'test-secret' });
+    expect(entries.map((e) => e.actor)).toEqual(['ci', 'default']);
+    expect(entries[0]).toMatchObject({ action: 'publish', entry_point: 'mcp' });
+    expect(entries[0].request_id).toBeTruthy();
+    expect(entries[0].previous.gas.price).toBe(1.6);
+    expect(entries[0].current.gas.price).toBe(1.55);
+  });
+
+  it('filters by actor and respects limit', async () => {
+    const mcp = makeMcp();
+    await mcp.post_prediction({ gas: { direction: 'up', price: 1.6 }, secret: 'test-secret' });
+    await mcp.post_prediction({ gas: { direction: 'up', price: 1.61 }, secret: 'ci-token' });
+    const { entries } = await mcp.list_audit_log({ secret: 'ci-token', actor: 'default' });
+    expect(entries).toHaveLength(1);
+    expect((await mcp.list_audit_log({ secret: 'ci-token', limit: 1 })).entries).toHaveLength(1);
+  });
+
+  it('rejects an invalid limit or before → 400', async () => {
+    const mcp = makeMcp();
+    expect((await mcp.list_audit_log({ secret: 'test-secret', limit: 0 })).status).toBe(400);
+    expect((await mcp.list_audit_log({ secret: 'test-secret', before: 'x' })).status).toBe(400);
+  });
+});
+
+describe('rollback_prediction / delete_history_entry (secret required)', () => {
+  it('rejects with wrong secret → 401', async () => {
+    const mcp = makeMcp();
+    expect(await mcp.rollback_prediction({ secret: 'wrong' })).toEqual({
+      error: 'Unauthorized',
+      status: 401,
+    });
+    expect((await mcp.delete_history_entry({ secret: 'wrong', id: 1 })).status).toBe(401);
+  });
+
+  it('reverts to the previous prediction', async () => {
+    const mcp = makeMcp();
+    await mcp.post_prediction({ gas: { direction: 'up', price: 1.6 }, secret: 'test-secret' });
+    await mcp.post_prediction({ gas: { direction: 'up', price: 1.9 }, secret: 'test-secret' });
+    const result = await mcp.rollback_prediction({ secret: 'ci-token' });
+    expect(result.ok).toBe(true);
+    expect(result.removed.gas.price).toBe(1.9);
+    expect((await mcp.get_latest_prediction()).gas.price).toBe(1.6);
+    expect(await mcp.get_prediction_history()).toHaveLength(1);
+    const [entry] = (await mcp.list_audit_log({ secret: 'test-secret' })).entries;
+    expect(entry).toMatchObject({ action: 'rollback', actor: 'ci', entry_point: 'mcp' });
+  });
+
+  it('404 with nothing to roll back', async () => {
+    const mcp = makeMcp();
+    expect((await mcp.rollback_prediction({ secret: 'test-secret' })).status).toBe(404);
+  });
+
+  it('rejects an invalid id → 400', async () => {
+    const mcp = makeMcp();
+    expect((await mcp.delete_history_entry({ secret: 'test-secret', id: 'x' })).status).toBe(400);
+  });
+});
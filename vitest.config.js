@@ -1,8 +1,12 @@
 import { defineConfig } from 'vitest/config';
-import { cloudflarePool } from '@cloudflare/vitest-pool-workers';
+import { cloudflarePool, readD1Migrations } from '@cloudflare/vitest-pool-workers';
+
+// D1 migrations are applied to the test database by test/apply-migrations.js
+const migrations = await readD1Migrations('./migrations');
 
 export default defineConfig({
   test: {
+    setupFiles: ['./test/apply-migrations.js'],
     pool: cloudflarePool({
       // main is required for SELF.fetch() to work
       main: './src/index.js',
@@ -15,13 +19,18 @@ export default defineConfig({
         compatibilityFlags: ['nodejs_compat'],
         kvNamespaces: ['PREDICTIONS'],
         r2Buckets: ['IMAGES'],
+        durableObjects: { PREDICTION_STORE: 'PredictionStore' },
+        d1Databases: ['HISTORY_DB'],
         bindings: {
           WEBHOOK_SECRET: 'test-secret',
+          API_TOKENS: JSON.stringify({ ci: 'ci-token' }),
           SITE_URL: 'https://hfxgas.ca',
           REDDIT_USER_AGENT: 'Buckit/1.0 (test)',
           REDDIT_AUTHOR: 'buckit',
           REDDIT_SUBREDDIT: 'halifax',
           MAX_HISTORY: '10',
+          REDDIT_RETRY_BASE_MS: '0',
+          TEST_MIGRATIONS: migrations,
         },
       },
     }),